@@ -0,0 +1,107 @@
+/**
+ * App Server Backend
+ * Runs and tracks K6 tests through the K6 App Server HTTP API
+ */
+
+import { checkAppServer, requireAppServer, getAppServerUrl } from '../utils/appServerCheck.js';
+import { get, post } from '../utils/appServerClient.js';
+import { ServiceError, ERROR_TYPES } from '../utils/errors.js';
+
+const API_PATH = '/api/tests';
+
+export const appServerBackend = {
+  name: 'app-server',
+
+  /**
+   * Whether the App Server answers its health check
+   */
+  isAvailable() {
+    return checkAppServer();
+  },
+
+  /**
+   * Throw unless the App Server is available
+   */
+  ensureAvailable() {
+    return requireAppServer();
+  },
+
+  /**
+   * Where tests run, for startup and list messages
+   */
+  describe() {
+    return getAppServerUrl();
+  },
+
+  async listScripts() {
+    const response = await get(`${API_PATH}/available`);
+    return response.data;
+  },
+
+  async run({ script, vus, duration, env }) {
+    try {
+      const response = await post(`${API_PATH}/run`, { script, vus, duration, env });
+      return response.data;
+    } catch (error) {
+      if (error.type === ERROR_TYPES.NOT_FOUND) {
+        throw new ServiceError(ERROR_TYPES.NOT_FOUND, error.message, { status: error.status, hint: 'Use k6_list to see available scripts.', requestId: error.requestId });
+      }
+      throw error;
+    }
+  },
+
+  async getStatus(testId) {
+    return (await getTest(testId, 'status')).data;
+  },
+
+  async listTests() {
+    const response = await get(`${API_PATH}/`);
+    return response.data;
+  },
+
+  async getOutput(testId, { tail, follow } = {}) {
+    return (await getTest(testId, 'output', { tail, follow })).data;
+  },
+
+  /**
+   * Results of a finished test; the App Server answers 202 while it is still going
+   */
+  async getResults(testId) {
+    const response = await getTest(testId, 'results');
+    if (response.status === 202) {
+      throw new ServiceError(ERROR_TYPES.STILL_RUNNING, response.data?.message || `Test ${testId} is still running`, { status: 202 });
+    }
+    return response.data;
+  },
+
+  async analyze({ testId, metrics }) {
+    const response = await post(`${API_PATH}/analyze`, { testId, metrics });
+    return response.data;
+  },
+
+  async stop(testId, mode) {
+    try {
+      const response = await post(`${API_PATH}/${testId}/stop`, { mode });
+      return response.data;
+    } catch (error) {
+      throw notFound(error, testId);
+    }
+  }
+};
+
+/**
+ * GET a per-test endpoint, naming the test in "not found" errors
+ */
+async function getTest(testId, endpoint, params) {
+  try {
+    return await get(`${API_PATH}/${testId}/${endpoint}`, { params });
+  } catch (error) {
+    throw notFound(error, testId);
+  }
+}
+
+function notFound(error, testId) {
+  return error.type === ERROR_TYPES.NOT_FOUND ?
+    new ServiceError(ERROR_TYPES.NOT_FOUND, `Test ${testId} not found`, { status: error.status, requestId: error.requestId }) :
+    error;
+}
@@ -0,0 +1,26 @@
+/**
+ * Execution Backends
+ * Selects where tests run: through the K6 App Server or as local k6 processes
+ */
+
+import { appServerBackend } from './appServerBackend.js';
+import { localBackend } from './localBackend.js';
+
+const BACKENDS = {
+  'app-server': appServerBackend,
+  local: localBackend
+};
+
+export const BACKEND_NAMES = Object.keys(BACKENDS);
+
+/**
+ * Backend chosen with K6_BACKEND (default: app-server)
+ */
+export function getBackend() {
+  const name = process.env.K6_BACKEND || 'app-server';
+  const backend = BACKENDS[name];
+  if (!backend) {
+    throw new Error(`Unknown K6_BACKEND "${name}". Use one of: ${BACKEND_NAMES.join(', ')}`);
+  }
+  return backend;
+}
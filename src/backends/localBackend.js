@@ -0,0 +1,344 @@
+/**
+ * Local Backend
+ * Runs K6 tests as child processes of this server, for use without the App Server
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { getScriptsDir, resolveScriptPath } from '../handlers/generateHandler.js';
+import { metricsFromSummary, performBasicAnalysis } from '../utils/resultAnalysis.js';
+import { ServiceError, ERROR_TYPES } from '../utils/errors.js';
+
+// Captured output per stream; older output is dropped so long runs don't grow without bound
+const MAX_OUTPUT_LENGTH = 1024 * 1024;
+
+// Bytes of JSON output read at a time when counting requests
+const METRICS_CHUNK_SIZE = 4 * 1024 * 1024;
+
+// k6 exits with 99 when thresholds fail
+const THRESHOLDS_FAILED_EXIT_CODE = 99;
+
+// Runs by testId, kept for the lifetime of the server
+const runs = new Map();
+
+let binaryChecked = false;
+
+export const localBackend = {
+  name: 'local',
+
+  /**
+   * Whether the k6 binary can be started
+   */
+  async isAvailable() {
+    try {
+      await this.ensureAvailable();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * Throw unless `k6 version` runs
+   */
+  async ensureAvailable() {
+    if (binaryChecked) {
+      return;
+    }
+    const binary = getBinary();
+    // Same error type as an App Server that is down, with a hint that fits a local binary
+    const unavailable = message => new ServiceError(ERROR_TYPES.UNREACHABLE, message, { hint: 'Install k6 or set K6_BINARY to its path' });
+    await new Promise((resolve, reject) => {
+      const child = spawn(binary, ['version'], { stdio: 'ignore' });
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(unavailable(`k6 binary "${binary}" did not answer \`k6 version\` within 5s`));
+      }, 5000);
+      child.on('error', error => {
+        clearTimeout(timer);
+        reject(unavailable(error.code === 'ENOENT'
+          ? `k6 binary "${binary}" not found`
+          : `k6 binary "${binary}" could not be started: ${error.message}`));
+      });
+      child.on('close', code => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(unavailable(`\`${binary} version\` exited with code ${code}`));
+        }
+      });
+    });
+    binaryChecked = true;
+  },
+
+  describe() {
+    return `local k6 (${getBinary()})`;
+  },
+
+  /**
+   * Scripts in test-scripts, in the shape the App Server lists them
+   */
+  async listScripts() {
+    const scriptsDir = getScriptsDir();
+    let files;
+    try {
+      files = await fs.readdir(scriptsDir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      files = [];
+    }
+
+    const tests = [];
+    for (const filename of files.filter(name => name.endsWith('.js')).sort()) {
+      const content = await fs.readFile(path.join(scriptsDir, filename), 'utf-8');
+      tests.push({
+        name: filename.slice(0, -'.js'.length),
+        filename,
+        path: path.join(path.basename(scriptsDir), filename),
+        // Generated scripts start with a comment describing what they test
+        description: /^\s*\/\/\s*(.+)/.exec(content)?.[1]
+      });
+    }
+    return { tests, count: tests.length, timestamp: new Date().toISOString() };
+  },
+
+  async run({ script, vus, duration, env = {} }) {
+    await this.ensureAvailable();
+    const scriptPath = await resolveScriptPath(script);
+
+    const testId = `k6_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+    const resultsDir = path.join(getResultsDir(), testId);
+    await fs.mkdir(resultsDir, { recursive: true });
+
+    const run = {
+      testId,
+      script,
+      scriptPath,
+      vus,
+      duration,
+      status: 'running',
+      startTime: new Date().toISOString(),
+      summaryFile: path.join(resultsDir, 'summary.json'),
+      metricsFile: path.join(resultsDir, 'metrics.json'),
+      output: '',
+      errorOutput: '',
+      requests: 0,
+      metricsOffset: 0
+    };
+
+    const args = ['run', '--summary-export', run.summaryFile, '--out', `json=${run.metricsFile}`];
+    if (vus !== undefined) {
+      args.push('--vus', String(vus));
+    }
+    if (duration !== undefined) {
+      args.push('--duration', String(duration));
+    }
+    // -e makes each value available to the script as __ENV
+    for (const [key, value] of Object.entries(env)) {
+      args.push('-e', `${key}=${value}`);
+    }
+    args.push(scriptPath);
+
+    const child = spawn(getBinary(), args, { cwd: path.dirname(scriptPath), stdio: ['ignore', 'pipe', 'pipe'] });
+    run.process = child;
+    child.stdout.on('data', chunk => {
+      run.output = capOutput(run.output + chunk);
+    });
+    child.stderr.on('data', chunk => {
+      run.errorOutput = capOutput(run.errorOutput + chunk);
+    });
+    child.on('error', error => {
+      finishRun(run, 'failed', { error: `k6 could not be started: ${error.message}` });
+    });
+    child.on('close', (code, signal) => {
+      if (run.stopMode) {
+        finishRun(run, run.stopMode === 'abort' ? 'aborted' : 'stopped', { exitCode: code, signal });
+      } else if (code === 0) {
+        finishRun(run, 'completed', { exitCode: code });
+      } else {
+        finishRun(run, 'failed', {
+          exitCode: code,
+          signal,
+          error: code === THRESHOLDS_FAILED_EXIT_CODE ? 'Thresholds failed' : `k6 exited with ${signal ? `signal ${signal}` : `code ${code}`}`
+        });
+      }
+    });
+
+    runs.set(testId, run);
+    return { testId, backend: 'local', resultsDir };
+  },
+
+  async getStatus(testId) {
+    return toStatus(getRun(testId));
+  },
+
+  async listTests() {
+    return { tests: [...runs.values()].map(toStatus) };
+  },
+
+  async getOutput(testId, { tail } = {}) {
+    const run = getRun(testId);
+    await readNewMetrics(run);
+    return {
+      testId,
+      status: run.status,
+      output: tailLines(run.output, tail),
+      errorOutput: tailLines(run.errorOutput, tail),
+      metrics: { http_reqs: run.requests },
+      summary: run.status === 'running' ? undefined : await readSummary(run)
+    };
+  },
+
+  /**
+   * Results of a finished test from its --summary-export file
+   */
+  async getResults(testId) {
+    const run = getRun(testId);
+    if (run.status === 'running') {
+      throw new ServiceError(ERROR_TYPES.STILL_RUNNING, `Test ${testId} is still running`);
+    }
+    const summary = await readSummary(run);
+    if (!summary) {
+      throw new Error(`Test ${testId} has no results: ${run.error || 'k6 did not write a summary'}`);
+    }
+    return { testId, status: run.status, metrics: summary.metrics };
+  },
+
+  /**
+   * Rate the results locally; the App Server does the same analysis remotely
+   */
+  async analyze({ metrics }) {
+    const headline = metricsFromSummary(metrics);
+    return { metrics: headline, ...performBasicAnalysis(headline) };
+  },
+
+  async stop(testId, mode) {
+    const run = getRun(testId);
+    if (run.status !== 'running') {
+      return { testId, status: run.status };
+    }
+    run.stopMode = mode;
+    // k6 stops gracefully and still writes its summary on SIGINT
+    run.process.kill(mode === 'abort' ? 'SIGKILL' : 'SIGINT');
+    return { testId, mode };
+  }
+};
+
+/**
+ * Path of the k6 executable; point it at a fake k6 to test without running load
+ */
+function getBinary() {
+  return process.env.K6_BINARY || 'k6';
+}
+
+/**
+ * Directory for per-run summary and metrics files
+ */
+function getResultsDir() {
+  return path.resolve(process.env.K6_RESULTS_DIR || path.join(path.dirname(getScriptsDir()), 'k6-results'));
+}
+
+/**
+ * Find a run by testId
+ */
+function getRun(testId) {
+  const run = runs.get(testId);
+  if (!run) {
+    throw new ServiceError(ERROR_TYPES.NOT_FOUND, `Test ${testId} not found`);
+  }
+  return run;
+}
+
+/**
+ * Record how a run ended; the first outcome wins, e.g. a spawn error before close
+ */
+function finishRun(run, status, { exitCode, signal, error } = {}) {
+  if (run.status !== 'running') {
+    return;
+  }
+  Object.assign(run, { status, exitCode, signal, error, endTime: new Date().toISOString() });
+  run.process = undefined;
+}
+
+/**
+ * Public view of a run, in the shape the App Server reports status
+ */
+function toStatus(run) {
+  return {
+    testId: run.testId,
+    status: run.status,
+    script: run.script,
+    vus: run.vus,
+    duration: run.startTime && run.endTime ? new Date(run.endTime) - new Date(run.startTime) : undefined,
+    startTime: run.startTime,
+    endTime: run.endTime,
+    exitCode: run.exitCode,
+    error: run.error
+  };
+}
+
+/**
+ * Count the requests written to the JSON output since the last read
+ */
+async function readNewMetrics(run) {
+  let handle;
+  try {
+    handle = await fs.open(run.metricsFile);
+  } catch (error) {
+    // No metrics written yet
+    return;
+  }
+
+  try {
+    const buffer = Buffer.alloc(METRICS_CHUNK_SIZE);
+    for (;;) {
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, run.metricsOffset);
+      // Only complete lines are read; a line still being written is left for the next read
+      const end = buffer.subarray(0, bytesRead).lastIndexOf('\n');
+      if (end === -1) {
+        return;
+      }
+      for (const line of buffer.toString('utf-8', 0, end).split('\n')) {
+        if (line.includes('"metric":"http_reqs"') && line.includes('"type":"Point"')) {
+          run.requests += JSON.parse(line).data.value;
+        }
+      }
+      run.metricsOffset += end + 1;
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Parsed --summary-export file, or undefined if k6 did not write one
+ */
+async function readSummary(run) {
+  try {
+    return JSON.parse(await fs.readFile(run.summaryFile, 'utf-8'));
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Keep the last MAX_OUTPUT_LENGTH characters of captured output
+ */
+function capOutput(text) {
+  return text.length > MAX_OUTPUT_LENGTH ? text.slice(-MAX_OUTPUT_LENGTH) : text;
+}
+
+/**
+ * Last lines of captured output, or all of it
+ */
+function tailLines(text, tail) {
+  if (!tail) {
+    return text;
+  }
+  return text.split('\n').slice(-tail - 1).join('\n');
+}
@@ -0,0 +1,367 @@
+/**
+ * Access log K6 test script generator
+ * Models the endpoint mix and request rate of nginx/Apache logs as an arrival-rate script
+ */
+
+import fs from 'fs';
+import readline from 'readline';
+import { toLiteral, quote, formatSeconds, parseDuration } from '../utils/codegen.js';
+import { getDefaultThresholds, renderThresholds } from '../utils/thresholds.js';
+
+// Combined log format; the referer and user agent are optional so common format parses too
+const LOG_LINE = /^(\S+) \S+ \S+ \[([^\]]+)\] "(\S+) (\S+)(?: [^"]*)?" (\d{3}) (\S+)(?: "(?:[^"\\]|\\.)*" "(?:[^"\\]|\\.)*")?/;
+const STATIC_EXTENSIONS = /\.(css|js|mjs|map|png|jpe?g|gif|svg|ico|webp|avif|bmp|woff2?|ttf|otf|eot|mp4|webm|mp3|wav)$/i;
+const MONTHS = { Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5, Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11 };
+
+// Path segments that identify a resource rather than an endpoint
+const PARAMETER_SEGMENTS = [
+  ['{id}', /^\d+$/],
+  ['{uuid}', /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i],
+  ['{hash}', /^[0-9a-f]{16,}$/i],
+  ['{token}', /^(?=.*\d)[A-Za-z0-9_-]{20,}$/]
+];
+
+const MAX_SAMPLE_PATHS = 20;
+const MAX_SUMMARY_POINTS = 24;
+const MAX_OBSERVED_STAGES = 200;
+// Buckets held in memory for the peak and the rate summary; a tiny bucket over a long log would need millions
+const MAX_BUCKETS = 1000000;
+
+export async function generateAccessLogScript(options = {}) {
+  const {
+    logFile,
+    baseUrl = 'http://localhost:3000',
+    duration = '5m',
+    profile = 'peak',
+    stageDuration = '1m',
+    bucket = '1m',
+    scale = 1,
+    maxEndpoints = 20,
+    includeStatic = false,
+    assertions = true,
+    thresholds = getDefaultThresholds('accesslog', { assertions }),
+    timestamp = new Date().toISOString()
+  } = options;
+
+  if (!logFile) {
+    throw new Error('An access log file is required for access log generation');
+  }
+  if (!['peak', 'observed'].includes(profile)) {
+    throw new Error(`Unknown profile "${profile}". Use "peak" or "observed"`);
+  }
+  if (typeof scale !== 'number' || !(scale > 0)) {
+    throw new Error(`scale must be a positive number, got ${scale}`);
+  }
+
+  const bucketSeconds = parseDuration(bucket) / 1000;
+  if (!(bucketSeconds > 0)) {
+    throw new Error(`bucket must be a positive duration, got "${bucket}"`);
+  }
+  const log = await parseAccessLog(logFile, { includeStatic, bucketSeconds });
+  if (log.requests === 0) {
+    throw new Error(`No requests could be parsed from ${logFile}; expected nginx/Apache combined or common log format`);
+  }
+
+  const warnings = [];
+  if (log.unparsed > 0) {
+    warnings.push(`${log.unparsed} line(s) did not match the combined log format and were skipped`);
+  }
+
+  // The modelled mix keeps the busiest endpoints and drops the long tail
+  const ranked = [...log.endpoints.values()].sort((a, b) => b.count - a.count);
+  const modelled = ranked.slice(0, maxEndpoints);
+  const dropped = ranked.slice(maxEndpoints);
+  if (dropped.length > 0) {
+    const droppedRequests = dropped.reduce((total, endpoint) => total + endpoint.count, 0);
+    warnings.push(`${dropped.length} rare endpoint(s) with ${percent(droppedRequests / log.requests)} of the traffic were left out of the mix (raise options.maxEndpoints to keep them)`);
+  }
+  const bodyMethods = [...new Set(modelled.map(endpoint => endpoint.method).filter(method => !['GET', 'HEAD', 'OPTIONS', 'DELETE'].includes(method)))];
+  if (bodyMethods.length > 0) {
+    warnings.push(`Access logs do not record request bodies; ${bodyMethods.join(', ')} requests are sent without one`);
+  }
+
+  // Checked before any bucket is built, so a tiny bucket over a long log fails fast
+  const step = bucketSeconds * 1000;
+  const bucketCount = Math.floor(log.end / step) - Math.floor(log.start / step) + 1;
+  if (profile === 'observed' && bucketCount > MAX_OBSERVED_STAGES) {
+    throw new Error(`The log spans ${bucketCount} buckets of ${bucket}; use a larger options.bucket to replay it in at most ${MAX_OBSERVED_STAGES} stages`);
+  }
+  if (bucketCount > MAX_BUCKETS) {
+    throw new Error(`The log spans ${bucketCount} buckets of ${bucket}; use a larger options.bucket (at most ${MAX_BUCKETS} buckets)`);
+  }
+
+  const buckets = fillBuckets(log.buckets, bucketSeconds);
+  const peak = buckets.reduce((max, current) => (current.count > max.count ? current : max), buckets[0]);
+  const observedSeconds = buckets.length * bucketSeconds;
+  const peakRate = peak.count / bucketSeconds;
+  const averageRate = log.requests / observedSeconds;
+  // Rates are per minute so low-traffic logs keep their shape after rounding
+  const targetRate = Math.max(1, Math.round(peakRate * 60 * scale));
+  const modelledTotal = modelled.reduce((total, endpoint) => total + endpoint.count, 0);
+
+  const endpointTable = modelled.map(endpoint => ({
+    method: endpoint.method,
+    name: endpoint.template,
+    weight: round(endpoint.count / modelledTotal, 4),
+    paths: endpoint.samples,
+    // Only statuses the endpoint answered successfully in production count as expected
+    expectedStatuses: [...endpoint.statuses.keys()].filter(status => status < 400).sort((a, b) => a - b)
+  }));
+
+  const scenario = profile === 'observed'
+    ? renderObservedScenario(buckets, bucketSeconds, scale, stageDuration, targetRate)
+    : renderPeakScenario(targetRate, duration);
+
+  const script = `// Generated K6 workload model from access logs
+// Generated at: ${timestamp}
+// Source: ${logFile}
+// Observed: ${log.requests} requests over ${formatSeconds(observedSeconds)}, average ${round(averageRate, 2)} req/s, peak ${round(peakRate, 2)} req/s
+// Model: ${modelled.length} endpoint(s), ${profile === 'observed' ? `observed rate profile compressed to ${stageDuration} per ${bucket}` : `peak rate of ${targetRate} req/min for ${duration}`}${scale !== 1 ? `, scaled x${scale}` : ''}
+
+import http from 'k6/http';
+import { check } from 'k6';
+
+export const options = {
+  scenarios: {
+    ${scenario}
+  },
+  thresholds: ${renderThresholds(thresholds)},
+};
+
+const BASE_URL = __ENV.BASE_URL || ${quote(baseUrl)};
+
+// Endpoint mix observed in the log; paths are sampled from real requests to each template
+const ENDPOINTS = ${toLiteral(endpointTable, '')};
+
+// Cumulative weights for picking an endpoint per iteration
+const CUMULATIVE = [];
+ENDPOINTS.reduce((total, endpoint) => {
+  CUMULATIVE.push(total + endpoint.weight);
+  return total + endpoint.weight;
+}, 0);
+
+function pickEndpoint() {
+  const r = Math.random() * CUMULATIVE[CUMULATIVE.length - 1];
+  return ENDPOINTS[CUMULATIVE.findIndex((limit) => r < limit)] || ENDPOINTS[ENDPOINTS.length - 1];
+}
+
+// Each iteration sends one request, so the arrival rate is the request rate
+export default function () {
+  const endpoint = pickEndpoint();
+  const path = endpoint.paths[Math.floor(Math.random() * endpoint.paths.length)];
+  const res = http.request(endpoint.method, \`\${BASE_URL}\${path}\`, null, {
+    tags: { name: endpoint.name },
+  });${assertions ? `
+
+  if (endpoint.expectedStatuses.length > 0) {
+    check(res, {
+      'status as observed in production': (r) => endpoint.expectedStatuses.includes(r.status),
+    });
+  }` : ''}
+}`;
+
+  const summary = {
+    lines: log.lines,
+    requests: log.requests,
+    skipped: {
+      unparsed: log.unparsed,
+      static: log.staticAssets
+    },
+    timeRange: {
+      start: new Date(log.start).toISOString(),
+      end: new Date(log.end).toISOString(),
+      seconds: Math.round((log.end - log.start) / 1000)
+    },
+    averageRate: round(averageRate, 2),
+    peakRate: round(peakRate, 2),
+    peakAt: new Date(peak.start).toISOString(),
+    modelledRate: profile === 'observed' ? `observed profile x${scale}` : `${targetRate} req/min`,
+    endpoints: modelled.map(endpoint => ({
+      endpoint: `${endpoint.method} ${endpoint.template}`,
+      requests: endpoint.count,
+      share: percent(endpoint.count / log.requests)
+    })),
+    statuses: Object.fromEntries([...log.statuses.entries()].sort(([a], [b]) => a - b)),
+    rateOverTime: summarizeRate(buckets, bucketSeconds)
+  };
+
+  return { script, summary, warnings };
+}
+
+/**
+ * Stream the log and aggregate requests per endpoint template, status and time bucket
+ */
+async function parseAccessLog(logFile, { includeStatic, bucketSeconds }) {
+  const log = {
+    lines: 0,
+    requests: 0,
+    unparsed: 0,
+    staticAssets: 0,
+    start: Infinity,
+    end: -Infinity,
+    endpoints: new Map(),
+    statuses: new Map(),
+    buckets: new Map()
+  };
+
+  let input;
+  try {
+    input = fs.createReadStream(logFile, { encoding: 'utf-8' });
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      if (line.trim() === '') {
+        continue;
+      }
+      log.lines++;
+
+      const match = LOG_LINE.exec(line);
+      const time = match ? parseLogTime(match[2]) : NaN;
+      if (!match || Number.isNaN(time)) {
+        log.unparsed++;
+        continue;
+      }
+
+      const [, , , method, target, statusText] = match;
+      const status = Number(statusText);
+      const pathname = target.split('?')[0];
+      if (!includeStatic && STATIC_EXTENSIONS.test(pathname)) {
+        log.staticAssets++;
+        continue;
+      }
+
+      log.requests++;
+      log.start = Math.min(log.start, time);
+      log.end = Math.max(log.end, time);
+      log.statuses.set(status, (log.statuses.get(status) || 0) + 1);
+
+      const bucketStart = Math.floor(time / (bucketSeconds * 1000)) * bucketSeconds * 1000;
+      log.buckets.set(bucketStart, (log.buckets.get(bucketStart) || 0) + 1);
+
+      const template = toTemplate(pathname);
+      const key = `${method} ${template}`;
+      let endpoint = log.endpoints.get(key);
+      if (!endpoint) {
+        endpoint = { method, template, count: 0, samples: [], statuses: new Map() };
+        log.endpoints.set(key, endpoint);
+      }
+      endpoint.count++;
+      endpoint.statuses.set(status, (endpoint.statuses.get(status) || 0) + 1);
+      if (endpoint.samples.length < MAX_SAMPLE_PATHS && !endpoint.samples.includes(target)) {
+        endpoint.samples.push(target);
+      }
+    }
+  } catch (error) {
+    throw new Error(`Failed to read access log ${logFile}: ${error.message}`);
+  } finally {
+    input?.destroy();
+  }
+
+  return log;
+}
+
+/**
+ * Parse a log timestamp such as 10/Oct/2025:13:55:36 +0200
+ */
+function parseLogTime(text) {
+  const match = /^(\d{2})\/(\w{3})\/(\d{4}):(\d{2}):(\d{2}):(\d{2}) ([+-])(\d{2})(\d{2})$/.exec(text);
+  if (!match || !(match[2] in MONTHS)) {
+    return NaN;
+  }
+  const [, day, month, year, hours, minutes, seconds, sign, offsetHours, offsetMinutes] = match;
+  const offset = (sign === '-' ? -1 : 1) * (Number(offsetHours) * 60 + Number(offsetMinutes)) * 60000;
+  return Date.UTC(Number(year), MONTHS[month], Number(day), Number(hours), Number(minutes), Number(seconds)) - offset;
+}
+
+/**
+ * Normalize a path into an endpoint template, e.g. /orders/42/items -> /orders/{id}/items
+ */
+function toTemplate(pathname) {
+  return pathname.split('/').map(segment => {
+    const parameter = PARAMETER_SEGMENTS.find(([, pattern]) => pattern.test(segment));
+    return parameter ? parameter[0] : segment;
+  }).join('/');
+}
+
+/**
+ * List every bucket between the first and last request, including empty ones
+ */
+function fillBuckets(counts, bucketSeconds) {
+  let first = Infinity;
+  let last = -Infinity;
+  for (const start of counts.keys()) {
+    first = Math.min(first, start);
+    last = Math.max(last, start);
+  }
+  const step = bucketSeconds * 1000;
+  const buckets = [];
+  for (let start = first; start <= last; start += step) {
+    buckets.push({ start, count: counts.get(start) || 0 });
+  }
+  return buckets;
+}
+
+/**
+ * Constant arrival rate at the observed peak
+ */
+function renderPeakScenario(targetRate, duration) {
+  return `peak: {
+      executor: 'constant-arrival-rate',
+      rate: ${targetRate},
+      timeUnit: '1m',
+      duration: '${duration}',
+      preAllocatedVUs: ${preAllocatedVUs(targetRate)},
+      maxVUs: ${preAllocatedVUs(targetRate) * 5},
+    },`;
+}
+
+/**
+ * Ramping arrival rate that replays the observed rate per bucket, one stage per bucket
+ */
+function renderObservedScenario(buckets, bucketSeconds, scale, stageDuration, targetRate) {
+  const stages = buckets.map(({ count }) => `        { duration: '${stageDuration}', target: ${Math.round(count / bucketSeconds * 60 * scale)} },`);
+  return `observed: {
+      executor: 'ramping-arrival-rate',
+      startRate: ${Math.round(buckets[0].count / bucketSeconds * 60 * scale)},
+      timeUnit: '1m',
+      preAllocatedVUs: ${preAllocatedVUs(targetRate)},
+      maxVUs: ${preAllocatedVUs(targetRate) * 5},
+      stages: [
+${stages.join('\n')}
+      ],
+    },`;
+}
+
+/**
+ * VUs to start with for a per-minute rate, assuming requests take up to a second
+ */
+function preAllocatedVUs(ratePerMinute) {
+  return Math.max(10, Math.ceil(ratePerMinute / 60));
+}
+
+/**
+ * Downsample the rate over time to a handful of points for the response
+ */
+function summarizeRate(buckets, bucketSeconds) {
+  const size = Math.ceil(buckets.length / MAX_SUMMARY_POINTS);
+  const points = [];
+  for (let i = 0; i < buckets.length; i += size) {
+    const group = buckets.slice(i, i + size);
+    const requests = group.reduce((total, current) => total + current.count, 0);
+    points.push({
+      start: new Date(group[0].start).toISOString(),
+      requests,
+      rate: round(requests / (group.length * bucketSeconds), 2)
+    });
+  }
+  return points;
+}
+
+function percent(value) {
+  return `${round(value * 100, 1)}%`;
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
@@ -3,6 +3,11 @@
  * Generates K6 scripts for API testing
  */
 
+import { quote, indentBlock } from '../utils/codegen.js';
+import { getDefaultThresholds, renderThresholds } from '../utils/thresholds.js';
+import { renderTestDataImports, renderTestDataLoader, renderDataRequest } from '../utils/testData.js';
+import { renderAuth } from '../utils/auth.js';
+
 export function generateApiScript(options = {}) {
   const {
     baseUrl = 'http://localhost:3000',
@@ -10,6 +15,9 @@ export function generateApiScript(options = {}) {
     duration = '1m',
     thinkTime = 1,
     endpoints = ['/api/products', '/api/users', '/api/orders'],
+    thresholds = getDefaultThresholds('api'),
+    testData,
+    auth,
     timestamp = new Date().toISOString()
   } = options;
 
@@ -20,28 +28,32 @@ export function generateApiScript(options = {}) {
 
 import http from 'k6/http';
 import { check, sleep } from 'k6';
-import { Rate } from 'k6/metrics';
+import { Rate } from 'k6/metrics';${testData ? `
+${renderTestDataImports(testData)}` : ''}
 
 const errorRate = new Rate('errors');
 
 export const options = {
   vus: ${vus},
   duration: '${duration}',
-  thresholds: {
-    errors: ['rate<0.1'],
-    http_req_duration: ['p(95)<1000'],
-  },
+  thresholds: ${renderThresholds(thresholds)},
 };
 
 const BASE_URL = __ENV.BASE_URL || '${baseUrl}';
 const THINK_TIME = __ENV.THINK_TIME || ${thinkTime};
-
-export default function () {
+${testData ? `
+${renderTestDataLoader(testData)}
+` : ''}${auth ? `
+${renderAuth(auth)}
+` : ''}
+${testData ? generateDataFunction(testData, Boolean(auth)) : `export default function (${auth ? 'data' : ''}) {${auth ? `
+  const authHeaders = authenticate(data);
+` : ''}
   // Test endpoints
   const endpoints = ${JSON.stringify(endpoints, null, 2).split('\n').map((line, i) => i === 0 ? line : '  ' + line).join('\n')};
   
   for (const endpoint of endpoints) {
-    const res = http.get(\`\${BASE_URL}\${endpoint}\`);
+    const res = http.get(\`\${BASE_URL}\${endpoint}\`${auth ? ', { headers: authHeaders }' : ''});
     
     const success = check(res, {
       'status is 200': (r) => r.status === 200,
@@ -54,5 +66,32 @@ export default function () {
     
     sleep(Math.random() * THINK_TIME * 2 + THINK_TIME * 0.5);
   }
+}`}`;
+}
+
+/**
+ * Generate a default function that parameterizes each request from the test data file
+ */
+function generateDataFunction(testData, hasAuth) {
+  const requests = testData.requests.map(request => {
+    const { name, call } = renderDataRequest(request, { authHeaders: hasAuth });
+    return `  res = ${indentBlock(call, '  ').trimStart()};
+
+  if (!check(res, {
+    ${quote(`${name} status is 2xx`)}: (r) => r.status >= 200 && r.status < 300,
+    ${quote(`${name} response time < 1000ms`)}: (r) => r.timings.duration < 1000,
+  })) {
+    errorRate.add(1);
+  }
+
+  sleep(Math.random() * THINK_TIME * 2 + THINK_TIME * 0.5);`;
+  });
+
+  return `export default function (${hasAuth ? 'data' : ''}) {${hasAuth ? `
+  const authHeaders = authenticate(data);` : ''}
+  const row = nextRow();
+  let res;
+
+${requests.join('\n\n')}
 }`;
-}
\ No newline at end of file
+}
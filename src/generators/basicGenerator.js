@@ -1,8 +1,17 @@
 /**
  * Basic K6 test script generator
- * Generates K6 scripts with various scenario types (ramping, spike, stress, soak)
+ * Generates K6 scripts with various scenario types (ramping, spike, stress, soak,
+ * breakpoint, constant-arrival-rate, ramping-arrival-rate)
  */
 
+import { parseDuration, indentBlock, quote } from '../utils/codegen.js';
+import { getDefaultThresholds, renderThresholds } from '../utils/thresholds.js';
+import { renderTestDataImports, renderTestDataLoader, renderDataRequest } from '../utils/testData.js';
+import { renderAuth } from '../utils/auth.js';
+
+// Open-model scenario types, driven by iteration rate instead of VU count
+const ARRIVAL_RATE_SCENARIOS = ['constant-arrival-rate', 'ramping-arrival-rate'];
+
 export function generateBasicScript(options = {}) {
   const {
     baseUrl = 'http://localhost:3000',
@@ -10,20 +19,46 @@ export function generateBasicScript(options = {}) {
     duration = '2m',
     thinkTime = 1,
     scenarioType = 'ramping',
+    rate = 10,
+    timeUnit = '1s',
+    preAllocatedVUs = vus,
+    maxVUs = vus * 5,
+    stages,
+    steps = 10,
+    stepDuration = '1m',
+    thresholds = getDefaultThresholds('basic', { scenarioType }),
+    testData,
+    auth,
     timestamp = new Date().toISOString()
   } = options;
 
-  const stagesConfig = generateStagesConfig(scenarioType, vus, duration);
+  const isArrivalRate = ARRIVAL_RATE_SCENARIOS.includes(scenarioType);
+  const loadConfig = isArrivalRate
+    ? `scenarios: ${generateArrivalRateConfig(scenarioType, { rate, timeUnit, preAllocatedVUs, maxVUs, duration, stages })}`
+    : `stages: ${generateStagesConfig(scenarioType, vus, duration, { steps, stepDuration })}`;
+  const loadDescription = isArrivalRate
+    ? `${rate} iterations per ${timeUnit}, ${preAllocatedVUs}-${maxVUs} VUs`
+    : scenarioType === 'breakpoint'
+      ? `${steps} steps of ${vus} VUs (up to ${vus * steps})`
+      : `${vus} VUs`;
+  const durationDescription = scenarioType === 'breakpoint' ? `${stepDuration} per step` : duration;
+  const loadTarget = isArrivalRate
+    ? `Target rate: ${rate}/${timeUnit}`
+    : scenarioType === 'breakpoint'
+      ? `Step size: ${vus} VUs, up to ${vus * steps} VUs`
+      : `Target VUs: ${vus}`;
+  const breakpointSteps = scenarioType === 'breakpoint' ? getBreakpointSteps(vus, steps, stepDuration) : null;
   
   return `// Generated K6 test script
 // Generated at: ${timestamp}
 // Source: Basic template
 // Scenario: ${scenarioType}
-// Configuration: ${vus} VUs, ${duration} duration, ${thinkTime}s think time
+// Configuration: ${loadDescription}, ${durationDescription}${scenarioType === 'breakpoint' ? '' : ' duration'}, ${thinkTime}s think time
 
 import http from 'k6/http';
 import { check, sleep, group } from 'k6';
-import { Rate, Trend } from 'k6/metrics';
+import { Rate, Trend } from 'k6/metrics';${testData ? `
+${renderTestDataImports(testData)}` : ''}
 
 // Custom metrics
 const errorRate = new Rate('errors');
@@ -32,13 +67,8 @@ const apiTrend = new Trend('api_duration', true);
 
 // Test configuration
 export const options = {
-  stages: ${stagesConfig},
-  thresholds: {
-    'http_req_duration': ['p(95)<1000', 'p(99)<2000'], // Response time thresholds
-    'http_req_failed': ['rate<0.1'],                    // Error rate < 10%
-    'errors': ['rate<0.1'],                             // Custom error rate < 10%
-    'successful_requests': ['rate>0.9'],                // Success rate > 90%
-  },
+  ${loadConfig},
+  thresholds: ${renderThresholds(thresholds)},
 };
 
 // Configuration
@@ -51,12 +81,19 @@ function randomThinkTime() {
   const max = THINK_TIME * 1.5;
   return Math.random() * (max - min) + min;
 }
-
+${testData ? `
+${renderTestDataLoader(testData)}
+` : ''}${auth ? `
+${renderAuth(auth)}
+` : ''}
 // Main test scenario
-export default function () {
+export default function (${auth ? 'data' : ''}) {${auth ? `
+  const authHeaders = authenticate(data);
+  ` : ''}
   // Group 1: Homepage and basic navigation
   group('Homepage', function () {
-    const homeRes = http.get(\`\${BASE_URL}/\`, {
+    const homeRes = http.get(\`\${BASE_URL}/\`, {${auth ? `
+      headers: authHeaders,` : ''}
       tags: { name: 'Homepage' },
     });
     
@@ -77,7 +114,7 @@ export default function () {
   
   sleep(randomThinkTime());
   
-  // Group 2: API endpoints (if applicable)
+${testData ? generateDataGroup(testData, Boolean(auth)) : `  // Group 2: API endpoints (if applicable)
   group('API Endpoints', function () {
     // Test common API endpoints
     const endpoints = [
@@ -87,7 +124,8 @@ export default function () {
     ];
     
     endpoints.forEach(endpoint => {
-      const res = http.get(\`\${BASE_URL}\${endpoint.path}\`, {
+      const res = http.get(\`\${BASE_URL}\${endpoint.path}\`, {${auth ? `
+        headers: authHeaders,` : ''}
         tags: { name: endpoint.name },
       });
       
@@ -113,7 +151,8 @@ export default function () {
   // Group 3: Simulated user journey
   group('User Journey', function () {
     // Simulate a more complex user interaction
-    const searchRes = http.get(\`\${BASE_URL}/search?q=test\`, {
+    const searchRes = http.get(\`\${BASE_URL}/search?q=test\`, {${auth ? `
+      headers: authHeaders,` : ''}
       tags: { name: 'Search' },
     });
     
@@ -124,18 +163,57 @@ export default function () {
     // Add more interactions as needed based on the application
   });
   
-  // Final think time before next iteration
+`}  // Final think time before next iteration
   sleep(randomThinkTime());
 }
 
-${generateSummaryHandler(scenarioType, vus, duration)}`;
+${generateSummaryHandler(scenarioType, loadTarget, durationDescription, breakpointSteps, Boolean(auth))}`;
+}
+
+/**
+ * Generate the group of requests parameterized from the test data file
+ */
+function generateDataGroup(testData, hasAuth) {
+  const requests = testData.requests.map(request => {
+    const { name, call } = renderDataRequest(request, { authHeaders: hasAuth });
+    return `    res = ${indentBlock(call, '    ').trimStart()};
+
+    if (!check(res, {
+      ${quote(`${name} status ok`)}: (r) => r.status >= 200 && r.status < 400,
+      ${quote(`${name} response time ok`)}: (r) => r.timings.duration < 1000,
+    })) {
+      errorRate.add(1);
+    } else {
+      successRate.add(1);
+    }
+
+    apiTrend.add(res.timings.duration, { endpoint: ${quote(name)} });
+
+    sleep(randomThinkTime() * 0.5); // Shorter pause between API calls`;
+  });
+
+  return `  // Group 2: Requests driven by the test data file
+  group('Data-driven requests', function () {
+    const row = nextRow();
+    let res;
+
+${requests.join('\n    \n')}
+  });
+
+`;
 }
 
 /**
  * Generate stages configuration based on scenario type
  */
-function generateStagesConfig(scenarioType, vus, duration) {
+function generateStagesConfig(scenarioType, vus, duration, { steps, stepDuration } = {}) {
   switch (scenarioType) {
+    case 'breakpoint':
+      return `[
+${getBreakpointSteps(vus, steps, stepDuration).map(step => `    { duration: '${step.ramp}', target: ${step.level} },  // Step ${step.index}: ramp to ${step.level} VUs
+    { duration: '${step.hold}', target: ${step.level} },  // Step ${step.index}: hold`).join('\n')}
+  ]`;
+    
     case 'spike':
       return `[
     { duration: '30s', target: ${vus} },      // Ramp up
@@ -175,16 +253,101 @@ function generateStagesConfig(scenarioType, vus, duration) {
   }
 }
 
+/**
+ * Build the load steps of a breakpoint test, with the time each step ends
+ */
+function getBreakpointSteps(vus, steps, stepDuration) {
+  const rampMs = 30000;
+  const holdMs = parseDuration(stepDuration);
+  const result = [];
+
+  for (let i = 1; i <= steps; i++) {
+    result.push({
+      index: i,
+      level: vus * i,
+      ramp: '30s',
+      hold: stepDuration,
+      endsAtMs: i * (rampMs + holdMs)
+    });
+  }
+  return result;
+}
+
+/**
+ * Generate open-model scenarios using arrival-rate executors
+ */
+function generateArrivalRateConfig(scenarioType, { rate, timeUnit, preAllocatedVUs, maxVUs, duration, stages }) {
+  if (scenarioType === 'constant-arrival-rate') {
+    return `{
+    constant_rate: {
+      executor: 'constant-arrival-rate',
+      rate: ${rate}, // Iterations started per timeUnit
+      timeUnit: '${timeUnit}',
+      duration: '${duration}',
+      preAllocatedVUs: ${preAllocatedVUs}, // VUs initialized before the test
+      maxVUs: ${maxVUs}, // Upper bound when iterations take longer than expected
+    },
+  }`;
+  }
+
+  // ramping-arrival-rate: custom rate stages, or a ramp to the target rate and back
+  const rateStages = stages && stages.length > 0
+    ? stages.map(stage => `        { duration: '${stage.duration}', target: ${stage.target} },`).join('\n')
+    : `        { duration: '30s', target: ${Math.floor(rate / 2)} }, // Ramp to 50% of target rate
+        { duration: '30s', target: ${rate} },               // Ramp to 100%
+        { duration: '${duration}', target: ${rate} },       // Stay at target rate
+        { duration: '30s', target: 0 },                    // Ramp down`;
+
+  return `{
+    ramping_rate: {
+      executor: 'ramping-arrival-rate',
+      startRate: 0,
+      timeUnit: '${timeUnit}',
+      preAllocatedVUs: ${preAllocatedVUs},
+      maxVUs: ${maxVUs},
+      stages: [
+${rateStages}
+      ],
+    },
+  }`;
+}
+
 /**
  * Generate custom summary handler
  */
-function generateSummaryHandler(scenarioType, vus, duration) {
-  return `// Custom summary handler
+function generateSummaryHandler(scenarioType, loadTarget, duration, breakpointSteps = null, hasAuth = false) {
+  const breakpointSchedule = breakpointSteps
+    ? `// Breakpoint steps: VU level and the time (ms since start) each step ends
+const BREAKPOINT_STEPS = ${JSON.stringify(breakpointSteps.map(({ level, endsAtMs }) => ({ level, endsAtMs })))};
+
+// Work out which step was running when a threshold aborted the test
+function findBreakpoint(data) {
+  const failed = Object.values(data.metrics).some(
+    (metric) => metric.thresholds && Object.values(metric.thresholds).some((t) => !t.ok)
+  );
+  const elapsedMs = data.state.testRunDurationMs;
+  const index = BREAKPOINT_STEPS.findIndex((step) => elapsedMs <= step.endsAtMs);
+  const brokenStep = index === -1 ? BREAKPOINT_STEPS.length - 1 : index;
+
+  if (!failed) {
+    return { broke: false, lastStableLevel: BREAKPOINT_STEPS[BREAKPOINT_STEPS.length - 1].level, breakingLevel: null };
+  }
+  return {
+    broke: true,
+    lastStableLevel: brokenStep > 0 ? BREAKPOINT_STEPS[brokenStep - 1].level : 0,
+    breakingLevel: BREAKPOINT_STEPS[brokenStep].level,
+  };
+}
+
+`
+    : '';
+
+  return `${breakpointSchedule}// Custom summary handler
 export function handleSummary(data) {
   const { metrics } = data;
   let summary = '\\n=== Test Summary ===\\n\\n';
   summary += \`Scenario: ${scenarioType}\\n\`;
-  summary += \`Target VUs: ${vus}\\n\`;
+  summary += \`${loadTarget}\\n\`;
   summary += \`Duration: ${duration}\\n\\n\`;
   
   // Request metrics
@@ -210,6 +373,11 @@ export function handleSummary(data) {
     summary += \`Success Rate: \${(metrics.successful_requests.values.rate * 100).toFixed(2)}%\\n\`;
   }
   
+  // Dropped iterations mean the arrival rate could not be sustained with maxVUs
+  if (metrics.dropped_iterations) {
+    summary += \`Dropped Iterations: \${metrics.dropped_iterations.values.count} (\${metrics.dropped_iterations.values.rate?.toFixed(2)}/s)\\n\`;
+  }
+  
   // Threshold results
   summary += '\\nThreshold Results:\\n';
   for (const [name, metric] of Object.entries(metrics)) {
@@ -219,9 +387,20 @@ export function handleSummary(data) {
     }
   }
   
-  return {
+${breakpointSteps ? `  // Breakpoint results
+  const breakpoint = findBreakpoint(data);
+  summary += '\\nBreakpoint:\\n';
+  if (breakpoint.broke) {
+    summary += \`  Last stable level: \${breakpoint.lastStableLevel} VUs\\n\`;
+    summary += \`  Broke at: \${breakpoint.breakingLevel} VUs\\n\`;
+  } else {
+    summary += \`  No breakpoint found up to \${breakpoint.lastStableLevel} VUs\\n\`;
+  }
+  
+` : ''}  return {
     'stdout': summary,
-    'summary.json': JSON.stringify(data),
+    'summary.json': JSON.stringify(${hasAuth ? '{ ...data, setup_data: undefined }' : 'data'}),${hasAuth ? ' // setup_data holds the credentials' : ''}${breakpointSteps ? `
+    'breakpoint.json': JSON.stringify(breakpoint, null, 2),` : ''}
   };
 }`;
 }
\ No newline at end of file
@@ -0,0 +1,155 @@
+/**
+ * Browser K6 test script generator
+ * Generates k6/browser scripts that visit pages, run interaction steps and record Web Vitals
+ */
+
+import { quote, escapeTemplate } from '../utils/codegen.js';
+import { getDefaultThresholds, renderThresholds } from '../utils/thresholds.js';
+
+export const BROWSER_ACTIONS = ['click', 'fill', 'waitForSelector'];
+
+export function generateBrowserScript(options = {}) {
+  const {
+    baseUrl = 'http://localhost:3000',
+    pages = ['/'],
+    vus = 1,
+    duration = '5m',
+    protocolVus,
+    thinkTime = 1,
+    assertions = true,
+    thresholds = getDefaultThresholds('browser', { assertions, hybrid: Boolean(protocolVus) }),
+    timestamp = new Date().toISOString()
+  } = options;
+
+  const visits = pages.map(resolvePage);
+  if (visits.length === 0) {
+    throw new Error('Browser generation needs at least one page');
+  }
+  const hybrid = Boolean(protocolVus);
+
+  const browserSteps = visits.map(visit => `    // ${visit.name}
+    ${assertions ? 'res = ' : ''}await page.goto(${visit.target}, { waitUntil: 'networkidle' });${assertions ? `
+    check(res, {
+      ${quote(`${visit.name} status is 2xx`)}: (r) => r !== null && r.status() >= 200 && r.status() < 300,
+    });` : ''}${visit.steps.map(step => `
+${renderStep(step)}`).join('')}
+    sleep(randomThinkTime());`).join('\n\n');
+
+  const protocolRequests = visits.map(visit => `  res = http.get(${visit.target}, { tags: { name: ${quote(visit.name)} } });${assertions ? `
+  check(res, {
+    ${quote(`${visit.name} status is 200`)}: (r) => r.status === 200,
+  });` : ''}
+  sleep(randomThinkTime());`).join('\n\n');
+
+  return `// Generated K6 browser test script
+// Generated at: ${timestamp}
+// Target: ${baseUrl}
+// Configuration: ${vus} browser VU(s)${hybrid ? ` alongside ${protocolVus} protocol VUs` : ''}, ${duration} duration, ${visits.length} page(s)
+
+import { browser } from 'k6/browser';
+${hybrid ? `import http from 'k6/http';
+` : ''}import { check, sleep } from 'k6';
+
+export const options = {
+  scenarios: {
+    browser: {
+      executor: 'constant-vus',
+      vus: ${vus},
+      duration: '${duration}',
+      exec: 'browserJourney',
+      options: {
+        browser: {
+          type: 'chromium',
+        },
+      },
+    },${hybrid ? `
+    // Protocol-level load on the same pages, so Web Vitals are measured under realistic backend pressure
+    protocol: {
+      executor: 'constant-vus',
+      vus: ${protocolVus},
+      duration: '${duration}',
+      exec: 'protocolLoad',
+    },` : ''}
+  },
+  thresholds: ${renderThresholds(thresholds)},
+};
+
+const BASE_URL = __ENV.BASE_URL || ${quote(baseUrl)};
+const THINK_TIME = __ENV.THINK_TIME || ${thinkTime};
+
+// Helper function for random think time (±50% variation)
+function randomThinkTime() {
+  return Math.random() * THINK_TIME + THINK_TIME * 0.5;
+}
+
+// Web Vitals (LCP, CLS, INP) are reported by the browser module for every page
+export async function browserJourney() {
+  const context = await browser.newContext();
+  const page = await context.newPage();${assertions ? `
+  let res;` : ''}
+
+  try {
+${browserSteps}
+  } finally {
+    await page.close();
+    await context.close();
+  }
+}${hybrid ? `
+
+export function protocolLoad() {
+  let res;
+
+${protocolRequests}
+}` : ''}`;
+}
+
+/**
+ * Normalize a page given as a URL string or { url, name, steps }
+ */
+function resolvePage(page) {
+  const { url, name, steps = [] } = typeof page === 'string' ? { url: page } : page;
+  if (!url) {
+    throw new Error('Every browser page needs a url');
+  }
+
+  steps.forEach(validateStep);
+  // Relative paths follow BASE_URL so the target can be switched at run time
+  const target = /^https?:\/\//.test(url) ? quote(url) : `\`\${BASE_URL}${escapeTemplate(url.startsWith('/') ? url : `/${url}`)}\``;
+  return { name: name || url, target, steps };
+}
+
+/**
+ * Check an interaction step before rendering it
+ */
+function validateStep(step) {
+  if (!BROWSER_ACTIONS.includes(step.action)) {
+    throw new Error(`Unknown browser step action "${step.action}". Use one of: ${BROWSER_ACTIONS.join(', ')}`);
+  }
+  if (!step.selector) {
+    throw new Error(`Browser step "${step.action}" needs a selector`);
+  }
+  if (step.action === 'fill' && step.value === undefined) {
+    throw new Error(`Browser step "fill ${step.selector}" needs a value`);
+  }
+}
+
+/**
+ * Render one click, fill or waitForSelector step
+ */
+function renderStep(step) {
+  const locator = `page.locator(${quote(step.selector)})`;
+  switch (step.action) {
+    case 'click':
+      // Clicks that load a new page wait for the navigation so its Web Vitals are recorded
+      if (step.navigation) {
+        return `    await Promise.all([page.waitForNavigation(), ${locator}.click()]);`;
+      }
+      return `    await ${locator}.click();`;
+
+    case 'fill':
+      return `    await ${locator}.fill(${quote(String(step.value))});`;
+
+    case 'waitForSelector':
+      return `    await ${locator}.waitFor({ state: ${quote(step.state || 'visible')}${step.timeout ? `, timeout: ${step.timeout}` : ''} });`;
+  }
+}
@@ -0,0 +1,342 @@
+/**
+ * GraphQL K6 test script generator
+ * Generates K6 scripts that POST depth-limited queries and mutations built from a GraphQL schema
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  buildSchema,
+  buildClientSchema,
+  getNamedType,
+  isEnumType,
+  isInputObjectType,
+  isInterfaceType,
+  isLeafType,
+  isListType,
+  isNonNullType,
+  isObjectType,
+  isUnionType
+} from 'graphql';
+import { toLiteral, quote, escapeTemplate, toObjectCode, indentBlock } from '../utils/codegen.js';
+import { getDefaultThresholds, renderThresholds } from '../utils/thresholds.js';
+import { renderTestDataImports, renderTestDataLoader } from '../utils/testData.js';
+import { renderAuth } from '../utils/auth.js';
+
+// Sample values for built-in scalars; custom scalars fall back to a string
+const SCALAR_SAMPLES = { Int: 1, Float: 1.5, String: 'test', Boolean: true, ID: '1' };
+
+export async function generateGraphqlScript(options = {}) {
+  const {
+    schemaFile,
+    endpoint = 'http://localhost:4000/graphql',
+    vus = 10,
+    duration = '5m',
+    thinkTime = 1,
+    maxDepth = 2,
+    includeMutations = true,
+    operations: selectedFields,
+    assertions = true,
+    thresholds = getDefaultThresholds('graphql', { assertions }),
+    testData,
+    auth,
+    timestamp = new Date().toISOString()
+  } = options;
+
+  if (!schemaFile) {
+    throw new Error('A GraphQL schema file (SDL or introspection JSON) is required for GraphQL generation');
+  }
+  if (!Number.isInteger(maxDepth) || maxDepth < 1) {
+    throw new Error(`maxDepth must be a positive integer, got ${maxDepth}`);
+  }
+
+  const schema = await loadSchema(schemaFile);
+  const roots = [
+    ['query', schema.getQueryType()],
+    ['mutation', includeMutations ? schema.getMutationType() : null]
+  ].filter(([, type]) => type);
+
+  const variableColumns = testData ? testData.variables : {};
+  const warnings = [];
+  const operations = [];
+  // Constant names are upper-cased, so e.g. userName and user_name would otherwise collide
+  const usedConstants = new Set();
+
+  for (const [kind, rootType] of roots) {
+    for (const field of Object.values(rootType.getFields())) {
+      if (selectedFields && !selectedFields.includes(field.name)) {
+        continue;
+      }
+      const operation = buildOperation(kind, field, maxDepth, variableColumns, usedConstants);
+      if (operation) {
+        operations.push(operation);
+      } else {
+        warnings.push(`${kind} ${field.name} was skipped: no fields can be selected within depth ${maxDepth}`);
+      }
+    }
+  }
+
+  if (operations.length === 0) {
+    throw new Error(`No operations to generate from ${schemaFile}`);
+  }
+
+  const unusedColumns = Object.keys(variableColumns).filter(name => !operations.some(operation => operation.mapped.includes(name)));
+  if (unusedColumns.length > 0) {
+    warnings.push(`No operation takes the variable(s) mapped in options.data: ${unusedColumns.join(', ')}`);
+  }
+
+  const queries = operations.filter(operation => operation.kind === 'query');
+  const mutations = operations.filter(operation => operation.kind === 'mutation');
+  const origin = new URL(endpoint).origin;
+  const endpointPath = endpoint.slice(origin.length) || '/';
+
+  const documents = operations.map(operation => `// ${operation.signature}
+const ${operation.constant} = \`${escapeTemplate(operation.document)}\`;`).join('\n\n');
+
+  const groups = [['Queries', queries], ['Mutations', mutations]]
+    .filter(([, list]) => list.length > 0)
+    .map(([name, list]) => `  group(${quote(name)}, function () {
+${list.map(operation => `    graphql(${quote(operation.name)}, ${operation.constant}, ${indentBlock(operation.variables, '    ').trimStart()}${auth ? ', authHeaders' : ''});
+    sleep(randomThinkTime());`).join('\n\n')}
+  });`).join('\n\n');
+
+  const setupLines = [
+    ...(auth ? ['  const authHeaders = authenticate(data);'] : []),
+    ...(testData ? ['  const row = nextRow();'] : [])
+  ];
+
+  const script = `// Generated K6 GraphQL test script
+// Generated at: ${timestamp}
+// Source: ${schemaFile}
+// Operations: ${queries.length} quer${queries.length === 1 ? 'y' : 'ies'}, ${mutations.length} mutation(s), selection depth ${maxDepth}
+// Configuration: ${vus} VUs, ${duration} duration, ${thinkTime}s think time
+
+import http from 'k6/http';
+import { check, sleep, group } from 'k6';
+import { Rate } from 'k6/metrics';${testData ? `
+${renderTestDataImports(testData)}` : ''}
+
+// Share of operations that answered with GraphQL errors (the HTTP status is usually 200 regardless)
+const graphqlErrors = new Rate('graphql_errors');
+
+export const options = {
+  vus: ${vus},
+  duration: '${duration}',
+  thresholds: ${renderThresholds(thresholds)},
+};
+
+const BASE_URL = __ENV.BASE_URL || ${quote(origin)};
+const GRAPHQL_URL = __ENV.GRAPHQL_URL || \`\${BASE_URL}${escapeTemplate(endpointPath)}\`;
+const THINK_TIME = __ENV.THINK_TIME || ${thinkTime};
+
+// Helper function for random think time (±50% variation)
+function randomThinkTime() {
+  return Math.random() * THINK_TIME + THINK_TIME * 0.5;
+}
+${testData ? `
+${renderTestDataLoader(testData)}
+` : ''}${auth ? `
+${renderAuth(auth)}
+` : ''}
+${documents}
+
+// POST one operation and check the GraphQL response as well as the HTTP status
+function graphql(operationName, query, variables, headers = {}) {
+  const res = http.post(GRAPHQL_URL, JSON.stringify({ operationName, query, variables }), {
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    tags: { name: operationName },
+  });
+
+  let body = {};
+  try {
+    body = res.json() || {};
+  } catch (error) {
+    // Not JSON: counted as a failed operation below
+  }
+  const errors = Array.isArray(body.errors) ? body.errors : [];
+  graphqlErrors.add(res.status !== 200 || errors.length > 0 || !body.data);
+${assertions ? `
+  check(res, {
+    [\`\${operationName} status is 200\`]: (r) => r.status === 200,
+    [\`\${operationName} has no errors\`]: () => errors.length === 0,
+    [\`\${operationName} returned data\`]: () => body.data !== undefined && body.data !== null,
+  });
+` : ''}
+  return res;
+}
+
+export default function (${auth ? 'data' : ''}) {${setupLines.length > 0 ? `
+${setupLines.join('\n')}
+` : ''}
+${groups}
+}`;
+
+  return { script, warnings };
+}
+
+/**
+ * Load a schema from SDL or from an introspection result ({ data: { __schema } } or { __schema })
+ */
+async function loadSchema(schemaFile) {
+  const content = await fs.readFile(schemaFile, 'utf-8');
+
+  if (path.extname(schemaFile).toLowerCase() === '.json') {
+    let json;
+    try {
+      json = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Introspection file ${schemaFile} is not valid JSON: ${error.message}`);
+    }
+    const introspection = json.data || json;
+    if (!introspection.__schema) {
+      throw new Error(`${schemaFile} is not a GraphQL introspection result (no __schema)`);
+    }
+    return buildClientSchema(introspection);
+  }
+
+  try {
+    // Gateways often use directives that are not declared in the SDL, so skip validation
+    return buildSchema(content, { assumeValidSDL: true });
+  } catch (error) {
+    throw new Error(`Invalid GraphQL SDL in ${schemaFile}: ${error.message}`);
+  }
+}
+
+/**
+ * Build the document, variables and metadata for one root field
+ */
+function buildOperation(kind, field, maxDepth, variableColumns, usedConstants) {
+  const selection = selectionSet(field.type, maxDepth, '  ');
+  if (selection === null) {
+    return null;
+  }
+
+  // Required arguments always become variables; optional ones only when mapped to a data column
+  const args = field.args.filter(arg => isRequired(arg) || variableColumns[arg.name] !== undefined);
+  const name = `${field.name.charAt(0).toUpperCase()}${field.name.slice(1)}${kind === 'query' ? 'Query' : 'Mutation'}`;
+  const definitions = args.length > 0 ? `(${args.map(arg => `$${arg.name}: ${arg.type}`).join(', ')})` : '';
+  const argumentList = args.length > 0 ? `(${args.map(arg => `${arg.name}: $${arg.name}`).join(', ')})` : '';
+
+  const variableEntries = args.map(arg => [
+    arg.name,
+    variableColumns[arg.name] !== undefined
+      ? fromColumn(`row[${quote(variableColumns[arg.name])}]`, arg.type)
+      : toLiteral(sampleInput(arg.type), '  ')
+  ]);
+
+  const constant = `${field.name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}_${kind.toUpperCase()}`;
+  let uniqueConstant = constant;
+  for (let i = 2; usedConstants.has(uniqueConstant); i++) {
+    uniqueConstant = `${constant}_${i}`;
+  }
+  usedConstants.add(uniqueConstant);
+
+  return {
+    kind,
+    name,
+    constant: uniqueConstant,
+    signature: `${kind === 'query' ? 'Query' : 'Mutation'}: ${field.name}${field.args.length > 0 ? `(${field.args.map(arg => `${arg.name}: ${arg.type}`).join(', ')})` : ''}: ${field.type}`,
+    document: `${kind} ${name}${definitions} {\n  ${field.name}${argumentList}${selection ? ` ${selection}` : ''}\n}`,
+    variables: toObjectCode(variableEntries),
+    mapped: args.map(arg => arg.name).filter(argName => variableColumns[argName] !== undefined)
+  };
+}
+
+/**
+ * Render a selection set for a type, descending at most depth object levels
+ *
+ * Returns '' for leaf types and null when nothing can be selected.
+ */
+function selectionSet(type, depth, indent) {
+  const namedType = getNamedType(type);
+  if (isLeafType(namedType)) {
+    return '';
+  }
+  if (depth === 0) {
+    return null;
+  }
+  if (isUnionType(namedType)) {
+    return `{\n${indent}  __typename\n${indent}}`;
+  }
+  if (!isObjectType(namedType) && !isInterfaceType(namedType)) {
+    return null;
+  }
+
+  const lines = [];
+  for (const field of Object.values(namedType.getFields())) {
+    // Nested fields with required arguments cannot be selected without inventing values
+    if (field.args.some(isRequired)) {
+      continue;
+    }
+    const nested = selectionSet(field.type, depth - 1, `${indent}  `);
+    if (nested === '') {
+      lines.push(`${indent}  ${field.name}`);
+    } else if (nested !== null) {
+      lines.push(`${indent}  ${field.name} ${nested}`);
+    }
+  }
+
+  if (lines.length === 0) {
+    lines.push(`${indent}  __typename`);
+  }
+  return `{\n${lines.join('\n')}\n${indent}}`;
+}
+
+/**
+ * Whether an argument or input field must be provided
+ */
+function isRequired(arg) {
+  return isNonNullType(arg.type) && arg.defaultValue === undefined;
+}
+
+/**
+ * Build a sample value for an input type
+ */
+function sampleInput(type, seen = new Set()) {
+  if (isNonNullType(type)) {
+    return sampleInput(type.ofType, seen);
+  }
+  if (isListType(type)) {
+    return [sampleInput(type.ofType, seen)];
+  }
+  if (isEnumType(type)) {
+    return type.getValues()[0]?.name ?? null;
+  }
+  if (isInputObjectType(type)) {
+    if (seen.has(type.name)) {
+      return null;
+    }
+    const nextSeen = new Set([...seen, type.name]);
+    const value = {};
+    for (const field of Object.values(type.getFields())) {
+      // Required fields always, optional ones only when they are plain values
+      if (isRequired(field) || isLeafType(getNamedType(field.type))) {
+        value[field.name] = sampleInput(field.type, nextSeen);
+      }
+    }
+    return value;
+  }
+  return SCALAR_SAMPLES[type.name] ?? 'test';
+}
+
+/**
+ * Convert a data column to the variable's type (CSV values are always strings)
+ */
+function fromColumn(expression, type) {
+  const nullableType = isNonNullType(type) ? type.ofType : type;
+  if (isListType(nullableType)) {
+    return `[${fromColumn(expression, nullableType.ofType)}]`;
+  }
+
+  const namedType = getNamedType(nullableType);
+  if (namedType.name === 'Int' || namedType.name === 'Float') {
+    return `Number(${expression})`;
+  }
+  if (namedType.name === 'Boolean') {
+    return `String(${expression}) === 'true'`;
+  }
+  if (isInputObjectType(namedType)) {
+    return `(typeof ${expression} === 'string' ? JSON.parse(${expression}) : ${expression})`;
+  }
+  return expression;
+}
@@ -0,0 +1,258 @@
+/**
+ * gRPC K6 test script generator
+ * Generates k6/net/grpc scripts that call every unary RPC defined in a .proto file
+ */
+
+import fs from 'fs';
+import path from 'path';
+import protobuf from 'protobufjs';
+import { toLiteral, quote } from '../utils/codegen.js';
+import { getDefaultThresholds, renderThresholds } from '../utils/thresholds.js';
+
+// Sample values for scalar field types (protojson accepts numbers for 64-bit integers)
+const SCALAR_SAMPLES = {
+  double: 1.5,
+  float: 1.5,
+  int32: 1,
+  int64: 1,
+  uint32: 1,
+  uint64: 1,
+  sint32: 1,
+  sint64: 1,
+  fixed32: 1,
+  fixed64: 1,
+  sfixed32: 1,
+  sfixed64: 1,
+  bool: true,
+  string: 'test',
+  bytes: 'dGVzdA==' // base64 of "test"
+};
+
+// Well-known types use their JSON mapping instead of their message fields
+const WELL_KNOWN_SAMPLES = {
+  'google.protobuf.Timestamp': '2025-01-01T00:00:00Z',
+  'google.protobuf.Duration': '1s',
+  'google.protobuf.Empty': {},
+  'google.protobuf.Struct': {},
+  'google.protobuf.Value': 'test',
+  'google.protobuf.ListValue': [],
+  'google.protobuf.FieldMask': '',
+  'google.protobuf.StringValue': 'test',
+  'google.protobuf.BytesValue': 'dGVzdA==',
+  'google.protobuf.BoolValue': true,
+  'google.protobuf.DoubleValue': 1.5,
+  'google.protobuf.FloatValue': 1.5,
+  'google.protobuf.Int32Value': 1,
+  'google.protobuf.Int64Value': 1,
+  'google.protobuf.UInt32Value': 1,
+  'google.protobuf.UInt64Value': 1
+};
+
+const MAX_MESSAGE_DEPTH = 4;
+
+export async function generateGrpcScript(options = {}) {
+  const {
+    protoFile,
+    importPaths = [],
+    target = 'localhost:50051',
+    plaintext = true,
+    vus = 10,
+    duration = '5m',
+    thinkTime = 1,
+    assertions = true,
+    thresholds = getDefaultThresholds('grpc', { assertions }),
+    timestamp = new Date().toISOString()
+  } = options;
+
+  if (!protoFile) {
+    throw new Error('A .proto file is required for gRPC generation');
+  }
+
+  const protoPath = path.resolve(protoFile);
+  const searchPaths = [path.dirname(protoPath), ...importPaths.map(importPath => path.resolve(importPath))];
+  const root = await loadProtos(protoPath, searchPaths);
+
+  const services = collectServices(root).filter(service => service.filename === protoPath);
+  if (services.length === 0) {
+    throw new Error(`No services defined in ${protoFile}`);
+  }
+
+  const warnings = [];
+  const groups = [];
+  let unaryCount = 0;
+
+  for (const service of services) {
+    const serviceName = service.fullName.replace(/^\./, '');
+    const calls = [];
+
+    for (const method of service.methodsArray) {
+      const rpc = `${serviceName}/${method.name}`;
+      if (method.requestStream || method.responseStream) {
+        warnings.push(`${rpc} is a streaming RPC and was skipped; only unary RPCs are generated`);
+        continue;
+      }
+
+      unaryCount++;
+      const payload = sampleMessage(method.resolvedRequestType, 0, new Set());
+      calls.push(`    res = client.invoke(${quote(rpc)}, ${toLiteral(payload, '    ')}, {
+      tags: { name: ${quote(rpc)} },
+    });${assertions ? `
+
+    check(res, {
+      ${quote(`${rpc} status is OK`)}: (r) => r && r.status === grpc.StatusOK,
+    });` : ''}
+
+    sleep(randomThinkTime());`);
+    }
+
+    if (calls.length > 0) {
+      groups.push(`  group(${quote(serviceName)}, function () {
+    let res;
+
+${calls.join('\n\n')}
+  });`);
+    }
+  }
+
+  if (unaryCount === 0) {
+    throw new Error(`No unary RPCs found in ${protoFile}`);
+  }
+
+  const script = `// Generated K6 gRPC test script
+// Generated at: ${timestamp}
+// Source: ${protoFile}
+// Services: ${services.map(service => service.fullName.replace(/^\./, '')).join(', ')} (${unaryCount} unary RPC(s))
+// Configuration: ${vus} VUs, ${duration} duration, ${thinkTime}s think time
+
+import grpc from 'k6/net/grpc';
+import { check, sleep, group } from 'k6';
+
+// Protos are loaded once in the init context; import paths work like protoc -I
+const client = new grpc.Client();
+client.load(${toLiteral(searchPaths, '')}, ${quote(path.basename(protoPath))});
+
+export const options = {
+  vus: ${vus},
+  duration: '${duration}',
+  thresholds: ${renderThresholds(thresholds)},
+};
+
+const GRPC_TARGET = __ENV.GRPC_TARGET || ${quote(target)};
+const THINK_TIME = __ENV.THINK_TIME || ${thinkTime};
+
+// Helper function for random think time (±50% variation)
+function randomThinkTime() {
+  return Math.random() * THINK_TIME + THINK_TIME * 0.5;
+}
+
+export default function () {
+  // Each VU connects on its first iteration and reuses the connection
+  if (__ITER === 0) {
+    client.connect(GRPC_TARGET, { plaintext: ${plaintext} });
+  }
+
+${groups.join('\n\n')}
+}`;
+
+  return { script, warnings };
+}
+
+/**
+ * Load a .proto file, resolving imports against the proto's directory and the import paths
+ */
+async function loadProtos(protoPath, searchPaths) {
+  const root = new protobuf.Root();
+  root.resolvePath = (origin, target) => {
+    if (path.isAbsolute(target)) {
+      return target;
+    }
+    const candidates = [
+      ...(origin ? [path.resolve(path.dirname(origin), target)] : []),
+      ...searchPaths.map(searchPath => path.join(searchPath, target))
+    ];
+    return candidates.find(candidate => fs.existsSync(candidate)) || target;
+  };
+
+  try {
+    await root.load(protoPath, { keepCase: true });
+    root.resolveAll();
+  } catch (error) {
+    throw new Error(`Failed to load ${protoPath}: ${error.message}. Add the directories its imports live in to importPaths`);
+  }
+  return root;
+}
+
+/**
+ * Find every service in a loaded proto namespace
+ */
+function collectServices(namespace) {
+  const services = [];
+  for (const nested of namespace.nestedArray) {
+    if (nested instanceof protobuf.Service) {
+      services.push(nested);
+    } else if (nested instanceof protobuf.Namespace) {
+      services.push(...collectServices(nested));
+    }
+  }
+  return services;
+}
+
+/**
+ * Build a sample payload for a message type from its field definitions
+ */
+function sampleMessage(type, depth, seen) {
+  const fullName = type.fullName.replace(/^\./, '');
+  if (fullName in WELL_KNOWN_SAMPLES) {
+    return WELL_KNOWN_SAMPLES[fullName];
+  }
+
+  const nextSeen = new Set([...seen, fullName]);
+  const payload = {};
+  const oneofMembers = new Set();
+
+  for (const oneof of type.oneofsArray) {
+    // Only the first member of a real oneof is set; proto3 optional fields are synthetic oneofs
+    if (oneof.fieldsArray.length === 1 && oneof.fieldsArray[0].options?.proto3_optional) {
+      continue;
+    }
+    oneof.fieldsArray.slice(1).forEach(field => oneofMembers.add(field.name));
+  }
+
+  for (const field of type.fieldsArray) {
+    if (oneofMembers.has(field.name)) {
+      continue;
+    }
+    const value = sampleField(field, depth, nextSeen);
+    if (value !== undefined) {
+      payload[field.name] = value;
+    }
+  }
+  return payload;
+}
+
+/**
+ * Build a sample value for one field; recursive messages stop at the first repeat
+ */
+function sampleField(field, depth, seen) {
+  let value;
+  const resolved = field.resolvedType;
+
+  if (resolved instanceof protobuf.Enum) {
+    // Skip the zero value when there is another, since it usually means "unspecified"
+    const names = Object.keys(resolved.values);
+    value = names.length > 1 ? names[1] : names[0];
+  } else if (resolved instanceof protobuf.Type) {
+    const fullName = resolved.fullName.replace(/^\./, '');
+    if (seen.has(fullName) || depth >= MAX_MESSAGE_DEPTH) {
+      return undefined;
+    }
+    value = sampleMessage(resolved, depth + 1, seen);
+  } else {
+    value = SCALAR_SAMPLES[field.type] ?? 'test';
+  }
+
+  if (field.map) {
+    return { [field.keyType === 'string' ? 'key' : '1']: value };
+  }
+  return field.repeated ? [value] : value;
+}
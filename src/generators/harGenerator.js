@@ -3,37 +3,325 @@
  * Converts HTTP Archive (HAR) files to K6 test scripts
  */
 
+import fs from 'fs/promises';
+import { toLiteral, quote, escapeTemplate } from '../utils/codegen.js';
+import { getDefaultThresholds, renderThresholds } from '../utils/thresholds.js';
+
+// Headers that K6 sets itself or that only make sense for the recorded session
+const SKIPPED_HEADERS = new Set([
+  'host',
+  'connection',
+  'content-length',
+  'cookie',
+  'accept-encoding',
+  'keep-alive',
+  'transfer-encoding',
+  'upgrade-insecure-requests'
+]);
+
+// Credentials are never written into the script; recorded Authorization values become __ENV lookups
+const AUTH_HEADER = 'authorization';
+const AUTH_PLACEHOLDER = '\u0000authorization\u0000';
+
+const STATIC_EXTENSIONS = /\.(css|js|mjs|map|png|jpe?g|gif|svg|ico|webp|avif|bmp|woff2?|ttf|otf|eot|mp4|webm|mp3|wav)(\?.*)?$/i;
+const STATIC_MIME_TYPES = /^(image\/|font\/|audio\/|video\/|text\/css|(text|application)\/(x-)?javascript)/i;
+
+// Gaps shorter than this are treated as browser parallelism, not user think time
+const MIN_THINK_TIME = 0.1;
+
 export async function generateHarScript(options = {}) {
   const {
     harFile,
+    har: recordedHar,
     vus = 10,
     duration = '5m',
+    maxThinkTime = 30,
+    includeStatic = false,
+    domains,
+    assertions = true,
+    thresholds = getDefaultThresholds('har', { assertions }),
     timestamp = new Date().toISOString()
   } = options;
 
-  // TODO: Implement HAR parsing and conversion
-  // This is a placeholder for future implementation
-  
-  return `// Generated K6 test from HAR file
+  if (!harFile && !recordedHar) {
+    throw new Error('A HAR file path is required as input for source "har"');
+  }
+
+  // Recordings pass their HAR in memory instead of a file
+  const har = recordedHar || await readHarFile(harFile);
+  const source = harFile || 'recording';
+  const allEntries = har.log.entries
+    .filter(entry => entry.request && entry.request.url)
+    .sort((a, b) => new Date(a.startedDateTime) - new Date(b.startedDateTime));
+
+  if (allEntries.length === 0) {
+    throw new Error(`HAR ${source} contains no entries`);
+  }
+
+  const allowedDomains = domains && domains.length > 0 ? domains : [new URL(allEntries[0].request.url).hostname];
+  const baseUrl = new URL(allEntries[0].request.url).origin;
+
+  const entries = allEntries.filter(entry =>
+    isAllowedDomain(entry.request.url, allowedDomains) && (includeStatic || !isStaticAsset(entry))
+  );
+
+  if (entries.length === 0) {
+    throw new Error(`No requests left in ${source} after filtering static assets and third-party domains (allowed: ${allowedDomains.join(', ')})`);
+  }
+
+  const pages = groupByPage(entries, har.log.pages || []);
+  const context = { baseUrl, maxThinkTime, assertions, authEnv: new Set(), usesBasicAuth: false };
+  const body = pages
+    .map((page, i) => {
+      const rendered = renderPage(page, context);
+      if (i === 0) {
+        return rendered;
+      }
+      const previousPage = pages[i - 1];
+      const thinkTime = computeThinkTime(previousPage.entries[previousPage.entries.length - 1], page.entries[0], maxThinkTime);
+      return thinkTime >= MIN_THINK_TIME ? `  sleep(${thinkTime});\n\n${rendered}` : rendered;
+    })
+    .join('\n\n');
+
+  const warnings = [];
+  if (context.authEnv.size > 0) {
+    warnings.push(`Recorded Authorization headers were replaced with __ENV lookups; pass ${[...context.authEnv].join(', ')} to k6_run as env`);
+  }
+
+  const script = `// Generated K6 test from HAR file
 // Generated at: ${timestamp}
-// Source: ${harFile}
-// Note: HAR conversion not yet implemented
+// Source: ${source}
+// Requests: ${entries.length} of ${allEntries.length} recorded (${allEntries.length - entries.length} filtered)
+// Domains: ${allowedDomains.join(', ')}
 
 import http from 'k6/http';
-import { check, sleep } from 'k6';
+import { check, sleep, group } from 'k6';${context.usesBasicAuth ? "\nimport encoding from 'k6/encoding';" : ''}
 
 export const options = {
   vus: ${vus},
   duration: '${duration}',
-  thresholds: {
-    http_req_duration: ['p(95)<1000'],
-    http_req_failed: ['rate<0.1'],
-  },
+  thresholds: ${renderThresholds(thresholds)},
 };
 
+const BASE_URL = __ENV.BASE_URL || '${baseUrl}';
+${context.authEnv.size > 0 ? `
+// Credentials from the recording are read at run time (-e NAME=value): ${[...context.authEnv].join(', ')}
+` : ''}
 export default function () {
-  // TODO: Add converted HAR requests here
-  console.log('HAR conversion not yet implemented');
-  sleep(1);
+${body}
 }`;
-}
\ No newline at end of file
+
+  return { script, warnings };
+}
+
+/**
+ * Read and validate a HAR file
+ */
+async function readHarFile(harFile) {
+  const content = await fs.readFile(harFile, 'utf-8');
+
+  let har;
+  try {
+    har = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`HAR file ${harFile} is not valid JSON: ${error.message}`);
+  }
+
+  if (!har.log || !Array.isArray(har.log.entries)) {
+    throw new Error(`HAR file ${harFile} has no log.entries array`);
+  }
+
+  return har;
+}
+
+/**
+ * Check whether a request URL belongs to one of the allowed domains (or a subdomain)
+ */
+function isAllowedDomain(url, allowedDomains) {
+  const { hostname } = new URL(url);
+  return allowedDomains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+/**
+ * Detect static assets by response MIME type or URL extension
+ */
+function isStaticAsset(entry) {
+  const mimeType = entry.response?.content?.mimeType || '';
+  return STATIC_MIME_TYPES.test(mimeType) || STATIC_EXTENSIONS.test(new URL(entry.request.url).pathname);
+}
+
+/**
+ * Group entries by their page reference, keeping recording order
+ */
+function groupByPage(entries, harPages) {
+  const titles = new Map(harPages.map(page => [page.id, page.title || page.id]));
+  const pages = [];
+
+  for (const entry of entries) {
+    const pageId = entry.pageref || 'default';
+    let page = pages[pages.length - 1];
+
+    if (!page || page.id !== pageId) {
+      page = { id: pageId, title: titles.get(pageId) || (entry.pageref ? pageId : 'Requests'), entries: [] };
+      pages.push(page);
+    }
+    page.entries.push(entry);
+  }
+
+  return pages;
+}
+
+/**
+ * Render one page as a K6 group, with recorded think times between requests
+ */
+function renderPage(page, context) {
+  const lines = [];
+
+  page.entries.forEach((entry, i) => {
+    if (i > 0) {
+      const thinkTime = computeThinkTime(page.entries[i - 1], entry, context.maxThinkTime);
+      if (thinkTime >= MIN_THINK_TIME) {
+        lines.push(`    sleep(${thinkTime});`);
+      }
+    }
+    lines.push(renderRequest(entry, i + 1, context));
+  });
+
+  return `  group(${quote(page.title)}, function () {
+    let res;
+
+${lines.join('\n\n')}
+  });`;
+}
+
+/**
+ * Compute the idle time between the end of one request and the start of the next
+ */
+function computeThinkTime(previous, current, maxThinkTime) {
+  const previousEnd = new Date(previous.startedDateTime).getTime() + (previous.time || 0);
+  const gap = (new Date(current.startedDateTime).getTime() - previousEnd) / 1000;
+  return Math.round(Math.min(Math.max(gap, 0), maxThinkTime) * 100) / 100;
+}
+
+/**
+ * Render a single HAR entry as a K6 request with a status check
+ */
+function renderRequest(entry, index, context) {
+  const { request, response } = entry;
+  const method = request.method.toUpperCase();
+  const url = renderUrl(request, context.baseUrl);
+  const headers = collectHeaders(request.headers || [], context);
+  const body = renderBody(request.postData);
+  const name = `${method} ${new URL(request.url).pathname}`;
+
+  const params = {
+    headers,
+    tags: { name }
+  };
+
+  // The browser records each redirect hop as its own entry, so don't follow them here
+  if (response && response.status >= 300 && response.status < 400) {
+    params.redirects = 0;
+  }
+
+  const lines = [
+    `    // ${index}. ${name}`,
+    `    res = http.request(${quote(method)}, ${url}, ${body}, ${renderParams(params, context)});`
+  ];
+
+  if (context.assertions && response && response.status > 0) {
+    lines.push(`    check(res, {
+      ${quote(`${name} status is ${response.status}`)}: (r) => r.status === ${response.status},
+    });`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render the request URL, swapping the recorded origin for BASE_URL
+ */
+function renderUrl(request, baseUrl) {
+  const url = new URL(request.url);
+
+  // Prefer the structured queryString so encoding stays consistent
+  if (Array.isArray(request.queryString) && request.queryString.length > 0) {
+    url.search = new URLSearchParams(request.queryString.map(q => [q.name, q.value])).toString();
+  }
+
+  const target = url.toString();
+  if (url.origin === baseUrl) {
+    const rest = escapeTemplate(target.slice(baseUrl.length));
+    return `\`\${BASE_URL}${rest}\``;
+  }
+  return quote(target);
+}
+
+/**
+ * Keep request headers that are meaningful to replay
+ */
+function collectHeaders(harHeaders, context) {
+  const headers = {};
+  for (const { name, value } of harHeaders) {
+    const key = name.toLowerCase();
+    if (key.startsWith(':') || SKIPPED_HEADERS.has(key)) {
+      continue;
+    }
+    if (key === AUTH_HEADER) {
+      // Filled in by renderParams; the recorded value must not reach the script
+      context.authExpression = renderAuthorization(value, context);
+      headers[name] = AUTH_PLACEHOLDER;
+      continue;
+    }
+    headers[name] = value;
+  }
+  return headers;
+}
+
+/**
+ * Expression that rebuilds an Authorization header from environment variables
+ */
+function renderAuthorization(value, context) {
+  const [scheme, credentials] = String(value).trim().split(/\s+/, 2);
+  if (/^basic$/i.test(scheme) && credentials) {
+    context.usesBasicAuth = true;
+    context.authEnv.add('AUTH_USERNAME');
+    context.authEnv.add('AUTH_PASSWORD');
+    return `\`${escapeTemplate(scheme)} \${encoding.b64encode(\`\${__ENV.AUTH_USERNAME}:\${__ENV.AUTH_PASSWORD}\`)}\``;
+  }
+  context.authEnv.add('AUTH_TOKEN');
+  // Keep the scheme (Bearer, Token, ...) and replace only the credential
+  return credentials
+    ? `\`${escapeTemplate(scheme)} \${__ENV.AUTH_TOKEN}\``
+    : '__ENV.AUTH_TOKEN';
+}
+
+/**
+ * Render request params, swapping the Authorization placeholder for its __ENV expression
+ */
+function renderParams(params, context) {
+  return toLiteral(params, '    ').replace(JSON.stringify(AUTH_PLACEHOLDER), () => context.authExpression);
+}
+
+/**
+ * Render the request body from HAR postData
+ */
+function renderBody(postData) {
+  if (!postData) {
+    return 'null';
+  }
+
+  if (postData.text !== undefined && postData.text !== '') {
+    return quote(postData.text);
+  }
+
+  if (Array.isArray(postData.params) && postData.params.length > 0) {
+    const fields = {};
+    for (const { name, value } of postData.params) {
+      fields[name] = value || '';
+    }
+    return toLiteral(fields, '    ');
+  }
+
+  return 'null';
+}
@@ -0,0 +1,764 @@
+/**
+ * JMeter test plan to K6 script generator
+ * Converts JMeter .jmx test plans to K6 test scripts with a migration report
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { XMLParser } from 'fast-xml-parser';
+import { toLiteral, quote, escapeTemplate, toObjectCode, indentBlock, formatSeconds, toIdentifier } from '../utils/codegen.js';
+import { getDefaultThresholds, renderThresholds } from '../utils/thresholds.js';
+
+const SAMPLERS = new Set(['HTTPSamplerProxy', 'HTTPSampler', 'HTTPSampler2']);
+const GROUP_CONTROLLERS = new Set(['TransactionController', 'GenericController']);
+const TIMERS = new Set(['ConstantTimer', 'UniformRandomTimer', 'GaussianRandomTimer']);
+const ASSERTIONS = new Set(['ResponseAssertion', 'DurationAssertion']);
+
+// Elements that only affect JMeter's own reporting or GUI
+const IGNORED_ELEMENTS = new Set(['ResultCollector', 'BackendListener', 'Summariser', 'CookieManager', 'CacheManager', 'DNSCacheManager', 'AuthManager']);
+
+// ResponseAssertion test_type bit flags
+const ASSERT_MATCH = 1;
+const ASSERT_CONTAINS = 2;
+const ASSERT_NOT = 4;
+const ASSERT_EQUALS = 8;
+const ASSERT_SUBSTRING = 16;
+const ASSERT_OR = 32;
+
+export async function generateJmeterScript(options = {}) {
+  const {
+    jmxFile,
+    vus = 10,
+    duration = '5m',
+    assertions = true,
+    thresholds = getDefaultThresholds('jmeter', { assertions }),
+    timestamp = new Date().toISOString()
+  } = options;
+
+  if (!jmxFile) {
+    throw new Error('A JMeter .jmx file path is required as input for source "jmeter"');
+  }
+
+  const root = await readTestPlan(jmxFile);
+  const [planPair] = pairs(root);
+  if (!planPair || planPair.element.tag !== 'TestPlan') {
+    throw new Error(`${jmxFile} does not contain a TestPlan`);
+  }
+
+  const context = {
+    jmxDir: path.dirname(jmxFile),
+    assertions,
+    fallbackVus: vus,
+    fallbackDuration: duration,
+    variables: new Map(),
+    usedVariables: new Set(),
+    csvDataSets: [],
+    csvColumns: new Map(),
+    identifiers: new Set(['http', 'check', 'sleep', 'group', 'exec', 'options', 'vars', 'row', 'res', 'BASE_URL']),
+    baseOrigin: null,
+    report: {
+      converted: { threadGroups: 0, samplers: 0, csvDataSets: 0, timers: 0, assertions: 0, controllers: 0 },
+      unsupported: [],
+      notes: []
+    }
+  };
+
+  collectVariables(planPair.element, context);
+  await registerCsvDataSets(planPair.subtree, context);
+
+  const planScope = buildScope(pairs(planPair.subtree), emptyScope(), context);
+  const threadGroups = [];
+
+  for (const { element, subtree } of pairs(planPair.subtree)) {
+    if (!isEnabled(element)) {
+      if (/ThreadGroup$/.test(element.tag)) {
+        context.report.notes.push(`Disabled thread group "${element.attrs.testname}" was skipped`);
+      }
+      continue;
+    }
+
+    if (element.tag === 'ThreadGroup') {
+      threadGroups.push(convertThreadGroup(element, subtree, planScope, context));
+    } else if (/ThreadGroup$/.test(element.tag) || /threads\./.test(element.tag)) {
+      unsupported(context, element, 'Only standard thread groups are converted; setUp/tearDown and plugin thread groups need manual migration');
+    }
+  }
+
+  if (threadGroups.length === 0) {
+    throw new Error(`No enabled thread groups found in ${jmxFile}`);
+  }
+
+  // Rendered before the variable report so references in the origin are counted
+  const baseUrl = renderBaseUrl(context);
+
+  for (const name of context.usedVariables) {
+    if (!context.variables.has(name)) {
+      unsupported(context, { tag: 'Variable', attrs: { testname: name } },
+        'Not defined by User Defined Variables or a CSV Data Set (extractor variables are not converted); set it with __ENV');
+    }
+  }
+
+  const script = renderScript({ jmxFile, timestamp, plan: planPair.element, threadGroups, thresholds, baseUrl, context });
+  return { script, report: context.report };
+}
+
+/**
+ * Parse the .jmx XML into a simple { tag, attrs, children, text } tree
+ */
+async function readTestPlan(jmxFile) {
+  const content = await fs.readFile(jmxFile, 'utf-8');
+  const parser = new XMLParser({
+    preserveOrder: true,
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    parseTagValue: false,
+    parseAttributeValue: false,
+    ignoreDeclaration: true
+  });
+
+  let parsed;
+  try {
+    parsed = parser.parse(content).map(toNode);
+  } catch (error) {
+    throw new Error(`${jmxFile} is not valid XML: ${error.message}`);
+  }
+
+  const testPlan = parsed.find(node => node.tag === 'jmeterTestPlan');
+  const hashTree = testPlan && elements(testPlan).find(node => node.tag === 'hashTree');
+  if (!hashTree) {
+    throw new Error(`${jmxFile} is not a JMeter test plan (missing jmeterTestPlan/hashTree)`);
+  }
+  return hashTree;
+}
+
+/**
+ * Convert fast-xml-parser's ordered output into plain nodes
+ */
+function toNode(raw) {
+  const tag = Object.keys(raw).find(key => key !== ':@');
+  if (tag === '#text') {
+    return { tag, attrs: {}, children: [], text: String(raw[tag]) };
+  }
+  const children = (raw[tag] || []).map(toNode);
+  return {
+    tag,
+    attrs: raw[':@'] || {},
+    children,
+    text: children.filter(child => child.tag === '#text').map(child => child.text).join('')
+  };
+}
+
+function elements(node) {
+  return node ? node.children.filter(child => child.tag !== '#text') : [];
+}
+
+/**
+ * Pair each element in a hashTree with the hashTree that follows it (its children)
+ */
+function pairs(hashTree) {
+  const children = elements(hashTree);
+  const result = [];
+  children.forEach((element, i) => {
+    if (element.tag !== 'hashTree') {
+      const next = children[i + 1];
+      result.push({ element, subtree: next && next.tag === 'hashTree' ? next : null });
+    }
+  });
+  return result;
+}
+
+/**
+ * Thread groups, controllers and samplers are handled by the rendering pass, not as config
+ */
+function isRendered(element) {
+  return /(ThreadGroup|Controller|Sampler|SamplerProxy|Sampler2)$/.test(element.tag) || /threads\./.test(element.tag);
+}
+
+function isEnabled(element) {
+  return element.attrs.enabled !== 'false';
+}
+
+/**
+ * Read a stringProp/intProp/longProp/boolProp value by name
+ */
+function prop(element, name, fallback = '') {
+  const found = elements(element).find(child => /Prop$/.test(child.tag) && child.attrs.name === name && child.tag !== 'elementProp' && child.tag !== 'collectionProp');
+  return found ? found.text : fallback;
+}
+
+function elementProp(element, name) {
+  return elements(element).find(child => child.tag === 'elementProp' && child.attrs.name === name);
+}
+
+function collectionProp(element, name) {
+  const found = elements(element).find(child => child.tag === 'collectionProp' && child.attrs.name === name);
+  return elements(found);
+}
+
+/**
+ * Read the name/value pairs of an Arguments element
+ */
+function argumentList(argumentsElement) {
+  return collectionProp(argumentsElement, 'Arguments.arguments').map(argument => ({
+    name: prop(argument, 'Argument.name'),
+    value: prop(argument, 'Argument.value')
+  }));
+}
+
+function unsupported(context, element, reason) {
+  context.report.unsupported.push({ element: element.tag, name: element.attrs.testname || '', reason });
+}
+
+function emptyScope() {
+  return { headers: [], timers: [], assertions: [], defaults: {} };
+}
+
+/**
+ * Record User Defined Variables from the test plan or an Arguments config element
+ */
+function collectVariables(element, context) {
+  const argumentsElement = element.tag === 'Arguments' ? element : elementProp(element, 'TestPlan.user_defined_variables');
+  for (const { name, value } of argumentList(argumentsElement)) {
+    if (name) {
+      context.variables.set(name, value);
+    }
+  }
+}
+
+/**
+ * Apply the config elements, timers and assertions at one level of the tree to a new scope
+ */
+function buildScope(levelPairs, parentScope, context) {
+  const scope = {
+    headers: [...parentScope.headers],
+    timers: [...parentScope.timers],
+    assertions: [...parentScope.assertions],
+    defaults: { ...parentScope.defaults }
+  };
+
+  for (const { element } of levelPairs) {
+    if (!isEnabled(element)) {
+      continue;
+    }
+
+    if (element.tag === 'HeaderManager') {
+      for (const header of collectionProp(element, 'HeaderManager.headers')) {
+        scope.headers.push([prop(header, 'Header.name'), prop(header, 'Header.value')]);
+      }
+    } else if (element.tag === 'ConfigTestElement' && element.attrs.guiclass === 'HttpDefaultsGui') {
+      for (const key of ['protocol', 'domain', 'port', 'path']) {
+        const value = prop(element, `HTTPSampler.${key}`);
+        if (value) {
+          scope.defaults[key] = value;
+        }
+      }
+    } else if (element.tag === 'Arguments') {
+      collectVariables(element, context);
+    } else if (TIMERS.has(element.tag)) {
+      scope.timers.push(convertTimer(element, context));
+      context.report.converted.timers++;
+    } else if (ASSERTIONS.has(element.tag)) {
+      scope.assertions.push(element);
+    } else if (element.tag === 'CookieManager') {
+      context.report.notes.push('HTTP Cookie Manager dropped: K6 keeps a cookie jar per VU automatically');
+    } else if (element.tag === 'CSVDataSet' || IGNORED_ELEMENTS.has(element.tag)) {
+      continue;
+    } else if (/Timer$/.test(element.tag)) {
+      unsupported(context, element, 'Throughput timers are not converted; consider a constant-arrival-rate scenario');
+    } else if (/(PreProcessor|PostProcessor|Extractor|Listener|Visualizer)$/.test(element.tag) || /^(JSR223|BeanShell)/.test(element.tag) && !/Sampler$/.test(element.tag)) {
+      unsupported(context, element, 'Pre/post processors, extractors and script elements need manual migration');
+    } else if (!isRendered(element)) {
+      unsupported(context, element, 'Not converted');
+    }
+  }
+
+  return scope;
+}
+
+/**
+ * Register every enabled CSV Data Set Config in the plan; rows are shared by all thread groups
+ */
+async function registerCsvDataSets(hashTree, context) {
+  for (const { element, subtree } of pairs(hashTree)) {
+    if (!isEnabled(element)) {
+      continue;
+    }
+    if (element.tag === 'CSVDataSet') {
+      await registerCsvDataSet(element, context);
+    }
+    if (subtree) {
+      await registerCsvDataSets(subtree, context);
+    }
+  }
+}
+
+/**
+ * Register a CSV Data Set Config so its columns resolve to the current row
+ */
+async function registerCsvDataSet(element, context) {
+  const filename = prop(element, 'filename');
+  const delimiter = prop(element, 'delimiter', ',').replace('\\t', '\t') || ',';
+  let columns = prop(element, 'variableNames').split(',').map(name => name.trim()).filter(Boolean);
+  let headerInFile = prop(element, 'ignoreFirstLine') === 'true';
+
+  // Without variableNames JMeter reads the column names from the first line
+  if (columns.length === 0) {
+    headerInFile = true;
+    try {
+      const content = await fs.readFile(path.resolve(context.jmxDir, filename), 'utf-8');
+      columns = content.split(/\r?\n/)[0].split(delimiter).map(name => name.trim());
+    } catch (error) {
+      unsupported(context, element, `Column names come from the first line of ${filename}, which could not be read`);
+    }
+  }
+
+  const dataSet = {
+    identifier: toIdentifier(`${path.basename(filename, path.extname(filename))} data`, context.identifiers),
+    filename,
+    delimiter,
+    columns,
+    headerInFile,
+    perThread: prop(element, 'shareMode') === 'shareMode.thread'
+  };
+  context.csvDataSets.push(dataSet);
+  context.report.converted.csvDataSets++;
+
+  for (const column of columns) {
+    context.csvColumns.set(column, dataSet);
+    context.variables.set(column, '');
+  }
+
+  if (prop(element, 'recycle') === 'false') {
+    context.report.notes.push(`CSV Data Set "${element.attrs.testname}" had recycle=false; rows are recycled in K6`);
+  }
+  context.report.notes.push(`CSV file ${filename} is opened relative to the generated script; copy it next to the script`);
+}
+
+/**
+ * Convert a timer element to a sleep() expression in seconds
+ */
+function convertTimer(element, context) {
+  const delay = Number(prop(element, 'ConstantTimer.delay', '0'));
+  const range = Number(prop(element, 'RandomTimer.range', '0'));
+
+  if (Number.isNaN(delay) || Number.isNaN(range)) {
+    unsupported(context, element, 'Timer delays that use variables are not converted');
+    return null;
+  }
+
+  switch (element.tag) {
+    case 'UniformRandomTimer':
+      return `${delay / 1000} + Math.random() * ${range / 1000}`;
+    case 'GaussianRandomTimer':
+      context.report.notes.push(`Gaussian timer "${element.attrs.testname}" approximated with a uniform distribution`);
+      return `Math.max(0, ${delay / 1000} + (Math.random() * 2 - 1) * ${range / 1000})`;
+    default:
+      return `${delay / 1000}`;
+  }
+}
+
+/**
+ * Convert a thread group into a K6 scenario and its exec function
+ */
+function convertThreadGroup(element, subtree, planScope, context) {
+  const name = element.attrs.testname || 'Thread Group';
+  const levelPairs = pairs(subtree);
+  const scope = buildScope(levelPairs, planScope, context);
+  const body = renderChildren(levelPairs, scope, context);
+
+  const loopController = elementProp(element, 'ThreadGroup.main_controller');
+  const threads = resolveNumber(prop(element, 'ThreadGroup.num_threads'), context.fallbackVus, element, context);
+  const rampUp = resolveNumber(prop(element, 'ThreadGroup.ramp_time', '0'), 0, element, context);
+  const loops = Number(loopController ? prop(loopController, 'LoopController.loops', '-1') : '-1');
+  const scheduled = prop(element, 'ThreadGroup.scheduler') === 'true';
+  const scheduledDuration = scheduled ? resolveNumber(prop(element, 'ThreadGroup.duration'), 0, element, context) : 0;
+  const startDelay = scheduled ? resolveNumber(prop(element, 'ThreadGroup.delay', '0'), 0, element, context) : 0;
+
+  let scenario;
+  if (!scheduledDuration && loops > 0) {
+    scenario = { executor: 'per-vu-iterations', vus: threads, iterations: loops, maxDuration: context.fallbackDuration };
+    if (rampUp > 0) {
+      context.report.notes.push(`Thread group "${name}" runs a fixed number of loops, so its ${rampUp}s ramp-up was dropped (per-vu-iterations starts all VUs at once)`);
+    }
+  } else {
+    const holdDuration = scheduledDuration ? formatSeconds(Math.max(scheduledDuration - rampUp, 1)) : context.fallbackDuration;
+    if (!scheduledDuration) {
+      context.report.notes.push(`Thread group "${name}" loops forever without a duration; using ${context.fallbackDuration}`);
+    }
+    scenario = rampUp > 0
+      ? { executor: 'ramping-vus', startVUs: 0, stages: [{ duration: formatSeconds(rampUp), target: threads }, { duration: holdDuration, target: threads }] }
+      : { executor: 'constant-vus', vus: threads, duration: holdDuration };
+  }
+
+  if (startDelay > 0) {
+    scenario.startTime = formatSeconds(startDelay);
+  }
+
+  const exec = toIdentifier(name, context.identifiers);
+  scenario.exec = exec;
+  context.report.converted.threadGroups++;
+
+  return { name, exec, scenario, body };
+}
+
+/**
+ * Read a numeric property, accepting ${__P(name,default)} with its default
+ */
+function resolveNumber(value, fallback, element, context) {
+  if (value === '') {
+    return fallback;
+  }
+  if (/^\d+(\.\d+)?$/.test(value.trim())) {
+    return Number(value);
+  }
+
+  const property = value.match(/^\$\{__P(?:roperty)?\(\s*[^,)]+\s*,\s*(\d+)\s*\)\}$/);
+  if (property) {
+    context.report.notes.push(`"${element.attrs.testname}" uses ${value}; its default ${property[1]} was used`);
+    return Number(property[1]);
+  }
+
+  unsupported(context, element, `Could not resolve "${value}"; using ${fallback}`);
+  return fallback;
+}
+
+/**
+ * Render samplers and controllers at one level of the tree
+ */
+function renderChildren(levelPairs, scope, context) {
+  const blocks = [];
+
+  for (const { element, subtree } of levelPairs) {
+    if (!isEnabled(element)) {
+      continue;
+    }
+
+    if (SAMPLERS.has(element.tag)) {
+      blocks.push(renderSampler(element, subtree, scope, context));
+    } else if (GROUP_CONTROLLERS.has(element.tag)) {
+      context.report.converted.controllers++;
+      blocks.push(`group(${quote(element.attrs.testname || element.tag)}, function () {
+${indentBlock(renderNested(subtree, scope, context), '  ')}
+});`);
+    } else if (element.tag === 'LoopController') {
+      context.report.converted.controllers++;
+      const loops = Number(prop(element, 'LoopController.loops', '1'));
+      blocks.push(`// ${element.attrs.testname || 'Loop Controller'}
+for (let i = 0; i < ${loops > 0 ? loops : 1}; i++) {
+${indentBlock(renderNested(subtree, scope, context), '  ')}
+}`);
+    } else if (/Controller$/.test(element.tag)) {
+      unsupported(context, element, 'Controller logic is not converted; its children run unconditionally');
+      const nested = renderNested(subtree, scope, context);
+      blocks.push(`// ${element.tag} "${element.attrs.testname}" not converted; children run unconditionally${nested ? `\n${nested}` : ''}`);
+    } else if (/Sampler$/.test(element.tag) || /^JSR223Sampler|^DebugSampler/.test(element.tag)) {
+      unsupported(context, element, 'Only HTTP samplers are converted');
+      blocks.push(`// ${element.tag} "${element.attrs.testname}" not converted`);
+    }
+  }
+
+  return blocks.join('\n\n');
+}
+
+/**
+ * Render a controller's subtree with its own scope
+ */
+function renderNested(subtree, parentScope, context) {
+  const levelPairs = pairs(subtree);
+  return renderChildren(levelPairs, buildScope(levelPairs, parentScope, context), context);
+}
+
+/**
+ * Render an HTTP sampler with the timers, headers and assertions in scope
+ */
+function renderSampler(element, subtree, parentScope, context) {
+  const scope = buildScope(pairs(subtree), parentScope, context);
+
+  const name = element.attrs.testname || 'HTTP Request';
+  const method = (prop(element, 'HTTPSampler.method') || 'GET').toUpperCase();
+  const args = argumentList(elementProp(element, 'HTTPsampler.Arguments'));
+  const rawBody = prop(element, 'HTTPSampler.postBodyRaw') === 'true';
+  const sendsQuery = ['GET', 'DELETE', 'HEAD', 'OPTIONS'].includes(method) && !rawBody;
+
+  const url = renderUrl(element, scope.defaults, sendsQuery ? args : [], context);
+
+  let body = 'null';
+  if (rawBody && args.length > 0) {
+    body = renderValue(args[0].value, context);
+  } else if (!sendsQuery && args.length > 0) {
+    body = toObjectCode(args.map(arg => [arg.name, renderValue(arg.value, context)]));
+  }
+
+  const headers = toObjectCode(scope.headers.map(([key, value]) => [key, renderValue(value, context)]), '  ');
+  const lines = [`// ${name}`];
+
+  for (const timer of scope.timers.filter(Boolean)) {
+    lines.push(`sleep(${timer});`);
+  }
+
+  lines.push(`res = http.request(${quote(method)}, ${url}, ${body}, {
+  headers: ${headers},
+  tags: { name: ${quote(name)} },
+});`);
+
+  const checks = scope.assertions.flatMap(assertion => convertAssertion(assertion, name, context));
+  if (context.assertions && checks.length > 0) {
+    lines.push(`check(res, {
+${checks.map(([checkName, condition]) => `  ${quote(checkName)}: (r) => ${condition},`).join('\n')}
+});`);
+  }
+
+  context.report.converted.samplers++;
+  return lines.join('\n');
+}
+
+/**
+ * Build the request URL from the sampler and HTTP Request Defaults
+ */
+function renderUrl(element, defaults, queryArgs, context) {
+  const field = (key) => prop(element, `HTTPSampler.${key}`) || defaults[key] || '';
+  const requestPath = field('path');
+  const query = queryArgs
+    .filter(arg => arg.name)
+    .map(arg => `${escapeTemplate(encodeURIComponent(arg.name))}=${hasVariables(arg.value)
+      ? `\${encodeURIComponent(${renderValue(arg.value, context)})}`
+      : escapeTemplate(encodeURIComponent(arg.value))}`)
+    .join('&');
+  const querySuffix = query ? `${requestPath.includes('?') ? '&' : '?'}${query}` : '';
+
+  // JMeter allows a full URL in the path field
+  if (/^https?:\/\//i.test(requestPath)) {
+    return `\`${templatePart(requestPath, context)}${querySuffix}\``;
+  }
+
+  const protocol = resolveVariables(field('protocol'), context) || 'http';
+  const domain = resolveVariables(field('domain'), context);
+  const port = resolveVariables(field('port'), context);
+  const origin = `${protocol}://${domain}${port && !isDefaultPort(protocol, port) ? `:${port}` : ''}`;
+  const pathPart = requestPath && !requestPath.startsWith('/') ? `/${requestPath}` : requestPath;
+
+  if (!domain) {
+    unsupported(context, element, 'Sampler has no domain and no HTTP Request Defaults; using BASE_URL');
+  }
+
+  // CSV columns and functions change per iteration, so such origins cannot become the module-level BASE_URL
+  const perIteration = [...origin.matchAll(/\$\{([^{}]+)\}/g)]
+    .some(([, reference]) => reference.startsWith('__') || context.csvColumns.has(reference));
+  if (!domain || (!perIteration && origin === (context.baseOrigin ??= origin))) {
+    return `\`\${BASE_URL}${templatePart(pathPart, context)}${querySuffix}\``;
+  }
+  return `\`${templatePart(origin + pathPart, context)}${querySuffix}\``;
+}
+
+/**
+ * Substitute User Defined Variables with their values; CSV columns, functions and undefined variables stay references
+ */
+function resolveVariables(text, context, seen = new Set()) {
+  return String(text ?? '').replace(/\$\{([^{}]+)\}/g, (reference, name) => {
+    if (context.csvColumns.has(name) || !context.variables.has(name) || seen.has(name)) {
+      return reference;
+    }
+    return resolveVariables(context.variables.get(name), context, new Set([...seen, name]));
+  });
+}
+
+/**
+ * BASE_URL default: the first sampler origin, as an expression when it still refers to variables set with -e
+ */
+function renderBaseUrl(context) {
+  const origin = context.baseOrigin || 'http://localhost:3000';
+  return hasVariables(origin) ? `\`${templatePart(origin, context)}\`` : quote(origin);
+}
+
+function isDefaultPort(protocol, port) {
+  return (protocol === 'http' && port === '80') || (protocol === 'https' && port === '443');
+}
+
+/**
+ * Convert a Response or Duration Assertion into [name, condition] checks
+ */
+function convertAssertion(element, samplerName, context) {
+  const assertionName = `${samplerName}: ${element.attrs.testname || element.tag}`;
+
+  if (element.tag === 'DurationAssertion') {
+    context.report.converted.assertions++;
+    return [[assertionName, `r.timings.duration <= ${Number(prop(element, 'DurationAssertion.duration', '0'))}`]];
+  }
+
+  const field = prop(element, 'Assertion.test_field');
+  const subjects = {
+    'Assertion.response_code': 'String(r.status)',
+    'Assertion.response_data': "(r.body || '')"
+  };
+  const subject = subjects[field];
+  if (!subject) {
+    unsupported(context, element, `Assertions on ${field || 'this field'} are not converted`);
+    return [];
+  }
+
+  const testType = Number(prop(element, 'Assertion.test_type', '2'));
+  // JMeter's own property name has this typo
+  const patterns = collectionProp(element, 'Asserion.test_strings').map(node => node.text);
+  if (patterns.length === 0) {
+    return [];
+  }
+
+  // Without a match rule (e.g. only NOT set) there is nothing to check
+  if (!(testType & (ASSERT_EQUALS | ASSERT_SUBSTRING | ASSERT_MATCH | ASSERT_CONTAINS))) {
+    unsupported(context, element, `Assertion test type ${testType} has no match rule (equals, substring, matches or contains)`);
+    return [];
+  }
+
+  const conditions = patterns.map(pattern => {
+    const value = renderValue(pattern, context);
+    let condition;
+    if (testType & ASSERT_EQUALS) {
+      condition = `${subject} === ${value}`;
+    } else if (testType & ASSERT_SUBSTRING) {
+      condition = `${subject}.includes(${value})`;
+    } else if (testType & ASSERT_MATCH) {
+      condition = `new RegExp(\`^(?:\${${value}})$\`).test(${subject})`;
+    } else if (testType & ASSERT_CONTAINS) {
+      condition = `new RegExp(${value}).test(${subject})`;
+    }
+    return testType & ASSERT_NOT ? `!(${condition})` : condition;
+  });
+
+  context.report.converted.assertions++;
+  return [[assertionName, conditions.join(testType & ASSERT_OR ? ' || ' : ' && ')]];
+}
+
+function hasVariables(text) {
+  return /\$\{[^{}]+\}/.test(String(text));
+}
+
+/**
+ * Turn a JMeter string with ${...} references into a JavaScript expression
+ */
+function renderValue(text, context) {
+  const value = String(text ?? '');
+  if (!hasVariables(value)) {
+    return quote(value);
+  }
+
+  const single = value.match(/^\$\{([^{}]+)\}$/);
+  if (single) {
+    return variableExpression(single[1], context);
+  }
+  return `\`${templatePart(value, context)}\``;
+}
+
+/**
+ * Render text for use inside a template literal, converting ${...} references
+ */
+function templatePart(text, context) {
+  const value = String(text ?? '');
+  let result = '';
+  let lastIndex = 0;
+
+  for (const match of value.matchAll(/\$\{([^{}]+)\}/g)) {
+    result += escapeTemplate(value.slice(lastIndex, match.index));
+    result += `\${${variableExpression(match[1], context)}}`;
+    lastIndex = match.index + match[0].length;
+  }
+
+  return result + escapeTemplate(value.slice(lastIndex));
+}
+
+/**
+ * Resolve a JMeter variable or function reference to a JavaScript expression
+ */
+function variableExpression(reference, context) {
+  const fn = reference.match(/^__(\w+)\((.*)\)$/);
+  if (fn) {
+    const [, name, rawArgs] = fn;
+    const args = rawArgs.split(',').map(arg => arg.trim());
+    switch (name) {
+      case 'time':
+        return 'Date.now()';
+      case 'threadNum':
+        return '__VU';
+      case 'counter':
+        return '__ITER';
+      case 'Random':
+        if (args.length >= 2 && !Number.isNaN(Number(args[0])) && !Number.isNaN(Number(args[1]))) {
+          return `Math.floor(Math.random() * ${Number(args[1]) - Number(args[0]) + 1}) + ${Number(args[0])}`;
+        }
+        break;
+      case 'P':
+      case 'property':
+        return `(__ENV[${quote(args[0])}] || ${quote(args[1] ?? '')})`;
+    }
+    unsupported(context, { tag: 'Function', attrs: { testname: `\${${reference}}` } }, 'JMeter function has no K6 equivalent; replaced with an empty string');
+    return "''";
+  }
+
+  if (context.csvColumns.has(reference)) {
+    return `row[${quote(reference)}]`;
+  }
+
+  context.usedVariables.add(reference);
+  return `vars[${quote(reference)}]`;
+}
+
+/**
+ * Assemble the final K6 script
+ */
+function renderScript({ jmxFile, timestamp, plan, threadGroups, thresholds, baseUrl, context }) {
+  const scenarios = toObjectCode(threadGroups.map(({ exec, scenario }) => [exec, toLiteral(scenario, '    ')]), '  ');
+
+  const variableEntries = [...context.usedVariables].map(name =>
+    [name, `__ENV[${quote(name)}] || ${quote(context.variables.get(name) ?? '')}`]
+  );
+
+  const dataSets = context.csvDataSets.map(dataSet => `const ${dataSet.identifier} = new SharedArray(${quote(dataSet.filename)}, function () {
+  const lines = open(${quote(dataSet.filename)}).split(/\\r?\\n/).filter((line) => line.trim() !== '');
+  const columns = [${dataSet.columns.map(column => quote(column)).join(', ')}];
+  return lines.slice(${dataSet.headerInFile ? 1 : 0}).map((line) => {
+    const values = line.split(${quote(dataSet.delimiter)});
+    return Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+  });
+});`).join('\n\n');
+
+  const rowExpression = context.csvDataSets.length > 0
+    ? `\n  const row = {\n${context.csvDataSets.map(dataSet => {
+      const index = dataSet.perThread ? 'exec.vu.iterationInScenario' : 'exec.scenario.iterationInTest';
+      return `    ...${dataSet.identifier}[${index} % ${dataSet.identifier}.length],`;
+    }).join('\n')}\n  };`
+    : '';
+
+  const functions = threadGroups.map(({ name, exec, body }) => `// Thread group: ${name}
+export function ${exec}() {
+  let res;${rowExpression}
+
+${indentBlock(body, '  ')}
+}`).join('\n\n');
+
+  const report = context.report;
+  const reportComments = report.unsupported.length > 0
+    ? `\n// Not converted (see the migration report):\n${report.unsupported.map(item => `//   - ${item.element}${item.name ? ` "${item.name}"` : ''}: ${item.reason}`).join('\n')}\n`
+    : '';
+
+  return `// Generated K6 test from JMeter test plan
+// Generated at: ${timestamp}
+// Source: ${jmxFile}
+// Test plan: ${(plan.attrs.testname || 'Test Plan').replace(/\n/g, ' ')}
+// Converted: ${report.converted.threadGroups} thread group(s), ${report.converted.samplers} sampler(s)
+${reportComments}
+import http from 'k6/http';
+import { check, sleep, group } from 'k6';${context.csvDataSets.length > 0 ? `
+import exec from 'k6/execution';
+import { SharedArray } from 'k6/data';` : ''}
+
+export const options = {
+  scenarios: ${scenarios},
+  thresholds: ${renderThresholds(thresholds)},
+};
+
+// User Defined Variables (override with -e NAME=value)
+const vars = ${toObjectCode(variableEntries)};
+
+const BASE_URL = __ENV.BASE_URL || ${baseUrl};
+${dataSets ? `\n${dataSets}\n` : ''}
+${functions}`;
+}
@@ -3,37 +3,441 @@
  * Converts OpenAPI/Swagger specifications to K6 test scripts
  */
 
+import fs from 'fs/promises';
+import yaml from 'js-yaml';
+import { toLiteral, quote, escapeTemplate } from '../utils/codegen.js';
+import { getDefaultThresholds, renderThresholds } from '../utils/thresholds.js';
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Nested schemas deeper than this are cut off to keep request bodies readable
+const MAX_SCHEMA_DEPTH = 5;
+
 export async function generateOpenApiScript(options = {}) {
   const {
     specFile,
     vus = 10,
     duration = '5m',
+    thinkTime = 1,
+    assertions = true,
+    thresholds = getDefaultThresholds('openapi', { assertions }),
     timestamp = new Date().toISOString()
   } = options;
 
-  // TODO: Implement OpenAPI parsing and conversion
-  // This is a placeholder for future implementation
-  
+  if (!specFile) {
+    throw new Error('An OpenAPI/Swagger spec file path is required as input for source "openapi"');
+  }
+
+  const spec = await loadSpec(specFile);
+  const isSwagger2 = typeof spec.swagger === 'string' && spec.swagger.startsWith('2');
+  const resolve = createRefResolver(spec);
+  const baseUrl = getBaseUrl(spec, isSwagger2);
+  const operations = collectOperations(spec, resolve, isSwagger2);
+
+  if (operations.length === 0) {
+    throw new Error(`No operations found in ${specFile}`);
+  }
+
+  const groups = new Map();
+  for (const operation of operations) {
+    if (!groups.has(operation.tag)) {
+      groups.set(operation.tag, []);
+    }
+    groups.get(operation.tag).push(operation);
+  }
+
+  const body = [...groups.entries()]
+    .map(([tag, tagOperations]) => renderGroup(tag, tagOperations, assertions))
+    .join('\n\n  sleep(THINK_TIME);\n\n');
+
   return `// Generated K6 test from OpenAPI specification
 // Generated at: ${timestamp}
 // Source: ${specFile}
-// Note: OpenAPI conversion not yet implemented
+// API: ${(spec.info?.title || 'Untitled API').replace(/\n/g, ' ')} ${spec.info?.version || ''}
+// Operations: ${operations.length} in ${groups.size} group(s)
 
 import http from 'k6/http';
-import { check, sleep } from 'k6';
+import { check, sleep, group } from 'k6';
 
 export const options = {
   vus: ${vus},
   duration: '${duration}',
-  thresholds: {
-    http_req_duration: ['p(95)<1000'],
-    http_req_failed: ['rate<0.1'],
-  },
+  thresholds: ${renderThresholds(thresholds)},
 };
 
+const BASE_URL = __ENV.BASE_URL || ${quote(baseUrl)};
+const THINK_TIME = __ENV.THINK_TIME || ${thinkTime};
+
 export default function () {
-  // TODO: Add converted OpenAPI endpoints here
-  console.log('OpenAPI conversion not yet implemented');
-  sleep(1);
+${body}
+
+  sleep(THINK_TIME);
 }`;
-}
\ No newline at end of file
+}
+
+/**
+ * Load a spec file as YAML or JSON (YAML is a superset of JSON)
+ */
+async function loadSpec(specFile) {
+  const content = await fs.readFile(specFile, 'utf-8');
+
+  let spec;
+  try {
+    spec = yaml.load(content);
+  } catch (error) {
+    throw new Error(`Spec file ${specFile} is not valid YAML or JSON: ${error.message}`);
+  }
+
+  if (!spec || typeof spec !== 'object' || !spec.paths) {
+    throw new Error(`Spec file ${specFile} has no paths object`);
+  }
+  if (!spec.openapi && !spec.swagger) {
+    throw new Error(`Spec file ${specFile} is missing the "openapi" or "swagger" version field`);
+  }
+
+  return spec;
+}
+
+/**
+ * Create a resolver for local JSON references ("#/components/schemas/Pet")
+ */
+function createRefResolver(spec) {
+  return function resolve(node, seen = new Set()) {
+    if (!node || typeof node !== 'object' || typeof node.$ref !== 'string') {
+      return node;
+    }
+
+    const ref = node.$ref;
+    if (!ref.startsWith('#/')) {
+      throw new Error(`Only local $refs are supported, found: ${ref}`);
+    }
+    if (seen.has(ref)) {
+      return {};
+    }
+
+    const target = ref
+      .slice(2)
+      .split('/')
+      .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((current, part) => current?.[part], spec);
+
+    if (target === undefined) {
+      throw new Error(`Unresolved $ref: ${ref}`);
+    }
+
+    return resolve(target, new Set([...seen, ref]));
+  };
+}
+
+/**
+ * Work out the base URL from servers (OpenAPI 3) or host/basePath (Swagger 2)
+ */
+function getBaseUrl(spec, isSwagger2) {
+  if (isSwagger2) {
+    const scheme = spec.schemes?.[0] || 'https';
+    const host = spec.host || 'localhost:3000';
+    return `${scheme}://${host}${spec.basePath && spec.basePath !== '/' ? spec.basePath : ''}`;
+  }
+
+  const server = spec.servers?.[0];
+  if (!server?.url) {
+    return 'http://localhost:3000';
+  }
+
+  // Fill server variables with their defaults
+  const url = server.url.replace(/\{([^}]+)\}/g, (match, name) => server.variables?.[name]?.default ?? match);
+  return url.startsWith('/') ? `http://localhost:3000${url.replace(/\/$/, '')}` : url.replace(/\/$/, '');
+}
+
+/**
+ * Flatten paths into a list of operations with resolved parameters and bodies
+ */
+function collectOperations(spec, resolve, isSwagger2) {
+  const operations = [];
+
+  for (const [path, rawPathItem] of Object.entries(spec.paths)) {
+    const pathItem = resolve(rawPathItem);
+    const sharedParameters = (pathItem.parameters || []).map(p => resolve(p));
+
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (!operation) {
+        continue;
+      }
+
+      // Operation-level parameters override path-level ones with the same name and location
+      const parameters = new Map();
+      for (const parameter of [...sharedParameters, ...(operation.parameters || []).map(p => resolve(p))]) {
+        parameters.set(`${parameter.in}:${parameter.name}`, parameter);
+      }
+
+      const resolvedParameters = [...parameters.values()].map(parameter => ({
+        ...parameter,
+        value: sampleParameter(parameter, resolve)
+      }));
+
+      operations.push({
+        method: method.toUpperCase(),
+        path,
+        name: operation.operationId || `${method.toUpperCase()} ${path}`,
+        tag: operation.tags?.[0] || 'default',
+        parameters: resolvedParameters,
+        body: buildRequestBody(operation, resolvedParameters, resolve, isSwagger2),
+        statuses: getExpectedStatuses(operation.responses || {})
+      });
+    }
+  }
+
+  return operations;
+}
+
+/**
+ * Build a sample request body and its content type
+ */
+function buildRequestBody(operation, parameters, resolve, isSwagger2) {
+  if (isSwagger2) {
+    const bodyParameter = parameters.find(p => p.in === 'body');
+    if (bodyParameter) {
+      return { contentType: 'application/json', value: sampleSchema(bodyParameter.schema, resolve) };
+    }
+
+    const formParameters = parameters.filter(p => p.in === 'formData');
+    if (formParameters.length > 0) {
+      const fields = {};
+      for (const parameter of formParameters) {
+        fields[parameter.name] = String(parameter.value ?? '');
+      }
+      return { contentType: 'application/x-www-form-urlencoded', value: fields };
+    }
+    return null;
+  }
+
+  const requestBody = resolve(operation.requestBody);
+  if (!requestBody?.content) {
+    return null;
+  }
+
+  const contentType = Object.keys(requestBody.content).find(type => /json/i.test(type))
+    || Object.keys(requestBody.content).find(type => type === 'application/x-www-form-urlencoded');
+  if (!contentType) {
+    return null;
+  }
+
+  const media = requestBody.content[contentType];
+  const value = media.example !== undefined
+    ? media.example
+    : firstExample(media.examples, resolve) ?? sampleSchema(media.schema, resolve);
+
+  return { contentType, value };
+}
+
+/**
+ * Collect declared response codes and ranges such as "2XX"
+ */
+function getExpectedStatuses(responses) {
+  const codes = [];
+  const ranges = [];
+  for (const code of Object.keys(responses)) {
+    if (/^\d{3}$/.test(code)) {
+      codes.push(Number(code));
+    } else if (/^[1-5]XX$/i.test(code)) {
+      ranges.push(Number(code[0]) * 100);
+    }
+  }
+  return { codes, ranges };
+}
+
+/**
+ * Pick a value for a parameter from example, default or its schema
+ */
+function sampleParameter(parameter, resolve) {
+  if (parameter.example !== undefined) {
+    return parameter.example;
+  }
+
+  const fromExamples = firstExample(parameter.examples, resolve);
+  if (fromExamples !== undefined) {
+    return fromExamples;
+  }
+
+  // Swagger 2 puts type/default/enum on the parameter itself
+  return sampleSchema(parameter.schema || parameter, resolve);
+}
+
+/**
+ * Return the value of the first entry in an OpenAPI 3 "examples" map
+ */
+function firstExample(examples, resolve) {
+  if (!examples || typeof examples !== 'object') {
+    return undefined;
+  }
+  const first = Object.values(examples)[0];
+  return first ? resolve(first).value : undefined;
+}
+
+/**
+ * Derive a sample value from a JSON schema
+ */
+function sampleSchema(rawSchema, resolve, depth = 0, refs = new Set()) {
+  const schema = resolve(rawSchema);
+  if (rawSchema?.$ref) {
+    refs = new Set([...refs, rawSchema.$ref]);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return null;
+  }
+
+  if (schema.example !== undefined) {
+    return schema.example;
+  }
+  if (schema.default !== undefined) {
+    return schema.default;
+  }
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    return schema.enum[0];
+  }
+  if (depth >= MAX_SCHEMA_DEPTH) {
+    return null;
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    return schema.allOf.reduce((merged, part) => {
+      const value = sampleSchema(part, resolve, depth + 1, refs);
+      return value && typeof value === 'object' && !Array.isArray(value) ? { ...merged, ...value } : merged;
+    }, {});
+  }
+  if (Array.isArray(schema.oneOf) || Array.isArray(schema.anyOf)) {
+    return sampleSchema((schema.oneOf || schema.anyOf)[0], resolve, depth + 1, refs);
+  }
+
+  const type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type;
+
+  switch (type || (schema.properties ? 'object' : schema.items ? 'array' : undefined)) {
+    case 'object': {
+      const value = {};
+      for (const [name, property] of Object.entries(schema.properties || {})) {
+        // Skip read-only fields and self-references such as Pet.parent -> Pet
+        if (resolve(property)?.readOnly || refs.has(property?.$ref)) {
+          continue;
+        }
+        value[name] = sampleSchema(property, resolve, depth + 1, refs);
+      }
+      return value;
+    }
+    case 'array':
+      return refs.has(schema.items?.$ref) ? [] : [sampleSchema(schema.items, resolve, depth + 1, refs)];
+    case 'integer':
+      return schema.minimum !== undefined ? Math.ceil(schema.minimum) : 1;
+    case 'number':
+      return schema.minimum !== undefined ? schema.minimum : 1.5;
+    case 'boolean':
+      return true;
+    case 'string':
+      return sampleString(schema);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Produce a string matching common formats
+ */
+function sampleString(schema) {
+  switch (schema.format) {
+    case 'date':
+      return '2024-01-01';
+    case 'date-time':
+      return '2024-01-01T00:00:00Z';
+    case 'email':
+      return 'user@example.com';
+    case 'uuid':
+      return '00000000-0000-4000-8000-000000000000';
+    case 'uri':
+    case 'url':
+      return 'https://example.com';
+    case 'byte':
+      return 'c3RyaW5n';
+    default:
+      return schema.minLength > 6 ? 'x'.repeat(schema.minLength) : 'string';
+  }
+}
+
+/**
+ * Render all operations sharing a tag as one K6 group
+ */
+function renderGroup(tag, operations, assertions) {
+  const requests = operations.map(operation => renderOperation(operation, assertions));
+  return `  group(${quote(tag)}, function () {
+    let res;
+
+${requests.join('\n\n')}
+  });`;
+}
+
+/**
+ * Render one operation as a K6 request with an optional status check
+ */
+function renderOperation(operation, assertions) {
+  const { method, parameters, body, statuses, name } = operation;
+
+  const pathValue = operation.path.replace(/\{([^}]+)\}/g, (match, paramName) => {
+    const parameter = parameters.find(p => p.in === 'path' && p.name === paramName);
+    return encodeURIComponent(String(parameter?.value ?? 1));
+  });
+
+  const query = new URLSearchParams();
+  for (const parameter of parameters.filter(p => p.in === 'query')) {
+    const { value } = parameter;
+    if (value === null || value === undefined) {
+      continue;
+    }
+    if (Array.isArray(value)) {
+      value.forEach(item => query.append(parameter.name, String(item)));
+    } else {
+      query.set(parameter.name, typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
+  }
+  const queryString = query.toString();
+
+  const headers = {};
+  for (const parameter of parameters.filter(p => p.in === 'header')) {
+    const { value } = parameter;
+    if (value !== null && value !== undefined) {
+      headers[parameter.name] = String(value);
+    }
+  }
+
+  let payload = 'null';
+  if (body) {
+    headers['Content-Type'] = body.contentType;
+    payload = /json/i.test(body.contentType)
+      ? `JSON.stringify(${toLiteral(body.value, '    ')})`
+      : toLiteral(body.value, '    ');
+  }
+
+  const url = `\`\${BASE_URL}${escapeTemplate(pathValue)}${queryString ? `?${escapeTemplate(queryString)}` : ''}\``;
+  const params = { headers, tags: { name } };
+
+  // Only declared redirects are expected, so check them rather than following them
+  if (statuses.codes.some(code => code >= 300 && code < 400) && !statuses.codes.some(code => code < 300)) {
+    params.redirects = 0;
+  }
+
+  const lines = [
+    `    // ${method} ${operation.path}`,
+    `    res = http.request(${quote(method)}, ${url}, ${payload}, ${toLiteral(params, '    ')});`
+  ];
+
+  if (assertions && (statuses.codes.length > 0 || statuses.ranges.length > 0)) {
+    const conditions = [
+      ...(statuses.codes.length > 0 ? [`${JSON.stringify(statuses.codes)}.includes(r.status)`] : []),
+      ...statuses.ranges.map(base => `(r.status >= ${base} && r.status < ${base + 100})`)
+    ];
+    lines.push(`    check(res, {
+      ${quote(`${name} returns a declared status`)}: (r) => ${conditions.join(' || ')},
+    });`);
+  }
+
+  return lines.join('\n');
+}
+
@@ -0,0 +1,466 @@
+/**
+ * Postman collection to K6 script generator
+ * Converts Postman v2.1 collections (and optional environments) to K6 test scripts
+ */
+
+import fs from 'fs/promises';
+import { quote, escapeTemplate, toObjectCode, indentBlock } from '../utils/codegen.js';
+import { getDefaultThresholds, renderThresholds } from '../utils/thresholds.js';
+
+const VARIABLE_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const HAS_VARIABLE = /\{\{[^{}]+\}\}/;
+
+// Postman dynamic variables that have a direct K6 equivalent
+const DYNAMIC_VARIABLES = {
+  $timestamp: 'Math.floor(Date.now() / 1000)',
+  $isoTimestamp: 'new Date().toISOString()',
+  $randomInt: 'Math.floor(Math.random() * 1001)'
+};
+
+// Status assertions that map onto a K6 check
+const STATUS_ASSERTIONS = [
+  /pm\.response\.to\.have\.status\(\s*(\d{3})\s*\)/,
+  /pm\.response\.to\.be\.ok/,
+  /pm\.expect\(\s*pm\.response\.code\s*\)\.to\.(?:eql|equal|eq)\(\s*(\d{3})\s*\)/,
+  /pm\.expect\(\s*pm\.response\.responseTime\s*\)\.to\.be\.(?:below|lessThan)\(\s*(\d+)\s*\)/
+];
+
+export async function generatePostmanScript(options = {}) {
+  const {
+    collectionFile,
+    environmentFile,
+    vus = 10,
+    duration = '5m',
+    thinkTime = 1,
+    assertions = true,
+    thresholds = getDefaultThresholds('postman', { assertions }),
+    timestamp = new Date().toISOString()
+  } = options;
+
+  if (!collectionFile) {
+    throw new Error('A Postman collection file path is required as input for source "postman"');
+  }
+
+  const collection = await readJsonFile(collectionFile, 'Postman collection');
+  if (!collection.info || !Array.isArray(collection.item)) {
+    throw new Error(`${collectionFile} is not a Postman v2.1 collection (missing info or item)`);
+  }
+
+  const environment = environmentFile ? await readJsonFile(environmentFile, 'Postman environment') : null;
+  const context = {
+    assertions,
+    warnings: [],
+    variables: collectVariables(collection, environment),
+    usedVariables: new Set(),
+    usesBasicAuth: false,
+    requestCount: 0
+  };
+
+  if (collection.event) {
+    warnScripts(collection.event, 'collection', context);
+  }
+
+  const body = renderItems(collection.item, collection.auth, context);
+
+  if (context.requestCount === 0) {
+    throw new Error(`No requests found in ${collectionFile}`);
+  }
+
+  for (const name of context.usedVariables) {
+    if (!context.variables.has(name)) {
+      context.warnings.push(`Variable {{${name}}} is not defined in the collection or environment; set it with __ENV.${name}`);
+    }
+  }
+
+  const variableEntries = [...context.usedVariables].map(name => {
+    const variable = context.variables.get(name);
+    const fallback = variable && !variable.secret ? variable.value : '';
+    return [name, `__ENV[${quote(name)}] || ${quote(fallback)}`];
+  });
+
+  context.warnings = [...new Set(context.warnings)];
+
+  const warningComments = context.warnings.length > 0
+    ? `\n// Warnings:\n${context.warnings.map(w => `//   - ${w}`).join('\n')}\n`
+    : '';
+
+  const script = `// Generated K6 test from Postman collection
+// Generated at: ${timestamp}
+// Source: ${collectionFile}${environmentFile ? `\n// Environment: ${environmentFile}` : ''}
+// Collection: ${collection.info.name.replace(/\n/g, ' ')}
+// Requests: ${context.requestCount}
+${warningComments}
+import http from 'k6/http';
+import { check, sleep, group } from 'k6';${context.usesBasicAuth ? `
+import encoding from 'k6/encoding';` : ''}
+
+export const options = {
+  vus: ${vus},
+  duration: '${duration}',
+  thresholds: ${renderThresholds(thresholds)},
+};
+
+// Collection and environment variables (override with -e NAME=value)
+const vars = ${toObjectCode(variableEntries)};
+
+const THINK_TIME = __ENV.THINK_TIME || ${thinkTime};
+
+export default function () {
+${indentBlock(body, '  ')}
+
+  sleep(THINK_TIME);
+}`;
+
+  return { script, warnings: context.warnings };
+}
+
+/**
+ * Read and parse a JSON file
+ */
+async function readJsonFile(file, label) {
+  const content = await fs.readFile(file, 'utf-8');
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`${label} ${file} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Merge collection variables with environment values (environment wins)
+ */
+function collectVariables(collection, environment) {
+  const variables = new Map();
+
+  for (const variable of collection.variable || []) {
+    if (variable.key && variable.disabled !== true) {
+      variables.set(variable.key, { value: String(variable.value ?? ''), secret: false });
+    }
+  }
+
+  for (const value of environment?.values || []) {
+    if (value.key && value.enabled !== false) {
+      // Secret environment values are only ever read from __ENV
+      variables.set(value.key, { value: String(value.value ?? ''), secret: value.type === 'secret' });
+    }
+  }
+
+  return variables;
+}
+
+/**
+ * Render a list of items; folders become nested groups
+ */
+function renderItems(items, inheritedAuth, context) {
+  const blocks = [];
+  let declaredRes = false;
+
+  for (const item of items) {
+    if (Array.isArray(item.item)) {
+      if (item.event) {
+        warnScripts(item.event, `folder "${item.name}"`, context);
+      }
+      const folderBody = renderItems(item.item, item.auth || inheritedAuth, context);
+      blocks.push(`group(${quote(item.name)}, function () {
+${indentBlock(folderBody, '  ')}
+});`);
+      continue;
+    }
+
+    if (!item.request) {
+      continue;
+    }
+
+    if (!declaredRes) {
+      blocks.unshift('let res;');
+      declaredRes = true;
+    }
+    blocks.push(renderRequest(item, inheritedAuth, context));
+    context.requestCount++;
+  }
+
+  return blocks.join('\n\n');
+}
+
+/**
+ * Render one Postman request with its auth, body and translated tests
+ */
+function renderRequest(item, inheritedAuth, context) {
+  const request = typeof item.request === 'string' ? { method: 'GET', url: item.request } : item.request;
+  const method = (request.method || 'GET').toUpperCase();
+  const headers = [];
+  const query = [];
+
+  for (const header of request.header || []) {
+    if (!header.disabled) {
+      headers.push([header.key, renderTemplate(header.value ?? '', context)]);
+    }
+  }
+
+  applyAuth(request.auth || inheritedAuth, item.name, headers, query, context);
+
+  const body = renderBody(request.body, item.name, headers, context);
+  const url = renderUrl(request.url, query, context);
+  const params = `{
+  headers: ${toObjectCode(headers, '  ')},
+  tags: { name: ${quote(item.name)} },
+}`;
+
+  const lines = [
+    `// ${item.name}`,
+    `res = http.request(${quote(method)}, ${url}, ${body}, ${params});`
+  ];
+
+  const checks = translateTests(item, context);
+  if (context.assertions && checks.length > 0) {
+    lines.push(`check(res, {
+${checks.map(([name, condition]) => `  ${quote(name)}: (r) => ${condition},`).join('\n')}
+});`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Turn a Postman template string into a JavaScript expression
+ */
+function renderTemplate(text, context) {
+  const value = String(text);
+  if (!HAS_VARIABLE.test(value)) {
+    return quote(value);
+  }
+
+  // A value that is exactly one variable needs no template literal
+  const single = value.match(/^\{\{\s*([^{}$][^{}]*?)\s*\}\}$/);
+  if (single) {
+    context.usedVariables.add(single[1]);
+    return `vars[${quote(single[1])}]`;
+  }
+
+  const rendered = escapeTemplate(value).replace(VARIABLE_PATTERN, (match, name) => {
+    if (name.startsWith('$')) {
+      if (DYNAMIC_VARIABLES[name]) {
+        return `\${${DYNAMIC_VARIABLES[name]}}`;
+      }
+      context.warnings.push(`Dynamic variable {{${name}}} has no K6 equivalent and was replaced with an empty string`);
+      return '';
+    }
+    context.usedVariables.add(name);
+    return `\${vars[${quote(name)}]}`;
+  });
+
+  return `\`${rendered}\``;
+}
+
+/**
+ * Build the request URL, appending query parameters added by auth
+ */
+function renderUrl(url, extraQuery, context) {
+  let raw = typeof url === 'string' ? url : url?.raw;
+
+  if (!raw && url) {
+    const host = Array.isArray(url.host) ? url.host.join('.') : url.host || '';
+    const path = Array.isArray(url.path) ? url.path.join('/') : url.path || '';
+    const queryString = (url.query || [])
+      .filter(q => !q.disabled)
+      .map(q => `${q.key}=${q.value ?? ''}`)
+      .join('&');
+    raw = `${url.protocol ? `${url.protocol}://` : ''}${host}${path ? `/${path}` : ''}${queryString ? `?${queryString}` : ''}`;
+  }
+
+  if (!raw) {
+    throw new Error('Request is missing a URL');
+  }
+
+  const expression = renderTemplate(raw, context);
+  if (extraQuery.length === 0) {
+    return expression;
+  }
+
+  const separator = raw.includes('?') ? '&' : '?';
+  const suffix = extraQuery
+    .map(([key, value]) => `${encodeURIComponent(key)}=\${encodeURIComponent(${value})}`)
+    .join('&');
+  // A literal URL is copied in; a single-variable URL is interpolated like any other expression
+  const base = expression.startsWith('`') ? expression.slice(1, -1) :
+    HAS_VARIABLE.test(raw) ? `\${${expression}}` : escapeTemplate(raw);
+  return `\`${base}${separator}${suffix}\``;
+}
+
+/**
+ * Map a Postman auth block to request headers or query parameters
+ */
+function applyAuth(auth, requestName, headers, query, context) {
+  if (!auth || auth.type === 'noauth') {
+    return;
+  }
+
+  const settings = {};
+  for (const entry of auth[auth.type] || []) {
+    settings[entry.key] = entry.value;
+  }
+
+  switch (auth.type) {
+    case 'bearer':
+      headers.push(['Authorization', `\`Bearer \${${renderTemplate(settings.token ?? '', context)}}\``]);
+      break;
+
+    case 'basic':
+      context.usesBasicAuth = true;
+      headers.push(['Authorization', `\`Basic \${encoding.b64encode(\`\${${renderTemplate(settings.username ?? '', context)}}:\${${renderTemplate(settings.password ?? '', context)}}\`)}\``]);
+      break;
+
+    case 'apikey': {
+      const target = settings.in === 'query' ? query : headers;
+      target.push([settings.key || 'X-API-Key', renderTemplate(settings.value ?? '', context)]);
+      break;
+    }
+
+    default:
+      context.warnings.push(`Auth type "${auth.type}" on "${requestName}" is not supported; add credentials manually`);
+  }
+}
+
+/**
+ * Render the request body for raw, urlencoded, formdata and graphql modes
+ */
+function renderBody(body, requestName, headers, context) {
+  if (!body || !body.mode || body.disabled) {
+    return 'null';
+  }
+
+  const hasHeader = (name) => headers.some(([key]) => key.toLowerCase() === name.toLowerCase());
+
+  switch (body.mode) {
+    case 'raw': {
+      if (body.options?.raw?.language === 'json' && !hasHeader('Content-Type')) {
+        headers.push(['Content-Type', quote('application/json')]);
+      }
+      return renderTemplate(body.raw ?? '', context);
+    }
+
+    case 'urlencoded': {
+      const fields = (body.urlencoded || [])
+        .filter(field => !field.disabled)
+        .map(field => [field.key, renderTemplate(field.value ?? '', context)]);
+      return toObjectCode(fields, '');
+    }
+
+    case 'formdata': {
+      const fields = [];
+      for (const field of body.formdata || []) {
+        if (field.disabled) {
+          continue;
+        }
+        if (field.type === 'file') {
+          context.warnings.push(`File upload field "${field.key}" on "${requestName}" was skipped; use open() and http.file() to attach it`);
+          continue;
+        }
+        fields.push([field.key, renderTemplate(field.value ?? '', context)]);
+      }
+      return toObjectCode(fields, '');
+    }
+
+    case 'graphql': {
+      if (!hasHeader('Content-Type')) {
+        headers.push(['Content-Type', quote('application/json')]);
+      }
+      const variables = body.graphql?.variables ? renderTemplate(body.graphql.variables, context) : 'null';
+      return `JSON.stringify({ query: ${renderTemplate(body.graphql?.query ?? '', context)}, variables: ${variables === 'null' ? 'null' : `JSON.parse(${variables})`} })`;
+    }
+
+    default:
+      context.warnings.push(`Body mode "${body.mode}" on "${requestName}" is not supported and was left empty`);
+      return 'null';
+  }
+}
+
+/**
+ * Translate simple pm.test status assertions into K6 checks
+ */
+function translateTests(item, context) {
+  const checks = [];
+
+  for (const event of item.event || []) {
+    const source = scriptSource(event);
+    if (!source.trim()) {
+      continue;
+    }
+
+    if (event.listen !== 'test') {
+      context.warnings.push(`${event.listen} script on "${item.name}" was not translated`);
+      continue;
+    }
+
+    let remaining = source;
+    const testPattern = /pm\.test\(\s*(['"`])(.*?)\1\s*,\s*(?:function\s*\(\s*\)|\(\s*\)\s*=>)\s*\{([\s\S]*?)\}\s*\)\s*;?/g;
+
+    for (const [block, , name, testBody] of source.matchAll(testPattern)) {
+      const condition = translateAssertion(testBody);
+      if (condition) {
+        checks.push([name, condition]);
+        remaining = remaining.replace(block, '');
+      } else {
+        context.warnings.push(`Test "${name}" on "${item.name}" was not translated`);
+        remaining = remaining.replace(block, '');
+      }
+    }
+
+    const leftover = remaining.replace(/\/\/.*$/gm, '').replace(/\/\*[\s\S]*?\*\//g, '').trim();
+    if (leftover) {
+      context.warnings.push(`Test script code outside pm.test on "${item.name}" was not translated`);
+    }
+  }
+
+  return checks;
+}
+
+/**
+ * Map a single pm.test body onto a K6 check condition
+ */
+function translateAssertion(testBody) {
+  const statements = testBody
+    .split(/;|\n/)
+    .map(statement => statement.replace(/\/\/.*$/, '').trim())
+    .filter(Boolean);
+
+  if (statements.length !== 1) {
+    return null;
+  }
+
+  const [statement] = statements;
+  const [status, ok, code, responseTime] = STATUS_ASSERTIONS.map(pattern => statement.match(pattern));
+
+  if (status) {
+    return `r.status === ${status[1]}`;
+  }
+  if (ok) {
+    return 'r.status >= 200 && r.status < 300';
+  }
+  if (code) {
+    return `r.status === ${code[1]}`;
+  }
+  if (responseTime) {
+    return `r.timings.duration < ${responseTime[1]}`;
+  }
+  return null;
+}
+
+/**
+ * Warn about collection or folder level scripts that are not translated
+ */
+function warnScripts(events, location, context) {
+  for (const event of events) {
+    if (scriptSource(event).trim()) {
+      context.warnings.push(`${event.listen} script on ${location} was not translated`);
+    }
+  }
+}
+
+/**
+ * Join a Postman event script into a single source string
+ */
+function scriptSource(event) {
+  const exec = event.script?.exec;
+  return Array.isArray(exec) ? exec.join('\n') : exec || '';
+}
@@ -0,0 +1,262 @@
+/**
+ * Realtime K6 test script generator
+ * Generates WebSocket (k6/ws) and Server-Sent Events (xk6-sse) session scripts
+ */
+
+import { quote, parseDuration } from '../utils/codegen.js';
+import { getDefaultThresholds, renderThresholds } from '../utils/thresholds.js';
+
+/**
+ * Generate a WebSocket script: connect, subscribe, send at a fixed rate and check the replies
+ */
+export function generateWebSocketScript(options = {}) {
+  const {
+    url = 'ws://localhost:3000/ws',
+    vus = 10,
+    duration = '5m',
+    sessionDuration = '30s',
+    messageRate = 1,
+    subscribe,
+    message = { type: 'ping' },
+    expect,
+    assertions = true,
+    thresholds = getDefaultThresholds('websocket', { assertions }),
+    timestamp = new Date().toISOString()
+  } = options;
+
+  const settings = resolveSession(url, ['ws:', 'wss:'], sessionDuration, messageRate);
+
+  return `// Generated K6 WebSocket test script
+// Generated at: ${timestamp}
+// Target: ${url}
+// Configuration: ${vus} VUs, ${duration} duration, ${sessionDuration} sessions, ${messageRate} message(s)/s per VU
+
+import ws from 'k6/ws';
+import { check, sleep } from 'k6';
+import { Trend, Counter } from 'k6/metrics';
+
+// Custom metrics for the realtime session
+const connectTime = new Trend('ws_connect_time', true);
+const messageRtt = new Trend('ws_message_rtt', true);
+const messagesSent = new Counter('ws_messages_sent');
+const messagesReceived = new Counter('ws_messages_received');
+
+export const options = {
+  vus: ${vus},
+  duration: '${duration}',
+  thresholds: ${renderThresholds(thresholds)},
+};
+
+const WS_URL = __ENV.WS_URL || ${quote(url)};
+const SUBSCRIBE_MESSAGE = ${subscribe !== undefined ? quote(toMessage(subscribe)) : 'null'}; // Sent once after connecting
+${renderSessionConstants(settings, { message, expect })}
+
+export default function () {
+  const startedAt = Date.now();
+  const pending = []; // Send times of messages still waiting for a reply
+  let expectedCount = 0;
+
+  const res = ws.connect(WS_URL, {}, function (socket) {
+    socket.on('open', function () {
+      connectTime.add(Date.now() - startedAt);
+
+      if (SUBSCRIBE_MESSAGE !== null) {
+        socket.send(SUBSCRIBE_MESSAGE);
+      }
+
+      socket.setInterval(function () {
+        pending.push(Date.now());
+        socket.send(MESSAGE);
+        messagesSent.add(1);
+      }, 1000 / MESSAGE_RATE);
+
+      socket.setTimeout(function () {
+        socket.close();
+      }, SESSION_DURATION_MS);
+    });
+
+    socket.on('message', function (data) {
+      messagesReceived.add(1);
+      if (!isExpected(data)) {
+        return;
+      }
+      expectedCount++;
+      // Replies are matched to sends in order
+      if (pending.length > 0) {
+        messageRtt.add(Date.now() - pending.shift());
+      }
+    });
+
+    socket.on('error', function (e) {
+      console.error(\`WebSocket error: \${e.error()}\`);
+    });
+  });
+${assertions ? `
+  check(res, {
+    'WebSocket handshake status is 101': (r) => r && r.status === 101,
+  });
+  check(expectedCount, {
+    'received expected messages': (count) => count > 0,
+  });
+` : ''}
+  // Pause before the next session
+  sleep(1);
+}`;
+}
+
+/**
+ * Generate an SSE script: open the stream, optionally publish at a fixed rate and check the events
+ *
+ * k6 has no built-in SSE client, so the script needs a k6 binary built with xk6-sse.
+ */
+export function generateSseScript(options = {}) {
+  const {
+    url = 'http://localhost:3000/events',
+    vus = 10,
+    duration = '5m',
+    sessionDuration = '30s',
+    messageRate = 1,
+    publishUrl,
+    message = { type: 'ping' },
+    expect,
+    assertions = true,
+    thresholds = getDefaultThresholds('sse', { assertions }),
+    timestamp = new Date().toISOString()
+  } = options;
+
+  const settings = resolveSession(url, ['http:', 'https:'], sessionDuration, messageRate);
+  const publishes = Boolean(publishUrl);
+
+  return `// Generated K6 Server-Sent Events test script
+// Generated at: ${timestamp}
+// Target: ${url}
+// Configuration: ${vus} VUs, ${duration} duration, ${sessionDuration} sessions${publishes ? `, ${messageRate} message(s)/s per VU published to ${publishUrl}` : ''}
+// Requires a k6 binary built with the SSE extension: xk6 build --with github.com/phymbert/xk6-sse
+
+${publishes ? `import http from 'k6/http';
+` : ''}import sse from 'k6/x/sse';
+import { check, sleep } from 'k6';
+import { Trend, Counter } from 'k6/metrics';
+
+// Custom metrics for the realtime session
+const connectTime = new Trend('sse_connect_time', true);
+const messageRtt = new Trend('sse_message_rtt', true);
+const messagesSent = new Counter('sse_messages_sent');
+const messagesReceived = new Counter('sse_messages_received');
+
+export const options = {
+  vus: ${vus},
+  duration: '${duration}',
+  thresholds: ${renderThresholds(thresholds)},
+};
+
+const SSE_URL = __ENV.SSE_URL || ${quote(url)};${publishes ? `
+const PUBLISH_URL = __ENV.PUBLISH_URL || ${quote(new URL(publishUrl, url).href)};` : ''}
+${renderSessionConstants(settings, { message: publishes ? message : undefined, expect })}
+${publishes ? `
+// Publish one message; the reply is expected to come back on the event stream
+function publish(pending) {
+  pending.push(Date.now());
+  http.post(PUBLISH_URL, MESSAGE, {
+    headers: { 'Content-Type': 'application/json' },
+    tags: { name: 'publish' },
+  });
+  messagesSent.add(1);
+}
+` : ''}
+export default function () {
+  const startedAt = Date.now();
+  const pending = []; // Publish times of messages still waiting for their event
+  let expectedCount = 0;${publishes ? `
+  let lastPublish = 0;` : ''}
+
+  const res = sse.open(SSE_URL, { tags: { name: 'sse' } }, function (client) {
+    client.on('open', function () {
+      connectTime.add(Date.now() - startedAt);${publishes ? `
+      publish(pending);
+      lastPublish = Date.now();` : ''}
+    });
+
+    // The stream has no timers, so the session length and publish rate are checked on every event
+    client.on('event', function (event) {
+      messagesReceived.add(1);
+      if (isExpected(event.data)) {
+        expectedCount++;
+        if (pending.length > 0) {
+          messageRtt.add(Date.now() - pending.shift());
+        }
+      }
+
+      if (Date.now() - startedAt >= SESSION_DURATION_MS) {
+        client.close();
+        return;
+      }${publishes ? `
+      if (Date.now() - lastPublish >= 1000 / MESSAGE_RATE) {
+        publish(pending);
+        lastPublish = Date.now();
+      }` : ''}
+    });
+
+    client.on('error', function (e) {
+      console.error(\`SSE error: \${e.error()}\`);
+    });
+  });
+${assertions ? `
+  check(res, {
+    'SSE stream status is 200': (r) => r && r.status === 200,
+  });
+  check(expectedCount, {
+    'received expected events': (count) => count > 0,
+  });
+` : ''}
+  // Pause before the next session
+  sleep(1);
+}`;
+}
+
+/**
+ * Validate the URL scheme and session settings shared by both protocols
+ */
+function resolveSession(url, protocols, sessionDuration, messageRate) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+  if (!protocols.includes(parsed.protocol)) {
+    throw new Error(`URL must use ${protocols.map(protocol => protocol.replace(':', '')).join(' or ')}, got ${url}`);
+  }
+  if (typeof messageRate !== 'number' || !(messageRate > 0)) {
+    throw new Error(`messageRate must be a positive number of messages per second, got ${messageRate}`);
+  }
+  return { sessionMs: parseDuration(sessionDuration), messageRate };
+}
+
+/**
+ * Render the session, message and expectation constants
+ */
+function renderSessionConstants({ sessionMs, messageRate }, { message, expect }) {
+  const lines = [
+    `const SESSION_DURATION_MS = Number(__ENV.SESSION_DURATION_MS || ${sessionMs});`,
+    `const MESSAGE_RATE = Number(__ENV.MESSAGE_RATE || ${messageRate}); // Messages per second per VU`
+  ];
+  if (message !== undefined) {
+    lines.push(`const MESSAGE = ${quote(toMessage(message))};`);
+  }
+  lines.push(
+    `const EXPECTED = ${expect !== undefined ? quote(expect) : 'null'}; // Text a reply must contain; null accepts any message`,
+    '',
+    'function isExpected(data) {',
+    '  return EXPECTED === null || String(data).includes(EXPECTED);',
+    '}'
+  );
+  return lines.join('\n');
+}
+
+/**
+ * Messages given as objects are sent as JSON
+ */
+function toMessage(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
@@ -0,0 +1,253 @@
+/**
+ * User template K6 test script generator
+ * Renders team-maintained script templates with typed, schema-validated variables
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { toLiteral, parseDuration } from '../utils/codegen.js';
+import { renderThresholds } from '../utils/thresholds.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const VARIABLE_TYPES = ['string', 'number', 'integer', 'boolean', 'duration', 'array', 'object'];
+
+// {{ name }} inserts a JavaScript literal; {{ name | raw }} inserts the plain text
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*(?:\|\s*(raw)\s*)?\}\}/g;
+
+// Filled in by k6_generate itself rather than by the caller
+const RESERVED_VARIABLES = ['thresholds', 'timestamp'];
+
+/**
+ * Directory holding <name>.js templates and their <name>.schema.json files
+ */
+export function getTemplatesDir(templatesDir) {
+  // Same project root that generated scripts are saved under
+  const projectRoot = path.resolve(__dirname, '..', '..', '..', '..');
+  return path.resolve(templatesDir || process.env.K6_TEMPLATES_DIR || path.join(projectRoot, 'k6-templates'));
+}
+
+/**
+ * List the templates in a directory with their description and variables
+ */
+export async function listTemplates(templatesDir) {
+  const dir = getTemplatesDir(templatesDir);
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { dir, templates: [] };
+    }
+    throw error;
+  }
+
+  const templates = [];
+  for (const file of files.filter(name => name.endsWith('.js')).sort()) {
+    const name = file.slice(0, -'.js'.length);
+    try {
+      const schema = await readSchema(dir, name);
+      templates.push({
+        name,
+        description: schema.description,
+        variables: Object.entries(schema.variables).map(([variable, spec]) => ({
+          name: variable,
+          type: spec.type,
+          required: Boolean(spec.required) && spec.default === undefined,
+          default: spec.default,
+          enum: spec.enum,
+          description: spec.description
+        }))
+      });
+    } catch (error) {
+      templates.push({ name, error: error.message });
+    }
+  }
+  return { dir, templates };
+}
+
+export async function generateTemplateScript(options = {}) {
+  const {
+    name,
+    variables = {},
+    templatesDir,
+    thresholds,
+    sloGiven = false,
+    timestamp = new Date().toISOString()
+  } = options;
+
+  if (!name) {
+    throw new Error('A template name is required as input for source "template"');
+  }
+  if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+    throw new Error(`Invalid template name "${name}"; use letters, digits, "-" and "_"`);
+  }
+
+  const dir = getTemplatesDir(templatesDir);
+  let template;
+  try {
+    template = await fs.readFile(path.join(dir, `${name}.js`), 'utf-8');
+  } catch (error) {
+    throw new Error(`Template "${name}" not found in ${dir}; use k6_list with type "templates" to see the available ones`);
+  }
+  const schema = await readSchema(dir, name);
+
+  const values = {
+    ...resolveVariables(name, schema.variables, variables),
+    timestamp
+  };
+
+  const warnings = [];
+  const used = new Set();
+  const script = template.replace(PLACEHOLDER, (match, variable, raw) => {
+    if (variable === 'thresholds') {
+      used.add(variable);
+      return thresholds ? renderThresholds(thresholds) : '{}';
+    }
+    if (!(variable in values)) {
+      throw new Error(`Template "${name}" uses {{ ${variable} }}, which is not declared in ${name}.schema.json`);
+    }
+    used.add(variable);
+    const value = values[variable];
+    if (value === undefined) {
+      return raw ? '' : 'undefined';
+    }
+    return raw ? String(value) : toLiteral(value);
+  });
+
+  const unused = Object.keys(schema.variables).filter(variable => !used.has(variable));
+  if (unused.length > 0) {
+    warnings.push(`Template "${name}" declares variable(s) it never uses: ${unused.join(', ')}`);
+  }
+
+  if (sloGiven && !used.has('thresholds')) {
+    warnings.push(`options.slo was ignored: template "${name}" does not use {{ thresholds }}`);
+  }
+
+  return { script, warnings };
+}
+
+/**
+ * Read and check the schema file next to a template
+ */
+async function readSchema(dir, name) {
+  const schemaFile = path.join(dir, `${name}.schema.json`);
+  let schema;
+  try {
+    schema = JSON.parse(await fs.readFile(schemaFile, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Template "${name}" has no schema; add ${name}.schema.json next to it`);
+    }
+    throw new Error(`Schema ${schemaFile} is not valid JSON: ${error.message}`);
+  }
+
+  const variables = schema.variables || {};
+  for (const [variable, spec] of Object.entries(variables)) {
+    if (RESERVED_VARIABLES.includes(variable)) {
+      throw new Error(`${name}.schema.json declares "${variable}", which is filled in by k6_generate`);
+    }
+    if (!VARIABLE_TYPES.includes(spec.type)) {
+      throw new Error(`${name}.schema.json: variable "${variable}" has unknown type "${spec.type}". Use one of: ${VARIABLE_TYPES.join(', ')}`);
+    }
+  }
+  return { description: schema.description, variables };
+}
+
+/**
+ * Apply defaults and check every variable against its declared type and constraints
+ */
+function resolveVariables(name, specs, given) {
+  const unknown = Object.keys(given).filter(variable => !(variable in specs));
+  if (unknown.length > 0) {
+    throw new Error(`Template "${name}" has no variable(s) ${unknown.join(', ')}. Declared: ${Object.keys(specs).join(', ') || 'none'}`);
+  }
+
+  const values = {};
+  const errors = [];
+  for (const [variable, spec] of Object.entries(specs)) {
+    const value = given[variable] !== undefined ? given[variable] : spec.default;
+    if (value === undefined) {
+      if (spec.required) {
+        errors.push(`${variable} is required`);
+      }
+      values[variable] = undefined;
+      continue;
+    }
+    const problem = checkValue(value, spec);
+    if (problem) {
+      errors.push(`${variable} ${problem}`);
+    }
+    values[variable] = value;
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid variables for template "${name}": ${errors.join('; ')}`);
+  }
+  return values;
+}
+
+/**
+ * Describe why a value does not match its spec, or return undefined when it does
+ */
+function checkValue(value, spec) {
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        return 'must be a string';
+      }
+      if (spec.pattern && !new RegExp(spec.pattern).test(value)) {
+        return `must match ${spec.pattern}`;
+      }
+      break;
+
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+        return `must be ${spec.type === 'integer' ? 'an integer' : 'a number'}`;
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        return `must be at least ${spec.min}`;
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        return `must be at most ${spec.max}`;
+      }
+      break;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return 'must be true or false';
+      }
+      break;
+
+    case 'duration':
+      try {
+        parseDuration(value);
+      } catch (error) {
+        return 'must be a duration such as 30s or 5m';
+      }
+      break;
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        return 'must be an array';
+      }
+      if (spec.items && value.some(item => checkValue(item, { type: spec.items }))) {
+        return `must only contain ${spec.items} values`;
+      }
+      break;
+
+    case 'object':
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        return 'must be an object';
+      }
+      break;
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    return `must be one of: ${spec.enum.join(', ')}`;
+  }
+  return undefined;
+}
@@ -0,0 +1,263 @@
+/**
+ * Workload mix K6 test script generator
+ * Generates K6 scripts that run several weighted user journeys as separate scenarios
+ */
+
+import { toLiteral, quote, escapeTemplate, toObjectCode, toIdentifier } from '../utils/codegen.js';
+import { getDefaultThresholds, renderThresholds } from '../utils/thresholds.js';
+
+const EXECUTORS = [
+  'constant-vus',
+  'ramping-vus',
+  'per-vu-iterations',
+  'shared-iterations',
+  'constant-arrival-rate',
+  'ramping-arrival-rate'
+];
+
+export function generateWorkloadScript(options = {}) {
+  const {
+    baseUrl = 'http://localhost:3000',
+    vus = 10,
+    duration = '2m',
+    thinkTime = 1,
+    rate,
+    timeUnit = '1s',
+    journeys = [],
+    thresholds = getDefaultThresholds('workload'),
+    timestamp = new Date().toISOString()
+  } = options;
+
+  if (journeys.length === 0) {
+    throw new Error('At least one journey is required for a workload mix');
+  }
+
+  // Open model when a total rate is given, closed model otherwise
+  const defaultExecutor = rate ? 'constant-arrival-rate' : 'ramping-vus';
+  const shares = computeShares(journeys);
+  const identifiers = new Set(['http', 'check', 'sleep', 'group', 'options', 'handleSummary', 'randomThinkTime']);
+
+  const scenarios = journeys.map((journey, i) => {
+    const key = toIdentifier(journey.name, identifiers);
+    const executor = journey.executor || defaultExecutor;
+    const config = buildExecutorConfig(executor, {
+      vus: journey.vus ?? Math.max(1, Math.round(vus * shares[i])),
+      rate: journey.rate ?? Math.max(1, Math.round((rate || vus) * shares[i])),
+      timeUnit: journey.timeUnit || timeUnit,
+      duration: journey.duration || duration,
+      preAllocatedVUs: journey.preAllocatedVUs,
+      maxVUs: journey.maxVUs,
+      iterations: journey.iterations,
+      stages: journey.stages
+    });
+
+    return {
+      key,
+      journey,
+      share: shares[i],
+      config: {
+        ...config,
+        exec: key,
+        tags: { journey: journey.name, ...(journey.tags || {}) }
+      }
+    };
+  });
+
+  // Per-journey submetrics so the summary can break results down by scenario;
+  // always-passing expressions keep them from adding SLOs the caller did not ask for
+  const appliedThresholds = { ...thresholds };
+  for (const { key } of scenarios) {
+    appliedThresholds[`http_req_duration{scenario:${key}}`] ??= ['max>=0'];
+    appliedThresholds[`http_req_failed{scenario:${key}}`] ??= ['rate>=0'];
+    appliedThresholds[`iterations{scenario:${key}}`] ??= ['count>=0'];
+  }
+
+  const mix = scenarios
+    .map(({ journey, share, config }) => `${journey.name} ${Math.round(share * 100)}% (${config.executor})`)
+    .join(', ');
+
+  return `// Generated K6 workload mix test script
+// Generated at: ${timestamp}
+// Source: Basic template (workload mix)
+// Journeys: ${mix}
+// Configuration: ${rate ? `${rate} iterations per ${timeUnit}` : `${vus} VUs`} in total, ${duration} duration, ${thinkTime}s think time
+
+import http from 'k6/http';
+import { check, sleep, group } from 'k6';
+
+// Test configuration: one scenario per journey
+export const options = {
+  scenarios: ${toObjectCode(scenarios.map(({ key, config }) => [key, toLiteral(config, '    ')]), '  ')},
+  thresholds: ${renderThresholds(appliedThresholds)},
+};
+
+// Configuration
+const BASE_URL = __ENV.BASE_URL || ${quote(baseUrl)};
+const THINK_TIME = __ENV.THINK_TIME || ${thinkTime};
+
+// Helper function for random think time (±50% variation)
+function randomThinkTime(base = THINK_TIME) {
+  return Math.random() * base + base * 0.5;
+}
+
+${scenarios.map(({ key, journey }) => renderJourney(key, journey)).join('\n\n')}
+
+${generateWorkloadSummary(scenarios)}`;
+}
+
+/**
+ * Split the total load between journeys by weight; journeys with their own
+ * vus or rate and no weight take no share
+ */
+function computeShares(journeys) {
+  const weights = journeys.map(journey =>
+    journey.weight ?? (journey.vus !== undefined || journey.rate !== undefined ? 0 : 1)
+  );
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  return weights.map(weight => total > 0 ? weight / total : 0);
+}
+
+/**
+ * Build the executor-specific part of a scenario
+ */
+function buildExecutorConfig(executor, settings) {
+  const { vus, rate, timeUnit, duration, iterations, stages } = settings;
+  const preAllocatedVUs = settings.preAllocatedVUs ?? Math.max(1, rate);
+  const maxVUs = settings.maxVUs ?? preAllocatedVUs * 5;
+
+  switch (executor) {
+    case 'constant-vus':
+      return { executor, vus, duration };
+
+    case 'ramping-vus':
+      return {
+        executor,
+        startVUs: 0,
+        stages: stages || [
+          { duration: '30s', target: Math.max(1, Math.floor(vus / 2)) },
+          { duration: '30s', target: vus },
+          { duration, target: vus },
+          { duration: '30s', target: 0 }
+        ]
+      };
+
+    case 'per-vu-iterations':
+      return { executor, vus, iterations: iterations || 10, maxDuration: duration };
+
+    case 'shared-iterations':
+      return { executor, vus, iterations: iterations || vus * 10, maxDuration: duration };
+
+    case 'constant-arrival-rate':
+      return { executor, rate, timeUnit, duration, preAllocatedVUs, maxVUs };
+
+    case 'ramping-arrival-rate':
+      return {
+        executor,
+        startRate: 0,
+        timeUnit,
+        preAllocatedVUs,
+        maxVUs,
+        stages: stages || [
+          { duration: '30s', target: rate },
+          { duration, target: rate },
+          { duration: '30s', target: 0 }
+        ]
+      };
+
+    default:
+      throw new Error(`Unknown executor "${executor}". Use one of: ${EXECUTORS.join(', ')}`);
+  }
+}
+
+/**
+ * Render the exec function for one journey
+ */
+function renderJourney(key, journey) {
+  const requests = journey.requests && journey.requests.length > 0
+    ? journey.requests
+    : [{ method: 'GET', path: '/', name: `${journey.name} homepage` }];
+  const pause = journey.thinkTime !== undefined ? `randomThinkTime(${journey.thinkTime})` : 'randomThinkTime()';
+
+  const steps = requests.map(request => {
+    const method = (request.method || 'GET').toUpperCase();
+    const name = request.name || `${method} ${request.path}`;
+    const hasBody = request.body !== undefined && request.body !== null;
+    const body = hasBody
+      ? typeof request.body === 'string' ? quote(request.body) : `JSON.stringify(${toLiteral(request.body, '    ')})`
+      : 'null';
+    const headers = hasBody && typeof request.body !== 'string' ? `headers: { 'Content-Type': 'application/json' }, ` : '';
+
+    return `    res = http.request(${quote(method)}, \`\${BASE_URL}${escapeTemplate(request.path)}\`, ${body}, {
+      ${headers}tags: { name: ${quote(name)} },
+    });
+    check(res, {
+      ${quote(`${name} status ok`)}: (r) => r.status >= 200 && r.status < 400,
+    });
+    sleep(${pause});`;
+  });
+
+  return `// Journey: ${journey.name}
+export function ${key}() {
+  group(${quote(journey.name)}, function () {
+    let res;
+
+${steps.join('\n\n')}
+  });
+}`;
+}
+
+/**
+ * Generate a summary handler with a per-journey breakdown
+ */
+function generateWorkloadSummary(scenarios) {
+  return `// Custom summary handler with per-journey breakdown
+const JOURNEYS = ${JSON.stringify(scenarios.map(({ key, journey }) => ({ scenario: key, name: journey.name })))};
+
+export function handleSummary(data) {
+  const { metrics } = data;
+  let summary = '\\n=== Test Summary ===\\n\\n';
+
+  if (metrics.http_reqs) {
+    summary += \`Total Requests: \${metrics.http_reqs.values.count}\\n\`;
+    summary += \`Request Rate: \${metrics.http_reqs.values.rate?.toFixed(2)}/s\\n\`;
+  }
+
+  if (metrics.http_req_duration) {
+    summary += \`95th percentile: \${metrics.http_req_duration.values['p(95)']?.toFixed(2)}ms\\n\`;
+  }
+
+  if (metrics.dropped_iterations) {
+    summary += \`Dropped Iterations: \${metrics.dropped_iterations.values.count}\\n\`;
+  }
+
+  // Per-journey breakdown from the scenario-tagged submetrics
+  summary += '\\nJourneys:\\n';
+  for (const { scenario, name } of JOURNEYS) {
+    const iterations = metrics[\`iterations{scenario:\${scenario}}\`];
+    const duration = metrics[\`http_req_duration{scenario:\${scenario}}\`];
+    const failed = metrics[\`http_req_failed{scenario:\${scenario}}\`];
+    summary += \`  \${name}:\\n\`;
+    summary += \`    Iterations: \${iterations ? iterations.values.count : 0}\\n\`;
+    if (duration) {
+      summary += \`    95th percentile: \${duration.values['p(95)']?.toFixed(2)}ms\\n\`;
+    }
+    if (failed) {
+      summary += \`    Error Rate: \${(failed.values.rate * 100).toFixed(2)}%\\n\`;
+    }
+  }
+
+  // Threshold results
+  summary += '\\nThreshold Results:\\n';
+  for (const [name, metric] of Object.entries(metrics)) {
+    if (metric.thresholds) {
+      const passed = Object.values(metric.thresholds).every(t => t.ok);
+      summary += \`  \${name}: \${passed ? '✓ PASS' : '✗ FAIL'}\\n\`;
+    }
+  }
+
+  return {
+    'stdout': summary,
+    'summary.json': JSON.stringify(data),
+  };
+}`;
+}
@@ -7,9 +7,22 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { generateBasicScript } from '../generators/basicGenerator.js';
+import { generateWorkloadScript } from '../generators/workloadGenerator.js';
 import { generateApiScript } from '../generators/apiGenerator.js';
 import { generateHarScript } from '../generators/harGenerator.js';
 import { generateOpenApiScript } from '../generators/openApiGenerator.js';
+import { generatePostmanScript } from '../generators/postmanGenerator.js';
+import { generateJmeterScript } from '../generators/jmeterGenerator.js';
+import { generateGraphqlScript } from '../generators/graphqlGenerator.js';
+import { generateGrpcScript } from '../generators/grpcGenerator.js';
+import { generateWebSocketScript, generateSseScript } from '../generators/realtimeGenerator.js';
+import { generateBrowserScript } from '../generators/browserGenerator.js';
+import { generateAccessLogScript } from '../generators/accessLogGenerator.js';
+import { generateTemplateScript } from '../generators/templateGenerator.js';
+import { buildThresholds, getDefaultThresholds } from '../utils/thresholds.js';
+import { loadTestData } from '../utils/testData.js';
+import { resolveAuth, getAuthEnv } from '../utils/auth.js';
+import { GENERATOR_VERSION, hashContent, describeInput, recordGeneration } from '../utils/manifest.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,56 +34,19 @@ export async function handleGenerate(args) {
   const { source, input, options = {} } = args;
   
   try {
-    let script = '';
     const timestamp = new Date().toISOString();
+    const {
+      script,
+      warnings,
+      thresholds,
+      testData,
+      auth,
+      migrationReport,
+      workloadSummary
+    } = await generateScript(source, input, options, timestamp);
     
-    // Generate script based on source type
-    switch (source) {
-      case 'basic':
-        script = generateBasicScript({
-          baseUrl: input || 'http://localhost:3000',
-          vus: options.vus || 10,
-          duration: options.duration || '2m',
-          thinkTime: options.thinkTime || 1,
-          scenarioType: options.scenarios && options.scenarios[0] || 'ramping',
-          timestamp
-        });
-        break;
-        
-      case 'api':
-        script = generateApiScript({
-          baseUrl: input || 'http://localhost:3000',
-          vus: options.vus || 10,
-          duration: options.duration || '1m',
-          thinkTime: options.thinkTime || 1,
-          timestamp
-        });
-        break;
-        
-      case 'har':
-        script = await generateHarScript({
-          harFile: input,
-          vus: options.vus || 10,
-          duration: options.duration || '5m',
-          timestamp
-        });
-        break;
-        
-      case 'openapi':
-        script = await generateOpenApiScript({
-          specFile: input,
-          vus: options.vus || 10,
-          duration: options.duration || '5m',
-          timestamp
-        });
-        break;
-        
-      default:
-        throw new Error(`Unknown source type: ${source}`);
-    }
-    
-    // Save the generated script
-    const filePath = await saveGeneratedScript(script, source);
+    // Save the generated script and record how it was made
+    const filePath = await saveGeneratedScript(script, source, { input, options, generatedAt: timestamp });
     
     return {
       content: [
@@ -91,6 +67,22 @@ export async function handleGenerate(args) {
               scenarios: options.scenarios || ['default'],
               thinkTime: options.thinkTime || 1
             },
+            thresholds,
+            testData: testData ? {
+              file: testData.file,
+              format: testData.format,
+              order: testData.order,
+              columns: testData.columns,
+              rows: testData.rowCount
+            } : undefined,
+            auth: auth ? {
+              type: auth.type,
+              requiredEnv: getAuthEnv(auth),
+              hint: 'Pass these to k6_run as env; they are not stored in the script'
+            } : undefined,
+            warnings: warnings.length > 0 ? warnings : undefined,
+            migrationReport,
+            workloadSummary,
             preview: script.substring(0, 500) + '...'
           }, null, 2)
         }
@@ -114,19 +106,347 @@ export async function handleGenerate(args) {
 }
 
 /**
- * Save generated script to file
+ * Generate a script for a source without saving it; k6_regenerate rebuilds scripts through here too
+ */
+export async function generateScript(source, input, options = {}, timestamp = new Date().toISOString()) {
+  let script = '';
+  let warnings = [];
+  let migrationReport;
+  let workloadSummary;
+  const thresholds = resolveThresholds(source, options);
+  const testData = await resolveTestData(source, options);
+  const auth = supportsDataAndAuth(source, options) ? resolveAuth(options.auth) : undefined;
+  
+  // Generate script based on source type
+  switch (source) {
+    case 'basic':
+      // Journey objects in scenarios describe a weighted workload mix
+      if (options.scenarios && options.scenarios.some(scenario => typeof scenario === 'object')) {
+        const scenarioTypes = options.scenarios.filter(scenario => typeof scenario !== 'object');
+        if (scenarioTypes.length > 0) {
+          throw new Error(`options.scenarios mixes scenario types (${scenarioTypes.join(', ')}) with journey objects; pass either a scenario type or a list of journeys`);
+        }
+        script = generateWorkloadScript({
+          baseUrl: input || 'http://localhost:3000',
+          vus: options.vus || 10,
+          duration: options.duration || '2m',
+          thinkTime: options.thinkTime || 1,
+          rate: options.rate,
+          timeUnit: options.timeUnit,
+          journeys: options.scenarios,
+          thresholds,
+          timestamp
+        });
+        break;
+      }
+      script = generateBasicScript({
+        baseUrl: input || 'http://localhost:3000',
+        vus: options.vus || 10,
+        duration: options.duration || '2m',
+        thinkTime: options.thinkTime || 1,
+        scenarioType: options.scenarios && options.scenarios[0] || 'ramping',
+        rate: options.rate,
+        timeUnit: options.timeUnit,
+        preAllocatedVUs: options.preAllocatedVUs,
+        maxVUs: options.maxVUs,
+        stages: options.stages,
+        steps: options.steps,
+        stepDuration: options.stepDuration,
+        thresholds,
+        testData,
+        auth,
+        timestamp
+      });
+      break;
+      
+    case 'api':
+      script = generateApiScript({
+        baseUrl: input || 'http://localhost:3000',
+        vus: options.vus || 10,
+        duration: options.duration || '1m',
+        thinkTime: options.thinkTime || 1,
+        thresholds,
+        testData,
+        auth,
+        timestamp
+      });
+      break;
+      
+    case 'har':
+      ({ script, warnings } = await generateHarScript({
+        harFile: input,
+        vus: options.vus || 10,
+        duration: options.duration || '5m',
+        includeStatic: options.includeStatic || false,
+        domains: options.domains,
+        maxThinkTime: options.maxThinkTime ?? 30,
+        assertions: options.assertions !== false,
+        thresholds,
+        timestamp
+      }));
+      break;
+      
+    case 'openapi':
+      script = await generateOpenApiScript({
+        specFile: input,
+        vus: options.vus || 10,
+        duration: options.duration || '5m',
+        thinkTime: options.thinkTime || 1,
+        assertions: options.assertions !== false,
+        thresholds,
+        timestamp
+      });
+      break;
+      
+    case 'postman':
+      ({ script, warnings } = await generatePostmanScript({
+        collectionFile: input,
+        environmentFile: options.environment,
+        vus: options.vus || 10,
+        duration: options.duration || '5m',
+        thinkTime: options.thinkTime || 1,
+        assertions: options.assertions !== false,
+        thresholds,
+        timestamp
+      }));
+      break;
+      
+    case 'graphql':
+      ({ script, warnings } = await generateGraphqlScript({
+        schemaFile: input,
+        endpoint: options.endpoint,
+        vus: options.vus || 10,
+        duration: options.duration || '5m',
+        thinkTime: options.thinkTime || 1,
+        maxDepth: options.maxDepth,
+        includeMutations: options.includeMutations !== false,
+        operations: options.operations,
+        assertions: options.assertions !== false,
+        thresholds,
+        testData,
+        auth,
+        timestamp
+      }));
+      break;
+      
+    case 'grpc':
+      ({ script, warnings } = await generateGrpcScript({
+        protoFile: input,
+        importPaths: options.importPaths,
+        target: options.target,
+        plaintext: options.plaintext !== false,
+        vus: options.vus || 10,
+        duration: options.duration || '5m',
+        thinkTime: options.thinkTime || 1,
+        assertions: options.assertions !== false,
+        thresholds,
+        timestamp
+      }));
+      break;
+      
+    case 'websocket':
+      script = generateWebSocketScript({
+        url: input,
+        vus: options.vus || 10,
+        duration: options.duration || '5m',
+        sessionDuration: options.sessionDuration,
+        messageRate: options.messageRate,
+        subscribe: options.subscribe,
+        message: options.message,
+        expect: options.expect,
+        assertions: options.assertions !== false,
+        thresholds,
+        timestamp
+      });
+      break;
+      
+    case 'sse':
+      script = generateSseScript({
+        url: input,
+        vus: options.vus || 10,
+        duration: options.duration || '5m',
+        sessionDuration: options.sessionDuration,
+        messageRate: options.messageRate,
+        publishUrl: options.publishUrl,
+        message: options.message,
+        expect: options.expect,
+        assertions: options.assertions !== false,
+        thresholds,
+        timestamp
+      });
+      warnings.push('SSE scripts import k6/x/sse and need a k6 binary built with xk6-sse');
+      break;
+      
+    case 'browser':
+      script = generateBrowserScript({
+        baseUrl: input || 'http://localhost:3000',
+        pages: options.pages,
+        vus: options.vus || 1,
+        duration: options.duration || '5m',
+        protocolVus: options.protocolVus,
+        thinkTime: options.thinkTime || 1,
+        assertions: options.assertions !== false,
+        thresholds,
+        timestamp
+      });
+      break;
+      
+    case 'accesslog':
+      ({ script, summary: workloadSummary, warnings } = await generateAccessLogScript({
+        logFile: input,
+        baseUrl: options.baseUrl,
+        duration: options.duration || '5m',
+        profile: options.profile,
+        stageDuration: options.stageDuration,
+        bucket: options.bucket,
+        scale: options.scale,
+        maxEndpoints: options.maxEndpoints,
+        includeStatic: options.includeStatic || false,
+        assertions: options.assertions !== false,
+        thresholds,
+        timestamp
+      }));
+      break;
+      
+    case 'template':
+      ({ script, warnings } = await generateTemplateScript({
+        name: input,
+        variables: options.variables,
+        templatesDir: options.templatesDir,
+        thresholds,
+        sloGiven: Boolean(options.slo),
+        timestamp
+      }));
+      break;
+      
+    case 'jmeter':
+      ({ script, report: migrationReport } = await generateJmeterScript({
+        jmxFile: input,
+        vus: options.vus || 10,
+        duration: options.duration || '5m',
+        assertions: options.assertions !== false,
+        thresholds,
+        timestamp
+      }));
+      break;
+      
+    default:
+      throw new Error(`Unknown source type: ${source}`);
+  }
+  
+  if (options.data) {
+    warnings.push(...getTestDataWarnings(testData, options));
+  }
+  if (options.auth && !auth) {
+    warnings.push('options.auth is only used by the basic, api and graphql generators and was ignored');
+  }
+  
+  return { script, warnings, thresholds, testData, auth, migrationReport, workloadSummary };
+}
+
+/**
+ * Work out the thresholds to apply: the SLO block when given, the generator defaults otherwise
+ */
+function resolveThresholds(source, options) {
+  const isWorkload = source === 'basic' && options.scenarios && options.scenarios.some(scenario => typeof scenario === 'object');
+  const scenarioType = source === 'basic' && !isWorkload && options.scenarios ? options.scenarios[0] : undefined;
+
+  // Breakpoint tests stop at the first failing SLO unless told otherwise
+  const sloDefaults = scenarioType === 'breakpoint' ? { abortOnFail: true, delayAbortEval: '30s' } : {};
+  return buildThresholds(options.slo, sloDefaults) || getDefaultThresholds(isWorkload ? 'workload' : source, {
+    scenarioType,
+    assertions: options.assertions !== false,
+    hybrid: source === 'browser' && Boolean(options.protocolVus)
+  });
+}
+
+/**
+ * Load and validate the test data file for the sources that parameterize requests from it
+ */
+async function resolveTestData(source, options) {
+  if (!options.data || !supportsDataAndAuth(source, options)) {
+    return undefined;
+  }
+  // GraphQL maps columns to operation variables instead of request paths
+  return loadTestData(options.data, { mapping: source === 'graphql' ? 'variables' : 'requests' });
+}
+
+/**
+ * Whether the generator for this request supports test data and auth
+ */
+function supportsDataAndAuth(source, options) {
+  const isWorkload = options.scenarios && options.scenarios.some(scenario => typeof scenario === 'object');
+  return source === 'api' || source === 'graphql' || (source === 'basic' && !isWorkload);
+}
+
+/**
+ * Warn about data files that were ignored or are too small for the chosen row order
+ */
+function getTestDataWarnings(testData, options) {
+  if (!testData) {
+    return ['options.data is only used by the basic, api and graphql generators and was ignored'];
+  }
+
+  const maxVUs = options.maxVUs || options.vus || 10;
+  if (testData.order === 'unique' && testData.rowCount < maxVUs) {
+    return [`Data file has ${testData.rowCount} row(s) for up to ${maxVUs} VUs; VUs beyond that share rows`];
+  }
+  return [];
+}
+
+/**
+ * Directory generated scripts and their manifest are saved in
  */
-async function saveGeneratedScript(script, source) {
+export function getScriptsDir() {
+  if (process.env.K6_SCRIPTS_DIR) {
+    return path.resolve(process.env.K6_SCRIPTS_DIR);
+  }
   // Use absolute path at project root
   const projectRoot = path.resolve(__dirname, '..', '..', '..', '..');
-  const scriptsDir = path.join(projectRoot, 'test-scripts');
-  const fileName = `generated_${source}_${Date.now()}.js`;
+  return path.join(projectRoot, 'test-scripts');
+}
+
+/**
+ * Find the script as given, or else among the generated scripts
+ */
+export async function resolveScriptPath(script) {
+  const candidates = [path.resolve(script), path.join(getScriptsDir(), script)];
+  for (const candidate of candidates) {
+    try {
+      if ((await fs.stat(candidate)).isFile()) {
+        return candidate;
+      }
+    } catch (error) {
+      // Try the next location
+    }
+  }
+  throw new Error(`Script ${script} not found in the working directory or ${getScriptsDir()}`);
+}
+
+/**
+ * Save generated script to file and record its provenance in the manifest
+ *
+ * generatedAt should match the timestamp written into the script; regenerated scripts keep their original one.
+ */
+export async function saveGeneratedScript(script, source, { input = null, options = {}, generatedAt = new Date().toISOString(), regeneratedAt } = {}, fileName = `generated_${source}_${Date.now()}.js`) {
+  const scriptsDir = getScriptsDir();
   const filePath = path.join(scriptsDir, fileName);
   
   // Ensure directory exists
   await fs.mkdir(scriptsDir, { recursive: true });
   await fs.writeFile(filePath, script);
   
+  await recordGeneration(scriptsDir, fileName, {
+    source,
+    input,
+    ...await describeInput(source, input, options),
+    options,
+    generatorVersion: GENERATOR_VERSION,
+    scriptHash: hashContent(script),
+    generatedAt,
+    regeneratedAt
+  });
+  
   return {
     absolute: filePath,
     name: fileName,
@@ -143,7 +463,7 @@ export const generateToolConfig = {
   inputSchema: {
     source: {
       type: 'string',
-      enum: ['basic', 'api', 'har', 'openapi'],
+      enum: ['basic', 'api', 'har', 'openapi', 'postman', 'jmeter', 'graphql', 'grpc', 'websocket', 'sse', 'browser', 'accesslog', 'template'],
       description: 'Source type for generation'
     },
     input: {
@@ -158,11 +478,181 @@ export const generateToolConfig = {
         duration: { type: 'string', optional: true },
         scenarios: { 
           type: 'array',
-          items: { type: 'string' },
+          items: {
+            oneOf: [
+              { type: 'string' },
+              {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  weight: { type: 'number', optional: true },
+                  executor: { type: 'string', optional: true },
+                  requests: { type: 'array', optional: true }
+                }
+              }
+            ]
+          },
           optional: true 
         },
         thinkTime: { type: 'number', optional: true },
-        assertions: { type: 'boolean', optional: true }
+        assertions: { type: 'boolean', optional: true },
+        includeStatic: { type: 'boolean', optional: true },
+        domains: {
+          type: 'array',
+          items: { type: 'string' },
+          optional: true
+        },
+        maxThinkTime: { type: 'number', optional: true },
+        environment: { type: 'string', optional: true },
+        rate: { type: 'number', optional: true },
+        timeUnit: { type: 'string', optional: true },
+        preAllocatedVUs: { type: 'number', optional: true },
+        maxVUs: { type: 'number', optional: true },
+        stages: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              duration: { type: 'string' },
+              target: { type: 'number' }
+            }
+          },
+          optional: true
+        },
+        steps: { type: 'number', optional: true },
+        stepDuration: { type: 'string', optional: true },
+        endpoint: { type: 'string', description: 'GraphQL endpoint URL (default http://localhost:4000/graphql)', optional: true },
+        maxDepth: { type: 'number', description: 'GraphQL selection set depth (default 2)', optional: true },
+        includeMutations: { type: 'boolean', description: 'GraphQL: also generate mutations (default true)', optional: true },
+        operations: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'GraphQL: only generate these root fields',
+          optional: true
+        },
+        importPaths: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'gRPC: directories searched for imported .proto files, like protoc -I',
+          optional: true
+        },
+        target: { type: 'string', description: 'gRPC server address (default localhost:50051)', optional: true },
+        plaintext: { type: 'boolean', description: 'gRPC: connect without TLS (default true)', optional: true },
+        sessionDuration: { type: 'string', description: 'WebSocket/SSE: how long each VU keeps its connection open (default 30s)', optional: true },
+        messageRate: { type: 'number', description: 'WebSocket/SSE: messages sent per second per VU (default 1)', optional: true },
+        subscribe: { oneOf: [{ type: 'string' }, { type: 'object' }], description: 'WebSocket: message sent once after connecting; objects are sent as JSON', optional: true },
+        message: { oneOf: [{ type: 'string' }, { type: 'object' }], description: 'WebSocket/SSE: message sent at messageRate (default {"type":"ping"})', optional: true },
+        expect: { type: 'string', description: 'WebSocket/SSE: text a received message must contain to count as a reply', optional: true },
+        publishUrl: { type: 'string', description: 'SSE: URL (or path on the stream host) the messages are POSTed to', optional: true },
+        pages: {
+          type: 'array',
+          items: {
+            oneOf: [
+              { type: 'string' },
+              {
+                type: 'object',
+                properties: {
+                  url: { type: 'string' },
+                  name: { type: 'string', optional: true },
+                  steps: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        action: { type: 'string', enum: ['click', 'fill', 'waitForSelector'] },
+                        selector: { type: 'string' },
+                        value: { type: 'string', optional: true },
+                        navigation: { type: 'boolean', optional: true },
+                        state: { type: 'string', optional: true },
+                        timeout: { type: 'number', optional: true }
+                      }
+                    },
+                    optional: true
+                  }
+                }
+              }
+            ]
+          },
+          description: 'Browser: pages to visit in order, as URLs/paths or { url, name, steps }',
+          optional: true
+        },
+        protocolVus: { type: 'number', description: 'Browser: HTTP protocol VUs to run alongside the browser VUs (hybrid test)', optional: true },
+        baseUrl: { type: 'string', description: 'Access log: host the modelled traffic is sent to (default http://localhost:3000)', optional: true },
+        profile: { type: 'string', enum: ['peak', 'observed'], description: 'Access log: hold the peak rate, or replay the observed rate per bucket (default peak)', optional: true },
+        bucket: { type: 'string', description: 'Access log: time bucket used to measure the request rate (default 1m)', optional: true },
+        stageDuration: { type: 'string', description: 'Access log: stage length per bucket when replaying the observed profile (default 1m)', optional: true },
+        scale: { type: 'number', description: 'Access log: multiplier applied to the observed rate (default 1)', optional: true },
+        maxEndpoints: { type: 'number', description: 'Access log: number of busiest endpoint templates kept in the mix (default 20)', optional: true },
+        variables: { type: 'object', description: 'Template: values for the variables declared in the template schema', optional: true },
+        templatesDir: { type: 'string', description: 'Template: directory of <name>.js templates and <name>.schema.json files (default K6_TEMPLATES_DIR or k6-templates)', optional: true },
+        auth: {
+          type: 'object',
+          description: 'Authentication for the basic, api and graphql generators; secrets are read from environment variables at run time',
+          properties: {
+            type: { type: 'string', enum: ['bearer', 'oauth2', 'form'] },
+            tokenEnv: { type: 'string', description: 'bearer: variable holding the token (default AUTH_TOKEN)', optional: true },
+            tokenUrl: { type: 'string', description: 'oauth2: token endpoint URL or path', optional: true },
+            scope: { type: 'string', optional: true },
+            clientIdEnv: { type: 'string', description: 'oauth2: default OAUTH_CLIENT_ID', optional: true },
+            clientSecretEnv: { type: 'string', description: 'oauth2: default OAUTH_CLIENT_SECRET', optional: true },
+            refreshMargin: { type: 'number', description: 'oauth2: seconds before expiry to renew the token (default 30)', optional: true },
+            loginPath: { type: 'string', description: 'form: login path (default /login)', optional: true },
+            usernameField: { type: 'string', optional: true },
+            passwordField: { type: 'string', optional: true },
+            usernameEnv: { type: 'string', description: 'form: default AUTH_USERNAME', optional: true },
+            passwordEnv: { type: 'string', description: 'form: default AUTH_PASSWORD', optional: true },
+            sessionTtl: { type: 'number', description: 'form: seconds before logging in again (default 900)', optional: true }
+          },
+          optional: true
+        },
+        data: {
+          type: 'object',
+          description: 'CSV or JSON test data for the basic, api and graphql generators, loaded through SharedArray',
+          properties: {
+            file: { type: 'string', description: 'Path to a CSV file with a header row or a JSON array of objects' },
+            order: {
+              type: 'string',
+              enum: ['sequential', 'random', 'unique'],
+              description: 'Row order: next row per iteration, random row, or one row per VU',
+              optional: true
+            },
+            requests: {
+              type: 'array',
+              description: 'Requests using the data: { method, path with {column} segments, name, query: { param: column }, body: { field: column } }',
+              optional: true
+            },
+            variables: {
+              type: 'object',
+              description: 'GraphQL: { variableName: column } for operation arguments',
+              optional: true
+            }
+          },
+          optional: true
+        },
+        slo: {
+          type: 'object',
+          description: 'Service level objectives rendered into options.thresholds (replaces the defaults)',
+          properties: {
+            latency: {
+              type: 'array',
+              description: 'Latency limits: { metric, percentile or stat, max (ms), tags, abortOnFail, delayAbortEval }',
+              optional: true
+            },
+            errorRate: {
+              type: 'array',
+              description: 'Error rate limits: { metric, max (0-1), tags, abortOnFail, delayAbortEval }',
+              optional: true
+            },
+            checks: {
+              type: 'array',
+              description: 'Check pass rate floors: { min (0-1), tags, abortOnFail, delayAbortEval }',
+              optional: true
+            },
+            abortOnFail: { type: 'boolean', optional: true },
+            delayAbortEval: { type: 'string', optional: true }
+          },
+          optional: true
+        }
       },
       optional: true,
       description: 'Generation options'
@@ -3,38 +3,56 @@
  * Handles listing of available K6 test scripts via App Server
  */
 
-import axios from 'axios';
-import { checkAppServer, getAppServerUrl } from '../utils/appServerCheck.js';
+import { getAppServerUrl } from '../utils/appServerCheck.js';
+import { getBackend } from '../backends/index.js';
+import { listTemplates } from '../generators/templateGenerator.js';
+import { describeError } from '../utils/errors.js';
 
 // Tool configuration
 export const listToolConfig = {
   title: "List K6 Scripts",
-  description: "List available K6 test scripts in the project",
-  inputSchema: {},
+  description: "List available K6 test scripts in the project, or the script templates for k6_generate",
+  inputSchema: {
+    type: {
+      type: 'string',
+      enum: ['scripts', 'templates'],
+      description: 'What to list: test scripts (default) or templates with their parameters',
+      optional: true
+    },
+    templatesDir: {
+      type: 'string',
+      description: 'Templates directory (default K6_TEMPLATES_DIR or k6-templates)',
+      optional: true
+    }
+  },
 };
 
 /**
  * Handle listing K6 test scripts
  */
-export async function handleList() {
+export async function handleList(args = {}) {
+  const { type = 'scripts', templatesDir } = args;
+
   try {
-    // Check if App Server is available
-    const serverAvailable = await checkAppServer();
-    if (!serverAvailable) {
-      throw new Error('K6 App Server is not available. Please start it with: cd k6-app-server && npm start');
+    // Templates are read locally and don't need the App Server
+    if (type === 'templates') {
+      return await listTemplateDirectory(templatesDir);
     }
 
-    const appServerUrl = getAppServerUrl();
-    const response = await axios.get(`${appServerUrl}/api/tests/available`);
+    // Check that the App Server or the local k6 binary is available
+    const backend = getBackend();
+    await backend.ensureAvailable();
 
-    const { tests, count, timestamp } = response.data;
+    const { tests, count, timestamp } = await backend.listScripts();
+    // Only the App Server reads stages, duration and VUs from the scripts
+    const fromAppServer = backend.name === 'app-server';
 
     // Transform App Server response to match expected format
     const scripts = tests.map(test => ({
       name: test.name,
       filename: test.filename,
       path: test.path,
-      relativePath: test.path, // App Server already provides relative path
+      relativePath: test.path, // Both backends provide a relative path
       description: test.description,
       // New metadata from App Server
       stages: test.stages,
@@ -54,13 +72,13 @@ export async function handleList() {
               scripts,
               count,
               timestamp,
-              source: 'k6-app-server',
-              appServerUrl,
+              source: fromAppServer ? 'k6-app-server' : 'local',
+              appServerUrl: fromAppServer ? getAppServerUrl() : undefined,
               // Enhanced metadata available
               metadata: {
-                stagesAvailable: true,
-                durationAvailable: true,
-                maxVUsAvailable: true
+                stagesAvailable: fromAppServer,
+                durationAvailable: fromAppServer,
+                maxVUsAvailable: fromAppServer
               }
             },
             null,
@@ -77,9 +95,8 @@ export async function handleList() {
           text: JSON.stringify(
             {
               error: "Failed to list K6 scripts",
-              message: error.response?.data?.error || error.message,
-              hint: error.message.includes('App Server') ?
-                'Start the K6 App Server with: cd k6-app-server && npm start' : undefined,
+              message: error.message,
+              ...describeError(error),
               timestamp: new Date().toISOString()
             },
             null,
@@ -91,3 +108,29 @@ export async function handleList() {
   }
 }
 
+/**
+ * List the user templates and the variables each one takes
+ */
+async function listTemplateDirectory(templatesDir) {
+  const { dir, templates } = await listTemplates(templatesDir);
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            templates,
+            count: templates.length,
+            dir,
+            hint: templates.length === 0 ?
+              'Add <name>.js templates with a <name>.schema.json next to each one' : undefined,
+            timestamp: new Date().toISOString()
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
@@ -4,10 +4,8 @@
  */
 
 import chalk from 'chalk';
-import axios from 'axios';
-import { checkAppServer, getApiBaseUrl } from '../utils/appServerCheck.js';
-
-const API_BASE = getApiBaseUrl();
+import { getBackend } from '../backends/index.js';
+import { describeError } from '../utils/errors.js';
 
 // Tool configuration
 export const outputToolConfig = {
@@ -33,19 +31,14 @@ export async function handleOutput(args) {
   const { testId, tail, follow } = args;
   
   try {
-    // Check if App Server is available
-    const serverAvailable = await checkAppServer();
-    if (!serverAvailable) {
-      throw new Error('K6 App Server is not available. Please start it with: cd k6-app-server && npm start');
-    }
+    // Check that the App Server or the local k6 binary is available
+    await getBackend().ensureAvailable();
     
     console.error(chalk.blue(`📝 Fetching output for test ${testId}...`));
     
-    const response = await axios.get(`${API_BASE}/${testId}/output`, {
-      params: { tail, follow }
-    });
+    const output = await getBackend().getOutput(testId, { tail, follow });
     
-    return formatOutput(response.data, testId);
+    return formatOutput(output, testId);
   } catch (error) {
     console.error(chalk.red('Error getting output:'), error.message);
     return {
@@ -54,12 +47,9 @@ export async function handleOutput(args) {
           type: 'text',
           text: JSON.stringify({
             error: 'Failed to get test output',
-            message: error.response?.data?.error || error.message,
+            message: error.message,
             testId,
-            hint: error.response?.status === 404 ? 
-              `Test ${testId} not found. Use k6_status to list available tests.` :
-              error.message.includes('App Server') ? 
-                'Start the K6 App Server with: cd k6-app-server && npm start' : undefined
+            ...describeError(error)
           }, null, 2)
         }
       ]
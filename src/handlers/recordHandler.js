@@ -0,0 +1,159 @@
+/**
+ * K6 Record Tool Handler
+ * Records traffic through a local proxy and turns the session into a K6 script
+ */
+
+import chalk from 'chalk';
+import { startRecording, labelStep, stopRecording, getRecordingStatus } from '../utils/recordingProxy.js';
+import { generateHarScript } from '../generators/harGenerator.js';
+import { buildThresholds, getDefaultThresholds } from '../utils/thresholds.js';
+import { saveGeneratedScript } from './generateHandler.js';
+
+// Tool configuration
+export const recordToolConfig = {
+  title: 'Record K6 Script',
+  description: 'Record HTTP traffic through a local forward proxy and generate a K6 script from it when the recording stops',
+  inputSchema: {
+    action: {
+      type: 'string',
+      enum: ['start', 'step', 'stop', 'status'],
+      description: 'start the proxy, label a step, stop and generate the script, or show the recording status'
+    },
+    port: {
+      type: 'number',
+      description: 'start: proxy port on 127.0.0.1 (default 8888)',
+      optional: true
+    },
+    include: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'start: only record these hosts and their subdomains',
+      optional: true
+    },
+    exclude: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'start: never record these hosts and their subdomains',
+      optional: true
+    },
+    name: {
+      type: 'string',
+      description: 'step: name of the step; requests from now on become a group with this name',
+      optional: true
+    },
+    options: {
+      type: 'object',
+      description: 'stop: generation options (vus, duration, maxThinkTime, includeStatic, assertions, slo) as for k6_generate with source "har"',
+      optional: true
+    }
+  }
+};
+
+/**
+ * Handle k6_record tool
+ */
+export async function handleRecord(args) {
+  const { action, port, include, exclude, name, options = {} } = args;
+
+  try {
+    let result;
+    switch (action) {
+      case 'start':
+        result = await startRecording({ port, include, exclude });
+        console.error(chalk.blue(`🎙️  Recording proxy listening on ${result.proxy}`));
+        result.message = `Recording started. Point your browser or client's HTTP proxy at ${result.proxy}`;
+        break;
+
+      case 'step':
+        result = labelStep(name);
+        result.message = `Requests are now recorded under step "${name}"`;
+        break;
+
+      case 'stop':
+        result = await stopAndGenerate(options);
+        break;
+
+      case 'status':
+        result = getRecordingStatus();
+        break;
+
+      default:
+        throw new Error(`Unknown record action: ${action}`);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    console.error(chalk.red('Error recording:'), error.message);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            error: `Failed to ${action} recording`,
+            message: error.message
+          }, null, 2)
+        }
+      ]
+    };
+  }
+}
+
+/**
+ * Stop the proxy and convert the recorded session into a saved script
+ */
+async function stopAndGenerate(options) {
+  const { har, stats } = await stopRecording();
+  const timestamp = new Date().toISOString();
+
+  const warnings = [];
+  if (stats.tunneledHosts.length > 0) {
+    warnings.push(`HTTPS traffic to ${stats.tunneledHosts.join(', ')} was tunneled and could not be recorded; record against plain HTTP or export a HAR from the browser instead`);
+  }
+  if (stats.recorded === 0) {
+    return {
+      success: false,
+      message: 'Recording stopped, but no requests were recorded, so no script was generated',
+      recording: stats,
+      warnings: warnings.length > 0 ? warnings : undefined
+    };
+  }
+
+  const thresholds = buildThresholds(options.slo) || getDefaultThresholds('har', { assertions: options.assertions !== false });
+  const { script, warnings: harWarnings } = await generateHarScript({
+    har,
+    vus: options.vus || 10,
+    duration: options.duration || '5m',
+    // The host filters were applied while recording, so keep every recorded host
+    domains: stats.hosts,
+    maxThinkTime: options.maxThinkTime ?? 30,
+    includeStatic: options.includeStatic || false,
+    assertions: options.assertions !== false,
+    thresholds,
+    timestamp
+  });
+
+  warnings.push(...harWarnings);
+  const filePath = await saveGeneratedScript(script, 'recording', { options });
+
+  return {
+    success: true,
+    message: 'Recording stopped and K6 script saved successfully',
+    file: {
+      path: filePath.absolute,
+      name: filePath.name,
+      source: 'recording',
+      generated_at: timestamp
+    },
+    recording: stats,
+    thresholds,
+    warnings: warnings.length > 0 ? warnings : undefined,
+    preview: script.substring(0, 500) + '...'
+  };
+}
@@ -0,0 +1,160 @@
+/**
+ * K6 Regenerate Tool Handler
+ * Rebuilds generated scripts from their manifest entry and reports what changed
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import { generateScript, getScriptsDir, saveGeneratedScript } from './generateHandler.js';
+import { GENERATOR_VERSION, hashContent, describeInput, readManifest } from '../utils/manifest.js';
+import { createUnifiedDiff } from '../utils/diff.js';
+
+// Tool configuration
+export const regenerateToolConfig = {
+  title: 'Regenerate K6 Script',
+  description: 'Rebuild a generated script from the test-scripts manifest when its input file or the generator has changed, and return a diff against the previous version',
+  inputSchema: {
+    file: {
+      type: 'string',
+      description: 'Name of the generated script in test-scripts, e.g. generated_har_1700000000000.js'
+    },
+    force: {
+      type: 'boolean',
+      description: 'Regenerate even if nothing changed, and overwrite manual edits to the script',
+      optional: true
+    }
+  }
+};
+
+/**
+ * Handle k6_regenerate tool
+ */
+export async function handleRegenerate(args) {
+  const { file, force = false } = args;
+
+  try {
+    const scriptsDir = getScriptsDir();
+    const fileName = path.basename(file);
+    const manifest = await readManifest(scriptsDir);
+    const entry = manifest.scripts[fileName];
+
+    if (!entry) {
+      throw new Error(`${fileName} is not in the manifest; only scripts generated by k6_generate can be regenerated`);
+    }
+    if (entry.source === 'recording') {
+      throw new Error(`${fileName} was recorded with k6_record and has no input to regenerate it from`);
+    }
+
+    const filePath = path.join(scriptsDir, fileName);
+    let previous;
+    try {
+      previous = await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+      throw new Error(`${fileName} is in the manifest but no longer exists in ${scriptsDir}`);
+    }
+
+    // Hash the recorded path, since a relative input depends on the working directory
+    const current = await describeInput(entry.source, entry.source === 'template' ? entry.input : entry.inputPath || entry.input, entry.options);
+    if (entry.inputPath && !current.inputHash) {
+      throw new Error(`Input ${entry.inputPath} of ${fileName} can no longer be read`);
+    }
+
+    const reasons = [];
+    if (current.inputHash !== entry.inputHash) {
+      reasons.push(`input ${entry.inputPath} changed`);
+    }
+    // Entries written before extra inputs were recorded have nothing to compare against
+    if (entry.extraInputs) {
+      reasons.push(...describeExtraInputChanges(entry.extraInputs, current.extraInputs));
+    }
+    if (entry.generatorVersion !== GENERATOR_VERSION) {
+      reasons.push(`generator changed from ${entry.generatorVersion} to ${GENERATOR_VERSION}`);
+    }
+
+    const edited = hashContent(previous) !== entry.scriptHash;
+    if (edited && !force) {
+      throw new Error(`${fileName} was edited after it was generated; pass force to overwrite the edits`);
+    }
+    if (reasons.length === 0 && !force) {
+      return respond({
+        success: true,
+        regenerated: false,
+        message: `${fileName} is up to date with its input and generator ${GENERATOR_VERSION}`,
+        file: { path: filePath, name: fileName, source: entry.source }
+      });
+    }
+
+    // Fall back to the resolved path when a relative input now points somewhere else
+    const input = entry.source === 'template' || !entry.inputPath || path.resolve(entry.input) === entry.inputPath
+      ? entry.input
+      : entry.inputPath;
+    // The original timestamp keeps the "Generated at" line out of the diff
+    const { script, warnings } = await generateScript(entry.source, input, entry.options, entry.generatedAt);
+    await saveGeneratedScript(script, entry.source, {
+      input: entry.input,
+      options: entry.options,
+      generatedAt: entry.generatedAt,
+      regeneratedAt: new Date().toISOString()
+    }, fileName);
+    console.error(chalk.blue(`🔁 Regenerated ${fileName}`));
+
+    const diff = createUnifiedDiff(previous, script, { oldName: `a/${fileName}`, newName: `b/${fileName}` });
+
+    return respond({
+      success: true,
+      regenerated: true,
+      message: diff ? `${fileName} regenerated` : `${fileName} regenerated without changes`,
+      file: { path: filePath, name: fileName, source: entry.source },
+      reasons: reasons.length > 0 ? reasons : ['forced'],
+      generatorVersion: GENERATOR_VERSION,
+      overwroteEdits: edited || undefined,
+      warnings: warnings.length > 0 ? warnings : undefined,
+      diff: diff || undefined
+    });
+  } catch (error) {
+    console.error(chalk.red('Error regenerating script:'), error.message);
+    return respond({
+      error: 'Failed to regenerate K6 script',
+      message: error.message,
+      hint: error.message.includes('manifest') ?
+        'Use k6_generate to create a new script instead' : undefined
+    });
+  }
+}
+
+/**
+ * Reasons for extra inputs (data files, environments, proto imports, schemas) that changed, appeared or disappeared
+ */
+function describeExtraInputChanges(recorded, current) {
+  const before = new Map(recorded.map(file => [file.path, file]));
+  const after = new Map(current.map(file => [file.path, file]));
+  const reasons = [];
+  for (const [filePath, file] of after) {
+    if (!before.has(filePath)) {
+      reasons.push(`${file.kind} ${filePath} added`);
+    } else if (before.get(filePath).hash !== file.hash) {
+      reasons.push(file.hash ? `${file.kind} ${filePath} changed` : `${file.kind} ${filePath} can no longer be read`);
+    }
+  }
+  for (const [filePath, file] of before) {
+    if (!after.has(filePath)) {
+      reasons.push(`${file.kind} ${filePath} removed`);
+    }
+  }
+  return reasons;
+}
+
+/**
+ * Wrap a result as MCP text content
+ */
+function respond(result) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(result, null, 2)
+      }
+    ]
+  };
+}
@@ -1,15 +1,12 @@
 /**
  * K6 Run Handler
- * Handles execution of K6 test scripts via the App Server
+ * Handles execution of K6 test scripts via the App Server or a local k6 process
  */
 
 import chalk from 'chalk';
-import axios from 'axios';
-import { checkAppServer } from '../utils/appServerCheck.js';
-
-// Configuration
-const APP_SERVER_URL = process.env.K6_APP_SERVER_URL || 'http://localhost:3001';
-const API_BASE = `${APP_SERVER_URL}/api/tests`;
+import { getBackend } from '../backends/index.js';
+import { getAppServerUrl } from '../utils/appServerCheck.js';
+import { describeError } from '../utils/errors.js';
 
 // Tool configuration
 export const runToolConfig = {
@@ -20,10 +17,10 @@ export const runToolConfig = {
       description: 'Path to the K6 test script'
     },
     vus: {
-      description: 'Number of virtual users (default: 10)'
+      description: 'Number of virtual users (default: the script\'s options)'
     },
     duration: {
-      description: 'Test duration (default: "30s")'
+      description: 'Test duration (default: the script\'s options)'
     },
     env: {
       description: 'Environment variables for the test'
@@ -35,24 +32,23 @@ export const runToolConfig = {
  * Handle K6 test execution
  */
 export async function handleRun(args) {
-  const { script, vus = 10, duration = '30s', env = {} } = args;
+  // vus and duration are only sent when given, so the script's own options apply otherwise
+  const { script, vus, duration, env = {} } = args;
   
   try {
-    const serverAvailable = await checkAppServer();
-    if (!serverAvailable) {
-      throw new Error('K6 App Server is not available. Please start it with: cd k6-app-server && npm start');
-    }
+    const backend = getBackend();
+    await backend.ensureAvailable();
     
-    console.error(chalk.blue('🚀 Starting K6 test via App Server...'));
+    console.error(chalk.blue(`🚀 Starting K6 test via ${backend.describe()}...`));
     
-    const response = await axios.post(`${API_BASE}/run`, {
+    const started = await backend.run({
       script,
       vus,
       duration,
       env
     });
     
-    const { testId, statusUrl, resultsUrl, outputUrl, streamUrl } = response.data;
+    const { testId, statusUrl, resultsUrl, outputUrl, streamUrl, resultsDir } = started;
     
     console.error(chalk.green(`✅ Test started: ${testId}`));
     
@@ -73,12 +69,15 @@ export async function handleRun(args) {
                 env: env
               }
             },
-            endpoints: {
-              status: `${APP_SERVER_URL}${statusUrl}`,
-              results: `${APP_SERVER_URL}${resultsUrl}`,
-              output: `${APP_SERVER_URL}${outputUrl}`,
-              stream: `${APP_SERVER_URL}${streamUrl}`
-            }
+            backend: backend.name,
+            // Local runs have no HTTP endpoints; use k6_status, k6_output and k6_wait with the test ID
+            endpoints: backend.name === 'app-server' ? {
+              status: `${getAppServerUrl()}${statusUrl}`,
+              results: `${getAppServerUrl()}${resultsUrl}`,
+              output: `${getAppServerUrl()}${outputUrl}`,
+              stream: `${getAppServerUrl()}${streamUrl}`
+            } : undefined,
+            resultsDir
           }, null, 2)
         }
       ]
@@ -91,10 +90,9 @@ export async function handleRun(args) {
           type: 'text',
           text: JSON.stringify({
             error: 'Failed to start K6 test',
-            message: error.response?.data?.error || error.message,
+            message: error.message,
             script,
-            hint: error.message.includes('App Server') ? 
-              'Start the K6 App Server with: cd k6-app-server && npm start' : undefined
+            ...describeError(error)
           }, null, 2)
         }
       ]
@@ -4,10 +4,8 @@
  */
 
 import chalk from 'chalk';
-import axios from 'axios';
-import { checkAppServer, getApiBaseUrl } from '../utils/appServerCheck.js';
-
-const API_BASE = getApiBaseUrl();
+import { getBackend } from '../backends/index.js';
+import { describeError } from '../utils/errors.js';
 
 // Tool configuration
 export const statusToolConfig = {
@@ -27,16 +25,15 @@ export async function handleStatus(args) {
   const { testId } = args;
   
   try {
-    // Check if App Server is available
-    const serverAvailable = await checkAppServer();
-    if (!serverAvailable) {
-      throw new Error('K6 App Server is not available. Please start it with: cd k6-app-server && npm start');
-    }
+    // Check that the App Server or the local k6 binary is available
+    await getBackend().ensureAvailable();
     
     if (testId) {
-      return await getSpecificTestStatus(testId);
+      console.error(chalk.blue(`📊 Checking status for test ${testId}...`));
+      return formatStatus(await fetchTestStatus(testId));
     } else {
-      return await getAllTestsStatus();
+      console.error(chalk.blue('📊 Fetching all tests status...'));
+      return formatStatus(await fetchAllTestsStatus());
     }
   } catch (error) {
     console.error(chalk.red('Error getting status:'), error.message);
@@ -46,9 +43,8 @@ export async function handleStatus(args) {
           type: 'text',
           text: JSON.stringify({
             error: 'Failed to get test status',
-            message: error.response?.data?.error || error.message,
-            hint: error.message.includes('App Server') ? 
-              'Start the K6 App Server with: cd k6-app-server && npm start' : undefined
+            message: error.message,
+            ...describeError(error)
           }, null, 2)
         }
       ]
@@ -57,53 +53,32 @@ export async function handleStatus(args) {
 }
 
 /**
- * Get specific test status
+ * Get specific test status; k6_stop reports the final state through here too
  */
-async function getSpecificTestStatus(testId) {
-  console.error(chalk.blue(`📊 Checking status for test ${testId}...`));
-  
-  try {
-    const response = await axios.get(`${API_BASE}/${testId}/status`);
-    
-    // Add additional formatting for better readability
-    const statusData = response.data;
-    
-    // Add human-readable duration if test is running
-    if (statusData.status === 'running' && statusData.startTime) {
-      const duration = Date.now() - new Date(statusData.startTime).getTime();
-      statusData.runningFor = formatDuration(duration);
-    }
+export async function fetchTestStatus(testId) {
+  // Add additional formatting for better readability
+  const statusData = await getBackend().getStatus(testId);
     
-    // Add completion time if test is completed
-    if (statusData.status === 'completed' && statusData.startTime && statusData.endTime) {
-      const duration = new Date(statusData.endTime) - new Date(statusData.startTime);
-      statusData.totalDuration = formatDuration(duration);
-    }
-    
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(statusData, null, 2)
-        }
-      ]
-    };
-  } catch (apiError) {
-    if (apiError.response?.status === 404) {
-      throw new Error(`Test ${testId} not found`);
-    }
-    throw apiError;
+  // Add human-readable duration if test is running
+  if (statusData.status === 'running' && statusData.startTime) {
+    const duration = Date.now() - new Date(statusData.startTime).getTime();
+    statusData.runningFor = formatDuration(duration);
   }
+  
+  // Add completion time if test has finished
+  if (statusData.status !== 'running' && statusData.startTime && statusData.endTime) {
+    const duration = new Date(statusData.endTime) - new Date(statusData.startTime);
+    statusData.totalDuration = formatDuration(duration);
+  }
+  
+  return statusData;
 }
 
 /**
  * Get all tests status
  */
-async function getAllTestsStatus() {
-  console.error(chalk.blue('📊 Fetching all tests status...'));
-  
-  const response = await axios.get(`${API_BASE}/`);
-  const tests = response.data.tests || [];
+export async function fetchAllTestsStatus() {
+  const { tests = [] } = await getBackend().listTests();
   
   // Enhance test data with human-readable information
   const enhancedTests = tests.map(test => {
@@ -114,7 +89,7 @@ async function getAllTestsStatus() {
       enhanced.runningFor = formatDuration(duration);
     }
     
-    if (test.status === 'completed' && test.duration) {
+    if (test.status !== 'running' && test.duration) {
       enhanced.duration = formatDuration(test.duration);
     }
     
@@ -126,23 +101,32 @@ async function getAllTestsStatus() {
     running: enhancedTests.filter(t => t.status === 'running'),
     completed: enhancedTests.filter(t => t.status === 'completed'),
     failed: enhancedTests.filter(t => t.status === 'failed'),
+    stopped: enhancedTests.filter(t => t.status === 'stopped' || t.status === 'aborted'),
     total: enhancedTests.length
   };
   
+  return {
+    summary: {
+      total: grouped.total,
+      running: grouped.running.length,
+      completed: grouped.completed.length,
+      failed: grouped.failed.length,
+      stopped: grouped.stopped.length
+    },
+    tests: enhancedTests,
+    groupedByStatus: grouped
+  };
+}
+
+/**
+ * Wrap status data as MCP text content
+ */
+function formatStatus(data) {
   return {
     content: [
       {
         type: 'text',
-        text: JSON.stringify({
-          summary: {
-            total: grouped.total,
-            running: grouped.running.length,
-            completed: grouped.completed.length,
-            failed: grouped.failed.length
-          },
-          tests: enhancedTests,
-          groupedByStatus: grouped
-        }, null, 2)
+        text: JSON.stringify(data, null, 2)
       }
     ]
   };
@@ -151,7 +135,7 @@ async function getAllTestsStatus() {
 /**
  * Format duration in milliseconds to human-readable format
  */
-function formatDuration(ms) {
+export function formatDuration(ms) {
   const seconds = Math.floor(ms / 1000);
   const minutes = Math.floor(seconds / 60);
   const hours = Math.floor(minutes / 60);
@@ -0,0 +1,173 @@
+/**
+ * K6 Stop Handler
+ * Stops running K6 tests
+ */
+
+import chalk from 'chalk';
+import { getBackend } from '../backends/index.js';
+import { fetchTestStatus, fetchAllTestsStatus } from './statusHandler.js';
+import { describeError } from '../utils/errors.js';
+
+export const STOP_MODES = ['graceful', 'abort'];
+
+// How long to wait for a test to leave the running state; graceful stops let iterations finish first
+const DEFAULT_WAIT = { graceful: 60, abort: 10 };
+
+const POLL_INTERVAL = 1000;
+
+// Tool configuration
+export const stopToolConfig = {
+  title: 'Stop K6 Test',
+  description: 'Stop a running K6 test, or all running tests, either gracefully or with a hard abort',
+  inputSchema: {
+    testId: {
+      description: 'Test ID to stop'
+    },
+    all: {
+      description: 'Stop every running test instead of a single one'
+    },
+    mode: {
+      description: 'graceful (default): let running iterations finish and still produce the summary; abort: end the test immediately'
+    },
+    wait: {
+      description: 'Seconds to wait for the test to stop before reporting (default: 60 for graceful, 10 for abort)'
+    }
+  }
+};
+
+/**
+ * Handle stopping K6 tests
+ */
+export async function handleStop(args) {
+  const { testId, all = false, mode = 'graceful', wait = DEFAULT_WAIT[mode] } = args;
+
+  try {
+    if (!STOP_MODES.includes(mode)) {
+      throw new Error(`Unknown stop mode "${mode}". Use one of: ${STOP_MODES.join(', ')}`);
+    }
+    if (!testId && !all) {
+      throw new Error('Pass the testId of the test to stop, or all: true to stop every running test');
+    }
+
+    await getBackend().ensureAvailable();
+
+    const result = all ? await stopAllTests(mode, wait) : await stopTest(testId, mode, wait);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    console.error(chalk.red('Error stopping test:'), error.message);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            error: 'Failed to stop K6 test',
+            message: error.message,
+            testId,
+            ...describeError(error)
+          }, null, 2)
+        }
+      ]
+    };
+  }
+}
+
+/**
+ * Stop one test and report its final status
+ */
+async function stopTest(testId, mode, wait) {
+  const current = await fetchTestStatus(testId);
+  if (current.status !== 'running') {
+    return {
+      ...current,
+      stop: { mode, requested: false, message: `Test ${testId} is not running (status: ${current.status})` }
+    };
+  }
+
+  await requestStop(testId, mode);
+  const stopped = await waitUntilStopped(wait, async () => [await fetchTestStatus(testId)]);
+  const status = await fetchTestStatus(testId);
+
+  return {
+    ...status,
+    stop: {
+      mode,
+      requested: true,
+      confirmed: stopped,
+      message: stopped ?
+        `Test ${testId} stopped (status: ${status.status})` :
+        `Test ${testId} is still running ${wait}s after the stop request; check again with k6_status${mode === 'graceful' ? ' or stop it with mode "abort"' : ''}`
+    }
+  };
+}
+
+/**
+ * Stop every running test and report the status of all tests
+ */
+async function stopAllTests(mode, wait) {
+  const { tests } = await fetchAllTestsStatus();
+  const testIds = tests.filter(test => test.status === 'running').map(test => test.id || test.testId);
+
+  // Keep stopping the others if one of them fails, e.g. because it finished in the meantime
+  const failures = [];
+  for (const testId of testIds) {
+    try {
+      await requestStop(testId, mode);
+    } catch (error) {
+      failures.push({ testId, message: error.message, errorType: error.type });
+    }
+  }
+
+  const stopped = testIds.length === 0 || await waitUntilStopped(wait, async () => {
+    const { tests: latest } = await fetchAllTestsStatus();
+    return latest.filter(test => testIds.includes(test.id || test.testId));
+  });
+  const status = await fetchAllTestsStatus();
+
+  return {
+    ...status,
+    stop: {
+      mode,
+      requested: testIds,
+      confirmed: stopped,
+      failures: failures.length > 0 ? failures : undefined,
+      message: testIds.length === 0 ?
+        'No tests were running' :
+        stopped ?
+          `Stopped ${testIds.length - failures.length} of ${testIds.length} running test(s)` :
+          `Some tests are still running ${wait}s after the stop request; check again with k6_status`
+    }
+  };
+}
+
+/**
+ * Ask the backend to stop a test
+ */
+async function requestStop(testId, mode) {
+  console.error(chalk.yellow(`🛑 Stopping test ${testId} (${mode})...`));
+  await getBackend().stop(testId, mode);
+}
+
+/**
+ * Poll until none of the tests is running, or the wait is over
+ */
+async function waitUntilStopped(wait, getTests) {
+  const deadline = Date.now() + wait * 1000;
+  for (;;) {
+    const tests = await getTests();
+    if (tests.every(test => test.status !== 'running')) {
+      return true;
+    }
+    if (Date.now() >= deadline) {
+      return false;
+    }
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * K6 Tune Tool Handler
+ * Edits the options of an existing script in test-scripts and reports the change as a diff
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import { editOptions, TUNE_OPERATIONS, EXECUTORS } from '../utils/optionsEditor.js';
+import { createUnifiedDiff } from '../utils/diff.js';
+import { getScriptsDir } from './generateHandler.js';
+
+// Tool configuration
+export const tuneToolConfig = {
+  title: 'Tune K6 Script Options',
+  description: 'Apply structured edits to the options of a script in test-scripts (add a stage, scale VUs, set or remove a threshold, switch executor), leaving the rest of the script untouched. Returns a unified diff and keeps a backup of the original',
+  inputSchema: {
+    script: {
+      type: 'string',
+      description: 'Name of the script in test-scripts, e.g. generated_api_1700000000000.js'
+    },
+    edits: {
+      type: 'array',
+      description: `Edits applied in order. Each has an op (${TUNE_OPERATIONS.join(', ')}): ` +
+        'addStage {duration, target, scenario?}; scaleVus {factor, scenario?}; setThreshold {metric, rules}; removeThreshold {metric}; ' +
+        `setExecutor {executor (${EXECUTORS.join(', ')}), scenario?, vus?, duration?, rate?, timeUnit?, stages?, iterations?, preAllocatedVUs?, maxVUs?}`
+    }
+  }
+};
+
+/**
+ * Handle k6_tune tool
+ */
+export async function handleTune(args) {
+  const { script, edits } = args;
+
+  try {
+    const scriptsDir = getScriptsDir();
+    const fileName = path.basename(script);
+    const filePath = path.join(scriptsDir, fileName);
+
+    let original;
+    try {
+      original = await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+      throw new Error(`Script ${fileName} not found in ${scriptsDir}`);
+    }
+
+    const { script: tuned, applied, warnings } = editOptions(original, edits);
+
+    // Keep the original next to the script; .bak files are not picked up as tests
+    const backupName = `${fileName}.${Date.now()}.bak`;
+    await fs.writeFile(path.join(scriptsDir, backupName), original);
+    await fs.writeFile(filePath, tuned);
+    console.error(chalk.blue(`🎛️  Tuned ${fileName} (${applied.length} edit(s))`));
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            message: `Applied ${applied.length} edit(s) to ${fileName}`,
+            file: {
+              path: filePath,
+              name: fileName,
+              backup: path.join(scriptsDir, backupName)
+            },
+            applied,
+            warnings: warnings.length > 0 ? warnings : undefined,
+            diff: createUnifiedDiff(original, tuned, { oldName: `a/${fileName}`, newName: `b/${fileName}` })
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    console.error(chalk.red('Error tuning script:'), error.message);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            error: 'Failed to tune K6 script',
+            message: error.message,
+            script
+          }, null, 2)
+        }
+      ]
+    };
+  }
+}
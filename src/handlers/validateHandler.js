@@ -0,0 +1,68 @@
+/**
+ * K6 Validate Tool Handler
+ * Checks a script statically before it is sent to the App Server
+ */
+
+import fs from 'fs/promises';
+import chalk from 'chalk';
+import { validateScript } from '../utils/scriptValidator.js';
+import { resolveScriptPath } from './generateHandler.js';
+
+// Tool configuration
+export const validateToolConfig = {
+  title: 'Validate K6 Script',
+  description: 'Parse a K6 script without running it and report syntax errors, unsupported imports, missing entry points, thresholds on undefined metrics, conflicting execution options and hard-coded hosts',
+  inputSchema: {
+    script: {
+      type: 'string',
+      description: 'Path to the K6 test script, or the name of a script in test-scripts'
+    }
+  }
+};
+
+/**
+ * Handle k6_validate tool
+ */
+export async function handleValidate(args) {
+  const { script } = args;
+
+  try {
+    const filePath = await resolveScriptPath(script);
+    const code = await fs.readFile(filePath, 'utf-8');
+    const diagnostics = validateScript(code);
+    const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+
+    console.error(errors === 0
+      ? chalk.green(`✅ ${script} passed validation`)
+      : chalk.yellow(`⚠️  ${script} has ${errors} error(s)`));
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            valid: errors === 0,
+            script: filePath,
+            errors,
+            warnings: diagnostics.length - errors,
+            diagnostics
+          }, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    console.error(chalk.red('Error validating script:'), error.message);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            error: 'Failed to validate K6 script',
+            message: error.message,
+            script
+          }, null, 2)
+        }
+      ]
+    };
+  }
+}
@@ -0,0 +1,213 @@
+/**
+ * K6 Wait Handler
+ * Waits for a K6 test to finish, reporting progress along the way
+ */
+
+import chalk from 'chalk';
+import { getBackend } from '../backends/index.js';
+import { fetchTestStatus, formatDuration } from './statusHandler.js';
+import { fetchTestAnalysis } from './analyzeHandler.js';
+import { describeError } from '../utils/errors.js';
+
+const DEFAULT_TIMEOUT = 600;
+const DEFAULT_INTERVAL = 5;
+
+// Tool configuration
+export const waitToolConfig = {
+  title: 'Wait for K6 Test',
+  description: 'Wait until a K6 test finishes, sending progress notifications with elapsed time, VUs and request rate, then return the final status and analyzed metrics',
+  inputSchema: {
+    testId: {
+      description: 'Test ID to wait for'
+    },
+    timeout: {
+      description: `Seconds to wait before giving up (default: ${DEFAULT_TIMEOUT})`
+    },
+    interval: {
+      description: `Seconds between status checks and progress notifications (default: ${DEFAULT_INTERVAL})`
+    }
+  }
+};
+
+/**
+ * Handle waiting for a K6 test
+ */
+export async function handleWait(args, extra = {}) {
+  const { testId, timeout = DEFAULT_TIMEOUT, interval = DEFAULT_INTERVAL } = args;
+
+  try {
+    await getBackend().ensureAvailable();
+
+    console.error(chalk.blue(`⏳ Waiting up to ${timeout}s for test ${testId}...`));
+    const result = await waitForTest(testId, timeout, interval, extra);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    console.error(chalk.red('Error waiting for test:'), error.message);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            error: 'Failed to wait for K6 test',
+            message: error.message,
+            testId,
+            ...describeError(error)
+          }, null, 2)
+        }
+      ]
+    };
+  }
+}
+
+/**
+ * Poll the test until it leaves the running state or the timeout expires
+ */
+async function waitForTest(testId, timeout, interval, { signal, sendNotification, _meta }) {
+  const started = Date.now();
+  const deadline = started + timeout * 1000;
+  const progressToken = _meta?.progressToken;
+  let previous;
+
+  for (;;) {
+    const status = await fetchTestStatus(testId);
+    const waited = formatDuration(Date.now() - started);
+
+    if (status.status !== 'running') {
+      console.error(chalk.green(`✅ Test ${testId} finished with status ${status.status}`));
+      return {
+        testId,
+        finished: true,
+        timedOut: false,
+        waited,
+        status,
+        ...await getAnalysis(testId)
+      };
+    }
+
+    const progress = await sampleProgress(testId, status, previous);
+    previous = progress;
+    if (progressToken !== undefined && sendNotification) {
+      await sendNotification({
+        method: 'notifications/progress',
+        params: {
+          progressToken,
+          progress: Math.round((Date.now() - started) / 100) / 10,
+          total: timeout,
+          message: describeProgress(progress)
+        }
+      });
+    }
+
+    if (Date.now() >= deadline) {
+      console.error(chalk.yellow(`⌛ Test ${testId} still running after ${timeout}s`));
+      return {
+        testId,
+        finished: false,
+        timedOut: true,
+        waited,
+        message: `Test ${testId} is still running after waiting ${timeout}s. Call k6_wait again to keep waiting, or stop it with k6_stop`,
+        status,
+        progress: toReport(progress)
+      };
+    }
+
+    await sleep(Math.min(interval * 1000, deadline - Date.now()), signal);
+  }
+}
+
+/**
+ * Analyzed metrics for a finished test; failed runs may have no results to analyze
+ */
+async function getAnalysis(testId) {
+  try {
+    const { metrics, issues, recommendations, summary } = await fetchTestAnalysis(testId);
+    return { metrics, issues, recommendations, summary };
+  } catch (error) {
+    return { analysisError: error.message };
+  }
+}
+
+/**
+ * Read elapsed time, VUs and request rate for a running test
+ */
+async function sampleProgress(testId, status, previous) {
+  const progress = {
+    at: Date.now(),
+    elapsed: status.startTime ? Date.now() - new Date(status.startTime).getTime() : undefined
+  };
+
+  try {
+    const { output = '', metrics = {} } = await getBackend().getOutput(testId, { tail: 20 });
+
+    // k6 progress lines look like "running (1m02.3s), 10/20 VUs, 512 complete and 0 interrupted iterations"
+    const vus = [...output.matchAll(/(\d+)\/(\d+) VUs/g)].pop();
+    if (vus) {
+      progress.vus = Number(vus[1]);
+      progress.maxVUs = Number(vus[2]);
+    }
+
+    progress.requests = typeof metrics.http_reqs === 'number' ? metrics.http_reqs : undefined;
+    if (progress.requests !== undefined && previous?.requests !== undefined && progress.at > previous.at) {
+      progress.requestRate = Math.round((progress.requests - previous.requests) / ((progress.at - previous.at) / 1000) * 10) / 10;
+    }
+  } catch (error) {
+    // Progress is best effort; the status check decides when the wait is over
+  }
+  return progress;
+}
+
+/**
+ * One-line progress message for notifications
+ */
+function describeProgress(progress) {
+  const parts = [progress.elapsed !== undefined ? `running for ${formatDuration(progress.elapsed)}` : 'running'];
+  if (progress.vus !== undefined) {
+    parts.push(`${progress.vus}/${progress.maxVUs} VUs`);
+  }
+  if (progress.requestRate !== undefined) {
+    parts.push(`${progress.requestRate} req/s`);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Progress fields worth returning to the caller
+ */
+function toReport({ elapsed, vus, maxVUs, requests, requestRate }) {
+  return {
+    elapsed: elapsed !== undefined ? formatDuration(elapsed) : undefined,
+    vus,
+    maxVUs,
+    requests,
+    requestRate
+  };
+}
+
+/**
+ * Sleep, waking early if the request is cancelled
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error('Wait cancelled'));
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, Math.max(0, ms));
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('Wait cancelled'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
@@ -15,9 +15,18 @@ import { handleList, listToolConfig } from './handlers/listHandler.js';
 import { handleAnalyze, analyzeToolConfig } from './handlers/analyzeHandler.js';
 import { handleStatus, statusToolConfig } from './handlers/statusHandler.js';
 import { handleOutput, outputToolConfig } from './handlers/outputHandler.js';
+import { handleStop, stopToolConfig, STOP_MODES } from './handlers/stopHandler.js';
+import { handleWait, waitToolConfig } from './handlers/waitHandler.js';
+import { handleRecord, recordToolConfig } from './handlers/recordHandler.js';
+import { handleRegenerate, regenerateToolConfig } from './handlers/regenerateHandler.js';
+import { handleValidate, validateToolConfig } from './handlers/validateHandler.js';
+import { handleTune, tuneToolConfig } from './handlers/tuneHandler.js';
+import { EXECUTORS } from './utils/optionsEditor.js';
 
 // Import utilities
 import { checkAppServer, getAppServerUrl } from './utils/appServerCheck.js';
+import { getAppServerConfig } from './utils/appServerConfig.js';
+import { getBackend } from './backends/index.js';
 
 // Create the MCP server
 const server = new McpServer({
@@ -25,6 +34,162 @@ const server = new McpServer({
   version: '2.1.0', // Updated version for fully refactored code
 });
 
+// A named user journey in a weighted workload mix
+const journeySchema = z.object({
+  name: z.string(),
+  weight: z.number().optional(),
+  executor: z.enum([
+    'constant-vus',
+    'ramping-vus',
+    'per-vu-iterations',
+    'shared-iterations',
+    'constant-arrival-rate',
+    'ramping-arrival-rate'
+  ]).optional(),
+  vus: z.number().optional(),
+  rate: z.number().optional(),
+  timeUnit: z.string().optional(),
+  duration: z.string().optional(),
+  iterations: z.number().optional(),
+  preAllocatedVUs: z.number().optional(),
+  maxVUs: z.number().optional(),
+  stages: z.array(z.object({
+    duration: z.string(),
+    target: z.number()
+  })).optional(),
+  thinkTime: z.number().optional(),
+  tags: z.record(z.string()).optional(),
+  requests: z.array(z.object({
+    method: z.string().optional(),
+    path: z.string(),
+    name: z.string().optional(),
+    body: z.any().optional()
+  })).optional()
+});
+
+// Authentication flow; only environment variable names, never the secrets themselves
+const authSchema = z.object({
+  type: z.enum(['bearer', 'oauth2', 'form']),
+  tokenEnv: z.string().optional(),
+  tokenUrl: z.string().optional(),
+  scope: z.string().optional(),
+  clientIdEnv: z.string().optional(),
+  clientSecretEnv: z.string().optional(),
+  refreshMargin: z.number().optional(),
+  loginPath: z.string().optional(),
+  usernameField: z.string().optional(),
+  passwordField: z.string().optional(),
+  usernameEnv: z.string().optional(),
+  passwordEnv: z.string().optional(),
+  sessionTtl: z.number().optional()
+});
+
+// CSV/JSON test data and the requests parameterized from it
+const dataSchema = z.object({
+  file: z.string(),
+  order: z.enum(['sequential', 'random', 'unique']).optional(),
+  requests: z.array(z.object({
+    method: z.string().optional(),
+    path: z.string(),
+    name: z.string().optional(),
+    query: z.record(z.string()).optional(),
+    body: z.record(z.string()).optional()
+  })).optional(),
+  variables: z.record(z.string()).optional()
+});
+
+// A page visited by a browser VU and the interactions performed on it
+const browserPageSchema = z.object({
+  url: z.string(),
+  name: z.string().optional(),
+  steps: z.array(z.object({
+    action: z.enum(['click', 'fill', 'waitForSelector']),
+    selector: z.string(),
+    value: z.string().optional(),
+    navigation: z.boolean().optional(),
+    state: z.enum(['attached', 'detached', 'visible', 'hidden']).optional(),
+    timeout: z.number().optional()
+  })).optional()
+});
+
+// Tag filter and abort-on-fail settings shared by every SLO entry
+const sloEntrySchema = {
+  tags: z.record(z.string()).optional(),
+  abortOnFail: z.boolean().optional(),
+  delayAbortEval: z.string().optional()
+};
+
+// Service level objectives rendered into options.thresholds
+const sloSchema = z.object({
+  latency: z.array(z.object({
+    metric: z.string().optional(),
+    percentile: z.number().optional(),
+    stat: z.enum(['avg', 'min', 'med', 'max']).optional(),
+    max: z.number(),
+    ...sloEntrySchema
+  })).optional(),
+  errorRate: z.array(z.object({
+    metric: z.string().optional(),
+    max: z.number(),
+    ...sloEntrySchema
+  })).optional(),
+  checks: z.array(z.object({
+    min: z.number(),
+    ...sloEntrySchema
+  })).optional(),
+  abortOnFail: z.boolean().optional(),
+  delayAbortEval: z.string().optional()
+});
+
+// A single edit to the options of an existing script
+const stageSchema = z.object({
+  duration: z.string(),
+  target: z.number()
+});
+
+const tuneEditSchema = z.discriminatedUnion('op', [
+  z.object({
+    op: z.literal('addStage'),
+    duration: z.string(),
+    target: z.number(),
+    scenario: z.string().optional()
+  }),
+  z.object({
+    op: z.literal('scaleVus'),
+    factor: z.number(),
+    scenario: z.string().optional()
+  }),
+  z.object({
+    op: z.literal('setThreshold'),
+    metric: z.string(),
+    rules: z.array(z.union([
+      z.string(),
+      z.object({
+        threshold: z.string(),
+        abortOnFail: z.boolean().optional(),
+        delayAbortEval: z.string().optional()
+      })
+    ]))
+  }),
+  z.object({
+    op: z.literal('removeThreshold'),
+    metric: z.string()
+  }),
+  z.object({
+    op: z.literal('setExecutor'),
+    executor: z.enum(EXECUTORS),
+    scenario: z.string().optional(),
+    vus: z.number().optional(),
+    duration: z.string().optional(),
+    rate: z.number().optional(),
+    timeUnit: z.string().optional(),
+    stages: z.array(stageSchema).optional(),
+    iterations: z.number().optional(),
+    preAllocatedVUs: z.number().optional(),
+    maxVUs: z.number().optional()
+  })
+]);
+
 // Register k6_generate tool
 server.registerTool(
   'k6_generate',
@@ -32,14 +197,54 @@ server.registerTool(
     title: generateToolConfig.title,
     description: generateToolConfig.description,
     inputSchema: {
-      source: z.enum(['basic', 'api', 'har', 'openapi']).describe(generateToolConfig.inputSchema.source.description),
+      source: z.enum(['basic', 'api', 'har', 'openapi', 'postman', 'jmeter', 'graphql', 'grpc', 'websocket', 'sse', 'browser', 'accesslog', 'template']).describe(generateToolConfig.inputSchema.source.description),
       input: z.string().optional().describe(generateToolConfig.inputSchema.input.description),
       options: z.object({
         vus: z.number().optional(),
         duration: z.string().optional(),
-        scenarios: z.array(z.string()).optional(),
+        scenarios: z.array(z.union([z.string(), journeySchema])).optional(),
         thinkTime: z.number().optional(),
-        assertions: z.boolean().optional()
+        assertions: z.boolean().optional(),
+        includeStatic: z.boolean().optional(),
+        domains: z.array(z.string()).optional(),
+        maxThinkTime: z.number().optional(),
+        environment: z.string().optional(),
+        rate: z.number().optional(),
+        timeUnit: z.string().optional(),
+        preAllocatedVUs: z.number().optional(),
+        maxVUs: z.number().optional(),
+        stages: z.array(z.object({
+          duration: z.string(),
+          target: z.number()
+        })).optional(),
+        steps: z.number().optional(),
+        stepDuration: z.string().optional(),
+        endpoint: z.string().optional(),
+        maxDepth: z.number().optional(),
+        includeMutations: z.boolean().optional(),
+        operations: z.array(z.string()).optional(),
+        importPaths: z.array(z.string()).optional(),
+        target: z.string().optional(),
+        plaintext: z.boolean().optional(),
+        sessionDuration: z.string().optional(),
+        messageRate: z.number().optional(),
+        subscribe: z.union([z.string(), z.record(z.any())]).optional(),
+        message: z.union([z.string(), z.record(z.any())]).optional(),
+        expect: z.string().optional(),
+        publishUrl: z.string().optional(),
+        pages: z.array(z.union([z.string(), browserPageSchema])).optional(),
+        protocolVus: z.number().optional(),
+        baseUrl: z.string().optional(),
+        profile: z.enum(['peak', 'observed']).optional(),
+        bucket: z.string().optional(),
+        stageDuration: z.string().optional(),
+        scale: z.number().optional(),
+        maxEndpoints: z.number().optional(),
+        variables: z.record(z.any()).optional(),
+        templatesDir: z.string().optional(),
+        auth: authSchema.optional(),
+        data: dataSchema.optional(),
+        slo: sloSchema.optional()
       }).optional().describe(generateToolConfig.inputSchema.options.description)
     }
   },
@@ -68,7 +273,10 @@ server.registerTool(
   {
     title: listToolConfig.title,
     description: listToolConfig.description,
-    inputSchema: {}
+    inputSchema: {
+      type: z.enum(['scripts', 'templates']).optional().describe(listToolConfig.inputSchema.type.description),
+      templatesDir: z.string().optional().describe(listToolConfig.inputSchema.templatesDir.description)
+    }
   },
   handleList
 );
@@ -115,6 +323,103 @@ server.registerTool(
   handleOutput
 );
 
+// Register k6_stop tool
+server.registerTool(
+  'k6_stop',
+  {
+    title: stopToolConfig.title,
+    description: stopToolConfig.description,
+    inputSchema: {
+      testId: z.string().optional().describe(stopToolConfig.inputSchema.testId.description),
+      all: z.boolean().optional().describe(stopToolConfig.inputSchema.all.description),
+      mode: z.enum(STOP_MODES).optional().describe(stopToolConfig.inputSchema.mode.description),
+      wait: z.number().optional().describe(stopToolConfig.inputSchema.wait.description)
+    }
+  },
+  handleStop
+);
+
+// Register k6_wait tool
+server.registerTool(
+  'k6_wait',
+  {
+    title: waitToolConfig.title,
+    description: waitToolConfig.description,
+    inputSchema: {
+      testId: z.string().describe(waitToolConfig.inputSchema.testId.description),
+      timeout: z.number().positive().optional().describe(waitToolConfig.inputSchema.timeout.description),
+      interval: z.number().positive().optional().describe(waitToolConfig.inputSchema.interval.description)
+    }
+  },
+  handleWait
+);
+
+// Register k6_record tool
+server.registerTool(
+  'k6_record',
+  {
+    title: recordToolConfig.title,
+    description: recordToolConfig.description,
+    inputSchema: {
+      action: z.enum(['start', 'step', 'stop', 'status']).describe(recordToolConfig.inputSchema.action.description),
+      port: z.number().optional().describe(recordToolConfig.inputSchema.port.description),
+      include: z.array(z.string()).optional().describe(recordToolConfig.inputSchema.include.description),
+      exclude: z.array(z.string()).optional().describe(recordToolConfig.inputSchema.exclude.description),
+      name: z.string().optional().describe(recordToolConfig.inputSchema.name.description),
+      options: z.object({
+        vus: z.number().optional(),
+        duration: z.string().optional(),
+        maxThinkTime: z.number().optional(),
+        includeStatic: z.boolean().optional(),
+        assertions: z.boolean().optional(),
+        slo: sloSchema.optional()
+      }).optional().describe(recordToolConfig.inputSchema.options.description)
+    }
+  },
+  handleRecord
+);
+
+// Register k6_regenerate tool
+server.registerTool(
+  'k6_regenerate',
+  {
+    title: regenerateToolConfig.title,
+    description: regenerateToolConfig.description,
+    inputSchema: {
+      file: z.string().describe(regenerateToolConfig.inputSchema.file.description),
+      force: z.boolean().optional().describe(regenerateToolConfig.inputSchema.force.description)
+    }
+  },
+  handleRegenerate
+);
+
+// Register k6_validate tool
+server.registerTool(
+  'k6_validate',
+  {
+    title: validateToolConfig.title,
+    description: validateToolConfig.description,
+    inputSchema: {
+      script: z.string().describe(validateToolConfig.inputSchema.script.description)
+    }
+  },
+  handleValidate
+);
+
+// Register k6_tune tool
+server.registerTool(
+  'k6_tune',
+  {
+    title: tuneToolConfig.title,
+    description: tuneToolConfig.description,
+    inputSchema: {
+      script: z.string().describe(tuneToolConfig.inputSchema.script.description),
+      edits: z.array(tuneEditSchema).min(1).describe(tuneToolConfig.inputSchema.edits.description)
+    }
+  },
+  handleTune
+);
+
 // Start the server
 async function main() {
   const transport = new StdioServerTransport();
@@ -128,20 +433,48 @@ async function main() {
   console.error('  • k6_analyze  - Analyze test results and provide insights');
   console.error('  • k6_status   - Check status of running and recent tests');
   console.error('  • k6_output   - Get output from running or completed tests');
-  console.error('');
-  console.error(chalk.yellow('⚠️  Note: This MCP server requires the K6 App Server to be running'));
-  console.error(chalk.gray('   Start it with: cd k6-app-server && npm start'));
+  console.error('  • k6_stop     - Stop a running test gracefully or abort it');
+  console.error('  • k6_wait     - Wait for a test to finish and return its results');
+  console.error('  • k6_record   - Record traffic through a local proxy into a test script');
+  console.error('  • k6_regenerate - Rebuild a generated script after its input or the generator changed');
+  console.error('  • k6_validate - Check a test script statically before running it');
+  console.error('  • k6_tune     - Edit stages, VUs, thresholds or executor of an existing script');
   console.error('');
   
-  // Check App Server availability
-  const serverAvailable = await checkAppServer();
-  const appServerUrl = getAppServerUrl();
-  
-  if (serverAvailable) {
-    console.error(chalk.green(`✅ K6 App Server is available at ${appServerUrl}`));
+  const backend = getBackend();
+  if (backend.name === 'local') {
+    // Tests run as k6 child processes; no App Server needed
+    console.error(chalk.blue(`🖥️  Using the local backend: ${backend.describe()}`));
+    if (await backend.isAvailable()) {
+      console.error(chalk.green('✅ k6 binary is available'));
+    } else {
+      console.error(chalk.red('❌ k6 binary is NOT available'));
+      console.error(chalk.yellow('   Install k6 or set K6_BINARY to its path'));
+    }
   } else {
-    console.error(chalk.red(`❌ K6 App Server is NOT available at ${appServerUrl}`));
-    console.error(chalk.yellow('   Please start it for full functionality'));
+    console.error(chalk.yellow('⚠️  Note: This MCP server requires the K6 App Server to be running'));
+    console.error(chalk.gray('   Start it with: cd k6-app-server && npm start, or set K6_BACKEND=local to run k6 directly'));
+    console.error('');
+    
+    // A broken config file or certificate stops startup here rather than failing every call
+    const { auth } = getAppServerConfig();
+    if (auth.length > 0) {
+      console.error(chalk.gray(`   Connecting with ${auth.join(', ')}`));
+      if (getAppServerUrl().startsWith('http:')) {
+        console.error(chalk.yellow('⚠️  Credentials are sent over plain HTTP; use an https:// K6_APP_SERVER_URL'));
+      }
+    }
+    
+    // Check App Server availability
+    const serverAvailable = await checkAppServer();
+    const appServerUrl = getAppServerUrl();
+    
+    if (serverAvailable) {
+      console.error(chalk.green(`✅ K6 App Server is available at ${appServerUrl}`));
+    } else {
+      console.error(chalk.red(`❌ K6 App Server is NOT available at ${appServerUrl}`));
+      console.error(chalk.yellow('   Please start it for full functionality'));
+    }
   }
   
   console.error('');
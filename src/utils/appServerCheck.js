@@ -3,34 +3,34 @@
  * Checks if the K6 App Server is available
  */
 
-import axios from 'axios';
 import chalk from 'chalk';
+import { get, getAppServerUrl } from './appServerClient.js';
+import { ServiceError, ERROR_TYPES } from './errors.js';
 
-const APP_SERVER_URL = process.env.K6_APP_SERVER_URL || 'http://localhost:3001';
+// The health check is quick by design; a slow answer counts as unavailable
+const HEALTH_TIMEOUT = 3000;
+
+export { getAppServerUrl };
 
 /**
  * Check if App Server is available
  */
 export async function checkAppServer() {
   try {
-    const response = await axios.get(`${APP_SERVER_URL}/health`);
-    return response.data.status === 'healthy';
+    await requireAppServer();
+    return true;
   } catch (error) {
-    console.error(chalk.yellow('⚠️  K6 App Server not available at'), APP_SERVER_URL);
+    console.error(chalk.yellow('⚠️  K6 App Server not available:'), error.message);
     return false;
   }
 }
 
 /**
- * Get App Server URL
- */
-export function getAppServerUrl() {
-  return APP_SERVER_URL;
-}
-
-/**
- * Get API base URL
+ * Throw a typed error saying why the App Server is unavailable, e.g. down or rejecting the credentials
  */
-export function getApiBaseUrl() {
-  return `${APP_SERVER_URL}/api/tests`;
+export async function requireAppServer() {
+  const response = await get('/health', { timeout: HEALTH_TIMEOUT, retries: 0 });
+  if (response.data?.status !== 'healthy') {
+    throw new ServiceError(ERROR_TYPES.UNREACHABLE, `K6 App Server at ${getAppServerUrl()} is not healthy`);
+  }
 }
\ No newline at end of file
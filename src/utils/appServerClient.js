@@ -0,0 +1,110 @@
+/**
+ * App Server Client
+ * The one place that talks HTTP to the K6 App Server: credentials, TLS, timeouts, retries and typed errors
+ */
+
+import axios from 'axios';
+import chalk from 'chalk';
+import crypto from 'crypto';
+import { getAppServerConfig } from './appServerConfig.js';
+import { ServiceError, ERROR_TYPES } from './errors.js';
+
+// Sent with every call so App Server logs can be matched to a tool call; retries keep the same ID
+const REQUEST_ID_HEADER = 'X-Request-ID';
+
+// Delay before the first retry; doubled for each one after
+const RETRY_DELAY = 250;
+
+// Node error codes for failed TLS handshakes and certificate checks
+const TLS_ERROR = /CERT|SSL|TLS|SELF_SIGNED|EPROTO/;
+
+/**
+ * Get App Server URL
+ */
+export function getAppServerUrl() {
+  return getAppServerConfig().url;
+}
+
+/**
+ * GET an App Server path; GETs are idempotent, so failures that may be transient are retried
+ */
+export async function get(path, { params, timeout, retries = getAppServerConfig().retries } = {}) {
+  const requestId = crypto.randomUUID();
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request({ method: 'get', path, params, timeout, requestId });
+    } catch (error) {
+      const transient = error.type === ERROR_TYPES.UNREACHABLE || error.type === ERROR_TYPES.SERVER_ERROR;
+      if (!transient || attempt >= retries) {
+        throw error;
+      }
+      const delay = RETRY_DELAY * 2 ** attempt;
+      console.error(chalk.yellow(`⚠️  GET ${path} [${requestId}] failed (${error.message}), retrying in ${delay}ms...`));
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * POST to an App Server path; never retried, since the server may have acted on the first attempt
+ */
+export async function post(path, data, { timeout } = {}) {
+  return request({ method: 'post', path, data, timeout, requestId: crypto.randomUUID() });
+}
+
+/**
+ * Send one request, turning every failure into a ServiceError or an Error with the server's message
+ */
+async function request({ method, path, params, data, timeout, requestId }) {
+  const config = getAppServerConfig();
+  timeout = timeout ?? config.timeout;
+  try {
+    return await axios.request({
+      method,
+      url: `${config.url}${path}`,
+      params,
+      data,
+      timeout,
+      headers: { ...config.headers, [REQUEST_ID_HEADER]: requestId },
+      httpsAgent: config.httpsAgent
+    });
+  } catch (error) {
+    const serviceError = toServiceError(error, timeout);
+    serviceError.requestId = requestId;
+    throw serviceError;
+  }
+}
+
+/**
+ * Classify an axios error by what the caller can do about it
+ */
+function toServiceError(error, timeout) {
+  const { response } = error;
+  if (!response) {
+    if (TLS_ERROR.test(error.code || '')) {
+      return new ServiceError(ERROR_TYPES.UNREACHABLE, `TLS connection to the K6 App Server at ${getAppServerUrl()} failed: ${error.message.trim()}`, {
+        hint: 'Check the App Server certificate against K6_APP_SERVER_CA, and K6_APP_SERVER_CERT/K6_APP_SERVER_KEY if it requires a client certificate'
+      });
+    }
+    const reason = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' ?
+      `no response within ${timeout}ms` :
+      error.code || error.message;
+    return new ServiceError(ERROR_TYPES.UNREACHABLE, `K6 App Server is not reachable at ${getAppServerUrl()}: ${reason}`);
+  }
+
+  const message = response.data?.error || response.data?.message || `K6 App Server answered with HTTP ${response.status}`;
+  if (response.status === 401 || response.status === 403) {
+    return new ServiceError(ERROR_TYPES.UNAUTHORIZED, message, { status: response.status });
+  }
+  if (response.status === 404) {
+    return new ServiceError(ERROR_TYPES.NOT_FOUND, message, { status: response.status });
+  }
+  if (response.status === 409) {
+    return new ServiceError(ERROR_TYPES.CONFLICT, message, { status: response.status });
+  }
+  if (response.status >= 500) {
+    return new ServiceError(ERROR_TYPES.SERVER_ERROR, message, { status: response.status });
+  }
+  // Other 4xx answers mean the request itself was wrong; the server's message says how
+  return new Error(message);
+}
@@ -0,0 +1,115 @@
+/**
+ * App Server Connection Config
+ * URL, credentials, TLS material and call limits, from a JSON config file and the environment
+ */
+
+import { readFileSync } from 'fs';
+import https from 'https';
+import path from 'path';
+
+// Environment variables override the config file, key by key
+const ENV_KEYS = {
+  url: 'K6_APP_SERVER_URL',
+  apiKey: 'K6_APP_SERVER_API_KEY',
+  apiKeyHeader: 'K6_APP_SERVER_API_KEY_HEADER',
+  token: 'K6_APP_SERVER_TOKEN',
+  ca: 'K6_APP_SERVER_CA',
+  cert: 'K6_APP_SERVER_CERT',
+  key: 'K6_APP_SERVER_KEY',
+  passphrase: 'K6_APP_SERVER_KEY_PASSPHRASE',
+  timeout: 'K6_APP_SERVER_TIMEOUT',
+  retries: 'K6_APP_SERVER_RETRIES'
+};
+
+const DEFAULTS = {
+  url: 'http://localhost:3001',
+  apiKeyHeader: 'X-API-Key',
+  timeout: 10000,
+  retries: 2
+};
+
+let config;
+
+/**
+ * Connection settings, read once; throws if the config file or a certificate cannot be read
+ */
+export function getAppServerConfig() {
+  if (!config) {
+    config = loadConfig();
+  }
+  return config;
+}
+
+function loadConfig() {
+  const file = process.env.K6_APP_SERVER_CONFIG;
+  const fromFile = file ? readConfigFile(file) : {};
+  const settings = { ...DEFAULTS };
+  for (const [name, envKey] of Object.entries(ENV_KEYS)) {
+    const value = process.env[envKey] || fromFile[name];
+    if (value !== undefined && value !== '') {
+      settings[name] = value;
+    }
+  }
+
+  const url = settings.url.replace(/\/+$/, '');
+  const timeout = Number(settings.timeout);
+  const retries = Number(settings.retries);
+  if (!Number.isFinite(timeout) || timeout <= 0) {
+    throw new Error(`App Server timeout must be a positive number of milliseconds, got "${settings.timeout}"`);
+  }
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw new Error(`App Server retries must be a whole number, got "${settings.retries}"`);
+  }
+  if (Boolean(settings.cert) !== Boolean(settings.key)) {
+    throw new Error('A client certificate needs both cert and key (K6_APP_SERVER_CERT and K6_APP_SERVER_KEY)');
+  }
+
+  // Relative paths in the config file are relative to the file, in the environment to the working directory
+  const baseDir = file ? path.dirname(path.resolve(file)) : process.cwd();
+  const pem = name => {
+    if (!settings[name]) {
+      return undefined;
+    }
+    const pemPath = path.resolve(process.env[ENV_KEYS[name]] ? process.cwd() : baseDir, settings[name]);
+    try {
+      return readFileSync(pemPath);
+    } catch (error) {
+      throw new Error(`Cannot read App Server ${name} file ${pemPath}: ${error.message}`);
+    }
+  };
+  const tls = { ca: pem('ca'), cert: pem('cert'), key: pem('key'), passphrase: settings.passphrase };
+
+  const headers = {};
+  if (settings.apiKey) {
+    headers[settings.apiKeyHeader] = settings.apiKey;
+  }
+  if (settings.token) {
+    headers.Authorization = `Bearer ${settings.token}`;
+  }
+
+  return {
+    url,
+    headers,
+    timeout,
+    retries,
+    // Only needed when the defaults (system CAs, no client certificate) do not fit
+    httpsAgent: tls.ca || tls.cert ? new https.Agent(tls) : undefined,
+    auth: [
+      settings.apiKey && `API key (${settings.apiKeyHeader})`,
+      settings.token && 'bearer token',
+      tls.ca && 'custom CA',
+      tls.cert && 'client certificate'
+    ].filter(Boolean)
+  };
+}
+
+/**
+ * Parse the JSON config file named by K6_APP_SERVER_CONFIG
+ */
+function readConfigFile(file) {
+  try {
+    return JSON.parse(readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Cannot read App Server config ${file}: ${error.message}`);
+  }
+}
@@ -0,0 +1,211 @@
+/**
+ * Authentication Utility
+ * Renders setup() and per-VU credential handling for generated scripts
+ */
+
+import { quote, escapeTemplate, toObjectCode } from './codegen.js';
+
+export const AUTH_TYPES = ['bearer', 'oauth2', 'form'];
+
+// Option keys that would put a credential into the saved script
+const SECRET_KEYS = ['token', 'clientId', 'clientSecret', 'username', 'password', 'secret'];
+
+/**
+ * Validate an auth option and fill in the defaults for its type
+ *
+ * Secrets are never accepted here; only the names of the environment
+ * variables that hold them, e.g.
+ *   { type: 'oauth2', tokenUrl: 'https://idp.example.com/oauth/token', scope: 'orders:read' }
+ */
+export function resolveAuth(auth) {
+  if (!auth) {
+    return undefined;
+  }
+  if (!AUTH_TYPES.includes(auth.type)) {
+    throw new Error(`Unknown auth type "${auth.type}". Use one of: ${AUTH_TYPES.join(', ')}`);
+  }
+
+  const secrets = SECRET_KEYS.filter(key => auth[key] !== undefined);
+  if (secrets.length > 0) {
+    throw new Error(`auth.${secrets.join(', auth.')} would be written into the script; pass credentials through environment variables instead`);
+  }
+
+  switch (auth.type) {
+    case 'bearer':
+      return {
+        type: 'bearer',
+        tokenEnv: auth.tokenEnv || 'AUTH_TOKEN'
+      };
+
+    case 'oauth2':
+      if (!auth.tokenUrl) {
+        throw new Error('auth.tokenUrl is required for the oauth2 client-credentials flow');
+      }
+      return {
+        type: 'oauth2',
+        tokenUrl: auth.tokenUrl,
+        scope: auth.scope,
+        clientIdEnv: auth.clientIdEnv || 'OAUTH_CLIENT_ID',
+        clientSecretEnv: auth.clientSecretEnv || 'OAUTH_CLIENT_SECRET',
+        refreshMargin: auth.refreshMargin ?? 30
+      };
+
+    case 'form':
+      return {
+        type: 'form',
+        loginPath: auth.loginPath || '/login',
+        usernameField: auth.usernameField || 'username',
+        passwordField: auth.passwordField || 'password',
+        usernameEnv: auth.usernameEnv || 'AUTH_USERNAME',
+        passwordEnv: auth.passwordEnv || 'AUTH_PASSWORD',
+        sessionTtl: auth.sessionTtl ?? 900
+      };
+  }
+}
+
+/**
+ * Names of the environment variables a script with this auth needs at run time
+ */
+export function getAuthEnv(auth) {
+  switch (auth.type) {
+    case 'bearer':
+      return [auth.tokenEnv];
+    case 'oauth2':
+      return [auth.clientIdEnv, auth.clientSecretEnv];
+    case 'form':
+      return [auth.usernameEnv, auth.passwordEnv];
+  }
+}
+
+/**
+ * Render the credential helpers and setup() for a script
+ *
+ * The generated authenticate(data) returns the headers to send with every
+ * request and renews expired tokens or sessions inside the VU.
+ */
+export function renderAuth(auth) {
+  const required = `[${getAuthEnv(auth).map(name => quote(name)).join(', ')}]`;
+  const credentials = auth.type === 'bearer' ? `{ token: __ENV[${quote(auth.tokenEnv)}] }` : 'login()';
+
+  return `// Authentication: ${describeAuth(auth)}
+// Credentials are read from environment variables at run time (-e NAME=value), never stored in this file
+function requireEnv(names) {
+  const missing = names.filter((name) => !__ENV[name]);
+  if (missing.length > 0) {
+    throw new Error(\`Missing credentials: set \${missing.join(', ')} with -e NAME=value\`);
+  }
+}
+
+${renderFlow(auth)}
+
+// Obtain credentials once and share them with every VU
+export function setup() {
+  requireEnv(${required});
+  return { auth: ${credentials} };
+}`;
+}
+
+/**
+ * Describe an auth configuration for the script header
+ */
+export function describeAuth(auth) {
+  switch (auth.type) {
+    case 'bearer':
+      return `bearer token from ${auth.tokenEnv}`;
+    case 'oauth2':
+      return `OAuth2 client credentials from ${auth.clientIdEnv}/${auth.clientSecretEnv}`;
+    case 'form':
+      return `form login at ${auth.loginPath} with ${auth.usernameEnv}/${auth.passwordEnv}`;
+  }
+}
+
+/**
+ * Render login() and authenticate() for one auth type
+ */
+function renderFlow(auth) {
+  switch (auth.type) {
+    case 'bearer':
+      return `// Static tokens cannot be renewed; use oauth2 for runs that outlive the token
+function authenticate(data) {
+  return { Authorization: \`Bearer \${data.auth.token}\` };
+}`;
+
+    case 'oauth2': {
+      const form = toObjectCode([
+        ['grant_type', quote('client_credentials')],
+        ['client_id', `__ENV[${quote(auth.clientIdEnv)}]`],
+        ['client_secret', `__ENV[${quote(auth.clientSecretEnv)}]`],
+        ...(auth.scope ? [['scope', quote(auth.scope)]] : [])
+      ], '  ');
+      const tokenUrl = auth.tokenUrl.startsWith('/') ? `\`\${BASE_URL}${escapeTemplate(auth.tokenUrl)}\`` : quote(auth.tokenUrl);
+
+      return `const AUTH_TOKEN_URL = __ENV.AUTH_TOKEN_URL || ${tokenUrl};
+const TOKEN_REFRESH_MARGIN = ${auth.refreshMargin}; // Seconds before expiry to fetch a new token
+
+// Client-credentials exchange
+function login() {
+  const res = http.post(AUTH_TOKEN_URL, ${form}, {
+    tags: { name: 'OAuth2 token' },
+  });
+  if (res.status !== 200) {
+    throw new Error(\`Token request failed with status \${res.status}\`);
+  }
+  const body = res.json();
+  return { token: body.access_token, expiresAt: Date.now() + (body.expires_in || 3600) * 1000 };
+}
+
+// Each VU starts from the setup() token and renews it shortly before it expires
+let session;
+function authenticate(data) {
+  session = session || data.auth;
+  if (Date.now() >= session.expiresAt - TOKEN_REFRESH_MARGIN * 1000) {
+    session = login();
+  }
+  return { Authorization: \`Bearer \${session.token}\` };
+}`;
+    }
+
+    case 'form': {
+      const form = toObjectCode([
+        [auth.usernameField, `__ENV[${quote(auth.usernameEnv)}]`],
+        [auth.passwordField, `__ENV[${quote(auth.passwordEnv)}]`]
+      ], '  ');
+
+      return `const LOGIN_URL = \`\${BASE_URL}${escapeTemplate(auth.loginPath)}\`;
+const SESSION_TTL = ${auth.sessionTtl}; // Seconds before logging in again
+
+// Form login; the session cookies are kept so every VU can reuse them
+function login() {
+  const res = http.post(LOGIN_URL, ${form}, {
+    redirects: 0, // Keep the Set-Cookie headers of a redirecting login response
+    tags: { name: 'Login' },
+  });
+  if (res.status >= 400) {
+    throw new Error(\`Login failed with status \${res.status}\`);
+  }
+  const cookies = {};
+  for (const [name, values] of Object.entries(res.cookies)) {
+    cookies[name] = values[0].value;
+  }
+  if (Object.keys(cookies).length === 0) {
+    throw new Error('Login did not set a session cookie');
+  }
+  return { cookies, expiresAt: Date.now() + SESSION_TTL * 1000 };
+}
+
+// K6 clears the cookie jar every iteration, so the session cookies are set again each time
+let session;
+function authenticate(data) {
+  session = session || data.auth;
+  if (Date.now() >= session.expiresAt) {
+    session = login();
+  }
+  const jar = http.cookieJar();
+  for (const [name, value] of Object.entries(session.cookies)) {
+    jar.set(BASE_URL, name, value);
+  }
+  return {};
+}`;
+    }
+  }
+}
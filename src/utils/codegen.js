@@ -0,0 +1,110 @@
+/**
+ * Code Generation Utility
+ * Helpers for emitting JavaScript source inside generated K6 scripts
+ */
+
+/**
+ * Render a value as a JavaScript literal, indenting continuation lines
+ */
+export function toLiteral(value, indent = '') {
+  return JSON.stringify(value, null, 2)
+    .split('\n')
+    .map((line, i) => i === 0 ? line : indent + line)
+    .join('\n');
+}
+
+/**
+ * Quote a string for use inside a single-quoted JavaScript string
+ */
+export function quote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n').replace(/\r/g, '\\r')}'`;
+}
+
+/**
+ * Escape text for use inside a template literal
+ */
+export function escapeTemplate(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${');
+}
+
+/**
+ * Render [key, expression] pairs as a JavaScript object literal
+ */
+export function toObjectCode(entries, indent = '') {
+  if (entries.length === 0) {
+    return '{}';
+  }
+  const lines = entries.map(([key, expression]) => `${indent}  ${quote(key)}: ${expression},`);
+  return `{\n${lines.join('\n')}\n${indent}}`;
+}
+
+/**
+ * Indent every non-empty line of a block of code
+ */
+export function indentBlock(code, indent) {
+  return code
+    .split('\n')
+    .map(line => line.length > 0 ? indent + line : line)
+    .join('\n');
+}
+
+/**
+ * Convert seconds to a K6 duration string
+ */
+export function formatSeconds(seconds) {
+  const rounded = Math.max(0, Math.round(seconds));
+  if (rounded >= 3600 && rounded % 3600 === 0) {
+    return `${rounded / 3600}h`;
+  }
+  if (rounded >= 60 && rounded % 60 === 0) {
+    return `${rounded / 60}m`;
+  }
+  return `${rounded}s`;
+}
+
+// Words that cannot name a function or variable in an ES module
+const RESERVED_WORDS = new Set([
+  'arguments', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+  'delete', 'do', 'else', 'enum', 'eval', 'export', 'extends', 'false', 'finally', 'for', 'function',
+  'if', 'implements', 'import', 'in', 'instanceof', 'interface', 'let', 'new', 'null', 'package',
+  'private', 'protected', 'public', 'return', 'static', 'super', 'switch', 'this', 'throw', 'true',
+  'try', 'typeof', 'var', 'void', 'while', 'with', 'yield'
+]);
+
+/**
+ * Turn a free-form name into a unique JavaScript identifier
+ */
+export function toIdentifier(name, used = new Set()) {
+  const words = String(name).replace(/[^A-Za-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+  let identifier = words
+    .map((word, i) => i === 0 ? word.charAt(0).toLowerCase() + word.slice(1) : word.charAt(0).toUpperCase() + word.slice(1))
+    .join('') || 'item';
+
+  if (/^[0-9]/.test(identifier) || RESERVED_WORDS.has(identifier)) {
+    identifier = `_${identifier}`;
+  }
+
+  let unique = identifier;
+  for (let i = 2; used.has(unique); i++) {
+    unique = `${identifier}${i}`;
+  }
+  used.add(unique);
+  return unique;
+}
+
+/**
+ * Parse a K6 duration string ("1m30s", "500ms", "2h") into milliseconds
+ */
+export function parseDuration(duration) {
+  const text = String(duration).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Number(text) * 1000;
+  }
+
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+  const parts = [...text.matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h|d)/g)];
+  if (parts.length === 0 || parts.map(part => part[0]).join('') !== text) {
+    throw new Error(`Invalid duration: ${duration}`);
+  }
+  return parts.reduce((total, [, value, unit]) => total + Number(value) * units[unit], 0);
+}
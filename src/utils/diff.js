@@ -0,0 +1,147 @@
+/**
+ * Diff Utility
+ * Line-based unified diffs for reporting changes to generated scripts
+ */
+
+/**
+ * Create a unified diff between two texts
+ *
+ * Returns an empty string when the texts are identical.
+ */
+export function createUnifiedDiff(oldText, newText, { oldName = 'a', newName = 'b', context = 3 } = {}) {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+  const operations = diffLines(oldLines, newLines);
+
+  if (operations.every(operation => operation.type === ' ')) {
+    return '';
+  }
+
+  const hunks = [];
+  let hunk = null;
+  let oldLine = 1;
+  let newLine = 1;
+  let trailing = 0;
+
+  operations.forEach((operation, i) => {
+    const changed = operation.type !== ' ';
+
+    if (!hunk && changed) {
+      // Open a hunk with up to `context` lines before the first change
+      const lead = [];
+      for (let back = i - 1; back >= 0 && lead.length < context && operations[back].type === ' '; back--) {
+        lead.unshift(operations[back]);
+      }
+      hunk = {
+        oldStart: oldLine - lead.length,
+        newStart: newLine - lead.length,
+        lines: lead.map(line => ` ${line.text}`)
+      };
+      trailing = 0;
+    }
+
+    if (hunk) {
+      hunk.lines.push(`${operation.type}${operation.text}`);
+      trailing = changed ? 0 : trailing + 1;
+      // Hunks separated by up to twice the context are merged, as in diff -u
+      const changeAhead = operations.slice(i + 1, i + 2 + context).some(next => next.type !== ' ');
+      if (trailing >= context && !changeAhead) {
+        hunks.push(hunk);
+        hunk = null;
+      }
+    }
+
+    if (operation.type !== '+') {
+      oldLine++;
+    }
+    if (operation.type !== '-') {
+      newLine++;
+    }
+  });
+  if (hunk) {
+    hunks.push(hunk);
+  }
+
+  const body = hunks.map(({ oldStart, newStart, lines }) => {
+    const oldCount = lines.filter(line => !line.startsWith('+')).length;
+    const newCount = lines.filter(line => !line.startsWith('-')).length;
+    return [`@@ -${range(oldStart, oldCount)} +${range(newStart, newCount)} @@`, ...lines].join('\n');
+  });
+
+  return [`--- ${oldName}`, `+++ ${newName}`, ...body].join('\n') + '\n';
+}
+
+/**
+ * Split text into lines, ignoring the empty string after a final newline
+ */
+function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Longest-common-subsequence line diff as a list of ' ', '-' and '+' operations
+ */
+function diffLines(oldLines, newLines) {
+  // Unchanged head and tail lines are common for edited scripts; skip them before the quadratic part
+  let head = 0;
+  while (head < oldLines.length && head < newLines.length && oldLines[head] === newLines[head]) {
+    head++;
+  }
+  let tail = 0;
+  while (
+    tail < oldLines.length - head &&
+    tail < newLines.length - head &&
+    oldLines[oldLines.length - 1 - tail] === newLines[newLines.length - 1 - tail]
+  ) {
+    tail++;
+  }
+
+  const a = oldLines.slice(head, oldLines.length - tail);
+  const b = newLines.slice(head, newLines.length - tail);
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const operations = oldLines.slice(0, head).map(text => ({ type: ' ', text }));
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      operations.push({ type: ' ', text: a[i] });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+      // Removals come before additions, as in diff -u
+      operations.push({ type: '-', text: a[i] });
+      i++;
+    } else {
+      operations.push({ type: '+', text: b[j] });
+      j++;
+    }
+  }
+  operations.push(...oldLines.slice(oldLines.length - tail).map(text => ({ type: ' ', text })));
+  return operations;
+}
+
+/**
+ * Format a hunk range; empty ranges point at the line before them
+ */
+function range(start, count) {
+  if (count === 0) {
+    return `${start - 1},0`;
+  }
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
@@ -0,0 +1,47 @@
+/**
+ * Service Errors
+ * Typed errors for App Server calls and local runs, each with a consistent hint
+ */
+
+export const ERROR_TYPES = {
+  UNREACHABLE: 'unreachable',
+  UNAUTHORIZED: 'unauthorized',
+  NOT_FOUND: 'not-found',
+  CONFLICT: 'conflict',
+  STILL_RUNNING: 'still-running',
+  SERVER_ERROR: 'server-error'
+};
+
+const HINTS = {
+  [ERROR_TYPES.UNREACHABLE]: 'Start the K6 App Server with: cd k6-app-server && npm start, or check K6_APP_SERVER_URL',
+  [ERROR_TYPES.UNAUTHORIZED]: 'The K6 App Server rejected the credentials; check K6_APP_SERVER_TOKEN or K6_APP_SERVER_API_KEY',
+  [ERROR_TYPES.NOT_FOUND]: 'Use k6_status to list available tests.',
+  [ERROR_TYPES.CONFLICT]: 'The test is not in a state that allows this; check it with k6_status',
+  [ERROR_TYPES.STILL_RUNNING]: 'The test is still running; wait for it with k6_wait or stop it with k6_stop',
+  [ERROR_TYPES.SERVER_ERROR]: 'The K6 App Server failed to handle the request; check its logs and try again'
+};
+
+/**
+ * Error with a type from ERROR_TYPES, so callers can tell e.g. "still running" from "server down"
+ */
+export class ServiceError extends Error {
+  constructor(type, message, { status, hint, requestId } = {}) {
+    super(message);
+    this.name = 'ServiceError';
+    this.type = type;
+    this.status = status;
+    this.hint = hint || HINTS[type];
+    this.requestId = requestId;
+  }
+}
+
+/**
+ * Type, hint and App Server request ID of an error for tool responses; untyped errors have none of them
+ */
+export function describeError(error) {
+  return {
+    errorType: error.type,
+    hint: error.hint,
+    requestId: error.requestId
+  };
+}
@@ -0,0 +1,130 @@
+/**
+ * Manifest Utility
+ * Records how each generated script was made in test-scripts/manifest.json
+ */
+
+import fs from 'fs/promises';
+import { readFileSync, readdirSync } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { getTemplatesDir } from '../generators/templateGenerator.js';
+
+const MANIFEST_FILE = 'manifest.json';
+
+// Code that shapes generated scripts; a change to any of these files changes GENERATOR_VERSION
+const GENERATOR_SOURCES = [
+  ...readdirSync(new URL('../generators/', import.meta.url)).filter(name => name.endsWith('.js')).sort().map(name => `../generators/${name}`),
+  './auth.js',
+  './codegen.js',
+  './testData.js',
+  './thresholds.js',
+  '../handlers/generateHandler.js'
+];
+
+// Package version plus a hash of the generator sources, so scripts can be rebuilt after generator changes
+export const GENERATOR_VERSION = `${JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf-8')).version}+${
+  hashContent(GENERATOR_SOURCES.map(source => readFileSync(new URL(source, import.meta.url), 'utf-8')).join('\0')).slice('sha256:'.length, 'sha256:'.length + 12)
+}`;
+
+// Manifest writes are serialized so concurrent generations don't drop each other's entries
+let writeQueue = Promise.resolve();
+
+/**
+ * SHA-256 of a string or buffer
+ */
+export function hashContent(content) {
+  return `sha256:${crypto.createHash('sha256').update(content).digest('hex')}`;
+}
+
+/**
+ * Resolve the file a script was generated from and hash it
+ *
+ * URL inputs (basic, api, websocket, ...) have no file and therefore no hash.
+ */
+export async function describeInput(source, input, options = {}) {
+  const extraInputs = await describeExtraInputs(source, input, options);
+  if (!input) {
+    return { inputPath: null, inputHash: null, extraInputs };
+  }
+
+  const candidate = source === 'template'
+    ? path.join(getTemplatesDir(options.templatesDir), `${input}.js`)
+    : path.resolve(input);
+
+  const inputHash = await hashFile(candidate);
+  return { inputPath: inputHash ? candidate : null, inputHash, extraInputs };
+}
+
+/**
+ * Hash the files a generator reads besides its input: test data, Postman environments, proto imports and template schemas
+ */
+async function describeExtraInputs(source, input, options) {
+  const files = [];
+  if (options.data?.file) {
+    files.push({ kind: 'data', path: path.resolve(options.data.file) });
+  }
+  if (source === 'postman' && options.environment) {
+    files.push({ kind: 'environment', path: path.resolve(options.environment) });
+  }
+  if (source === 'grpc') {
+    for (const importPath of options.importPaths || []) {
+      files.push(...(await listProtoFiles(path.resolve(importPath))).map(file => ({ kind: 'proto import', path: file })));
+    }
+  }
+  if (source === 'template' && input) {
+    files.push({ kind: 'schema', path: path.join(getTemplatesDir(options.templatesDir), `${input}.schema.json`) });
+  }
+
+  return Promise.all(files.map(async file => ({ ...file, hash: await hashFile(file.path) })));
+}
+
+/**
+ * .proto files under an import directory, so an added or changed import is noticed
+ */
+async function listProtoFiles(dir) {
+  try {
+    const names = await fs.readdir(dir, { recursive: true });
+    return names.filter(name => name.endsWith('.proto')).sort().map(name => path.join(dir, name));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Hash of a file's content, or null if it can't be read
+ */
+async function hashFile(file) {
+  try {
+    return hashContent(await fs.readFile(file));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read the manifest, or an empty one if none has been written yet
+ */
+export async function readManifest(scriptsDir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(scriptsDir, MANIFEST_FILE), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { version: 1, scripts: {} };
+    }
+    throw new Error(`Manifest ${path.join(scriptsDir, MANIFEST_FILE)} is not readable: ${error.message}`);
+  }
+}
+
+/**
+ * Add or replace the entry for a generated file
+ */
+export function recordGeneration(scriptsDir, fileName, entry) {
+  const write = writeQueue.then(async () => {
+    const manifest = await readManifest(scriptsDir);
+    manifest.scripts[fileName] = entry;
+    await fs.writeFile(path.join(scriptsDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+  });
+  // A failed write must not block the ones queued after it
+  writeQueue = write.catch(() => {});
+  return write;
+}
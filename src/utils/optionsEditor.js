@@ -0,0 +1,644 @@
+/**
+ * Options Editor
+ * Applies structured edits to the `export const options` object of a K6 script
+ *
+ * Edits are spliced into the source at the nodes they touch, so the rest of the script,
+ * including comments and formatting, stays as it was.
+ */
+
+import * as acorn from 'acorn';
+import { quote, toLiteral, parseDuration, formatSeconds } from './codegen.js';
+import { renderThresholdRules } from './thresholds.js';
+import { findOptions, getProperty, propertyName, staticValue, UNKNOWN } from './scriptValidator.js';
+
+export const TUNE_OPERATIONS = ['addStage', 'scaleVus', 'setThreshold', 'removeThreshold', 'setExecutor'];
+
+export const EXECUTORS = [
+  'constant-vus',
+  'ramping-vus',
+  'constant-arrival-rate',
+  'ramping-arrival-rate',
+  'per-vu-iterations',
+  'shared-iterations'
+];
+
+// VU counts scaled by scaleVus; stage targets are only VUs for ramping-vus
+const VU_KEYS = ['vus', 'startVUs', 'preAllocatedVUs', 'maxVUs'];
+
+// Scenario settings every executor accepts, kept as written when the executor changes
+const COMMON_KEYS = ['exec', 'env', 'tags', 'startTime', 'gracefulStop', 'options'];
+
+// Settings each executor takes, in the order they are written
+const EXECUTOR_KEYS = {
+  'constant-vus': ['vus', 'duration'],
+  'ramping-vus': ['startVUs', 'stages', 'gracefulRampDown'],
+  'constant-arrival-rate': ['rate', 'timeUnit', 'duration', 'preAllocatedVUs', 'maxVUs'],
+  'ramping-arrival-rate': ['startRate', 'timeUnit', 'stages', 'preAllocatedVUs', 'maxVUs'],
+  'per-vu-iterations': ['vus', 'iterations', 'maxDuration'],
+  'shared-iterations': ['vus', 'iterations', 'maxDuration']
+};
+
+const ARRIVAL_RATE = ['constant-arrival-rate', 'ramping-arrival-rate'];
+
+// Rest of a line holding nothing but an optional trailing comment
+const TRAILING_COMMENT = /^[ \t]*(\/\/.*|\/\*.*\*\/[ \t]*)?\r?$/;
+
+/**
+ * Apply edits in order and return the new script with a summary of each change
+ */
+export function editOptions(code, edits) {
+  if (!Array.isArray(edits) || edits.length === 0) {
+    throw new Error('At least one edit is required');
+  }
+
+  const applied = [];
+  const warnings = [];
+  let script = code;
+  edits.forEach((edit, i) => {
+    const label = `Edit ${i + 1} (${edit.op})`;
+    try {
+      const result = applyEdit(script, edit);
+      script = result.script;
+      applied.push({ op: edit.op, change: result.change });
+      warnings.push(...(result.warnings || []).map(warning => `${label}: ${warning}`));
+    } catch (error) {
+      throw new Error(`${label}: ${error.message}`);
+    }
+  });
+
+  // Every splice is checked by parsing, but a final parse guards against combinations of them
+  parse(script);
+  return { script, applied, warnings };
+}
+
+/**
+ * Apply a single edit
+ */
+function applyEdit(code, edit) {
+  switch (edit.op) {
+    case 'addStage':
+      return addStage(code, edit);
+    case 'scaleVus':
+      return scaleVus(code, edit);
+    case 'setThreshold':
+      return setThreshold(code, edit);
+    case 'removeThreshold':
+      return removeThreshold(code, edit);
+    case 'setExecutor':
+      return setExecutor(code, edit);
+    default:
+      throw new Error(`Unknown operation "${edit.op}". Use one of: ${TUNE_OPERATIONS.join(', ')}`);
+  }
+}
+
+/**
+ * Append a stage to options.stages or to a scenario's stages
+ */
+function addStage(code, { scenario, duration, target }) {
+  parseDuration(duration);
+  if (typeof target !== 'number' || target < 0) {
+    throw new Error('target must be a number of at least 0');
+  }
+
+  const options = readOptions(code);
+  let owner;
+  if (scenario) {
+    owner = getScenario(options, scenario).value;
+  } else if (getProperty(options, 'stages')) {
+    owner = options;
+  } else {
+    const staged = listScenarios(options).filter(item => getProperty(item.value, 'stages'));
+    if (staged.length !== 1) {
+      throw new Error(staged.length === 0
+        ? 'The script has no stages to add to; switch to a ramping executor with setExecutor first'
+        : `Several scenarios have stages; pick one with scenario (${staged.map(propertyName).join(', ')})`);
+    }
+    owner = staged[0].value;
+  }
+
+  const stages = getProperty(owner, 'stages');
+  if (!stages) {
+    throw new Error(`Scenario "${scenario}" has no stages; switch it to a ramping executor with setExecutor first`);
+  }
+  if (stages.value.type !== 'ArrayExpression') {
+    throw new Error('stages is not an array literal and can\'t be edited');
+  }
+
+  const stage = { duration, target };
+  const last = stages.value.elements[stages.value.elements.length - 1];
+  // Follow the style of the existing stages: JSON-like as emitted by some generators, or inline
+  const quotedKeys = last?.type === 'ObjectExpression' && last.properties[0]?.key.type === 'Literal';
+  const indent = last ? lineIndent(code, last.start) : lineIndent(code, stages.start) + '  ';
+  const text = quotedKeys ? toLiteral(stage, indent) : `{ duration: ${quote(duration)}, target: ${target} }`;
+
+  return {
+    script: insertItem(code, stages.value, stages.value.elements, text),
+    change: `Added stage { duration: '${duration}', target: ${target} }${scenario ? ` to scenario "${scenario}"` : ''}`
+  };
+}
+
+/**
+ * Multiply every VU count by a factor
+ */
+function scaleVus(code, { scenario, factor }) {
+  if (typeof factor !== 'number' || !(factor > 0)) {
+    throw new Error('factor must be a number greater than 0');
+  }
+
+  const options = readOptions(code);
+  const targets = [];
+  const warnings = [];
+  const collect = (object, keys, where) => {
+    for (const key of keys) {
+      const property = getProperty(object, key);
+      if (!property) {
+        continue;
+      }
+      if (typeof staticValue(property.value) === 'number') {
+        targets.push(property.value);
+      } else {
+        warnings.push(`${where}${key} is not a number literal and was left as is`);
+      }
+    }
+  };
+  const collectStages = (object, where) => {
+    const stages = getProperty(object, 'stages');
+    if (stages?.value.type !== 'ArrayExpression') {
+      return;
+    }
+    stages.value.elements.forEach((stage, i) => collect(stage, ['target'], `${where}stages[${i}].`));
+  };
+
+  const scenarios = scenario ? [getScenario(options, scenario)] : listScenarios(options);
+  if (!scenario) {
+    collect(options, ['vus'], 'options.');
+    collectStages(options, 'options.');
+  }
+  for (const item of scenarios) {
+    const where = `scenario "${propertyName(item)}" `;
+    collect(item.value, VU_KEYS, where);
+    const executor = getProperty(item.value, 'executor');
+    if (executor && staticValue(executor.value) === 'ramping-vus') {
+      collectStages(item.value, where);
+    }
+  }
+
+  if (targets.length === 0) {
+    throw new Error('The options have no VU counts to scale');
+  }
+
+  const splices = targets.map(node => {
+    const value = staticValue(node);
+    // Keep at least one VU where there was one, but leave ramp-downs to zero alone
+    const scaled = value === 0 ? 0 : Math.max(1, Math.round(value * factor));
+    return { start: node.start, end: node.end, text: String(scaled) };
+  });
+
+  return {
+    script: applySplices(code, splices),
+    change: `Scaled ${targets.length} VU count(s) by ${factor}${scenario ? ` in scenario "${scenario}"` : ''}`,
+    warnings
+  };
+}
+
+/**
+ * Add a threshold or replace the rules of an existing one
+ */
+function setThreshold(code, { metric, rules }) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*(\{[^{}]+\})?$/.test(metric || '')) {
+    throw new Error(`Invalid threshold metric "${metric}"; use a name with an optional tag filter, e.g. http_req_duration{name:Login}`);
+  }
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw new Error('rules must be a non-empty array such as ["p(95)<500"]');
+  }
+
+  const options = readOptions(code);
+  const value = renderThresholdRules(rules);
+  const thresholds = getProperty(options, 'thresholds');
+
+  if (!thresholds) {
+    const indent = lineIndent(code, options.start) + '  ';
+    const text = `thresholds: {\n${indent}  ${quote(metric)}: ${value},\n${indent}}`;
+    return {
+      script: insertItem(code, options, options.properties, text),
+      change: `Added thresholds with ${metric}`
+    };
+  }
+  if (thresholds.value.type !== 'ObjectExpression') {
+    throw new Error('options.thresholds is not an object literal and can\'t be edited');
+  }
+
+  const existing = getProperty(thresholds.value, metric);
+  if (existing) {
+    return {
+      script: applySplices(code, [{ start: existing.value.start, end: existing.value.end, text: value }]),
+      change: `Replaced threshold ${metric}: ${code.slice(existing.value.start, existing.value.end)} -> ${value}`
+    };
+  }
+  return {
+    script: insertItem(code, thresholds.value, thresholds.value.properties, `${quote(metric)}: ${value}`),
+    change: `Added threshold ${metric}: ${value}`
+  };
+}
+
+/**
+ * Remove a threshold
+ */
+function removeThreshold(code, { metric }) {
+  const options = readOptions(code);
+  const thresholds = getProperty(options, 'thresholds');
+  const existing = thresholds?.value.type === 'ObjectExpression' ? getProperty(thresholds.value, metric) : undefined;
+  if (!existing) {
+    const defined = thresholds?.value.properties?.map(propertyName).filter(name => typeof name === 'string') || [];
+    throw new Error(`There is no threshold on "${metric}". Defined: ${defined.join(', ') || 'none'}`);
+  }
+  return {
+    script: removeItem(code, existing),
+    change: `Removed threshold ${metric}`
+  };
+}
+
+/**
+ * Switch a scenario, or the top-level vus/duration/stages shortcuts, to another executor
+ */
+function setExecutor(code, edit) {
+  const { executor, scenario } = edit;
+  if (!EXECUTORS.includes(executor)) {
+    throw new Error(`Unknown executor "${executor}". Use one of: ${EXECUTORS.join(', ')}`);
+  }
+
+  const options = readOptions(code);
+  const scenarios = listScenarios(options);
+  if (scenarios.length === 0) {
+    return convertShortcuts(code, options, edit);
+  }
+
+  let target;
+  if (scenario) {
+    target = getScenario(options, scenario);
+  } else if (scenarios.length === 1) {
+    target = scenarios[0];
+  } else {
+    throw new Error(`The script has several scenarios; pick one with scenario (${scenarios.map(propertyName).join(', ')})`);
+  }
+
+  const current = readSettings(target.value);
+  const settings = resolveSettings(executor, current, edit);
+  const indent = lineIndent(code, target.start);
+  const entries = [['executor', quote(executor)]];
+  for (const key of EXECUTOR_KEYS[executor]) {
+    if (settings[key] !== undefined) {
+      entries.push([key, renderValue(settings[key], `${indent}  `)]);
+    }
+  }
+  // Keep exec, tags and the like exactly as written
+  for (const property of target.value.properties) {
+    if (property.type === 'Property' && COMMON_KEYS.includes(propertyName(property))) {
+      entries.push([propertyName(property), code.slice(property.value.start, property.value.end)]);
+    }
+  }
+
+  const name = propertyName(target);
+  return {
+    script: applySplices(code, [{ start: target.value.start, end: target.value.end, text: renderObject(entries, indent) }]),
+    change: `Switched scenario "${name}" from ${current.executor || 'its executor'} to ${executor}`,
+    warnings: droppedSettings(target.value, executor)
+  };
+}
+
+/**
+ * Replace the top-level execution shortcuts with a single scenario using the executor
+ */
+function convertShortcuts(code, options, edit) {
+  const shortcuts = ['vus', 'duration', 'stages', 'iterations']
+    .map(key => getProperty(options, key))
+    .filter(Boolean);
+  const current = readSettings(options);
+  // Top-level stages ramp VUs, as in ramping-vus
+  current.executor = current.stages ? 'ramping-vus' : current.iterations ? 'shared-iterations' : 'constant-vus';
+  const settings = resolveSettings(edit.executor, current, edit);
+
+  // Remove the shortcuts from the last to the first so earlier offsets stay valid
+  let script = code;
+  for (const property of [...shortcuts].sort((a, b) => b.start - a.start)) {
+    script = removeItem(script, property);
+  }
+
+  const updated = readOptions(script);
+  const indent = lineIndent(script, updated.start) + '  ';
+  const entries = [['executor', quote(edit.executor)]];
+  for (const key of EXECUTOR_KEYS[edit.executor]) {
+    if (settings[key] !== undefined) {
+      entries.push([key, renderValue(settings[key], `${indent}    `)]);
+    }
+  }
+  const text = `scenarios: {\n${indent}  default: ${renderObject(entries, `${indent}  `)},\n${indent}}`;
+
+  // Scenarios go first, where the shortcuts usually were
+  const first = updated.properties[0];
+  script = first
+    ? applySplices(script, [{ start: first.start, end: first.start, text: `${text},\n${indent}` }])
+    : insertItem(script, updated, updated.properties, text);
+  parse(script);
+
+  return {
+    script,
+    change: `Replaced options ${shortcuts.map(propertyName).join('/') || 'defaults'} with a "default" scenario using ${edit.executor}`
+  };
+}
+
+/**
+ * Work out the settings for the new executor from the edit and the current settings
+ */
+function resolveSettings(executor, current, edit) {
+  const wasArrivalRate = ARRIVAL_RATE.includes(current.executor);
+  const isArrivalRate = ARRIVAL_RATE.includes(executor);
+  // Stage targets are VUs for ramping-vus but iterations per timeUnit for arrival rates
+  const stagesCarryOver = wasArrivalRate === isArrivalRate;
+  const stages = edit.stages ?? (stagesCarryOver ? current.stages : undefined);
+  const peakVus = current.stages && !wasArrivalRate
+    ? Math.max(...current.stages.map(stage => stage.target ?? 0))
+    : undefined;
+  const vus = edit.vus ?? current.vus ?? peakVus ?? current.preAllocatedVUs ?? current.maxVUs;
+  const duration = edit.duration ?? current.duration ?? totalDuration(current.stages);
+  const rate = edit.rate ?? (wasArrivalRate ? current.rate : undefined);
+  const timeUnit = edit.timeUnit ?? current.timeUnit ?? '1s';
+  const preAllocatedVUs = edit.preAllocatedVUs ?? current.preAllocatedVUs ?? vus;
+  const maxVUs = edit.maxVUs ?? current.maxVUs;
+
+  const settings = {};
+  switch (executor) {
+    case 'constant-vus':
+      Object.assign(settings, { vus, duration });
+      break;
+    case 'ramping-vus':
+      Object.assign(settings, {
+        startVUs: current.startVUs ?? 0,
+        stages: stages ?? (vus !== undefined && duration ? [{ duration, target: vus }] : undefined),
+        gracefulRampDown: current.gracefulRampDown
+      });
+      break;
+    case 'constant-arrival-rate':
+      Object.assign(settings, {
+        rate,
+        timeUnit,
+        duration,
+        preAllocatedVUs,
+        maxVUs
+      });
+      break;
+    case 'ramping-arrival-rate':
+      Object.assign(settings, {
+        startRate: current.startRate ?? (wasArrivalRate ? current.rate : undefined) ?? 0,
+        timeUnit,
+        stages: stages ?? (rate !== undefined && duration ? [{ duration, target: rate }] : undefined),
+        preAllocatedVUs,
+        maxVUs
+      });
+      break;
+    case 'per-vu-iterations':
+    case 'shared-iterations':
+      Object.assign(settings, {
+        vus,
+        iterations: edit.iterations ?? current.iterations,
+        maxDuration: current.maxDuration
+      });
+      break;
+  }
+
+  const required = {
+    'constant-vus': ['vus', 'duration'],
+    'ramping-vus': ['stages'],
+    'constant-arrival-rate': ['rate', 'duration', 'preAllocatedVUs'],
+    'ramping-arrival-rate': ['stages', 'preAllocatedVUs'],
+    'per-vu-iterations': ['vus', 'iterations'],
+    'shared-iterations': ['vus', 'iterations']
+  }[executor];
+  const missing = required.filter(key => settings[key] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`${executor} needs ${missing.join(', ')}, which can't be derived from the current options; pass ${missing.length === 1 ? 'it' : 'them'} with the edit`);
+  }
+  return settings;
+}
+
+/**
+ * Read the literal settings of a scenario or of the top-level options
+ */
+function readSettings(object) {
+  const settings = {};
+  for (const property of object.properties) {
+    if (property.type !== 'Property') {
+      continue;
+    }
+    const value = literalValue(property.value);
+    if (value !== UNKNOWN) {
+      settings[propertyName(property)] = value;
+    }
+  }
+  return settings;
+}
+
+/**
+ * Warn about settings of the old executor that the new one doesn't take
+ */
+function droppedSettings(scenario, executor) {
+  const kept = ['executor', ...EXECUTOR_KEYS[executor], ...COMMON_KEYS];
+  const dropped = scenario.properties
+    .filter(property => property.type === 'Property' && !kept.includes(propertyName(property)))
+    .map(propertyName);
+  return dropped.length > 0 ? [`Dropped ${dropped.join(', ')}, which ${executor} does not take`] : [];
+}
+
+/**
+ * Sum of the stage durations, as a K6 duration
+ */
+function totalDuration(stages) {
+  if (!Array.isArray(stages) || stages.length === 0) {
+    return undefined;
+  }
+  return formatSeconds(stages.reduce((total, stage) => total + parseDuration(stage.duration), 0) / 1000);
+}
+
+/**
+ * Parse the script and return the options object literal
+ */
+function readOptions(code) {
+  const options = findOptions(parse(code));
+  if (!options) {
+    throw new Error('The script has no `export const options = { ... }` object literal to edit');
+  }
+  return options;
+}
+
+/**
+ * Scenario properties of options.scenarios
+ */
+function listScenarios(options) {
+  const scenarios = getProperty(options, 'scenarios');
+  if (!scenarios) {
+    return [];
+  }
+  if (scenarios.value.type !== 'ObjectExpression') {
+    throw new Error('options.scenarios is not an object literal and can\'t be edited');
+  }
+  return scenarios.value.properties.filter(property => property.type === 'Property' && property.value.type === 'ObjectExpression');
+}
+
+/**
+ * Find a scenario by name
+ */
+function getScenario(options, name) {
+  const scenario = listScenarios(options).find(property => propertyName(property) === name);
+  if (!scenario) {
+    const names = listScenarios(options).map(propertyName);
+    throw new Error(`Scenario "${name}" not found. Scenarios: ${names.join(', ') || 'none'}`);
+  }
+  return scenario;
+}
+
+/**
+ * Evaluate an object, array or literal expression, or return UNKNOWN
+ */
+function literalValue(node) {
+  if (node.type === 'ArrayExpression') {
+    const items = node.elements.map(element => element ? literalValue(element) : UNKNOWN);
+    return items.includes(UNKNOWN) ? UNKNOWN : items;
+  }
+  if (node.type === 'ObjectExpression') {
+    const object = {};
+    for (const property of node.properties) {
+      const value = property.type === 'Property' ? literalValue(property.value) : UNKNOWN;
+      if (value === UNKNOWN) {
+        return UNKNOWN;
+      }
+      object[propertyName(property)] = value;
+    }
+    return object;
+  }
+  return staticValue(node);
+}
+
+/**
+ * Render a setting value in the inline style used for options
+ */
+function renderValue(value, indent) {
+  if (typeof value === 'string') {
+    return quote(value);
+  }
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return '[]';
+    }
+    return `[\n${value.map(item => `${indent}  ${renderValue(item, `${indent}  `)},`).join('\n')}\n${indent}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value);
+    // Small flat objects such as stages stay on one line
+    if (entries.every(([, item]) => typeof item !== 'object')) {
+      return `{ ${entries.map(([key, item]) => `${renderKey(key)}: ${renderValue(item, indent)}`).join(', ')} }`;
+    }
+    return renderObject(entries.map(([key, item]) => [key, renderValue(item, `${indent}  `)]), indent);
+  }
+  return String(value);
+}
+
+/**
+ * Render [key, code] pairs as a multi-line object literal
+ */
+function renderObject(entries, indent) {
+  const lines = entries.map(([key, text]) => `${indent}  ${renderKey(key)}: ${text},`);
+  return `{\n${lines.join('\n')}\n${indent}}`;
+}
+
+/**
+ * Object key as an identifier where possible
+ */
+function renderKey(key) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? key : quote(key);
+}
+
+/**
+ * Insert an element or property after the last one of an array or object literal
+ */
+function insertItem(code, container, items, text) {
+  const last = items[items.length - 1];
+  if (!last) {
+    const indent = lineIndent(code, container.start);
+    return applySplices(code, [{ start: container.start + 1, end: container.end - 1, text: `\n${indent}  ${text},\n${indent}` }]);
+  }
+
+  const onOneLine = !code.slice(container.start, container.end).includes('\n');
+  const comma = /^\s*,/.exec(code.slice(last.end));
+  if (onOneLine) {
+    return applySplices(code, [{ start: last.end, end: last.end, text: `, ${text}` }]);
+  }
+  const indent = lineIndent(code, last.start);
+  // Insert past a trailing comment on the last item's line, so the comment stays with its item
+  const afterComma = last.end + (comma ? comma[0].length : 0);
+  const newline = code.indexOf('\n', afterComma);
+  const lineEnd = newline === -1 ? code.length : newline;
+  const at = TRAILING_COMMENT.test(code.slice(afterComma, lineEnd)) ? lineEnd : afterComma;
+  // Keep the trailing-comma style of the literal
+  if (comma) {
+    return applySplices(code, [{ start: at, end: at, text: `\n${indent}${text},` }]);
+  }
+  return at === last.end
+    ? applySplices(code, [{ start: last.end, end: last.end, text: `,\n${indent}${text}` }])
+    : applySplices(code, [{ start: at, end: at, text: `\n${indent}${text}` }, { start: last.end, end: last.end, text: ',' }]);
+}
+
+/**
+ * Remove a property along with its comma, and its line (with any trailing comment) when it stands alone
+ */
+function removeItem(code, property) {
+  let start = property.start;
+  let end = property.end;
+  const comma = /^\s*,/.exec(code.slice(end));
+  if (comma) {
+    end += comma[0].length;
+  }
+
+  const lineStart = code.lastIndexOf('\n', start - 1) + 1;
+  const lineEnd = code.indexOf('\n', end);
+  if (code.slice(lineStart, start).trim() === '' && TRAILING_COMMENT.test(code.slice(end, lineEnd === -1 ? code.length : lineEnd))) {
+    start = lineStart;
+    end = lineEnd === -1 ? code.length : lineEnd + 1;
+  } else if (!comma) {
+    // Last item on a shared line: take the comma before it instead
+    const before = /,\s*$/.exec(code.slice(0, start));
+    if (before) {
+      start = before.index;
+    }
+  }
+  return applySplices(code, [{ start, end, text: '' }]);
+}
+
+/**
+ * Replace source ranges, last first so earlier offsets stay valid
+ */
+function applySplices(code, splices) {
+  const script = [...splices]
+    .sort((a, b) => b.start - a.start)
+    .reduce((text, { start, end, text: replacement }) => text.slice(0, start) + replacement + text.slice(end), code);
+  parse(script);
+  return script;
+}
+
+/**
+ * Whitespace at the start of the line containing a position
+ */
+function lineIndent(code, position) {
+  const lineStart = code.lastIndexOf('\n', position - 1) + 1;
+  return /^[ \t]*/.exec(code.slice(lineStart))[0];
+}
+
+/**
+ * Parse a script as a module
+ */
+function parse(code) {
+  try {
+    return acorn.parse(code, { ecmaVersion: 'latest', sourceType: 'module' });
+  } catch (error) {
+    throw new Error(`The script does not parse: ${error.message}`);
+  }
+}
@@ -0,0 +1,263 @@
+/**
+ * Recording Proxy Utility
+ * Local HTTP forward proxy that records the requests passing through it as a HAR
+ */
+
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+// Hop-by-hop headers that belong to the proxy connection, not the request
+const PROXY_HEADERS = new Set(['proxy-connection', 'proxy-authorization', 'connection', 'keep-alive']);
+
+// Request bodies larger than this are recorded truncated
+const MAX_RECORDED_BODY = 1024 * 1024;
+
+// Only one recording runs at a time
+let recording = null;
+
+/**
+ * Start the proxy on 127.0.0.1:port
+ *
+ * Host filters match the host or any subdomain, e.g. include ['example.com']
+ * records api.example.com but not example.org; exclude wins over include.
+ */
+export async function startRecording({ port = 8888, include = [], exclude = [] } = {}) {
+  if (recording) {
+    throw new Error(`A recording is already running on port ${recording.port}; stop it first`);
+  }
+
+  const session = {
+    port,
+    include,
+    exclude,
+    startedAt: new Date(),
+    pages: [],
+    currentPage: undefined,
+    entries: [],
+    ignored: 0,
+    tunneledHosts: new Set(),
+    sockets: new Set(),
+    server: null
+  };
+
+  const server = http.createServer((req, res) => proxyRequest(session, req, res));
+  server.on('connect', (req, clientSocket, head) => tunnel(session, req, clientSocket, head));
+  server.on('connection', socket => {
+    session.sockets.add(socket);
+    socket.on('close', () => session.sockets.delete(socket));
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', error => {
+      reject(new Error(error.code === 'EADDRINUSE' ? `Port ${port} is already in use` : error.message));
+    });
+    server.listen(port, '127.0.0.1', resolve);
+  });
+
+  session.server = server;
+  recording = session;
+  return getRecordingStatus();
+}
+
+/**
+ * Start a new step; requests recorded from now on are grouped under its name
+ */
+export function labelStep(name) {
+  if (!recording) {
+    throw new Error('No recording is running; start one first');
+  }
+  if (!name) {
+    throw new Error('A step needs a name');
+  }
+
+  const page = { id: `step_${recording.pages.length + 1}`, title: name, startedDateTime: new Date().toISOString(), pageTimings: {} };
+  recording.pages.push(page);
+  recording.currentPage = page.id;
+  return getRecordingStatus();
+}
+
+/**
+ * Stop the proxy and return the session as a HAR
+ */
+export async function stopRecording() {
+  if (!recording) {
+    throw new Error('No recording is running');
+  }
+
+  const session = recording;
+  recording = null;
+
+  await new Promise(resolve => {
+    session.server.close(() => resolve());
+    // Keep-alive and tunnel sockets would otherwise hold the server open
+    for (const socket of session.sockets) {
+      socket.destroy();
+    }
+  });
+
+  return {
+    har: {
+      log: {
+        version: '1.2',
+        creator: { name: 'k6-mcp-server recorder', version: '1.0' },
+        pages: session.pages,
+        entries: session.entries.sort((a, b) => new Date(a.startedDateTime) - new Date(b.startedDateTime))
+      }
+    },
+    stats: summarize(session)
+  };
+}
+
+/**
+ * Describe the running recording, or report that none is running
+ */
+export function getRecordingStatus() {
+  if (!recording) {
+    return { recording: false };
+  }
+  return {
+    recording: true,
+    proxy: `http://127.0.0.1:${recording.port}`,
+    ...summarize(recording)
+  };
+}
+
+/**
+ * Counters shared by the status and stop results
+ */
+function summarize(session) {
+  const current = session.pages.find(page => page.id === session.currentPage);
+  return {
+    startedAt: session.startedAt.toISOString(),
+    step: current ? current.title : undefined,
+    steps: session.pages.map(page => page.title),
+    recorded: session.entries.length,
+    ignored: session.ignored,
+    hosts: [...new Set(session.entries.map(entry => new URL(entry.request.url).hostname))],
+    tunneledHosts: [...session.tunneledHosts],
+    filters: { include: session.include, exclude: session.exclude }
+  };
+}
+
+/**
+ * Whether a host passes the include/exclude filters
+ */
+function matchesFilters(session, hostname) {
+  const matches = pattern => {
+    const domain = pattern.replace(/^\*\./, '').toLowerCase();
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+  };
+  if (session.exclude.some(matches)) {
+    return false;
+  }
+  return session.include.length === 0 || session.include.some(matches);
+}
+
+/**
+ * Forward a plain HTTP request and record it
+ */
+function proxyRequest(session, req, res) {
+  let target;
+  try {
+    target = new URL(req.url);
+  } catch (error) {
+    // Requests with a bare path were sent to the proxy directly instead of through it
+    res.writeHead(400, { 'Content-Type': 'text/plain' });
+    res.end('This is a recording proxy; configure it as the HTTP proxy of your browser or client\n');
+    return;
+  }
+
+  const startedAt = Date.now();
+  const pageref = session.currentPage;
+  const record = matchesFilters(session, target.hostname.toLowerCase());
+  const chunks = [];
+  let size = 0;
+
+  const headers = {};
+  for (const [name, value] of Object.entries(req.headers)) {
+    if (!PROXY_HEADERS.has(name)) {
+      headers[name] = value;
+    }
+  }
+
+  const transport = target.protocol === 'https:' ? https : http;
+  const upstream = transport.request(target, { method: req.method, headers }, upstreamRes => {
+    res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+    upstreamRes.pipe(res);
+    upstreamRes.on('end', () => {
+      if (record) {
+        session.entries.push(toHarEntry(req, target, Buffer.concat(chunks), upstreamRes, { pageref, startedAt }));
+      }
+    });
+  });
+
+  upstream.on('error', error => {
+    if (!res.headersSent) {
+      res.writeHead(502, { 'Content-Type': 'text/plain' });
+    }
+    res.end(`Recording proxy could not reach ${target.host}: ${error.message}\n`);
+  });
+
+  req.on('data', chunk => {
+    if (record && size < MAX_RECORDED_BODY) {
+      chunks.push(chunk);
+      size += chunk.length;
+    }
+    upstream.write(chunk);
+  });
+  req.on('end', () => upstream.end());
+
+  if (!record) {
+    session.ignored++;
+  }
+}
+
+/**
+ * Tunnel HTTPS traffic untouched; it is encrypted end to end, so it cannot be recorded
+ */
+function tunnel(session, req, clientSocket, head) {
+  const [host, port = '443'] = req.url.split(':');
+  if (matchesFilters(session, host.toLowerCase())) {
+    session.tunneledHosts.add(host);
+  }
+
+  const upstream = net.connect(Number(port), host, () => {
+    clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+    upstream.write(head);
+    upstream.pipe(clientSocket);
+    clientSocket.pipe(upstream);
+  });
+  session.sockets.add(upstream);
+  upstream.on('close', () => session.sockets.delete(upstream));
+  upstream.on('error', () => clientSocket.destroy());
+  clientSocket.on('error', () => upstream.destroy());
+}
+
+/**
+ * Build a HAR entry from a proxied request and its response
+ */
+function toHarEntry(req, target, body, upstreamRes, { pageref, startedAt }) {
+  const contentType = req.headers['content-type'];
+  return {
+    pageref,
+    startedDateTime: new Date(startedAt).toISOString(),
+    time: Date.now() - startedAt,
+    request: {
+      method: req.method,
+      url: target.toString(),
+      httpVersion: `HTTP/${req.httpVersion}`,
+      headers: Object.entries(req.headers)
+        .filter(([name]) => !PROXY_HEADERS.has(name))
+        .flatMap(([name, value]) => (Array.isArray(value) ? value : [value]).map(item => ({ name, value: item }))),
+      queryString: [...target.searchParams].map(([name, value]) => ({ name, value })),
+      postData: body.length > 0 ? { mimeType: contentType || 'application/octet-stream', text: body.toString('utf-8') } : undefined
+    },
+    response: {
+      status: upstreamRes.statusCode,
+      statusText: upstreamRes.statusMessage,
+      headers: [],
+      content: { mimeType: upstreamRes.headers['content-type'] || '' }
+    }
+  };
+}
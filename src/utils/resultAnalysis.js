@@ -0,0 +1,129 @@
+/**
+ * Result Analysis Utility
+ * Extracts headline metrics from K6 results and rates them without the App Server
+ */
+
+/**
+ * Parse metrics from K6 output
+ */
+export function parseMetricsFromOutput(output) {
+  const lines = output.split('\n');
+  const metrics = {};
+  
+  for (const line of lines) {
+    if (line.includes('http_req_duration')) {
+      const match = line.match(/avg=([0-9.]+)ms.*p\(95\)=([0-9.]+)ms.*p\(99\)=([0-9.]+)ms/);
+      if (match) {
+        metrics.avgResponseTime = parseFloat(match[1]);
+        metrics.p95ResponseTime = parseFloat(match[2]);
+        metrics.p99ResponseTime = parseFloat(match[3]);
+      }
+    }
+    if (line.includes('http_reqs')) {
+      const match = line.match(/([0-9.]+)\/s/);
+      if (match) {
+        metrics.requestsPerSecond = parseFloat(match[1]);
+      }
+    }
+    if (line.includes('http_req_failed')) {
+      const match = line.match(/([0-9.]+)%/);
+      if (match) {
+        metrics.errorRate = parseFloat(match[1]);
+      }
+    }
+    if (line.includes('http_req_waiting')) {
+      const match = line.match(/avg=([0-9.]+)ms/);
+      if (match) {
+        metrics.avgWaitTime = parseFloat(match[1]);
+      }
+    }
+    if (line.includes('http_req_connecting')) {
+      const match = line.match(/avg=([0-9.]+)ms/);
+      if (match) {
+        metrics.avgConnectTime = parseFloat(match[1]);
+      }
+    }
+  }
+  
+  return metrics;
+}
+
+/**
+ * Perform basic analysis without App Server
+ */
+export function performBasicAnalysis(metrics) {
+  const issues = [];
+  const recommendations = [];
+  
+  // Check response times
+  if (metrics.p95ResponseTime > 1000) {
+    issues.push({
+      severity: 'high',
+      metric: 'p95ResponseTime',
+      value: metrics.p95ResponseTime,
+      threshold: 1000,
+      description: 'P95 response time exceeds 1 second'
+    });
+    recommendations.push('Optimize slow endpoints or database queries');
+  }
+  
+  // Check error rate
+  if (metrics.errorRate > 1) {
+    issues.push({
+      severity: 'critical',
+      metric: 'errorRate',
+      value: metrics.errorRate,
+      threshold: 1,
+      description: 'Error rate exceeds 1%'
+    });
+    recommendations.push('Investigate and fix failing requests');
+  }
+  
+  // Check connection time
+  if (metrics.avgConnectTime > 100) {
+    issues.push({
+      severity: 'medium',
+      metric: 'avgConnectTime',
+      value: metrics.avgConnectTime,
+      threshold: 100,
+      description: 'Connection time is high'
+    });
+    recommendations.push('Consider connection pooling or CDN');
+  }
+  
+  // Generate summary
+  const summary = {
+    performance: metrics.p95ResponseTime < 500 ? 'excellent' : 
+                 metrics.p95ResponseTime < 1000 ? 'good' : 
+                 metrics.p95ResponseTime < 2000 ? 'fair' : 'poor',
+    reliability: metrics.errorRate < 0.1 ? 'excellent' :
+                 metrics.errorRate < 1 ? 'good' :
+                 metrics.errorRate < 5 ? 'fair' : 'poor',
+    throughput: metrics.requestsPerSecond > 100 ? 'high' :
+                metrics.requestsPerSecond > 50 ? 'medium' : 'low'
+  };
+  
+  return {
+    issues,
+    recommendations,
+    summary
+  };
+}
+
+/**
+ * Flatten the metrics of a --summary-export file into the headline metrics used for analysis
+ */
+export function metricsFromSummary(summaryMetrics = {}) {
+  const duration = summaryMetrics.http_req_duration || {};
+  const metrics = {
+    avgResponseTime: duration.avg,
+    p95ResponseTime: duration['p(95)'],
+    p99ResponseTime: duration['p(99)'],
+    requestsPerSecond: summaryMetrics.http_reqs?.rate,
+    // Percentages, as in the end-of-test summary
+    errorRate: summaryMetrics.http_req_failed ? summaryMetrics.http_req_failed.value * 100 : undefined,
+    avgWaitTime: summaryMetrics.http_req_waiting?.avg,
+    avgConnectTime: summaryMetrics.http_req_connecting?.avg
+  };
+  return Object.fromEntries(Object.entries(metrics).filter(([, value]) => value !== undefined));
+}
@@ -0,0 +1,332 @@
+/**
+ * Script Validator
+ * Static checks for K6 scripts, run without executing them
+ */
+
+import * as acorn from 'acorn';
+import * as walk from 'acorn-walk';
+
+// Metrics k6 and its built-in modules emit without the script defining them
+const BUILTIN_METRICS = [
+  'vus', 'vus_max', 'iterations', 'iteration_duration', 'dropped_iterations', 'checks',
+  'data_sent', 'data_received', 'group_duration',
+  'http_reqs', 'http_req_duration', 'http_req_blocked', 'http_req_connecting', 'http_req_tls_handshaking',
+  'http_req_sending', 'http_req_waiting', 'http_req_receiving', 'http_req_failed',
+  'ws_connecting', 'ws_session_duration', 'ws_sessions', 'ws_ping', 'ws_msgs_sent', 'ws_msgs_received',
+  'grpc_req_duration', 'grpc_streams', 'grpc_streams_msgs_sent', 'grpc_streams_msgs_received',
+  'browser_web_vital_lcp', 'browser_web_vital_fcp', 'browser_web_vital_cls', 'browser_web_vital_inp',
+  'browser_web_vital_fid', 'browser_web_vital_ttfb', 'browser_data_sent', 'browser_data_received',
+  'browser_http_req_duration', 'browser_http_req_failed'
+];
+
+const METRIC_TYPES = ['Counter', 'Gauge', 'Rate', 'Trend'];
+
+// Execution shortcuts k6 refuses to combine with each other or with scenarios
+const SHORTCUTS = ['duration', 'iterations', 'stages'];
+
+// Returned by staticValue for expressions that can't be evaluated without running the script
+export const UNKNOWN = Symbol('unknown');
+
+/**
+ * Validate script source and return its diagnostics
+ *
+ * Each diagnostic has a severity (error or warning), a rule, a 1-based line and column and a message.
+ */
+export function validateScript(code) {
+  let ast;
+  try {
+    ast = acorn.parse(code, { ecmaVersion: 'latest', sourceType: 'module', locations: true });
+  } catch (error) {
+    return [{
+      severity: 'error',
+      rule: 'syntax',
+      line: error.loc?.line,
+      column: error.loc ? error.loc.column + 1 : undefined,
+      message: error.message.replace(/ \(\d+:\d+\)$/, '')
+    }];
+  }
+
+  const diagnostics = [];
+  const report = (severity, rule, node, message) => {
+    diagnostics.push({ severity, rule, line: node.loc.start.line, column: node.loc.start.column + 1, message });
+  };
+
+  const modules = checkImports(ast, report);
+  const exported = collectExports(ast);
+  const options = findOptions(ast);
+
+  checkEntryPoints(ast, options, exported, report);
+  checkThresholds(ast, options, modules, report);
+  checkExecutionOptions(options, report);
+  checkHosts(ast, report);
+
+  return diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Flag modules k6 can't load and return the imported specifiers
+ */
+function checkImports(ast, report) {
+  const modules = [];
+  const checkSpecifier = (specifier, node) => {
+    modules.push(specifier);
+    if (specifier === 'k6' || specifier.startsWith('k6/') || /^(https?:)?\/\//.test(specifier) || /^\.{0,2}\//.test(specifier)) {
+      return;
+    }
+    report('error', 'import', node, `"${specifier}" is not a k6 module; k6 does not run on Node.js and can only import k6/*, remote URLs and local files`);
+  };
+
+  walk.simple(ast, {
+    ImportDeclaration(node) {
+      checkSpecifier(node.source.value, node);
+    },
+    ImportExpression(node) {
+      report('error', 'import', node, 'Dynamic import() is not supported by k6');
+    },
+    CallExpression(node) {
+      if (node.callee.type === 'Identifier' && node.callee.name === 'require') {
+        report('error', 'import', node, 'require() is not available in k6; use an import statement');
+      }
+    }
+  });
+
+  if (modules.some(specifier => specifier.startsWith('k6/x/'))) {
+    const extensions = [...new Set(modules.filter(specifier => specifier.startsWith('k6/x/')))];
+    const node = ast.body.find(statement => statement.type === 'ImportDeclaration' && statement.source.value.startsWith('k6/x/'));
+    report('warning', 'import', node, `${extensions.join(', ')} ${extensions.length === 1 ? 'is an extension' : 'are extensions'} and need${extensions.length === 1 ? 's' : ''} a k6 binary built with xk6`);
+  }
+  return modules;
+}
+
+/**
+ * Names the module exports, including "default"
+ */
+function collectExports(ast) {
+  const names = new Set();
+  for (const statement of ast.body) {
+    if (statement.type === 'ExportDefaultDeclaration') {
+      names.add('default');
+    } else if (statement.type === 'ExportNamedDeclaration') {
+      const { declaration, specifiers } = statement;
+      if (declaration?.type === 'FunctionDeclaration') {
+        names.add(declaration.id.name);
+      } else if (declaration?.type === 'VariableDeclaration') {
+        declaration.declarations.forEach(declarator => declarator.id.type === 'Identifier' && names.add(declarator.id.name));
+      }
+      specifiers.forEach(specifier => names.add(specifier.exported.name ?? specifier.exported.value));
+    }
+  }
+  return names;
+}
+
+/**
+ * Find the object literal assigned to the exported options, if there is one
+ */
+export function findOptions(ast) {
+  const declarators = new Map();
+  for (const statement of ast.body) {
+    const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+    if (declaration?.type === 'VariableDeclaration') {
+      declaration.declarations.forEach(declarator => {
+        if (declarator.id.type === 'Identifier' && declarator.init?.type === 'ObjectExpression') {
+          declarators.set(declarator.id.name, declarator.init);
+        }
+      });
+    }
+  }
+
+  for (const statement of ast.body) {
+    if (statement.type !== 'ExportNamedDeclaration') {
+      continue;
+    }
+    if (statement.declaration) {
+      const declarator = statement.declaration.declarations?.find(item => item.id.name === 'options');
+      if (declarator) {
+        return declarator.init?.type === 'ObjectExpression' ? declarator.init : undefined;
+      }
+    }
+    const specifier = statement.specifiers.find(item => item.exported.name === 'options');
+    if (specifier) {
+      return declarators.get(specifier.local.name);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Check that the default function or every scenario exec function is exported
+ */
+function checkEntryPoints(ast, options, exported, report) {
+  const scenarios = getProperty(options, 'scenarios');
+  if (scenarios?.value.type === 'ObjectExpression') {
+    for (const scenario of scenarios.value.properties) {
+      if (scenario.type !== 'Property' || scenario.value.type !== 'ObjectExpression') {
+        continue;
+      }
+      const name = propertyName(scenario);
+      const exec = getProperty(scenario.value, 'exec');
+      const functionName = exec ? staticValue(exec.value) : 'default';
+      if (typeof functionName === 'string' && !exported.has(functionName)) {
+        report('error', 'entry-point', exec || scenario, functionName === 'default'
+          ? `Scenario "${name}" runs the default function, but the script has no default export`
+          : `Scenario "${name}" runs exec "${functionName}", which the script does not export`);
+      }
+    }
+    return;
+  }
+
+  if (!exported.has('default')) {
+    report('error', 'entry-point', ast, 'The script has no default export and no scenarios with an exec function, so k6 has nothing to run');
+  }
+}
+
+/**
+ * Check that every threshold is on a built-in metric or one the script creates
+ */
+function checkThresholds(ast, options, modules, report) {
+  const thresholds = getProperty(options, 'thresholds');
+  if (thresholds?.value.type !== 'ObjectExpression') {
+    return;
+  }
+
+  const { names, dynamic } = collectCustomMetrics(ast);
+  // Extensions register metrics of their own that can't be listed here
+  const usesExtensions = modules.some(specifier => specifier.startsWith('k6/x/'));
+
+  for (const threshold of thresholds.value.properties) {
+    if (threshold.type !== 'Property') {
+      continue;
+    }
+    const key = propertyName(threshold);
+    if (typeof key !== 'string') {
+      continue;
+    }
+    const metric = key.split('{')[0].trim();
+    if (BUILTIN_METRICS.includes(metric) || names.has(metric)) {
+      continue;
+    }
+    const uncertain = dynamic || usesExtensions;
+    report(uncertain ? 'warning' : 'error', 'threshold-metric', threshold.key,
+      `Threshold "${key}" is on metric "${metric}", which is not built in and is never created with ${METRIC_TYPES.map(type => `new ${type}()`).join('/')}${uncertain ? ' with a literal name' : ''}`);
+  }
+}
+
+/**
+ * Names of the custom metrics created in the script
+ */
+function collectCustomMetrics(ast) {
+  const names = new Set();
+  let dynamic = false;
+  walk.simple(ast, {
+    NewExpression(node) {
+      const callee = node.callee.type === 'MemberExpression' ? node.callee.property : node.callee;
+      if (callee.type !== 'Identifier' || !METRIC_TYPES.includes(callee.name)) {
+        return;
+      }
+      const name = node.arguments[0] ? staticValue(node.arguments[0]) : UNKNOWN;
+      if (typeof name === 'string') {
+        names.add(name);
+      } else {
+        dynamic = true;
+      }
+    }
+  });
+  return { names, dynamic };
+}
+
+/**
+ * Check vus, stages, duration, iterations and scenarios for combinations k6 rejects or ignores
+ */
+function checkExecutionOptions(options, report) {
+  if (!options) {
+    return;
+  }
+  const scenarios = getProperty(options, 'scenarios');
+  const shortcuts = SHORTCUTS.map(name => getProperty(options, name)).filter(Boolean);
+
+  if (scenarios) {
+    for (const shortcut of shortcuts) {
+      report('error', 'conflicting-options', shortcut, `options.${propertyName(shortcut)} can't be combined with options.scenarios; move it into a scenario`);
+    }
+    const vus = getProperty(options, 'vus');
+    if (vus) {
+      report('warning', 'conflicting-options', vus, 'options.vus is ignored when options.scenarios is set; set vus or preAllocatedVUs per scenario');
+    }
+    return;
+  }
+
+  const stages = getProperty(options, 'stages');
+  if (stages) {
+    for (const shortcut of shortcuts.filter(item => item !== stages)) {
+      report('error', 'conflicting-options', shortcut, `options.${propertyName(shortcut)} can't be combined with options.stages; the stages already define how long the test runs`);
+    }
+  }
+}
+
+/**
+ * Warn about URL literals that can't be pointed at another environment
+ */
+function checkHosts(ast, report) {
+  const reported = new Set();
+  const checkText = (text, node, ancestors) => {
+    const match = /\b(?:https?|wss?):\/\/([^/\s'"`?#:]+)/.exec(text);
+    if (!match || reported.has(match[1]) || isEnvFallback(ancestors)) {
+      return;
+    }
+    reported.add(match[1]);
+    report('warning', 'hard-coded-host', node, `Host "${match[1]}" is hard-coded; read it from __ENV (e.g. __ENV.BASE_URL || '...') so the script can target other environments`);
+  };
+
+  walk.ancestor(ast, {
+    Literal(node, ancestors) {
+      const parent = ancestors[ancestors.length - 2];
+      if (typeof node.value === 'string' && parent?.type !== 'ImportDeclaration' && parent?.type !== 'ExportNamedDeclaration') {
+        checkText(node.value, node, ancestors);
+      }
+    },
+    TemplateElement(node, ancestors) {
+      checkText(node.value.cooked ?? node.value.raw, node, ancestors);
+    }
+  });
+}
+
+/**
+ * Whether a literal is the fallback in an `__ENV.X || '...'` expression
+ */
+function isEnvFallback(ancestors) {
+  return ancestors.some(node => node.type === 'LogicalExpression' && ['||', '??'].includes(node.operator) &&
+    node.left.type === 'MemberExpression' && node.left.object.type === 'Identifier' && node.left.object.name === '__ENV');
+}
+
+/**
+ * Find a non-computed property of an object literal by name
+ */
+export function getProperty(object, name) {
+  if (object?.type !== 'ObjectExpression') {
+    return undefined;
+  }
+  return object.properties.find(property => property.type === 'Property' && propertyName(property) === name);
+}
+
+/**
+ * Name of an object literal property, or UNKNOWN for computed keys
+ */
+export function propertyName(property) {
+  if (property.computed) {
+    return staticValue(property.key);
+  }
+  return property.key.type === 'Identifier' ? property.key.name : String(property.key.value);
+}
+
+/**
+ * Value of a literal expression, or UNKNOWN if it depends on anything at run time
+ */
+export function staticValue(node) {
+  if (node.type === 'Literal') {
+    return node.value;
+  }
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+  return UNKNOWN;
+}
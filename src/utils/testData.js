@@ -0,0 +1,177 @@
+/**
+ * Test Data Utility
+ * Loads CSV/JSON data files for parameterized scripts and renders the code that uses them
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import papaparse from 'papaparse';
+import { quote, escapeTemplate, toObjectCode } from './codegen.js';
+
+export const DATA_ORDERS = ['sequential', 'random', 'unique'];
+
+/**
+ * Read a data file and check that every column referenced by the requests
+ * (or, for GraphQL, the variables) exists
+ *
+ * Example:
+ *   {
+ *     file: './products.csv',
+ *     order: 'random',
+ *     requests: [
+ *       { path: '/api/products/{id}' },
+ *       { path: '/search', query: { q: 'term' } },
+ *       { method: 'POST', path: '/api/cart', body: { productId: 'id', quantity: 'qty' } }
+ *     ]
+ *   }
+ */
+export async function loadTestData(data, { mapping = 'requests' } = {}) {
+  const { file, order = 'sequential', requests = [], variables = {} } = data || {};
+
+  if (!file) {
+    throw new Error('options.data.file is required: the path to a CSV or JSON data file');
+  }
+  if (!DATA_ORDERS.includes(order)) {
+    throw new Error(`Unknown data order "${order}". Use one of: ${DATA_ORDERS.join(', ')}`);
+  }
+  if (mapping === 'requests' && requests.length === 0) {
+    throw new Error('options.data.requests must list at least one request that uses the data');
+  }
+  if (mapping === 'variables' && Object.keys(variables).length === 0) {
+    throw new Error('options.data.variables must map at least one variable to a column');
+  }
+
+  const content = await fs.readFile(file, 'utf-8');
+  const format = path.extname(file).toLowerCase() === '.json' ? 'json' : 'csv';
+  const { columns, rowCount } = format === 'json' ? inspectJson(content, file) : inspectCsv(content, file);
+
+  const referenced = mapping === 'variables'
+    ? Object.values(variables)
+    : requests.flatMap(request => referencedColumns(request));
+  const missing = new Set(referenced.filter(column => !columns.includes(column)));
+  if (missing.size > 0) {
+    throw new Error(`Data file ${file} has no column(s): ${[...missing].join(', ')}. Available columns: ${columns.join(', ')}`);
+  }
+
+  return {
+    file: path.resolve(file),
+    format,
+    order,
+    columns,
+    rowCount,
+    requests,
+    variables
+  };
+}
+
+/**
+ * Render the imports a parameterized script needs
+ */
+export function renderTestDataImports(testData) {
+  const imports = [
+    "import { SharedArray } from 'k6/data';",
+    "import exec from 'k6/execution';"
+  ];
+  if (testData.format === 'csv') {
+    imports.push("import papaparse from 'https://jslib.k6.io/papaparse/5.1.1/index.js';");
+  }
+  return imports.join('\n');
+}
+
+/**
+ * Render the SharedArray holding the data and the row selection helper
+ */
+export function renderTestDataLoader(testData) {
+  const parse = testData.format === 'csv'
+    ? "papaparse.parse(open(DATA_FILE), { header: true, skipEmptyLines: true, transformHeader: (header) => header.trim() }).data"
+    : 'JSON.parse(open(DATA_FILE))';
+
+  const pick = {
+    sequential: ['each iteration takes the next row', 'testData[exec.scenario.iterationInTest % testData.length]'],
+    random: ['each iteration takes a random row', 'testData[Math.floor(Math.random() * testData.length)]'],
+    unique: ['each VU keeps its own row', 'testData[(exec.vu.idInTest - 1) % testData.length]']
+  }[testData.order];
+
+  return `// Test data: ${testData.rowCount} row(s) of ${testData.columns.join(', ')} (override the file with -e DATA_FILE=path)
+const DATA_FILE = __ENV.DATA_FILE || ${quote(testData.file)};
+const testData = new SharedArray('test data', function () {
+  return ${parse};
+});
+
+// Row order: ${testData.order}, ${pick[0]}
+function nextRow() {
+  return ${pick[1]};
+}`;
+}
+
+/**
+ * Render a data-driven request as an http.request() call using the current row
+ */
+export function renderDataRequest(request, { authHeaders = false } = {}) {
+  const method = (request.method || 'GET').toUpperCase();
+  const name = request.name || `${method} ${request.path}`;
+
+  // {column} placeholders in the path become URL segments from the row
+  let url = escapeTemplate(request.path).replace(/\{([^}]+)\}/g, (match, column) => `\${encodeURIComponent(row[${quote(column)}])}`);
+  const query = Object.entries(request.query || {})
+    .map(([param, column]) => `${encodeURIComponent(param)}=\${encodeURIComponent(row[${quote(column)}])}`);
+  if (query.length > 0) {
+    url += (url.includes('?') ? '&' : '?') + query.join('&');
+  }
+
+  const bodyEntries = Object.entries(request.body || {}).map(([field, column]) => [field, `row[${quote(column)}]`]);
+  const body = bodyEntries.length > 0 ? `JSON.stringify(${toObjectCode(bodyEntries)})` : 'null';
+  const headerEntries = [
+    ...(authHeaders ? ['...authHeaders'] : []),
+    ...(bodyEntries.length > 0 ? ["'Content-Type': 'application/json'"] : [])
+  ];
+  const headers = headerEntries.length > 0 ? `\n  headers: { ${headerEntries.join(', ')} },` : '';
+
+  return {
+    name,
+    call: `http.request(${quote(method)}, \`\${BASE_URL}${url}\`, ${body}, {${headers}
+  tags: { name: ${quote(name)} },
+})`
+  };
+}
+
+/**
+ * List the columns a request refers to in its path, query and body mappings
+ */
+function referencedColumns(request) {
+  if (!request.path) {
+    throw new Error('Every data-driven request needs a path');
+  }
+  const pathColumns = [...request.path.matchAll(/\{([^}]+)\}/g)].map(match => match[1]);
+  return [...pathColumns, ...Object.values(request.query || {}), ...Object.values(request.body || {})];
+}
+
+/**
+ * Read the column names and row count of a CSV file with a header row
+ *
+ * Uses the papaparse version and options of the generated script, so the count matches the rows k6 loads.
+ */
+function inspectCsv(content, file) {
+  const { data, meta } = papaparse.parse(content, { header: true, skipEmptyLines: true, transformHeader: (header) => header.trim() });
+  if (data.length === 0) {
+    throw new Error(`CSV data file ${file} needs a header row and at least one data row`);
+  }
+  return { columns: meta.fields, rowCount: data.length };
+}
+
+/**
+ * Read the keys and row count of a JSON file holding an array of objects
+ */
+function inspectJson(content, file) {
+  let rows;
+  try {
+    rows = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`JSON data file ${file} is not valid JSON: ${error.message}`);
+  }
+
+  if (!Array.isArray(rows) || rows.length === 0 || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+    throw new Error(`JSON data file ${file} must contain a non-empty array of objects`);
+  }
+  return { columns: [...new Set(rows.flatMap(row => Object.keys(row)))], rowCount: rows.length };
+}
@@ -0,0 +1,251 @@
+/**
+ * Threshold Utility
+ * Turns declarative SLOs into K6 thresholds and renders them for generated scripts
+ */
+
+import { quote, toObjectCode, parseDuration } from './codegen.js';
+
+const LATENCY_STATS = ['avg', 'min', 'med', 'max'];
+
+/**
+ * Build K6 thresholds from an SLO block
+ *
+ * Returns undefined when no SLO is given so callers can fall back to defaults.
+ * Example SLO:
+ *   {
+ *     latency: [{ percentile: 95, max: 500 }, { percentile: 99, max: 1500, tags: { name: 'Login' } }],
+ *     errorRate: { max: 0.01 },
+ *     checks: { min: 0.95 },
+ *     abortOnFail: false
+ *   }
+ */
+export function buildThresholds(slo, defaults = {}) {
+  if (!slo) {
+    return undefined;
+  }
+  if (typeof slo !== 'object' || Array.isArray(slo)) {
+    throw new Error('SLO must be an object with latency, errorRate and/or checks entries');
+  }
+
+  const inherited = {
+    abortOnFail: slo.abortOnFail ?? defaults.abortOnFail,
+    delayAbortEval: slo.delayAbortEval ?? defaults.delayAbortEval
+  };
+  const thresholds = {};
+  const add = (metric, tags, expression, entry) => {
+    const key = metricKey(metric, tags);
+    (thresholds[key] = thresholds[key] || []).push(withAbort(expression, entry, inherited));
+  };
+
+  for (const entry of toList(slo.latency)) {
+    const limit = requireNumber(entry.max, 'latency', 'max');
+    const percentile = entry.percentile ?? (entry.stat ? undefined : 95);
+    let aggregation;
+    if (percentile !== undefined) {
+      if (typeof percentile !== 'number' || percentile <= 0 || percentile > 100) {
+        throw new Error(`SLO latency percentile must be a number between 0 and 100, got ${percentile}`);
+      }
+      aggregation = `p(${percentile})`;
+    } else if (LATENCY_STATS.includes(entry.stat)) {
+      aggregation = entry.stat;
+    } else {
+      throw new Error(`SLO latency stat must be one of: ${LATENCY_STATS.join(', ')}`);
+    }
+    add(entry.metric || 'http_req_duration', entry.tags, `${aggregation}<${limit}`, entry);
+  }
+
+  for (const entry of toList(slo.errorRate)) {
+    const limit = requireRate(entry.max, 'errorRate', 'max');
+    add(entry.metric || 'http_req_failed', entry.tags, `rate<${limit}`, entry);
+  }
+
+  for (const entry of toList(slo.checks)) {
+    const limit = requireRate(entry.min, 'checks', 'min');
+    add('checks', entry.tags, `rate>${limit}`, entry);
+  }
+
+  if (Object.keys(thresholds).length === 0) {
+    throw new Error('SLO must define at least one latency, errorRate or checks entry');
+  }
+  return thresholds;
+}
+
+/**
+ * Default thresholds applied by each generator when no SLO is given
+ */
+export function getDefaultThresholds(source, { scenarioType, assertions = true, hybrid = false } = {}) {
+  if (scenarioType === 'breakpoint') {
+    // delayAbortEval gives each step time to settle before a failing threshold stops the run
+    const abort = { abortOnFail: true, delayAbortEval: '30s' };
+    return {
+      'http_req_duration': [{ threshold: 'p(95)<1000', ...abort }],
+      'http_req_failed': [{ threshold: 'rate<0.1', ...abort }],
+      'errors': [{ threshold: 'rate<0.1', ...abort }]
+    };
+  }
+
+  let thresholds;
+  switch (source) {
+    case 'basic':
+      thresholds = {
+        'http_req_duration': ['p(95)<1000', 'p(99)<2000'],
+        'http_req_failed': ['rate<0.1'],
+        'errors': ['rate<0.1'],
+        'successful_requests': ['rate>0.9']
+      };
+      break;
+
+    case 'workload':
+      thresholds = {
+        'http_req_duration': ['p(95)<1000', 'p(99)<2000'],
+        'http_req_failed': ['rate<0.1']
+      };
+      break;
+
+    case 'graphql':
+      thresholds = {
+        'http_req_duration': ['p(95)<1000'],
+        'graphql_errors': ['rate<0.1']
+      };
+      break;
+
+    case 'grpc':
+      thresholds = {
+        'grpc_req_duration': ['p(95)<1000']
+      };
+      break;
+
+    case 'websocket':
+      thresholds = {
+        'ws_connect_time': ['p(95)<1000'],
+        'ws_message_rtt': ['p(95)<500']
+      };
+      break;
+
+    case 'sse':
+      // Round trips are only measured when messages are published, so they have no default threshold
+      thresholds = {
+        'sse_connect_time': ['p(95)<1000']
+      };
+      break;
+
+    case 'browser':
+      // Google's "good" Web Vitals limits, assessed at the 75th percentile
+      thresholds = {
+        'browser_web_vital_lcp': ['p(75)<2500'],
+        'browser_web_vital_cls': ['p(75)<0.1'],
+        'browser_web_vital_inp': ['p(75)<200']
+      };
+      if (hybrid) {
+        thresholds['http_req_duration{scenario:protocol}'] = ['p(95)<1000'];
+        thresholds['http_req_failed{scenario:protocol}'] = ['rate<0.1'];
+      }
+      break;
+
+    case 'api':
+      thresholds = {
+        'errors': ['rate<0.1'],
+        'http_req_duration': ['p(95)<1000']
+      };
+      break;
+
+    default:
+      thresholds = {
+        'http_req_duration': ['p(95)<1000'],
+        'http_req_failed': ['rate<0.1']
+      };
+  }
+
+  // Generated checks only count towards the result when assertions are enabled
+  if (assertions) {
+    thresholds['checks'] = ['rate>0.9'];
+  }
+  return thresholds;
+}
+
+/**
+ * Render thresholds as the object literal used in options.thresholds
+ */
+export function renderThresholds(thresholds, indent = '  ') {
+  return toObjectCode(
+    Object.entries(thresholds).map(([metric, rules]) => [metric, renderThresholdRules(rules)]),
+    indent
+  );
+}
+
+/**
+ * Render the list of threshold expressions for one metric
+ */
+export function renderThresholdRules(rules) {
+  return `[${rules.map(renderRule).join(', ')}]`;
+}
+
+/**
+ * Render a single threshold expression or abort-on-fail object
+ */
+function renderRule(rule) {
+  if (typeof rule === 'string') {
+    return quote(rule);
+  }
+  const parts = [`threshold: ${quote(rule.threshold)}`];
+  if (rule.abortOnFail !== undefined) {
+    parts.push(`abortOnFail: ${rule.abortOnFail}`);
+  }
+  if (rule.delayAbortEval !== undefined) {
+    parts.push(`delayAbortEval: ${quote(rule.delayAbortEval)}`);
+  }
+  return `{ ${parts.join(', ')} }`;
+}
+
+/**
+ * Build a metric name with an optional tag filter, e.g. http_req_duration{name:Login}
+ */
+function metricKey(metric, tags) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(metric)) {
+    throw new Error(`Invalid metric name "${metric}" in SLO`);
+  }
+  const filters = Object.entries(tags || {}).map(([tag, value]) => {
+    if (/[{},:]/.test(tag) || /[{},]/.test(String(value))) {
+      throw new Error(`Invalid tag filter "${tag}: ${value}" in SLO`);
+    }
+    return `${tag}:${value}`;
+  });
+  return filters.length > 0 ? `${metric}{${filters.join(',')}}` : metric;
+}
+
+/**
+ * Attach abort-on-fail settings to an expression when requested
+ */
+function withAbort(expression, entry, inherited) {
+  const abortOnFail = entry.abortOnFail ?? inherited.abortOnFail;
+  if (!abortOnFail) {
+    return expression;
+  }
+  const delayAbortEval = entry.delayAbortEval ?? inherited.delayAbortEval;
+  if (delayAbortEval !== undefined) {
+    parseDuration(delayAbortEval);
+  }
+  return { threshold: expression, abortOnFail: true, delayAbortEval };
+}
+
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+function requireNumber(value, section, field) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw new Error(`SLO ${section} entries need a non-negative numeric "${field}"`);
+  }
+  return value;
+}
+
+function requireRate(value, section, field) {
+  requireNumber(value, section, field);
+  if (value > 1) {
+    throw new Error(`SLO ${section} "${field}" is a rate between 0 and 1, got ${value}`);
+  }
+  return value;
+}
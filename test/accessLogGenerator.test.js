@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { generateAccessLogScript } from '../src/generators/accessLogGenerator.js';
+import { validateScript } from '../src/utils/scriptValidator.js';
+
+const LOG_FILE = fileURLToPath(new URL('./fixtures/access.log', import.meta.url));
+
+function errorsIn(script) {
+  return validateScript(script).filter(diagnostic => diagnostic.severity === 'error');
+}
+
+test('parses combined and common log lines, skipping static assets and unparsed lines', async () => {
+  const { summary, warnings } = await generateAccessLogScript({ logFile: LOG_FILE });
+
+  assert.equal(summary.lines, 8);
+  assert.equal(summary.requests, 6);
+  assert.deepEqual(summary.skipped, { unparsed: 1, static: 1 });
+  // The last line is in +0200, so it falls two minutes after the first
+  assert.deepEqual(summary.timeRange, { start: '2025-10-10T13:55:01.000Z', end: '2025-10-10T13:57:40.000Z', seconds: 159 });
+  assert.deepEqual(summary.statuses, { 200: 4, 201: 1, 404: 1 });
+  assert.match(warnings.join('\n'), /1 line\(s\) did not match/);
+  assert.match(warnings.join('\n'), /POST requests are sent without one/);
+});
+
+test('groups paths into endpoint templates with sampled paths and expected statuses', async () => {
+  const { summary, script } = await generateAccessLogScript({ logFile: LOG_FILE });
+
+  assert.deepEqual(summary.endpoints.map(endpoint => endpoint.endpoint), [
+    'GET /api/orders/{id}',
+    'POST /api/orders',
+    'GET /api/users/{uuid}'
+  ]);
+  assert.equal(summary.endpoints[0].requests, 4);
+  assert.match(script, /"name": "\/api\/orders\/\{id\}"/);
+  assert.match(script, /"\/api\/orders\/7\?expand=items"/);
+  // The 404 is not an expected status
+  assert.match(script, /"expectedStatuses": \[\s*200\s*\]/);
+});
+
+test('the peak profile holds the busiest bucket as a constant arrival rate', async () => {
+  const { script, summary } = await generateAccessLogScript({ logFile: LOG_FILE, duration: '2m', scale: 2 });
+
+  assert.deepEqual(errorsIn(script), []);
+  assert.equal(summary.peakAt, '2025-10-10T13:55:00.000Z');
+  assert.equal(summary.modelledRate, '6 req/min');
+  assert.match(script, /executor: 'constant-arrival-rate',\s*rate: 6,\s*timeUnit: '1m',\s*duration: '2m'/);
+});
+
+test('the observed profile replays one stage per bucket', async () => {
+  const { script, summary } = await generateAccessLogScript({ logFile: LOG_FILE, profile: 'observed', stageDuration: '10s' });
+
+  assert.deepEqual(errorsIn(script), []);
+  assert.equal(summary.rateOverTime.length, 3);
+  assert.match(script, /executor: 'ramping-arrival-rate',\s*startRate: 3,/);
+  assert.match(script, /\{ duration: '10s', target: 3 \},\s*\{ duration: '10s', target: 2 \},\s*\{ duration: '10s', target: 1 \},/);
+});
+
+test('the observed profile rejects more buckets than stages allowed', async () => {
+  await assert.rejects(
+    generateAccessLogScript({ logFile: LOG_FILE, profile: 'observed', bucket: '100ms' }),
+    /spans 1591 buckets of 100ms; use a larger options.bucket to replay it in at most 200 stages/
+  );
+});
+
+test('rejects a bucket that is not a positive duration', async () => {
+  await assert.rejects(generateAccessLogScript({ logFile: LOG_FILE, bucket: '0s' }), /bucket must be a positive duration, got "0s"/);
+});
+
+test('rejects a tiny bucket over a long log before building its buckets', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'k6-accesslog-'));
+  try {
+    const logFile = path.join(dir, 'day.log');
+    await fs.writeFile(logFile, [
+      '10.0.0.1 - - [10/Oct/2025:00:00:00 +0000] "GET / HTTP/1.1" 200 1',
+      '10.0.0.1 - - [10/Oct/2025:23:59:59 +0000] "GET / HTTP/1.1" 200 1'
+    ].join('\n'));
+
+    await assert.rejects(generateAccessLogScript({ logFile, bucket: '1ms' }), /spans 86399001 buckets of 1ms/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,145 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { get, post } from '../src/utils/appServerClient.js';
+import { ServiceError, ERROR_TYPES } from '../src/utils/errors.js';
+
+const TIMEOUT = 300;
+
+let server;
+// Requests the server saw, by path
+let seen;
+// Per-path count of failures still to answer before succeeding
+let failures;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const requests = seen.get(req.url) || [];
+    requests.push({ method: req.method, requestId: req.headers['x-request-id'] });
+    seen.set(req.url, requests);
+
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    const pending = failures.get(req.url) ?? Infinity;
+    failures.set(req.url, pending - 1);
+
+    switch (req.url) {
+      case '/flaky':
+        return pending > 0 ? send(500, { error: 'Database is restarting' }) : send(200, { ok: true });
+      case '/reset':
+        return pending > 0 ? req.socket.destroy() : send(200, { ok: true });
+      case '/down':
+        return send(503, { error: 'Overloaded' });
+      case '/slow':
+        // Never answers; the client gives up after its timeout
+        return undefined;
+      case '/missing':
+        return send(404, { error: 'Test t1 not found' });
+      case '/locked':
+        return send(401, { message: 'Invalid token' });
+      case '/busy':
+        return send(409, { error: 'Test t1 already finished' });
+      case '/invalid':
+        return send(400, { error: 'vus must be a number' });
+      default:
+        return send(200, { ok: true });
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  // Read once by the client, on its first call
+  process.env.K6_APP_SERVER_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.K6_APP_SERVER_TIMEOUT = String(TIMEOUT);
+  process.env.K6_APP_SERVER_RETRIES = '2';
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  seen = new Map();
+  failures = new Map();
+});
+
+/**
+ * Await a call that should fail and return its error
+ */
+async function failure(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  assert.fail('Expected the call to fail');
+}
+
+test('GETs are retried on 5xx with the same X-Request-ID', async () => {
+  failures.set('/flaky', 2);
+  const response = await get('/flaky');
+
+  assert.deepEqual(response.data, { ok: true });
+  const requests = seen.get('/flaky');
+  assert.equal(requests.length, 3);
+  assert.match(requests[0].requestId, /^[0-9a-f-]{36}$/);
+  assert.ok(requests.every(request => request.requestId === requests[0].requestId));
+});
+
+test('GETs are retried on network errors', async () => {
+  failures.set('/reset', 1);
+  const response = await get('/reset');
+
+  assert.deepEqual(response.data, { ok: true });
+  assert.equal(seen.get('/reset').length, 2);
+});
+
+test('GETs give up after the configured retries with a server-error', async () => {
+  const error = await failure(get('/down'));
+
+  assert.ok(error instanceof ServiceError);
+  assert.equal(error.type, ERROR_TYPES.SERVER_ERROR);
+  assert.equal(error.status, 503);
+  assert.equal(error.message, 'Overloaded');
+  assert.equal(error.requestId, seen.get('/down')[0].requestId);
+  assert.equal(seen.get('/down').length, 3);
+});
+
+test('POSTs are never retried and get a fresh request ID per call', async () => {
+  const first = await failure(post('/down', { script: 'a.js' }));
+  const second = await failure(post('/down', { script: 'a.js' }));
+
+  assert.equal(first.type, ERROR_TYPES.SERVER_ERROR);
+  assert.deepEqual(seen.get('/down').map(request => request.method), ['POST', 'POST']);
+  assert.notEqual(first.requestId, second.requestId);
+});
+
+test('a call without an answer within the timeout is unreachable', async () => {
+  const error = await failure(get('/slow', { retries: 0 }));
+
+  assert.equal(error.type, ERROR_TYPES.UNREACHABLE);
+  assert.match(error.message, new RegExp(`not reachable at http://127\\.0\\.0\\.1:\\d+: no response within ${TIMEOUT}ms`));
+  assert.match(error.hint, /Start the K6 App Server/);
+});
+
+test('4xx answers map to typed errors without retries', async () => {
+  const notFound = await failure(get('/missing'));
+  assert.equal(notFound.type, ERROR_TYPES.NOT_FOUND);
+  assert.equal(notFound.message, 'Test t1 not found');
+  assert.equal(seen.get('/missing').length, 1);
+
+  const unauthorized = await failure(get('/locked'));
+  assert.equal(unauthorized.type, ERROR_TYPES.UNAUTHORIZED);
+  assert.equal(unauthorized.status, 401);
+  assert.equal(unauthorized.message, 'Invalid token');
+
+  const conflict = await failure(post('/busy'));
+  assert.equal(conflict.type, ERROR_TYPES.CONFLICT);
+
+  // Other 4xx answers are plain errors carrying the server's message
+  const invalid = await failure(post('/invalid', { vus: 'many' }));
+  assert.equal(invalid.type, undefined);
+  assert.equal(invalid.message, 'vus must be a number');
+  assert.ok(invalid.requestId);
+});
@@ -0,0 +1,120 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+let workDir;
+let loads = 0;
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'k6-config-'));
+  await fs.mkdir(path.join(workDir, 'conf', 'certs'), { recursive: true });
+  await fs.writeFile(path.join(workDir, 'conf', 'certs', 'ca.pem'), 'file CA');
+  await fs.writeFile(path.join(workDir, 'conf', 'certs', 'client.pem'), 'client cert');
+  await fs.writeFile(path.join(workDir, 'conf', 'certs', 'client-key.pem'), 'client key');
+  await fs.writeFile(path.join(workDir, 'env-ca.pem'), 'env CA');
+});
+
+after(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Load the config with only the given K6_APP_SERVER_* variables set, and an optional config file
+ *
+ * The config is read once per module instance, so each call imports a fresh copy of the module.
+ */
+async function load(env = {}, file) {
+  for (const name of Object.keys(process.env).filter(key => key.startsWith('K6_APP_SERVER_'))) {
+    delete process.env[name];
+  }
+  if (file) {
+    const configFile = path.join(workDir, 'conf', 'config.json');
+    await fs.writeFile(configFile, JSON.stringify(file));
+    process.env.K6_APP_SERVER_CONFIG = configFile;
+  }
+  Object.assign(process.env, env);
+  const { getAppServerConfig } = await import(`../src/utils/appServerConfig.js?load=${++loads}`);
+  return getAppServerConfig;
+}
+
+test('defaults to a local App Server without credentials or TLS settings', async () => {
+  const config = (await load())();
+
+  assert.equal(config.url, 'http://localhost:3001');
+  assert.deepEqual(config.headers, {});
+  assert.equal(config.timeout, 10000);
+  assert.equal(config.retries, 2);
+  assert.equal(config.httpsAgent, undefined);
+  assert.deepEqual(config.auth, []);
+});
+
+test('environment variables override the config file key by key', async () => {
+  const config = (await load({
+    K6_APP_SERVER_URL: 'https://env.example.com/',
+    K6_APP_SERVER_TOKEN: 'env-token',
+    // Empty values fall back to the file
+    K6_APP_SERVER_TIMEOUT: ''
+  }, {
+    url: 'https://file.example.com',
+    token: 'file-token',
+    timeout: 5000,
+    retries: 0
+  }))();
+
+  assert.equal(config.url, 'https://env.example.com');
+  assert.deepEqual(config.headers, { Authorization: 'Bearer env-token' });
+  assert.equal(config.timeout, 5000);
+  assert.equal(config.retries, 0);
+});
+
+test('an API key is sent in its header, next to a bearer token', async () => {
+  const apiKeyOnly = (await load({ K6_APP_SERVER_API_KEY: 'k-123' }))();
+  assert.deepEqual(apiKeyOnly.headers, { 'X-API-Key': 'k-123' });
+  assert.deepEqual(apiKeyOnly.auth, ['API key (X-API-Key)']);
+
+  const both = (await load({ K6_APP_SERVER_API_KEY_HEADER: 'X-Loadgen-Key' }, { apiKey: 'k-456', token: 't-789' }))();
+  assert.deepEqual(both.headers, { 'X-Loadgen-Key': 'k-456', Authorization: 'Bearer t-789' });
+  assert.deepEqual(both.auth, ['API key (X-Loadgen-Key)', 'bearer token']);
+  assert.equal(both.httpsAgent, undefined);
+});
+
+test('PEM paths in the config file are relative to the file, in the environment to the working directory', async () => {
+  const cwd = process.cwd();
+  process.chdir(workDir);
+  try {
+    const config = (await load({ K6_APP_SERVER_CA: 'env-ca.pem' }, {
+      ca: 'certs/ca.pem',
+      cert: 'certs/client.pem',
+      key: 'certs/client-key.pem',
+      passphrase: 'secret'
+    }))();
+
+    assert.ok(config.httpsAgent);
+    assert.equal(config.httpsAgent.options.ca.toString(), 'env CA');
+    assert.equal(config.httpsAgent.options.cert.toString(), 'client cert');
+    assert.equal(config.httpsAgent.options.key.toString(), 'client key');
+    assert.equal(config.httpsAgent.options.passphrase, 'secret');
+    assert.deepEqual(config.auth, ['custom CA', 'client certificate']);
+  } finally {
+    process.chdir(cwd);
+  }
+});
+
+test('an https agent is created for a CA alone, but not for credentials alone', async () => {
+  const caOnly = (await load({}, { ca: 'certs/ca.pem' }))();
+  assert.equal(caOnly.httpsAgent.options.ca.toString(), 'file CA');
+  assert.equal(caOnly.httpsAgent.options.cert, undefined);
+
+  const tokenOnly = (await load({ K6_APP_SERVER_URL: 'https://remote.example.com', K6_APP_SERVER_TOKEN: 't' }))();
+  assert.equal(tokenOnly.httpsAgent, undefined);
+});
+
+test('rejects invalid settings and unreadable files', async () => {
+  assert.throws(await load({ K6_APP_SERVER_CERT: 'client.pem' }), /needs both cert and key/);
+  assert.throws(await load({ K6_APP_SERVER_TIMEOUT: 'soon' }), /timeout must be a positive number of milliseconds, got "soon"/);
+  assert.throws(await load({ K6_APP_SERVER_RETRIES: '1.5' }), /retries must be a whole number, got "1.5"/);
+  assert.throws(await load({}, { ca: 'certs/missing.pem' }), /Cannot read App Server ca file .*certs\/missing.pem/);
+  assert.throws(await load({ K6_APP_SERVER_CONFIG: path.join(workDir, 'none.json') }), /Cannot read App Server config .*none.json/);
+});
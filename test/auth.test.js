@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveAuth, getAuthEnv, renderAuth, describeAuth } from '../src/utils/auth.js';
+import { generateScript } from '../src/handlers/generateHandler.js';
+import { validateScript } from '../src/utils/scriptValidator.js';
+
+const BASE_URL = 'https://shop.example.com';
+
+/**
+ * Evaluate the rendered auth code against a fake k6 http module and environment
+ */
+function loadFlow(auth, http, env) {
+  const code = renderAuth(resolveAuth(auth)).replace('export function setup', 'function setup');
+  return new Function('http', '__ENV', 'BASE_URL', `${code}\nreturn { setup, authenticate };`)(http, env, BASE_URL);
+}
+
+test('fills in the environment variable names and defaults for each type', () => {
+  assert.deepEqual(resolveAuth({ type: 'bearer' }), { type: 'bearer', tokenEnv: 'AUTH_TOKEN' });
+  assert.deepEqual(resolveAuth({ type: 'oauth2', tokenUrl: '/oauth/token' }), {
+    type: 'oauth2',
+    tokenUrl: '/oauth/token',
+    scope: undefined,
+    clientIdEnv: 'OAUTH_CLIENT_ID',
+    clientSecretEnv: 'OAUTH_CLIENT_SECRET',
+    refreshMargin: 30
+  });
+  const form = resolveAuth({ type: 'form', usernameEnv: 'SHOP_USER', sessionTtl: 0 });
+  assert.equal(form.loginPath, '/login');
+  assert.equal(form.sessionTtl, 0);
+  assert.deepEqual(getAuthEnv(form), ['SHOP_USER', 'AUTH_PASSWORD']);
+  assert.equal(describeAuth(form), 'form login at /login with SHOP_USER/AUTH_PASSWORD');
+  assert.equal(resolveAuth(undefined), undefined);
+});
+
+test('rejects secrets in the options, unknown types and oauth2 without a token URL', () => {
+  assert.throws(() => resolveAuth({ type: 'bearer', token: 'abc' }), /auth.token would be written into the script/);
+  assert.throws(() => resolveAuth({ type: 'form', username: 'u', password: 'p' }), /auth.username, auth.password would be written into the script/);
+  assert.throws(() => resolveAuth({ type: 'apikey' }), /Unknown auth type "apikey". Use one of: bearer, oauth2, form/);
+  assert.throws(() => resolveAuth({ type: 'oauth2' }), /auth.tokenUrl is required/);
+});
+
+test('setup() fails with the names of missing credentials', () => {
+  const { setup } = loadFlow({ type: 'bearer', tokenEnv: 'SHOP_TOKEN' }, {}, {});
+  assert.throws(() => setup(), /Missing credentials: set SHOP_TOKEN with -e NAME=value/);
+
+  const flow = loadFlow({ type: 'bearer', tokenEnv: 'SHOP_TOKEN' }, {}, { SHOP_TOKEN: 't-1' });
+  const data = flow.setup();
+  assert.deepEqual(flow.authenticate(data), { Authorization: 'Bearer t-1' });
+});
+
+test('oauth2 fetches a token in setup() and renews it inside the refresh margin', () => {
+  const posts = [];
+  const http = {
+    post(url, form) {
+      posts.push({ url, form });
+      return { status: 200, json: () => ({ access_token: `token-${posts.length}`, expires_in: 3600 }) };
+    }
+  };
+  const env = { OAUTH_CLIENT_ID: 'id', OAUTH_CLIENT_SECRET: 'secret' };
+  const { setup, authenticate } = loadFlow({ type: 'oauth2', tokenUrl: '/oauth/token', scope: 'orders:read', refreshMargin: 60 }, http, env);
+
+  const data = setup();
+  assert.deepEqual(posts, [{
+    url: `${BASE_URL}/oauth/token`,
+    form: { grant_type: 'client_credentials', client_id: 'id', client_secret: 'secret', scope: 'orders:read' }
+  }]);
+  assert.deepEqual(authenticate(data), { Authorization: 'Bearer token-1' });
+  assert.equal(posts.length, 1);
+
+  // A token that expires within the margin is renewed by the VU
+  const expiring = loadFlow({ type: 'oauth2', tokenUrl: '/oauth/token', refreshMargin: 60 }, http, env);
+  assert.deepEqual(expiring.authenticate({ auth: { token: 'old', expiresAt: Date.now() + 30000 } }), { Authorization: 'Bearer token-2' });
+
+  const failing = loadFlow({ type: 'oauth2', tokenUrl: 'https://idp.example.com/token' }, { post: () => ({ status: 401 }) }, env);
+  assert.throws(() => failing.setup(), /Token request failed with status 401/);
+});
+
+test('form login keeps the session cookies and sets them on every iteration', () => {
+  const jar = [];
+  const http = {
+    post(url, form, params) {
+      assert.equal(url, `${BASE_URL}/account/login`);
+      assert.deepEqual(form, { email: 'ann@example.com', password: 'pw' });
+      assert.equal(params.redirects, 0);
+      return { status: 302, cookies: { sid: [{ value: 's-1' }] } };
+    },
+    cookieJar: () => ({ set: (url, name, value) => jar.push([url, name, value]) })
+  };
+  const env = { AUTH_USERNAME: 'ann@example.com', AUTH_PASSWORD: 'pw' };
+  const { setup, authenticate } = loadFlow({ type: 'form', loginPath: '/account/login', usernameField: 'email' }, http, env);
+
+  const data = setup();
+  assert.deepEqual(authenticate(data), {});
+  assert.deepEqual(authenticate(data), {});
+  assert.deepEqual(jar, [[BASE_URL, 'sid', 's-1'], [BASE_URL, 'sid', 's-1']]);
+
+  const noCookie = loadFlow({ type: 'form' }, { post: () => ({ status: 200, cookies: {} }) }, env);
+  assert.throws(() => noCookie.setup(), /Login did not set a session cookie/);
+});
+
+test('k6_generate adds authentication without writing credentials into the script', async () => {
+  const { script, auth } = await generateScript('basic', BASE_URL, { auth: { type: 'oauth2', tokenUrl: '/oauth/token' } }, 'T');
+
+  assert.deepEqual(validateScript(script).filter(diagnostic => diagnostic.severity === 'error'), []);
+  assert.deepEqual(getAuthEnv(auth), ['OAUTH_CLIENT_ID', 'OAUTH_CLIENT_SECRET']);
+  assert.match(script, /export default function \(data\) \{\n {2}const authHeaders = authenticate\(data\);/);
+  // The summary leaves out setup() data, which holds the token
+  assert.match(script, /'summary.json': JSON.stringify\(\{ \.\.\.data, setup_data: undefined \}\)/);
+
+  await assert.rejects(generateScript('api', BASE_URL, { auth: { type: 'bearer', token: 'abc' } }), /auth.token would be written into the script/);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateBasicScript } from '../src/generators/basicGenerator.js';
+import { generateScript } from '../src/handlers/generateHandler.js';
+import { validateScript } from '../src/utils/scriptValidator.js';
+
+function generate(options) {
+  const script = generateBasicScript({ timestamp: 'T', ...options });
+  assert.deepEqual(validateScript(script).filter(diagnostic => diagnostic.severity === 'error'), []);
+  return script;
+}
+
+test('constant-arrival-rate runs a fixed iteration rate with VU bounds instead of stages', () => {
+  const script = generate({ scenarioType: 'constant-arrival-rate', rate: 50, timeUnit: '1m', duration: '3m', vus: 4 });
+
+  assert.match(script, /\/\/ Configuration: 50 iterations per 1m, 4-20 VUs, 3m duration/);
+  assert.match(script, /scenarios: \{\n {4}constant_rate: \{\n {6}executor: 'constant-arrival-rate',\n {6}rate: 50, \/\/ Iterations started per timeUnit\n {6}timeUnit: '1m',\n {6}duration: '3m',\n {6}preAllocatedVUs: 4, .*\n {6}maxVUs: 20, /);
+  assert.doesNotMatch(script, /stages:/);
+  assert.match(script, /Target rate: 50\/1m/);
+  // Iterations k6 could not start for lack of VUs show up in the summary
+  assert.match(script, /metrics.dropped_iterations/);
+});
+
+test('ramping-arrival-rate ramps to the target rate, or follows custom rate stages', () => {
+  const ramp = generate({ scenarioType: 'ramping-arrival-rate', rate: 40, duration: '5m' });
+  assert.match(ramp, /executor: 'ramping-arrival-rate',\n {6}startRate: 0,\n {6}timeUnit: '1s',\n {6}preAllocatedVUs: 10,\n {6}maxVUs: 50,/);
+  assert.match(ramp, /\{ duration: '30s', target: 20 \}, .*\n.*\{ duration: '30s', target: 40 \}, .*\n.*\{ duration: '5m', target: 40 \}, .*\n.*\{ duration: '30s', target: 0 \}/);
+
+  const custom = generate({
+    scenarioType: 'ramping-arrival-rate',
+    preAllocatedVUs: 5,
+    maxVUs: 100,
+    stages: [{ duration: '1m', target: 20 }, { duration: '2m', target: 80 }]
+  });
+  assert.match(custom, /preAllocatedVUs: 5,\n {6}maxVUs: 100,\n {6}stages: \[\n {8}\{ duration: '1m', target: 20 \},\n {8}\{ duration: '2m', target: 80 \},\n {6}\],/);
+});
+
+test('k6_generate passes the arrival-rate options through to the basic generator', async () => {
+  const { script, thresholds } = await generateScript('basic', 'https://shop.example.com', {
+    scenarios: ['ramping-arrival-rate'],
+    rate: 30,
+    timeUnit: '10s',
+    maxVUs: 60,
+    stages: [{ duration: '2m', target: 30 }]
+  }, 'T');
+
+  assert.match(script, /\/\/ Scenario: ramping-arrival-rate/);
+  assert.match(script, /timeUnit: '10s',\n {6}preAllocatedVUs: 10,\n {6}maxVUs: 60,/);
+  assert.match(script, /\{ duration: '2m', target: 30 \},/);
+  assert.match(script, /const BASE_URL = __ENV.BASE_URL \|\| 'https:\/\/shop.example.com';/);
+  assert.deepEqual(thresholds['http_req_failed'], ['rate<0.1']);
+});
+
+/**
+ * Evaluate the breakpoint schedule and findBreakpoint() from a generated script
+ */
+function loadFindBreakpoint(script) {
+  const code = script.match(/const BREAKPOINT_STEPS = [\s\S]*?\n\}\n/)[0];
+  return new Function(`${code}\nreturn findBreakpoint;`)();
+}
+
+/**
+ * Build the part of handleSummary's data that findBreakpoint reads
+ */
+function summaryData(elapsedMs, failed) {
+  return {
+    state: { testRunDurationMs: elapsedMs },
+    metrics: { http_req_duration: { thresholds: { 'p(95)<1000': { ok: !failed } } } }
+  };
+}
+
+test('breakpoint steps the VU level up, with a ramp and a hold per step', () => {
+  const script = generate({ scenarioType: 'breakpoint', vus: 20, steps: 3, stepDuration: '2m' });
+
+  assert.match(script, /\/\/ Configuration: 3 steps of 20 VUs \(up to 60\), 2m per step, 1s think time/);
+  assert.match(script, /stages: \[\n {4}\{ duration: '30s', target: 20 \}, {2}\/\/ Step 1: ramp to 20 VUs\n {4}\{ duration: '2m', target: 20 \}, {2}\/\/ Step 1: hold\n/);
+  assert.match(script, /\{ duration: '2m', target: 60 \}, {2}\/\/ Step 3: hold\n {2}\],/);
+  assert.match(script, /const BREAKPOINT_STEPS = \[\{"level":20,"endsAtMs":150000\},\{"level":40,"endsAtMs":300000\},\{"level":60,"endsAtMs":450000\}\];/);
+  assert.match(script, /'breakpoint.json': JSON.stringify\(breakpoint, null, 2\),/);
+});
+
+test('breakpoint thresholds abort the run, for the defaults and for SLOs', async () => {
+  const script = generate({ scenarioType: 'breakpoint' });
+  assert.match(script, /'http_req_duration': \[\{ threshold: 'p\(95\)<1000', abortOnFail: true, delayAbortEval: '30s' \}\],/);
+  assert.match(script, /'errors': \[\{ threshold: 'rate<0.1', abortOnFail: true, delayAbortEval: '30s' \}\],/);
+
+  const withSlo = await generateScript('basic', undefined, {
+    scenarios: ['breakpoint'],
+    slo: { latency: { percentile: 99, max: 300 }, errorRate: { max: 0.05, abortOnFail: false } }
+  }, 'T');
+  assert.deepEqual(withSlo.thresholds, {
+    'http_req_duration': [{ threshold: 'p(99)<300', abortOnFail: true, delayAbortEval: '30s' }],
+    'http_req_failed': ['rate<0.05']
+  });
+});
+
+test('the summary reports the step that was running when a threshold failed', () => {
+  const findBreakpoint = loadFindBreakpoint(generate({ scenarioType: 'breakpoint', vus: 20, steps: 3, stepDuration: '2m' }));
+
+  assert.deepEqual(findBreakpoint(summaryData(200000, true)), { broke: true, lastStableLevel: 20, breakingLevel: 40 });
+  assert.deepEqual(findBreakpoint(summaryData(100000, true)), { broke: true, lastStableLevel: 0, breakingLevel: 20 });
+  assert.deepEqual(findBreakpoint(summaryData(450000, false)), { broke: false, lastStableLevel: 60, breakingLevel: null });
+});
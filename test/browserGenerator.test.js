@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateBrowserScript } from '../src/generators/browserGenerator.js';
+import { generateScript } from '../src/handlers/generateHandler.js';
+import { validateScript } from '../src/utils/scriptValidator.js';
+
+const PAGES = [
+  '/',
+  {
+    url: '/search',
+    name: 'Search',
+    steps: [
+      { action: 'fill', selector: 'input[name=q]', value: 'shoes' },
+      { action: 'click', selector: 'button[type=submit]', navigation: true },
+      { action: 'waitForSelector', selector: '.results', timeout: 5000 }
+    ]
+  },
+  'https://cdn.example.com/status'
+];
+
+function generate(options) {
+  const script = generateBrowserScript({ baseUrl: 'https://shop.example.com', timestamp: 'T', ...options });
+  assert.deepEqual(validateScript(script).filter(diagnostic => diagnostic.severity === 'error'), []);
+  return script;
+}
+
+/**
+ * Run browserJourney() from a generated script against a fake k6/browser and return the page calls
+ */
+async function runJourney(script, status = 200) {
+  const calls = [];
+  const checks = {};
+  const locator = selector => ({
+    click: async () => calls.push(['click', selector]),
+    fill: async value => calls.push(['fill', selector, value]),
+    waitFor: async options => calls.push(['waitFor', selector, options])
+  });
+  const page = {
+    goto: async (url, options) => {
+      calls.push(['goto', url, options.waitUntil]);
+      return { status: () => status };
+    },
+    locator,
+    waitForNavigation: async () => calls.push(['waitForNavigation']),
+    close: async () => calls.push(['close page'])
+  };
+  const browser = { newContext: async () => ({ newPage: async () => page, close: async () => calls.push(['close context']) }) };
+  const body = script
+    .replace(/^import .*$/gm, '')
+    .replace('export const options', 'const options')
+    .replace(/export (async )?function/g, '$1function');
+
+  const journey = new Function('browser', 'check', 'sleep', '__ENV', `${body}\nreturn browserJourney;`)(
+    browser,
+    (value, sets) => Object.entries(sets).forEach(([name, fn]) => (checks[name] = fn(value))),
+    () => {},
+    {}
+  );
+  await journey();
+  return { calls, checks };
+}
+
+test('visits each page in order and runs its steps', async () => {
+  const script = generate({ pages: PAGES });
+  assert.match(script, /\/\/ Configuration: 1 browser VU\(s\), 5m duration, 3 page\(s\)/);
+  assert.match(script, /executor: 'constant-vus',\n {6}vus: 1,\n {6}duration: '5m',\n {6}exec: 'browserJourney',/);
+
+  const { calls, checks } = await runJourney(script);
+  assert.deepEqual(calls, [
+    ['goto', 'https://shop.example.com/', 'networkidle'],
+    ['goto', 'https://shop.example.com/search', 'networkidle'],
+    ['fill', 'input[name=q]', 'shoes'],
+    // The navigation is awaited from before the click, so a fast page load is not missed
+    ['waitForNavigation'],
+    ['click', 'button[type=submit]'],
+    ['waitFor', '.results', { state: 'visible', timeout: 5000 }],
+    // Absolute URLs are not rebased on BASE_URL
+    ['goto', 'https://cdn.example.com/status', 'networkidle'],
+    ['close page'],
+    ['close context']
+  ]);
+  assert.deepEqual(checks, { '/ status is 2xx': true, 'Search status is 2xx': true, 'https://cdn.example.com/status status is 2xx': true });
+});
+
+test('failed page loads fail their check, and the page is still closed', async () => {
+  const { calls, checks } = await runJourney(generate({ pages: ['/'] }), 503);
+
+  assert.deepEqual(checks, { '/ status is 2xx': false });
+  assert.deepEqual(calls.slice(-2), [['close page'], ['close context']]);
+});
+
+test('protocolVus adds a protocol scenario with its own thresholds', () => {
+  const script = generate({ pages: PAGES, vus: 2, protocolVus: 50, assertions: false });
+
+  assert.match(script, /\/\/ Configuration: 2 browser VU\(s\) alongside 50 protocol VUs/);
+  assert.match(script, /import http from 'k6\/http';/);
+  assert.match(script, /protocol: \{\n {6}executor: 'constant-vus',\n {6}vus: 50,\n {6}duration: '5m',\n {6}exec: 'protocolLoad',/);
+  assert.match(script, /res = http.get\(`\$\{BASE_URL\}\/search`, \{ tags: \{ name: 'Search' \} \}\);/);
+  assert.match(script, /'http_req_duration\{scenario:protocol\}': \['p\(95\)<1000'\],/);
+  assert.match(script, /'browser_web_vital_lcp': \['p\(75\)<2500'\],/);
+  assert.doesNotMatch(script, /check\(|'checks'/);
+});
+
+test('rejects pages and steps that cannot be rendered', () => {
+  assert.throws(() => generateBrowserScript({ pages: [] }), /needs at least one page/);
+  assert.throws(() => generateBrowserScript({ pages: [{ name: 'Home' }] }), /Every browser page needs a url/);
+  assert.throws(() => generateBrowserScript({ pages: [{ url: '/', steps: [{ action: 'hover', selector: 'a' }] }] }), /Unknown browser step action "hover". Use one of: click, fill, waitForSelector/);
+  assert.throws(() => generateBrowserScript({ pages: [{ url: '/', steps: [{ action: 'click' }] }] }), /Browser step "click" needs a selector/);
+  assert.throws(() => generateBrowserScript({ pages: [{ url: '/', steps: [{ action: 'fill', selector: '#q' }] }] }), /Browser step "fill #q" needs a value/);
+});
+
+test('k6_generate passes the browser options and defaults to one browser VU', async () => {
+  const { script, thresholds } = await generateScript('browser', 'https://shop.example.com', { pages: ['/cart'], protocolVus: 10 }, 'T');
+
+  assert.match(script, /const BASE_URL = __ENV.BASE_URL \|\| 'https:\/\/shop.example.com';/);
+  assert.match(script, /vus: 1,\n {6}duration: '5m',\n {6}exec: 'browserJourney',/);
+  assert.deepEqual(thresholds['http_req_failed{scenario:protocol}'], ['rate<0.1']);
+});
@@ -0,0 +1,110 @@
+/**
+ * Fake K6 App Server
+ * Serves the /api/tests endpoints from an in-memory table of tests, so handlers can be tested without a real App Server
+ */
+
+import http from 'http';
+
+/**
+ * Start the server on a free local port
+ *
+ * Each test in `tests` is { id, status, startTime, ... } plus optional behaviour:
+ *   pollsUntilDone  status checks that still answer "running" before the test completes
+ *   ignoresStop     stop requests are accepted but the test keeps running
+ *   finishesOnStop  the test completes just before a stop request arrives, which is then refused
+ *   output          progress output returned by /output, or a function returning it for each call
+ *   results         metrics returned by /results once the test is over (404 when missing)
+ */
+export async function startFakeAppServer() {
+  const tests = new Map();
+  // Stop requests received, as [testId, mode]
+  const stops = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => (body += chunk));
+    req.on('end', () => {
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+      const url = new URL(req.url, 'http://localhost');
+      const [, id, endpoint] = url.pathname.match(/^\/api\/tests\/([^/]+)\/([^/]+)$/) || [];
+      const test = tests.get(id);
+
+      if (url.pathname === '/health') {
+        return send(200, { status: 'healthy' });
+      }
+      if (url.pathname === '/api/tests/') {
+        return send(200, { tests: [...tests.values()].map(describe) });
+      }
+      if (url.pathname === '/api/tests/analyze') {
+        const { testId, metrics } = JSON.parse(body);
+        return send(200, { metrics, issues: [], recommendations: [], summary: `Analyzed ${testId}` });
+      }
+      if (!test) {
+        return send(404, { error: `Test ${id} not found` });
+      }
+
+      switch (endpoint) {
+        case 'status':
+          if (test.status === 'running' && test.pollsUntilDone !== undefined && test.pollsUntilDone-- <= 0) {
+            test.status = 'completed';
+          }
+          return send(200, describe(test));
+        case 'output':
+          return send(200, (typeof test.output === 'function' ? test.output() : test.output) || { output: '', metrics: {} });
+        case 'results':
+          if (test.status === 'running') {
+            return send(202, { message: `Test ${id} is still running` });
+          }
+          return test.results ? send(200, { status: test.status, metrics: test.results }) : send(404, { error: 'No results' });
+        case 'stop': {
+          const { mode } = JSON.parse(body);
+          stops.push([id, mode]);
+          if (test.finishesOnStop) {
+            test.status = 'completed';
+          }
+          if (test.status !== 'running') {
+            return send(409, { error: `Test ${id} already finished` });
+          }
+          if (!test.ignoresStop) {
+            test.status = mode === 'abort' ? 'aborted' : 'stopped';
+          }
+          return send(200, { testId: id, mode });
+        }
+        default:
+          return send(404, { error: `Unknown endpoint ${url.pathname}` });
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    tests,
+    stops,
+    /**
+     * Replace the table of tests
+     */
+    reset(list) {
+      tests.clear();
+      stops.length = 0;
+      for (const test of list) {
+        tests.set(test.id, { ...test });
+      }
+    },
+    async close() {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+/**
+ * The fields the App Server reports for a test
+ */
+function describe({ id, status, script, startTime, endTime }) {
+  return { id, status, script, startTime, endTime };
+}
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Fake k6
+ * Stands in for the k6 binary (K6_BINARY) in tests: prints progress, writes JSON output and a summary, and honours SIGINT
+ */
+
+import fs from 'fs';
+
+const args = process.argv.slice(2);
+
+// Interval between progress lines and http_reqs points
+const TICK = 100;
+
+// Ticks to run when no --duration is given
+const DEFAULT_TICKS = 5;
+
+if (args[0] === 'version') {
+  console.log('k6 v0.0.0 (fake)');
+  process.exit(0);
+}
+
+const option = name => {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+const summaryFile = option('--summary-export');
+const metricsFile = option('--out').replace(/^json=/, '');
+const vus = Number(option('--vus') || 1);
+// Whole seconds only; each second of --duration runs ten ticks
+const ticks = option('--duration') ? parseInt(option('--duration'), 10) * 10 : DEFAULT_TICKS;
+
+let tick = 0;
+let requests = 0;
+
+function finish(code) {
+  fs.writeFileSync(summaryFile, JSON.stringify({
+    metrics: {
+      http_req_duration: { avg: 120, 'p(95)': 300, 'p(99)': 450 },
+      http_reqs: { count: requests, rate: tick ? requests / (tick * TICK / 1000) : 0 },
+      http_req_failed: { value: 0 }
+    }
+  }));
+  process.exit(code);
+}
+
+// k6 still writes its summary when stopped with SIGINT
+process.on('SIGINT', () => finish(0));
+
+console.log(`args: ${args.join(' ')}`);
+fs.writeFileSync(metricsFile, '');
+
+setInterval(() => {
+  tick++;
+  requests += vus;
+  console.log(`running (${(tick * TICK / 1000).toFixed(1)}s), ${vus}/${vus} VUs, ${tick} complete and 0 interrupted iterations`);
+  fs.appendFileSync(metricsFile, `${JSON.stringify({ type: 'Point', metric: 'http_reqs', data: { value: vus } })}\n`);
+  if (tick >= ticks) {
+    finish(0);
+  }
+}, TICK);
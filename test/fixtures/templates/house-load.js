@@ -0,0 +1,21 @@
+// {{ team | raw }} load test, generated at {{ timestamp | raw }}
+// Region: {{ region | raw }}
+import http from 'k6/http';
+import { check, sleep } from 'k6';
+
+export const options = {
+  vus: {{ vus }},
+  duration: {{ duration }},
+  thresholds: {{ thresholds }},
+};
+
+const ENDPOINTS = {{ endpoints }};
+const HEADERS = {{ headers }};
+
+export default function () {
+  for (const endpoint of ENDPOINTS) {
+    const res = http.get(`${__ENV.BASE_URL}${endpoint}`, { headers: HEADERS, tags: { team: '{{ team | raw }}' } });
+    check(res, { 'status is 200': (r) => r.status === 200 });
+  }
+  sleep({{ debug }} ? 0 : 1);
+}
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { buildSchema, introspectionFromSchema } from 'graphql';
+import { generateGraphqlScript } from '../src/generators/graphqlGenerator.js';
+import { validateScript } from '../src/utils/scriptValidator.js';
+
+const SCHEMA_FILE = fileURLToPath(new URL('./fixtures/schema.graphql', import.meta.url));
+
+function errorsIn(script) {
+  return validateScript(script).filter(diagnostic => diagnostic.severity === 'error');
+}
+
+test('builds depth-limited queries and mutations from SDL', async () => {
+  const { script, warnings } = await generateGraphqlScript({ schemaFile: SCHEMA_FILE, maxDepth: 2 });
+
+  assert.deepEqual(errorsIn(script), []);
+  assert.deepEqual(warnings, []);
+  assert.match(script, /\/\/ Operations: 4 queries, 1 mutation\(s\), selection depth 2/);
+  // Required arguments become variables with sample values; optional ones are left out
+  assert.match(script, /query UserQuery\(\$id: ID!\) \{\n {2}user\(id: \$id\) \{/);
+  assert.match(script, /query SearchQuery \{\n {2}search \{\n {4}__typename/);
+  assert.match(script, /mutation CreateUserMutation\(\$input: NewUser!\)/);
+  assert.match(script, /'input': \{\n\s*"name": "test",\n\s*"role": "ADMIN"/);
+  // friends is at depth 2, so its own friends are not selected
+  assert.doesNotMatch(script, /friends \{[^}]*friends/);
+});
+
+test('gives fields whose constant names collide distinct constants', async () => {
+  const { script } = await generateGraphqlScript({ schemaFile: SCHEMA_FILE });
+
+  assert.deepEqual(errorsIn(script), []);
+  assert.match(script, /const USER_NAME_QUERY = `query UserNameQuery/);
+  assert.match(script, /const USER_NAME_QUERY_2 = `query User_nameQuery/);
+  assert.match(script, /graphql\('User_nameQuery', USER_NAME_QUERY_2,/);
+});
+
+test('reads an introspection result and honours the operation filter', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'k6-graphql-'));
+  try {
+    const schemaFile = path.join(dir, 'schema.json');
+    const introspection = introspectionFromSchema(buildSchema(await fs.readFile(SCHEMA_FILE, 'utf-8')));
+    await fs.writeFile(schemaFile, JSON.stringify({ data: introspection }));
+
+    const { script } = await generateGraphqlScript({ schemaFile, operations: ['user'], includeMutations: false });
+
+    assert.deepEqual(errorsIn(script), []);
+    assert.match(script, /\/\/ Operations: 1 query, 0 mutation\(s\)/);
+    assert.match(script, /const USER_QUERY = /);
+    assert.doesNotMatch(script, /Mutations/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('rejects JSON that is not an introspection result', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'k6-graphql-'));
+  try {
+    const schemaFile = path.join(dir, 'schema.json');
+    await fs.writeFile(schemaFile, '{"data": {}}');
+    await assert.rejects(generateGraphqlScript({ schemaFile }), /is not a GraphQL introspection result/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
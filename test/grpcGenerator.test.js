@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { generateGrpcScript } from '../src/generators/grpcGenerator.js';
+import { validateScript } from '../src/utils/scriptValidator.js';
+
+const PROTO_FILE = fileURLToPath(new URL('./fixtures/protos/shop/shop.proto', import.meta.url));
+const IMPORT_PATH = fileURLToPath(new URL('./fixtures/protos', import.meta.url));
+
+async function convert(options = {}) {
+  const result = await generateGrpcScript({ protoFile: PROTO_FILE, importPaths: [IMPORT_PATH], timestamp: 'T', ...options });
+  assert.deepEqual(validateScript(result.script).filter(diagnostic => diagnostic.severity === 'error'), []);
+  return result;
+}
+
+test('invokes every unary RPC, one group per service, and skips streaming RPCs', async () => {
+  const { script, warnings } = await convert();
+
+  assert.match(script, /\/\/ Services: shop.v1.Catalog, shop.v1.Orders \(2 unary RPC\(s\)\)/);
+  assert.match(script, /group\('shop.v1.Catalog', function \(\) \{/);
+  assert.match(script, /res = client.invoke\('shop.v1.Catalog\/GetProduct', \{\n {6}"id": 1,\n {6}"locale": "test"\n {4}\}, \{/);
+  assert.match(script, /'shop.v1.Orders\/PlaceOrder status is OK': \(r\) => r && r.status === grpc.StatusOK,/);
+  assert.doesNotMatch(script, /WatchPrices|UploadItems/);
+  assert.deepEqual(warnings, [
+    'shop.v1.Catalog/WatchPrices is a streaming RPC and was skipped; only unary RPCs are generated',
+    'shop.v1.Orders/UploadItems is a streaming RPC and was skipped; only unary RPCs are generated'
+  ]);
+});
+
+test('loads imports from the proto directory and the import paths', async () => {
+  const { script } = await convert();
+
+  assert.match(script, /client.load\(\[\n {2}".*\/fixtures\/protos\/shop",\n {2}".*\/fixtures\/protos"\n\], 'shop.proto'\);/);
+
+  await assert.rejects(
+    generateGrpcScript({ protoFile: PROTO_FILE }),
+    /Failed to load .*shop.proto: .*Add the directories its imports live in to importPaths/
+  );
+});
+
+test('builds request payloads from the message definitions', async () => {
+  const { script } = await convert();
+  const payload = JSON.parse(script.match(/client.invoke\('shop.v1.Orders\/PlaceOrder', (\{[\s\S]*?\n {4}\}), \{/)[1]);
+
+  assert.deepEqual(payload, {
+    items: [{ sku: 'test', quantity: 1 }],
+    labels: { key: 'test' },
+    // Only the first member of a oneof is set
+    card_token: 'test',
+    total: { currency_code: 'test', amount: 1.5 },
+    // Well-known types use their JSON mapping
+    deliver_by: '2025-01-01T00:00:00Z',
+    // Enums skip the zero "unspecified" value
+    status: 'STATUS_ACTIVE',
+    // Recursive messages stop at the first repeat
+    category: { name: 'test' },
+    note: 'dGVzdA=='
+  });
+});
+
+test('target, plaintext and assertions options shape the connection and checks', async () => {
+  const { script } = await convert({ target: 'orders.internal:443', plaintext: false, assertions: false });
+
+  assert.match(script, /const GRPC_TARGET = __ENV.GRPC_TARGET \|\| 'orders.internal:443';/);
+  assert.match(script, /client.connect\(GRPC_TARGET, \{ plaintext: false \}\);/);
+  assert.doesNotMatch(script, /check\(res/);
+  assert.doesNotMatch(script, /'checks'/);
+});
+
+test('rejects protos without services or without unary RPCs', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'k6-grpc-'));
+  try {
+    const messagesOnly = path.join(dir, 'messages.proto');
+    await fs.writeFile(messagesOnly, 'syntax = "proto3";\nmessage Ping { string id = 1; }\n');
+    await assert.rejects(generateGrpcScript({ protoFile: messagesOnly }), /No services defined in/);
+
+    const streamingOnly = path.join(dir, 'stream.proto');
+    await fs.writeFile(streamingOnly, 'syntax = "proto3";\nmessage Ping { string id = 1; }\nservice Feed { rpc Watch (Ping) returns (stream Ping); }\n');
+    await assert.rejects(generateGrpcScript({ protoFile: streamingOnly }), /No unary RPCs found in/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  await assert.rejects(generateGrpcScript({}), /A .proto file is required/);
+});
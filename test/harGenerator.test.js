@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { generateHarScript } from '../src/generators/harGenerator.js';
+import { validateScript } from '../src/utils/scriptValidator.js';
+
+const HAR_FILE = fileURLToPath(new URL('./fixtures/session.har', import.meta.url));
+
+async function convert(options = {}) {
+  const result = await generateHarScript({ harFile: HAR_FILE, ...options });
+  assert.deepEqual(validateScript(result.script).filter(diagnostic => diagnostic.severity === 'error'), []);
+  return result;
+}
+
+test('converts entries into one group per page with recorded methods, bodies and checks', async () => {
+  const { script } = await convert();
+
+  assert.match(script, /\/\/ Requests: 3 of 5 recorded \(2 filtered\)/);
+  assert.match(script, /const BASE_URL = __ENV.BASE_URL \|\| 'https:\/\/shop.example.com';/);
+  assert.match(script, /group\('Home', function \(\) \{/);
+  assert.match(script, /group\('Checkout', function \(\) \{/);
+  assert.match(script, /http.request\('GET', `\$\{BASE_URL\}\/api\/products\?category=books`, null,/);
+  assert.match(script, /http.request\('POST', `\$\{BASE_URL\}\/api\/orders`, '\{"productId":42,"quantity":1\}',/);
+  assert.match(script, /'POST \/api\/orders status is 201': \(r\) => r.status === 201,/);
+  // Cookies are handled by k6's cookie jar
+  assert.doesNotMatch(script, /session=abc/);
+});
+
+test('keeps subdomains of the first domain and drops static assets and third parties', async () => {
+  const { script } = await convert();
+
+  assert.match(script, /'https:\/\/cdn.shop.example.com\/api\/products\/42'/);
+  assert.doesNotMatch(script, /app\.css/);
+  assert.doesNotMatch(script, /google-analytics/);
+
+  const all = await convert({ includeStatic: true, domains: ['shop.example.com', 'google-analytics.com'] });
+  assert.match(all.script, /\/\/ Requests: 5 of 5 recorded \(0 filtered\)/);
+});
+
+test('turns gaps between requests into think time, capped by maxThinkTime', async () => {
+  const { script } = await convert();
+  // 3s between the requests minus the first one's 120ms, and 5s between pages minus 80ms
+  assert.match(script, /sleep\(2.88\);/);
+  assert.match(script, /sleep\(4.92\);/);
+
+  const capped = await convert({ maxThinkTime: 1 });
+  assert.deepEqual(capped.script.match(/sleep\([\d.]+\)/g), ['sleep(1)', 'sleep(1)']);
+
+  const none = await convert({ maxThinkTime: 0 });
+  assert.doesNotMatch(none.script, /sleep\(/);
+});
+
+test('replaces recorded Authorization headers with __ENV lookups', async () => {
+  const { script, warnings } = await convert();
+
+  assert.doesNotMatch(script, /recorded-secret-token|dXNlcjpwYXNz/);
+  assert.match(script, /"Authorization": `Bearer \$\{__ENV.AUTH_TOKEN\}`/);
+  assert.match(script, /"Authorization": `Basic \$\{encoding.b64encode\(`\$\{__ENV.AUTH_USERNAME\}:\$\{__ENV.AUTH_PASSWORD\}`\)\}`/);
+  assert.match(script, /import encoding from 'k6\/encoding';/);
+  assert.deepEqual(warnings, ['Recorded Authorization headers were replaced with __ENV lookups; pass AUTH_TOKEN, AUTH_USERNAME, AUTH_PASSWORD to k6_run as env']);
+});
+
+test('assertions: false leaves out the status checks', async () => {
+  const { script } = await convert({ assertions: false });
+  assert.doesNotMatch(script, /check\(res/);
+});
+
+test('rejects files that are not HAR', async () => {
+  await assert.rejects(generateHarScript({ harFile: fileURLToPath(new URL('./fixtures/plan.jmx', import.meta.url)) }));
+  await assert.rejects(generateHarScript({}), /A HAR file path is required/);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { generateJmeterScript } from '../src/generators/jmeterGenerator.js';
+import { validateScript } from '../src/utils/scriptValidator.js';
+
+const JMX_FILE = fileURLToPath(new URL('./fixtures/plan.jmx', import.meta.url));
+
+async function convert() {
+  const { script, report } = await generateJmeterScript({ jmxFile: JMX_FILE });
+  assert.deepEqual(validateScript(script).filter(diagnostic => diagnostic.severity === 'error'), []);
+  return { script, report };
+}
+
+function unsupportedNames(report) {
+  return report.unsupported.map(entry => `${entry.element} ${entry.name}`);
+}
+
+test('converts enabled thread groups to scenarios and reports the rest', async () => {
+  const { script, report } = await convert();
+
+  assert.equal(report.converted.threadGroups, 2);
+  // Scheduled: ramp-up stage, then the rest of the duration at full load
+  assert.match(script, /'browsers': \{\s*"executor": "ramping-vus",\s*"startVUs": 0,\s*"stages": \[\s*\{\s*"duration": "10s",\s*"target": 5\s*\},\s*\{\s*"duration": "50s",\s*"target": 5\s*\}\s*\],\s*"exec": "browsers"/);
+  // Loop count: per-VU iterations
+  assert.match(script, /'checkout': \{\s*"executor": "per-vu-iterations",\s*"vus": 2,\s*"iterations": 3,/);
+  assert.match(script, /export function browsers\(\)/);
+  assert.match(script, /export function checkout\(\)/);
+  assert.ok(report.notes.includes('Disabled thread group "Old" was skipped'));
+  assert.ok(unsupportedNames(report).includes('SetupThreadGroup Prepare'));
+});
+
+test('resolves User Defined Variables into BASE_URL', async () => {
+  const { script } = await convert();
+  assert.match(script, /const BASE_URL = __ENV.BASE_URL \|\| 'https:\/\/shop.example.com';/);
+  assert.match(script, /http.request\('POST', `\$\{BASE_URL\}\/login`/);
+});
+
+test('loads CSV Data Set columns through a SharedArray row', async () => {
+  const { script, report } = await convert();
+
+  assert.equal(report.converted.csvDataSets, 1);
+  assert.match(script, /const usersData = new SharedArray\('users.csv', function \(\) \{/);
+  assert.match(script, /const columns = \['username', 'password'\];\s*return lines.slice\(1\)/);
+  assert.match(script, /'username': row\['username'\],/);
+});
+
+test('reports extractors and the variables they would have set', async () => {
+  const { script, report } = await convert();
+
+  assert.ok(unsupportedNames(report).includes('RegexExtractor Token'));
+  assert.ok(unsupportedNames(report).includes('Variable token'));
+  assert.match(script, /'token': __ENV\['token'\] \|\| '',/);
+});
+
+test('converts response and duration assertions to checks', async () => {
+  const { script, report } = await convert();
+
+  assert.equal(report.converted.assertions, 3);
+  assert.match(script, /'Login: Is 200': \(r\) => String\(r.status\) === '200',/);
+  // NOT + substring
+  assert.match(script, /'Cart: Has no error': \(r\) => !\(\(r.body \|\| ''\).includes\('error'\)\),/);
+  assert.match(script, /'Cart: Fast': \(r\) => r.timings.duration <= 800,/);
+});
+
+test('reports assertions without a match rule instead of emitting an empty check', async () => {
+  const { script, report } = await convert();
+
+  const entry = report.unsupported.find(unsupported => unsupported.name === 'No rule');
+  assert.equal(entry.reason, 'Assertion test type 4 has no match rule (equals, substring, matches or contains)');
+  assert.doesNotMatch(script, /No rule'|undefined/);
+});
@@ -0,0 +1,84 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { handleRun } from '../src/handlers/runHandler.js';
+import { handleStatus } from '../src/handlers/statusHandler.js';
+import { handleWait } from '../src/handlers/waitHandler.js';
+import { handleStop } from '../src/handlers/stopHandler.js';
+import { handleOutput } from '../src/handlers/outputHandler.js';
+
+const FAKE_K6 = fileURLToPath(new URL('./fixtures/fake-k6.js', import.meta.url));
+
+let workDir;
+let script;
+
+/**
+ * Parsed JSON body of a tool response
+ */
+function parse(response) {
+  return JSON.parse(response.content[0].text);
+}
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'k6-local-'));
+  script = path.join(workDir, 'script.js');
+  await fs.writeFile(script, "export default function () {}\n");
+  process.env.K6_BACKEND = 'local';
+  process.env.K6_BINARY = FAKE_K6;
+  process.env.K6_RESULTS_DIR = path.join(workDir, 'results');
+});
+
+after(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+test('a run without vus or duration leaves them to the script and completes', async () => {
+  const started = parse(await handleRun({ script }));
+  assert.equal(started.success, true);
+  assert.equal(started.backend, 'local');
+  assert.deepEqual(started.test.configuration, { env: {} });
+
+  const waited = parse(await handleWait({ testId: started.test.id, timeout: 10, interval: 0.1 }));
+  assert.equal(waited.finished, true);
+  assert.equal(waited.status.status, 'completed');
+  assert.equal(waited.metrics.p95ResponseTime, 300);
+
+  const output = (await handleOutput({ testId: started.test.id })).content[0].text;
+  assert.match(output, /args: run /);
+  assert.doesNotMatch(output, /--vus|--duration/);
+  await fs.access(path.join(started.resultsDir, 'summary.json'));
+});
+
+test('status, wait and a graceful stop drive a long run', async () => {
+  const started = parse(await handleRun({ script, vus: 3, duration: '30s', env: { FOO: 'bar' } }));
+  const testId = started.test.id;
+  assert.deepEqual(started.test.configuration, { vus: 3, duration: '30s', env: { FOO: 'bar' } });
+
+  const status = parse(await handleStatus({ testId }));
+  assert.equal(status.status, 'running');
+  assert.equal(status.vus, 3);
+
+  // Times out while the run is still going, reporting progress from the output and JSON metrics
+  const waited = parse(await handleWait({ testId, timeout: 0.5, interval: 0.2 }));
+  assert.equal(waited.timedOut, true);
+  assert.equal(waited.progress.vus, 3);
+  assert.ok(waited.progress.requests > 0);
+
+  const stopped = parse(await handleStop({ testId, wait: 5 }));
+  assert.equal(stopped.status, 'stopped');
+  assert.equal(stopped.stop.confirmed, true);
+
+  // A graceful stop still leaves the summary, so the stopped run can be analyzed
+  const finished = parse(await handleWait({ testId, timeout: 1 }));
+  assert.equal(finished.finished, true);
+  assert.equal(finished.metrics.avgResponseTime, 120);
+  assert.equal(finished.metrics.errorRate, 0);
+});
+
+test('unknown test IDs are reported as not-found', async () => {
+  const status = parse(await handleStatus({ testId: 'k6_missing' }));
+  assert.equal(status.errorType, 'not-found');
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { generateOpenApiScript } from '../src/generators/openApiGenerator.js';
+import { validateScript } from '../src/utils/scriptValidator.js';
+
+const fixture = name => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+async function convert(specFile, options = {}) {
+  const script = await generateOpenApiScript({ specFile, ...options });
+  assert.deepEqual(validateScript(script).filter(diagnostic => diagnostic.severity === 'error'), []);
+  return script;
+}
+
+test('converts an OpenAPI 3 spec into one group per tag', async () => {
+  const script = await convert(fixture('petstore.yaml'));
+
+  assert.match(script, /\/\/ API: Petstore 1.2.0\n\/\/ Operations: 4 in 2 group\(s\)/);
+  assert.match(script, /const BASE_URL = __ENV.BASE_URL \|\| 'https:\/\/petstore.example.com\/v1';/);
+  assert.match(script, /group\('pets', function \(\) \{/);
+  // Untagged operations share a default group
+  assert.match(script, /group\('default', function \(\) \{\n {4}let res;\n\n {4}\/\/ GET \/health/);
+});
+
+test('fills path, query and header parameters from examples, defaults and formats', async () => {
+  const script = await convert(fixture('petstore.yaml'));
+
+  assert.match(script, /`\$\{BASE_URL\}\/pets\?limit=20`/);
+  assert.match(script, /"X-Tenant": "acme"/);
+  assert.match(script, /`\$\{BASE_URL\}\/pets\/00000000-0000-4000-8000-000000000000`/);
+  // Requests are tagged with the operationId, or the templated path
+  assert.match(script, /"name": "listPets"/);
+  assert.match(script, /"name": "GET \/pets\/\{petId\}"/);
+});
+
+test('builds JSON bodies from resolved $refs and checks the declared statuses', async () => {
+  const script = await convert(fixture('petstore.yaml'));
+
+  assert.match(script, /http.request\('POST', `\$\{BASE_URL\}\/pets`, JSON.stringify\(\{\n\s*"name": "Rex",\n\s*"tag": "dog",\n\s*"age": 1,\n\s*"owner": \{\n\s*"email": "user@example.com"\n\s*\}\n\s*\}\)/);
+  assert.match(script, /'GET \/pets\/\{petId\} returns a declared status': \(r\) => \[200,404\].includes\(r.status\),/);
+
+  const unchecked = await convert(fixture('petstore.yaml'), { assertions: false });
+  assert.doesNotMatch(unchecked, /check\(res/);
+});
+
+test('converts a Swagger 2 spec with body parameters and host/basePath', async () => {
+  const script = await convert(fixture('swagger.json'));
+
+  assert.match(script, /const BASE_URL = __ENV.BASE_URL \|\| 'https:\/\/orders.example.com\/api';/);
+  assert.match(script, /http.request\('PUT', `\$\{BASE_URL\}\/orders\/1`, JSON.stringify\(\{\n\s*"quantity": 2,\n\s*"items": \[\n\s*"string"\n\s*\]\n\s*\}\)/);
+});
+
+test('rejects specs without operations', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'k6-openapi-'));
+  try {
+    const specFile = path.join(dir, 'empty.yaml');
+    await fs.writeFile(specFile, 'openapi: 3.0.0\ninfo: { title: Empty, version: "1" }\npaths: {}\n');
+    await assert.rejects(generateOpenApiScript({ specFile }), /No operations found in/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
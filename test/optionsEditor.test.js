@@ -0,0 +1,206 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { editOptions } from '../src/utils/optionsEditor.js';
+import { validateScript } from '../src/utils/scriptValidator.js';
+
+const STAGED = `import http from 'k6/http';
+
+// Load profile
+export const options = {
+  stages: [
+    { duration: '1m', target: 10 }, // warm up
+    { duration: '5m', target: 10 },
+  ],
+  thresholds: {
+    http_req_duration: ['p(95)<500'], // latency SLO
+    http_req_failed: ['rate<0.01'],
+    checks: ['rate>0.9'], // keep
+  },
+};
+
+export default function () {
+  http.get('https://test.k6.io'); // homepage
+}
+`;
+
+const SCENARIOS = `export const options = {
+  scenarios: {
+    browse: {
+      executor: 'ramping-vus',
+      startVUs: 0,
+      stages: [
+        { duration: '30s', target: 20 },
+      ],
+      exec: 'browse', // entry point
+    },
+    buy: {
+      executor: 'constant-vus',
+      vus: 5,
+      duration: '2m',
+      tags: { flow: 'buy' },
+    },
+  },
+};
+
+export function browse() {}
+export function buy() {}
+`;
+
+/**
+ * Apply edits and check the result still parses as a K6 script
+ */
+function edit(code, edits) {
+  const result = editOptions(code, edits);
+  assert.deepEqual(validateScript(result.script).filter(diagnostic => diagnostic.rule === 'syntax'), []);
+  return result;
+}
+
+test('addStage appends to options.stages in the inline style, keeping comments', () => {
+  const { script, applied } = edit(STAGED, [{ op: 'addStage', duration: '30s', target: 0 }]);
+
+  assert.equal(script, STAGED.replace(
+    "    { duration: '5m', target: 10 },\n",
+    "    { duration: '5m', target: 10 },\n    { duration: '30s', target: 0 },\n"
+  ));
+  assert.equal(applied[0].change, "Added stage { duration: '30s', target: 0 }");
+});
+
+test('addStage follows quoted-key stages and targets a named scenario', () => {
+  const quoted = `export const options = {
+  scenarios: {
+    ramp: {
+      "executor": "ramping-vus",
+      "stages": [
+        {
+          "duration": "1m",
+          "target": 5
+        }
+      ]
+    },
+  },
+};
+`;
+  const { script } = edit(quoted, [{ op: 'addStage', scenario: 'ramp', duration: '2m', target: 10 }]);
+
+  assert.equal(script, quoted.replace(
+    '          "target": 5\n        }\n',
+    '          "target": 5\n        },\n        {\n          "duration": "2m",\n          "target": 10\n        }\n'
+  ));
+});
+
+test('addStage picks the only scenario with stages and rejects ambiguous or missing ones', () => {
+  const { script } = edit(SCENARIOS, [{ op: 'addStage', duration: '1m', target: 40 }]);
+  assert.match(script, /\{ duration: '30s', target: 20 \},\n {8}\{ duration: '1m', target: 40 \},\n {6}\],\n {6}exec: 'browse', \/\/ entry point/);
+
+  assert.throws(() => editOptions(SCENARIOS, [{ op: 'addStage', scenario: 'buy', duration: '1m', target: 1 }]),
+    /Edit 1 \(addStage\): Scenario "buy" has no stages/);
+  assert.throws(() => editOptions(SCENARIOS, [{ op: 'addStage', scenario: 'missing', duration: '1m', target: 1 }]),
+    /Scenario "missing" not found. Scenarios: browse, buy/);
+});
+
+test('scaleVus multiplies top-level and scenario VU counts', () => {
+  const top = edit(STAGED, [{ op: 'scaleVus', factor: 2 }]);
+  assert.equal(top.script, STAGED.replaceAll('target: 10', 'target: 20'));
+  assert.equal(top.applied[0].change, 'Scaled 2 VU count(s) by 2');
+
+  const scenario = edit(SCENARIOS, [{ op: 'scaleVus', scenario: 'buy', factor: 1.5 }]);
+  assert.equal(scenario.script, SCENARIOS.replace('vus: 5,', 'vus: 8,'));
+});
+
+test('setThreshold replaces existing rules and adds new metrics after the last one', () => {
+  const { script, applied } = edit(STAGED, [
+    { op: 'setThreshold', metric: 'http_req_failed', rules: ['rate<0.05'] },
+    { op: 'setThreshold', metric: 'http_req_duration{name:Login}', rules: ['p(95)<800'] }
+  ]);
+
+  assert.equal(script, STAGED
+    .replace("http_req_failed: ['rate<0.01'],", "http_req_failed: ['rate<0.05'],")
+    .replace("    checks: ['rate>0.9'], // keep\n", "    checks: ['rate>0.9'], // keep\n    'http_req_duration{name:Login}': ['p(95)<800'],\n"));
+  assert.equal(applied[0].change, "Replaced threshold http_req_failed: ['rate<0.01'] -> ['rate<0.05']");
+});
+
+test('setThreshold creates options.thresholds when there is none', () => {
+  const { script } = edit(SCENARIOS, [{ op: 'setThreshold', metric: 'checks', rules: ['rate>0.95'] }]);
+  assert.equal(script, SCENARIOS.replace("  },\n};", "  },\n  thresholds: {\n    'checks': ['rate>0.95'],\n  },\n};"));
+
+  assert.throws(() => editOptions(SCENARIOS, [{ op: 'setThreshold', metric: 'bad name', rules: ['rate>0'] }]), /Invalid threshold metric/);
+});
+
+test('removeThreshold removes the property together with its trailing comment', () => {
+  const { script } = edit(STAGED, [
+    { op: 'removeThreshold', metric: 'http_req_duration' },
+    { op: 'removeThreshold', metric: 'checks' }
+  ]);
+
+  assert.equal(script, STAGED
+    .replace("    http_req_duration: ['p(95)<500'], // latency SLO\n", '')
+    .replace("    checks: ['rate>0.9'], // keep\n", ''));
+});
+
+test('removeThreshold on a shared line takes the comma with it', () => {
+  const inline = "export const options = { thresholds: { checks: ['rate>0.9'], http_req_failed: ['rate<0.01'] } };\n";
+  const { script } = edit(inline, [{ op: 'removeThreshold', metric: 'http_req_failed' }]);
+  assert.equal(script, "export const options = { thresholds: { checks: ['rate>0.9'] } };\n");
+
+  assert.throws(() => editOptions(inline, [{ op: 'removeThreshold', metric: 'iterations' }]),
+    /There is no threshold on "iterations". Defined: checks, http_req_failed/);
+});
+
+test('setExecutor switches a scenario, keeping common settings and warning about dropped ones', () => {
+  const { script, warnings, applied } = edit(SCENARIOS, [{ op: 'setExecutor', scenario: 'buy', executor: 'constant-arrival-rate', rate: 20 }]);
+
+  assert.equal(script, SCENARIOS.replace(`    buy: {
+      executor: 'constant-vus',
+      vus: 5,
+      duration: '2m',
+      tags: { flow: 'buy' },
+    },`, `    buy: {
+      executor: 'constant-arrival-rate',
+      rate: 20,
+      timeUnit: '1s',
+      duration: '2m',
+      preAllocatedVUs: 5,
+      tags: { flow: 'buy' },
+    },`));
+  assert.equal(applied[0].change, 'Switched scenario "buy" from constant-vus to constant-arrival-rate');
+  assert.deepEqual(warnings, ['Edit 1 (setExecutor): Dropped vus, which constant-arrival-rate does not take']);
+
+  assert.throws(() => editOptions(SCENARIOS, [{ op: 'setExecutor', executor: 'constant-vus' }]),
+    /several scenarios; pick one with scenario \(browse, buy\)/);
+  assert.throws(() => editOptions(SCENARIOS, [{ op: 'setExecutor', scenario: 'buy', executor: 'constant-arrival-rate' }]),
+    /constant-arrival-rate needs rate/);
+});
+
+test('setExecutor turns top-level vus and duration into a default scenario', () => {
+  const flat = `export const options = {
+  vus: 10, // peak
+  duration: '1m',
+  thresholds: { checks: ['rate>0.9'] },
+};
+
+export default function () {}
+`;
+  const { script } = edit(flat, [{ op: 'setExecutor', executor: 'ramping-vus' }]);
+
+  assert.equal(script, `export const options = {
+  scenarios: {
+    default: {
+      executor: 'ramping-vus',
+      startVUs: 0,
+      stages: [
+        { duration: '1m', target: 10 },
+      ],
+    },
+  },
+  thresholds: { checks: ['rate>0.9'] },
+};
+
+export default function () {}
+`);
+});
+
+test('rejects unknown operations and scripts without an options literal', () => {
+  assert.throws(() => editOptions(STAGED, [{ op: 'explode' }]), /Unknown operation "explode"/);
+  assert.throws(() => editOptions('export default function () {}\n', [{ op: 'scaleVus', factor: 2 }]), /no `export const options/);
+  assert.throws(() => editOptions(STAGED, []), /At least one edit is required/);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { generatePostmanScript } from '../src/generators/postmanGenerator.js';
+import { validateScript } from '../src/utils/scriptValidator.js';
+
+const fixture = name => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+async function convert(options = {}) {
+  const result = await generatePostmanScript({ collectionFile: fixture('collection.json'), ...options });
+  assert.deepEqual(validateScript(result.script).filter(diagnostic => diagnostic.severity === 'error'), []);
+  return result;
+}
+
+test('converts folders into groups and requests with their bodies', async () => {
+  const { script } = await convert();
+
+  assert.match(script, /\/\/ Collection: Shop API\n\/\/ Requests: 4/);
+  assert.match(script, /group\('Catalog', function \(\) \{/);
+  assert.match(script, /http.request\('GET', `\$\{vars\['baseUrl'\]\}\/products\/\$\{vars\['productId'\]\}\?ts=\$\{Math.floor\(Date.now\(\) \/ 1000\)\}`, null,/);
+  assert.match(script, /http.request\('POST', `\$\{vars\['baseUrl'\]\}\/orders`, `\{"productId": "\$\{vars\['productId'\]\}", "coupon": "\$\{vars\['coupon'\]\}"\}`,/);
+  // urlencoded bodies are passed as objects, which k6 form-encodes
+  assert.match(script, /http.request\('POST', `\$\{vars\['baseUrl'\]\}\/login`, \{\n\s*'user': vars\['user'\],\n\s*'remember': 'true',\n\s*\},/);
+  assert.match(script, /tags: \{ name: 'Login form' \},/);
+});
+
+test('environment values override collection variables, except secrets and disabled values', async () => {
+  const plain = await convert();
+  assert.match(plain.script, /'baseUrl': __ENV\['baseUrl'\] \|\| 'https:\/\/shop.example.com',/);
+  assert.match(plain.script, /'productId': __ENV\['productId'\] \|\| '42',/);
+
+  const { script } = await convert({ environmentFile: fixture('environment.json') });
+  assert.match(script, /\/\/ Environment: .*environment.json/);
+  assert.match(script, /'baseUrl': __ENV\['baseUrl'\] \|\| 'https:\/\/staging.shop.example.com',/);
+  assert.match(script, /'user': __ENV\['user'\] \|\| 'tester',/);
+  // Secrets are never written into the script
+  assert.match(script, /'token': __ENV\['token'\] \|\| '',/);
+  assert.match(script, /'password': __ENV\['password'\] \|\| '',/);
+  assert.doesNotMatch(script, /staging-token|hunter2/);
+});
+
+test('applies inherited bearer, API key and basic auth, and honours noauth', async () => {
+  const { script } = await convert();
+
+  assert.match(script, /'Authorization': `Bearer \$\{vars\['token'\]\}`,/);
+  assert.match(script, /`\$\{vars\['baseUrl'\]\}\?api_key=\$\{encodeURIComponent\(vars\['apiKey'\]\)\}`/);
+  assert.match(script, /'Authorization': `Basic \$\{encoding.b64encode\(`\$\{vars\['user'\]\}:\$\{vars\['password'\]\}`\)\}`,/);
+  assert.match(script, /import encoding from 'k6\/encoding';/);
+  assert.match(script, /'remember': 'true',\n {2}\}, \{\n {4}headers: \{\},/);
+});
+
+test('translates pm.test assertions into checks and warns about the rest', async () => {
+  const { script, warnings } = await convert({ environmentFile: fixture('environment.json') });
+
+  assert.match(script, /check\(res, \{\n\s*'Status is 200': \(r\) => r.status === 200,\n\s*'Fast': \(r\) => r.timings.duration < 500,\n\s*\}\);/);
+  assert.doesNotMatch(script, /'Has name'/);
+  assert.deepEqual(warnings, [
+    'Test "Has name" on "Get product" was not translated',
+    'prerequest script on "Place order" was not translated',
+    'Variable {{apiKey}} is not defined in the collection or environment; set it with __ENV.apiKey',
+    'Variable {{coupon}} is not defined in the collection or environment; set it with __ENV.coupon'
+  ]);
+  assert.match(script, /\/\/ Warnings:\n\/\/ {3}- Test "Has name" on "Get product" was not translated/);
+});
+
+test('assertions: false leaves out the translated checks', async () => {
+  const { script } = await convert({ assertions: false });
+  assert.doesNotMatch(script, /check\(res/);
+});
+
+test('rejects files that are not Postman collections', async () => {
+  await assert.rejects(generatePostmanScript({ collectionFile: fixture('session.har') }));
+  await assert.rejects(generatePostmanScript({}));
+});
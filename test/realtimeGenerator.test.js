@@ -0,0 +1,164 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateWebSocketScript, generateSseScript } from '../src/generators/realtimeGenerator.js';
+import { generateScript } from '../src/handlers/generateHandler.js';
+import { validateScript } from '../src/utils/scriptValidator.js';
+
+function generate(generator, options) {
+  const script = generator({ timestamp: 'T', ...options });
+  assert.deepEqual(validateScript(script).filter(diagnostic => diagnostic.severity === 'error'), []);
+  return script;
+}
+
+/**
+ * Run one iteration of a generated script against fake k6 modules
+ *
+ * `modules` holds fakes for k6/ws (`ws`), k6/x/sse (`sse`) and k6/http (`http`).
+ * Returns the values added to each custom metric and the check results.
+ */
+function runIteration(script, modules) {
+  const metrics = {};
+  const checks = {};
+  // Stands in for the Trend and Counter constructors
+  function metric(name) {
+    this.add = value => (metrics[name] = metrics[name] || []).push(value);
+  }
+  const body = script
+    .replace(/^import .*$/gm, '')
+    .replace('export const options', 'const options')
+    .replace('export default function', 'function iteration');
+
+  const iteration = new Function('ws', 'sse', 'http', 'check', 'sleep', 'Trend', 'Counter', '__ENV', `${body}\nreturn iteration;`)(
+    modules.ws,
+    modules.sse,
+    modules.http,
+    (value, sets) => Object.entries(sets).forEach(([name, fn]) => (checks[name] = fn(value))),
+    () => {},
+    metric,
+    metric,
+    {}
+  );
+  iteration();
+  return { metrics, checks };
+}
+
+/**
+ * A fake socket or stream client that records handlers and what was sent
+ */
+function fakeClient() {
+  return {
+    handlers: {},
+    sent: [],
+    intervals: [],
+    timeouts: [],
+    closed: false,
+    on(event, handler) {
+      this.handlers[event] = handler;
+    },
+    send(message) {
+      this.sent.push(message);
+    },
+    setInterval(fn, ms) {
+      this.intervals.push({ fn, ms });
+    },
+    setTimeout(fn, ms) {
+      this.timeouts.push({ fn, ms });
+    },
+    close() {
+      this.closed = true;
+    }
+  };
+}
+
+test('WebSocket sessions subscribe, send at the message rate and close after the session', () => {
+  const script = generate(generateWebSocketScript, {
+    url: 'wss://prices.example.com/ws',
+    sessionDuration: '1m',
+    messageRate: 4,
+    subscribe: { action: 'subscribe', channel: 'prices' },
+    message: { action: 'ping' },
+    expect: 'pong'
+  });
+  assert.match(script, /const WS_URL = __ENV.WS_URL \|\| 'wss:\/\/prices.example.com\/ws';/);
+  assert.match(script, /'ws_connect_time': \['p\(95\)<1000'\],\n {4}'ws_message_rtt': \['p\(95\)<500'\],/);
+
+  const socket = fakeClient();
+  const ws = {
+    connect(url, params, callback) {
+      assert.equal(url, 'wss://prices.example.com/ws');
+      callback(socket);
+      socket.handlers.open();
+      socket.intervals[0].fn();
+      socket.intervals[0].fn();
+      socket.handlers.message('{"type":"tick"}');
+      socket.handlers.message('{"action":"pong"}');
+      socket.timeouts[0].fn();
+      return { status: 101 };
+    }
+  };
+  const { metrics, checks } = runIteration(script, { ws });
+
+  assert.deepEqual(socket.sent, ['{"action":"subscribe","channel":"prices"}', '{"action":"ping"}', '{"action":"ping"}']);
+  assert.equal(socket.intervals[0].ms, 250);
+  assert.equal(socket.timeouts[0].ms, 60000);
+  assert.equal(socket.closed, true);
+  assert.deepEqual(metrics.ws_messages_sent, [1, 1]);
+  assert.deepEqual(metrics.ws_messages_received, [1, 1]);
+  // Only the reply containing "pong" counts as a round trip
+  assert.equal(metrics.ws_message_rtt.length, 1);
+  assert.deepEqual(checks, { 'WebSocket handshake status is 101': true, 'received expected messages': true });
+});
+
+test('SSE streams publish to the publish URL and count events that match', () => {
+  const script = generate(generateSseScript, {
+    url: 'https://events.example.com/stream',
+    publishUrl: '/publish',
+    sessionDuration: '0s',
+    expect: 'ping'
+  });
+  assert.match(script, /import sse from 'k6\/x\/sse';/);
+  assert.match(script, /const PUBLISH_URL = __ENV.PUBLISH_URL \|\| 'https:\/\/events.example.com\/publish';/);
+
+  const client = fakeClient();
+  const posts = [];
+  const sse = {
+    open(url, params, callback) {
+      assert.equal(url, 'https://events.example.com/stream');
+      callback(client);
+      client.handlers.open();
+      client.handlers.event({ data: '{"type":"ping"}' });
+      return { status: 200 };
+    }
+  };
+  const http = { post: (url, body) => posts.push({ url, body }) };
+  const { metrics, checks } = runIteration(script, { sse, http });
+
+  assert.deepEqual(posts, [{ url: 'https://events.example.com/publish', body: '{"type":"ping"}' }]);
+  assert.equal(metrics.sse_message_rtt.length, 1);
+  // A zero-length session closes on the first event
+  assert.equal(client.closed, true);
+  assert.deepEqual(checks, { 'SSE stream status is 200': true, 'received expected events': true });
+});
+
+test('read-only SSE streams send nothing and accept any event', () => {
+  const script = generate(generateSseScript, { url: 'http://localhost:3000/events', assertions: false });
+
+  assert.doesNotMatch(script, /import http|PUBLISH_URL|const MESSAGE =/);
+  assert.match(script, /const EXPECTED = null;/);
+  assert.doesNotMatch(script, /check\(/);
+});
+
+test('rejects URLs with the wrong scheme and invalid session settings', () => {
+  assert.throws(() => generateWebSocketScript({ url: 'http://localhost:3000/ws' }), /URL must use ws or wss, got http:\/\/localhost:3000\/ws/);
+  assert.throws(() => generateSseScript({ url: 'ws://localhost:3000/events' }), /URL must use http or https/);
+  assert.throws(() => generateWebSocketScript({ url: 'not a url' }), /Invalid URL: not a url/);
+  assert.throws(() => generateWebSocketScript({ messageRate: 0 }), /messageRate must be a positive number of messages per second, got 0/);
+  assert.throws(() => generateWebSocketScript({ sessionDuration: 'forever' }));
+});
+
+test('k6_generate warns that SSE scripts need the xk6-sse extension', async () => {
+  const { warnings, thresholds } = await generateScript('sse', 'http://localhost:3000/events', {}, 'T');
+
+  assert.deepEqual(warnings, ['SSE scripts import k6/x/sse and need a k6 binary built with xk6-sse']);
+  assert.deepEqual(thresholds, { 'sse_connect_time': ['p(95)<1000'], 'checks': ['rate>0.9'] });
+});
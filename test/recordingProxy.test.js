@@ -0,0 +1,179 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { startRecording, labelStep, stopRecording, getRecordingStatus } from '../src/utils/recordingProxy.js';
+import { handleRecord } from '../src/handlers/recordHandler.js';
+
+let upstream;
+let upstreamPort;
+let workDir;
+
+before(async () => {
+  // Listens on all addresses, so both localhost and 127.0.0.1 reach it
+  upstream = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => (body += chunk));
+    req.on('end', () => {
+      res.writeHead(req.method === 'POST' ? 201 : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ method: req.method, url: req.url, body }));
+    });
+  });
+  await new Promise(resolve => upstream.listen(0, resolve));
+  upstreamPort = upstream.address().port;
+
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'k6-record-'));
+  process.env.K6_SCRIPTS_DIR = workDir;
+});
+
+after(async () => {
+  upstream.closeAllConnections();
+  await new Promise(resolve => upstream.close(resolve));
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+afterEach(async () => {
+  // A failed test must not leave the proxy listening
+  if (getRecordingStatus().recording) {
+    await stopRecording();
+  }
+});
+
+/**
+ * Find a port that is free right now
+ */
+async function freePort() {
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+/**
+ * Send a request through the proxy, the way a client configured with an HTTP proxy does
+ */
+function viaProxy(proxyPort, method, url, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port: proxyPort, method, path: url, headers: { 'Proxy-Connection': 'keep-alive', ...(body ? { 'Content-Type': 'application/json' } : {}) } }, res => {
+      let text = '';
+      res.on('data', chunk => (text += chunk));
+      res.on('end', () => resolve({ status: res.statusCode, text }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+test('records requests under the current step and forwards them unchanged', async () => {
+  const port = await freePort();
+  const started = await startRecording({ port });
+  assert.equal(started.proxy, `http://127.0.0.1:${port}`);
+  assert.equal(started.recording, true);
+
+  labelStep('Browse');
+  const browse = await viaProxy(port, 'GET', `http://localhost:${upstreamPort}/products?page=2`);
+  assert.deepEqual(JSON.parse(browse.text), { method: 'GET', url: '/products?page=2', body: '' });
+
+  labelStep('Buy');
+  const buy = await viaProxy(port, 'POST', `http://localhost:${upstreamPort}/orders`, '{"sku":1}');
+  assert.equal(buy.status, 201);
+  assert.deepEqual(getRecordingStatus().steps, ['Browse', 'Buy']);
+
+  const { har, stats } = await stopRecording();
+  assert.deepEqual(har.log.pages.map(page => [page.id, page.title]), [['step_1', 'Browse'], ['step_2', 'Buy']]);
+  assert.deepEqual(har.log.entries.map(entry => [entry.pageref, entry.request.method, entry.request.url, entry.response.status]), [
+    ['step_1', 'GET', `http://localhost:${upstreamPort}/products?page=2`, 200],
+    ['step_2', 'POST', `http://localhost:${upstreamPort}/orders`, 201]
+  ]);
+  assert.deepEqual(har.log.entries[0].request.queryString, [{ name: 'page', value: '2' }]);
+  assert.deepEqual(har.log.entries[1].request.postData, { mimeType: 'application/json', text: '{"sku":1}' });
+  // Proxy headers are not part of the recorded request
+  assert.ok(!har.log.entries[0].request.headers.some(header => header.name === 'proxy-connection'));
+  assert.equal(stats.recorded, 2);
+  assert.deepEqual(stats.hosts, ['localhost']);
+  assert.deepEqual(getRecordingStatus(), { recording: false });
+});
+
+test('host filters decide what is recorded, and HTTPS tunnels are only reported', async () => {
+  const port = await freePort();
+  await startRecording({ port, include: ['localhost'] });
+
+  await viaProxy(port, 'GET', `http://localhost:${upstreamPort}/a`);
+  const ignored = await viaProxy(port, 'GET', `http://127.0.0.1:${upstreamPort}/b`);
+  assert.equal(ignored.status, 200);
+
+  // A CONNECT tunnel stays open until the recording stops
+  const tunnel = net.connect(port, '127.0.0.1');
+  await new Promise(resolve => tunnel.once('connect', resolve));
+  tunnel.write(`CONNECT localhost:${upstreamPort} HTTP/1.1\r\nHost: localhost:${upstreamPort}\r\n\r\n`);
+  const established = await new Promise(resolve => tunnel.once('data', chunk => resolve(chunk.toString())));
+  assert.match(established, /^HTTP\/1.1 200 Connection Established/);
+  const closed = new Promise(resolve => tunnel.once('close', resolve));
+
+  const { stats } = await stopRecording();
+  await closed;
+  assert.equal(stats.recorded, 1);
+  assert.equal(stats.ignored, 1);
+  assert.deepEqual(stats.tunneledHosts, ['localhost']);
+  assert.deepEqual(stats.filters, { include: ['localhost'], exclude: [] });
+});
+
+test('answers direct requests and unreachable hosts with an error', async () => {
+  const port = await freePort();
+  const closedPort = await freePort();
+  await startRecording({ port });
+
+  const direct = await viaProxy(port, 'GET', '/');
+  assert.equal(direct.status, 400);
+  assert.match(direct.text, /This is a recording proxy/);
+
+  const unreachable = await viaProxy(port, 'GET', `http://127.0.0.1:${closedPort}/`);
+  assert.equal(unreachable.status, 502);
+  assert.match(unreachable.text, /Recording proxy could not reach 127.0.0.1:\d+/);
+
+  assert.equal((await stopRecording()).stats.recorded, 0);
+});
+
+test('only one recording runs at a time, and steps need a running recording', async () => {
+  assert.throws(() => labelStep('Browse'), /No recording is running; start one first/);
+  await assert.rejects(stopRecording(), /No recording is running/);
+
+  const port = await freePort();
+  await startRecording({ port });
+  await assert.rejects(startRecording({ port: await freePort() }), new RegExp(`A recording is already running on port ${port}; stop it first`));
+  assert.throws(() => labelStep(''), /A step needs a name/);
+  await stopRecording();
+
+  // The port is free again once the recording stops
+  const blocker = net.createServer();
+  await new Promise(resolve => blocker.listen(port, '127.0.0.1', resolve));
+  try {
+    await assert.rejects(startRecording({ port }), new RegExp(`Port ${port} is already in use`));
+  } finally {
+    await new Promise(resolve => blocker.close(resolve));
+  }
+});
+
+test('k6_record stop turns the session into a saved HAR script', async () => {
+  const port = await freePort();
+  const parse = response => JSON.parse(response.content[0].text);
+
+  assert.match(parse(await handleRecord({ action: 'start', port })).message, /Point your browser or client's HTTP proxy at/);
+  await handleRecord({ action: 'step', name: 'Checkout' });
+  await viaProxy(port, 'POST', `http://localhost:${upstreamPort}/api/orders`, '{"sku":1}');
+
+  const stopped = parse(await handleRecord({ action: 'stop', options: { assertions: false } }));
+  assert.equal(stopped.success, true);
+  const script = await fs.readFile(path.join(workDir, stopped.file.name), 'utf-8');
+  assert.match(script, /group\('Checkout', function \(\) \{/);
+  assert.match(script, /http.request\('POST', `\$\{BASE_URL\}\/api\/orders`, '\{"sku":1\}',/);
+
+  await handleRecord({ action: 'start', port });
+  const empty = parse(await handleRecord({ action: 'stop' }));
+  assert.equal(empty.success, false);
+  assert.match(empty.message, /no requests were recorded/);
+});
@@ -0,0 +1,114 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { GENERATOR_VERSION, hashContent, describeInput, readManifest, recordGeneration } from '../src/utils/manifest.js';
+import { handleGenerate, saveGeneratedScript } from '../src/handlers/generateHandler.js';
+import { handleRegenerate } from '../src/handlers/regenerateHandler.js';
+
+const HAR_FIXTURE = fileURLToPath(new URL('./fixtures/session.har', import.meta.url));
+const PACKAGE = JSON.parse(await fs.readFile(new URL('../package.json', import.meta.url), 'utf-8'));
+
+let workDir;
+let scriptsDir;
+
+function parse(response) {
+  return JSON.parse(response.content[0].text);
+}
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'k6-manifest-'));
+  scriptsDir = path.join(workDir, 'test-scripts');
+  process.env.K6_SCRIPTS_DIR = scriptsDir;
+});
+
+after(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+test('GENERATOR_VERSION is the package version plus a source hash', () => {
+  assert.match(GENERATOR_VERSION, new RegExp(`^${PACKAGE.version.replaceAll('.', '\\.')}\\+[0-9a-f]{12}$`));
+});
+
+test('the manifest round-trips entries, including concurrent writes', async () => {
+  const dir = path.join(workDir, 'round-trip');
+  await fs.mkdir(dir);
+  assert.deepEqual(await readManifest(dir), { version: 1, scripts: {} });
+
+  const entry = name => ({ source: 'basic', input: null, generatorVersion: GENERATOR_VERSION, scriptHash: hashContent(name) });
+  await Promise.all(['a.js', 'b.js', 'c.js'].map(name => recordGeneration(dir, name, entry(name))));
+  await recordGeneration(dir, 'b.js', { ...entry('b.js'), options: { vus: 2 } });
+
+  const manifest = await readManifest(dir);
+  assert.deepEqual(Object.keys(manifest.scripts).sort(), ['a.js', 'b.js', 'c.js']);
+  assert.deepEqual(manifest.scripts['b.js'].options, { vus: 2 });
+  assert.equal(manifest.scripts['a.js'].scriptHash, hashContent('a.js'));
+});
+
+test('describeInput hashes the input and the data file it reads', async () => {
+  const dataFile = path.join(workDir, 'users.csv');
+  await fs.writeFile(dataFile, 'username\nalice\n');
+
+  const described = await describeInput('har', HAR_FIXTURE, { data: { file: dataFile } });
+  assert.equal(described.inputPath, HAR_FIXTURE);
+  assert.equal(described.inputHash, hashContent(await fs.readFile(HAR_FIXTURE)));
+  assert.deepEqual(described.extraInputs, [{ kind: 'data', path: dataFile, hash: hashContent('username\nalice\n') }]);
+
+  assert.deepEqual(await describeInput('basic', undefined), { inputPath: null, inputHash: null, extraInputs: [] });
+});
+
+test('regenerates after the input changes and returns a diff', async () => {
+  const harFile = path.join(workDir, 'session.har');
+  await fs.copyFile(HAR_FIXTURE, harFile);
+  const generated = parse(await handleGenerate({ source: 'har', input: harFile }));
+  const fileName = generated.file.name;
+
+  const unchanged = parse(await handleRegenerate({ file: fileName }));
+  assert.equal(unchanged.regenerated, false);
+  assert.match(unchanged.message, /is up to date/);
+
+  const har = await fs.readFile(harFile, 'utf-8');
+  await fs.writeFile(harFile, har.replace('/api/orders', '/api/v2/orders'));
+
+  const result = parse(await handleRegenerate({ file: fileName }));
+  assert.equal(result.regenerated, true);
+  assert.deepEqual(result.reasons, [`input ${harFile} changed`]);
+  assert.match(result.diff, /^-.*\/api\/orders/m);
+  assert.match(result.diff, /^\+.*\/api\/v2\/orders/m);
+  // The original timestamp is kept, so it is not part of the diff
+  assert.doesNotMatch(result.diff, /Generated at/);
+
+  const entry = (await readManifest(scriptsDir)).scripts[fileName];
+  assert.equal(entry.inputHash, hashContent(await fs.readFile(harFile)));
+  assert.equal(entry.scriptHash, hashContent(await fs.readFile(path.join(scriptsDir, fileName))));
+  assert.ok(entry.regeneratedAt);
+});
+
+test('refuses to overwrite edited scripts unless forced', async () => {
+  const generated = parse(await handleGenerate({ source: 'har', input: HAR_FIXTURE }));
+  const filePath = generated.file.path;
+  await fs.appendFile(filePath, '\n// tuned by hand\n');
+
+  const refused = parse(await handleRegenerate({ file: generated.file.name }));
+  assert.match(refused.message, /was edited after it was generated; pass force/);
+
+  const forced = parse(await handleRegenerate({ file: generated.file.name, force: true }));
+  assert.equal(forced.regenerated, true);
+  assert.equal(forced.overwroteEdits, true);
+  assert.deepEqual(forced.reasons, ['forced']);
+  assert.match(forced.diff, /^-\/\/ tuned by hand/m);
+});
+
+test('refuses recorded scripts and scripts that are not in the manifest', async () => {
+  const saved = await saveGeneratedScript('export default function () {}\n', 'recording', { options: {} });
+
+  const recorded = parse(await handleRegenerate({ file: saved.name }));
+  assert.equal(recorded.error, 'Failed to regenerate K6 script');
+  assert.match(recorded.message, /was recorded with k6_record and has no input to regenerate it from/);
+
+  const unknown = parse(await handleRegenerate({ file: 'missing.js' }));
+  assert.match(unknown.message, /missing.js is not in the manifest/);
+  assert.equal(unknown.hint, 'Use k6_generate to create a new script instead');
+});
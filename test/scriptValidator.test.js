@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateScript } from '../src/utils/scriptValidator.js';
+
+/**
+ * Severity, rule and line of each diagnostic
+ */
+function findings(code) {
+  return validateScript(code).map(({ severity, rule, line }) => ({ severity, rule, line }));
+}
+
+test('a clean script has no diagnostics', () => {
+  assert.deepEqual(findings(`import http from 'k6/http';
+import { Trend } from 'k6/metrics';
+
+const loginTime = new Trend('login_time');
+
+export const options = {
+  vus: 5,
+  duration: '1m',
+  thresholds: { http_req_duration: ['p(95)<500'], login_time: ['avg<200'] },
+};
+
+const BASE_URL = __ENV.BASE_URL || 'https://test.k6.io';
+
+export default function () {
+  loginTime.add(http.get(\`\${BASE_URL}/login\`).timings.duration);
+}
+`), []);
+});
+
+test('syntax: reports the parse error with its line and column', () => {
+  const diagnostics = validateScript(`export default function () {
+  const x = ;
+}
+`);
+  assert.equal(diagnostics.length, 1);
+  assert.deepEqual({ ...diagnostics[0], message: undefined }, { severity: 'error', rule: 'syntax', line: 2, column: 13, message: undefined });
+});
+
+test('import: Node modules, require() and dynamic import() are errors; extensions are warnings', () => {
+  assert.deepEqual(findings(`import http from 'k6/http';
+import fs from 'fs';
+import sql from 'k6/x/sql';
+import { helper } from './lib.js';
+import { uuidv4 } from 'https://jslib.k6.io/k6-utils/1.4.0/index.js';
+
+export default function () {
+  const crypto = require('crypto');
+  import('./later.js');
+}
+`), [
+    { severity: 'error', rule: 'import', line: 2 },
+    { severity: 'warning', rule: 'import', line: 3 },
+    { severity: 'error', rule: 'import', line: 8 },
+    { severity: 'error', rule: 'import', line: 9 }
+  ]);
+});
+
+test('entry-point: no default export and no scenarios', () => {
+  assert.deepEqual(findings(`export function run() {}
+`), [{ severity: 'error', rule: 'entry-point', line: 1 }]);
+});
+
+test('entry-point: scenario exec functions must be exported', () => {
+  const code = `export const options = {
+  scenarios: {
+    browse: { executor: 'constant-vus', vus: 1, duration: '1m', exec: 'browse' },
+    buy: { executor: 'constant-vus', vus: 1, duration: '1m', exec: 'buy' },
+    fallback: { executor: 'constant-vus', vus: 1, duration: '1m' },
+  },
+};
+
+export function browse() {}
+function buy() {}
+`;
+  const diagnostics = validateScript(code);
+  assert.deepEqual(diagnostics.map(({ severity, rule, line }) => ({ severity, rule, line })), [
+    { severity: 'error', rule: 'entry-point', line: 4 },
+    { severity: 'error', rule: 'entry-point', line: 5 }
+  ]);
+  assert.match(diagnostics[0].message, /Scenario "buy" runs exec "buy", which the script does not export/);
+  assert.match(diagnostics[1].message, /Scenario "fallback" runs the default function, but the script has no default export/);
+});
+
+test('threshold-metric: unknown metrics are errors, and warnings when metric names are dynamic', () => {
+  assert.deepEqual(findings(`import { Counter } from 'k6/metrics';
+new Counter('orders');
+
+export const options = {
+  thresholds: {
+    'http_req_duration{name:Login}': ['p(95)<500'],
+    orders: ['count>10'],
+    login_time: ['avg<200'],
+  },
+};
+
+export default function () {}
+`), [{ severity: 'error', rule: 'threshold-metric', line: 8 }]);
+
+  assert.deepEqual(findings(`import { Trend } from 'k6/metrics';
+const name = 'login_time';
+new Trend(name);
+
+export const options = {
+  thresholds: { login_time: ['avg<200'] },
+};
+
+export default function () {}
+`), [{ severity: 'warning', rule: 'threshold-metric', line: 6 }]);
+});
+
+test('conflicting-options: shortcuts with scenarios, stages with duration, vus ignored by scenarios', () => {
+  assert.deepEqual(findings(`export const options = {
+  vus: 10,
+  duration: '1m',
+  scenarios: {
+    load: { executor: 'constant-vus', vus: 5, duration: '1m' },
+  },
+};
+
+export default function () {}
+`), [
+    { severity: 'warning', rule: 'conflicting-options', line: 2 },
+    { severity: 'error', rule: 'conflicting-options', line: 3 }
+  ]);
+
+  assert.deepEqual(findings(`export const options = {
+  stages: [{ duration: '1m', target: 10 }],
+  iterations: 100,
+};
+
+export default function () {}
+`), [{ severity: 'error', rule: 'conflicting-options', line: 3 }]);
+});
+
+test('hard-coded-host: warns once per host, but not for __ENV fallbacks', () => {
+  assert.deepEqual(findings(`import http from 'k6/http';
+
+const BASE_URL = __ENV.BASE_URL || 'https://staging.example.com';
+
+export default function () {
+  http.get('https://api.example.com/users');
+  http.get(\`https://api.example.com/orders\`);
+  http.get(\`\${BASE_URL}/health\`);
+}
+`), [{ severity: 'warning', rule: 'hard-coded-host', line: 6 }]);
+});
@@ -0,0 +1,107 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleStop } from '../src/handlers/stopHandler.js';
+import { startFakeAppServer } from './fixtures/fake-app-server.js';
+
+const STARTED = new Date(Date.now() - 30000).toISOString();
+
+let appServer;
+
+before(async () => {
+  appServer = await startFakeAppServer();
+  // Read once by the client, on its first call
+  delete process.env.K6_BACKEND;
+  process.env.K6_APP_SERVER_URL = appServer.url;
+  process.env.K6_APP_SERVER_RETRIES = '0';
+});
+
+after(async () => {
+  await appServer.close();
+});
+
+async function stop(args) {
+  return JSON.parse((await handleStop(args)).content[0].text);
+}
+
+test('graceful stops are the default, and abort is sent as its own mode', async () => {
+  appServer.reset([{ id: 't1', status: 'running', startTime: STARTED }, { id: 't2', status: 'running', startTime: STARTED }]);
+
+  const graceful = await stop({ testId: 't1' });
+  assert.equal(graceful.status, 'stopped');
+  assert.deepEqual(graceful.stop, { mode: 'graceful', requested: true, confirmed: true, message: 'Test t1 stopped (status: stopped)' });
+
+  const aborted = await stop({ testId: 't2', mode: 'abort' });
+  assert.equal(aborted.status, 'aborted');
+  assert.equal(aborted.stop.message, 'Test t2 stopped (status: aborted)');
+
+  assert.deepEqual(appServer.stops, [['t1', 'graceful'], ['t2', 'abort']]);
+});
+
+test('tests that are not running are reported without a stop request', async () => {
+  appServer.reset([{ id: 't1', status: 'completed', startTime: STARTED, endTime: new Date().toISOString() }]);
+
+  const result = await stop({ testId: 't1', mode: 'abort' });
+  assert.equal(result.status, 'completed');
+  assert.deepEqual(result.stop, { mode: 'abort', requested: false, message: 'Test t1 is not running (status: completed)' });
+  assert.deepEqual(appServer.stops, []);
+});
+
+test('reports a test that is still running once the wait is over', async () => {
+  appServer.reset([{ id: 't1', status: 'running', startTime: STARTED, ignoresStop: true }]);
+
+  const graceful = await stop({ testId: 't1', wait: 0 });
+  assert.equal(graceful.status, 'running');
+  assert.equal(graceful.stop.confirmed, false);
+  assert.equal(graceful.stop.message, 'Test t1 is still running 0s after the stop request; check again with k6_status or stop it with mode "abort"');
+
+  // There is nothing harder to suggest after an abort
+  const aborted = await stop({ testId: 't1', mode: 'abort', wait: 0 });
+  assert.equal(aborted.stop.message, 'Test t1 is still running 0s after the stop request; check again with k6_status');
+});
+
+test('all: true stops every running test and keeps going past failures', async () => {
+  appServer.reset([
+    { id: 'a', status: 'running', startTime: STARTED },
+    { id: 'b', status: 'running', startTime: STARTED, finishesOnStop: true },
+    { id: 'c', status: 'failed', startTime: STARTED }
+  ]);
+
+  const result = await stop({ all: true, mode: 'abort' });
+  assert.deepEqual(appServer.stops, [['a', 'abort'], ['b', 'abort']]);
+  assert.deepEqual(result.stop, {
+    mode: 'abort',
+    requested: ['a', 'b'],
+    confirmed: true,
+    failures: [{ testId: 'b', message: 'Test b already finished', errorType: 'conflict' }],
+    message: 'Stopped 1 of 2 running test(s)'
+  });
+  assert.deepEqual(result.summary, { total: 3, running: 0, completed: 1, failed: 1, stopped: 1 });
+
+  const idle = await stop({ all: true });
+  assert.deepEqual(idle.stop, { mode: 'graceful', requested: [], confirmed: true, message: 'No tests were running' });
+});
+
+test('all: true reports tests that are still running once the wait is over', async () => {
+  appServer.reset([{ id: 'a', status: 'running', startTime: STARTED, ignoresStop: true }]);
+
+  const result = await stop({ all: true, wait: 0 });
+  assert.equal(result.stop.confirmed, false);
+  assert.equal(result.stop.message, 'Some tests are still running 0s after the stop request; check again with k6_status');
+});
+
+test('rejects unknown modes, a missing target and unknown tests', async () => {
+  appServer.reset([]);
+
+  assert.deepEqual(await stop({ testId: 't1', mode: 'kill' }), {
+    error: 'Failed to stop K6 test',
+    message: 'Unknown stop mode "kill". Use one of: graceful, abort',
+    testId: 't1'
+  });
+  assert.equal((await stop({})).message, 'Pass the testId of the test to stop, or all: true to stop every running test');
+
+  const missing = await stop({ testId: 'nope' });
+  assert.equal(missing.message, 'Test nope not found');
+  assert.equal(missing.errorType, 'not-found');
+  assert.equal(missing.hint, 'Use k6_status to list available tests.');
+  assert.deepEqual(appServer.stops, []);
+});
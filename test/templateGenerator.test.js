@@ -0,0 +1,123 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { generateTemplateScript, listTemplates, getTemplatesDir } from '../src/generators/templateGenerator.js';
+import { generateScript } from '../src/handlers/generateHandler.js';
+import { validateScript } from '../src/utils/scriptValidator.js';
+
+const TEMPLATES_DIR = fileURLToPath(new URL('./fixtures/templates', import.meta.url));
+
+let workDir;
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'k6-templates-'));
+});
+
+after(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Write a template and its schema into the scratch templates directory
+ */
+async function writeTemplate(name, template, schema) {
+  await fs.writeFile(path.join(workDir, `${name}.js`), template);
+  if (schema !== undefined) {
+    await fs.writeFile(path.join(workDir, `${name}.schema.json`), typeof schema === 'string' ? schema : JSON.stringify(schema));
+  }
+}
+
+function render(variables, options = {}) {
+  return generateTemplateScript({ name: 'house-load', templatesDir: TEMPLATES_DIR, variables, timestamp: 'T', ...options });
+}
+
+test('renders variables as literals, raw text and schema defaults', async () => {
+  const { script, warnings } = await render({ team: 'payments', vus: 20, endpoints: ['/api/orders'], headers: { 'X-Team': 'payments' } }, {
+    thresholds: { 'http_req_duration': ['p(95)<300'] }
+  });
+
+  assert.deepEqual(validateScript(script).filter(diagnostic => diagnostic.severity === 'error'), []);
+  assert.deepEqual(warnings, []);
+  assert.match(script, /^\/\/ payments load test, generated at T\n\/\/ Region: \n/);
+  assert.match(script, /vus: 20,\n {2}duration: "1m",\n {2}thresholds: \{\n {4}'http_req_duration': \['p\(95\)<300'\],\n {2}\},/);
+  assert.match(script, /const ENDPOINTS = \[\n {2}"\/api\/orders"\n\];/);
+  assert.match(script, /const HEADERS = \{\n {2}"X-Team": "payments"\n\};/);
+  assert.match(script, /tags: \{ team: 'payments' \}/);
+  assert.match(script, /sleep\(false \? 0 : 1\);/);
+});
+
+test('lists every problem with the variables at once', async () => {
+  await assert.rejects(
+    render({ vus: 0.5, duration: 'soon', endpoints: ['/a', 2], headers: [], debug: 'yes', region: 'ap' }),
+    new RegExp('Invalid variables for template "house-load": team is required; vus must be an integer; duration must be a duration such as 30s or 5m; ' +
+      'endpoints must only contain string values; headers must be an object; debug must be true or false; region must be one of: eu, us')
+  );
+  await assert.rejects(render({ team: 'Payments', vus: 500 }), /team must match \^\[a-z-\]\+\$; vus must be at most 200/);
+  await assert.rejects(render({ team: 'payments', owner: 'ann' }), /Template "house-load" has no variable\(s\) owner. Declared: team, vus, duration, endpoints, headers, debug, region/);
+});
+
+test('lists templates with their variables, and reports the ones without a schema', async () => {
+  const { dir, templates } = await listTemplates(TEMPLATES_DIR);
+
+  assert.equal(dir, TEMPLATES_DIR);
+  assert.deepEqual(templates.map(template => template.name), ['house-load', 'no-schema']);
+  assert.equal(templates[0].description, "Shared smoke load for a team's endpoints");
+  assert.deepEqual(templates[0].variables[0], { name: 'team', type: 'string', required: true, default: undefined, enum: undefined, description: 'Owning team' });
+  assert.deepEqual(templates[1], { name: 'no-schema', error: 'Template "no-schema" has no schema; add no-schema.schema.json next to it' });
+
+  assert.deepEqual(await listTemplates(path.join(workDir, 'missing')), { dir: path.join(workDir, 'missing'), templates: [] });
+});
+
+test('K6_TEMPLATES_DIR is the default templates directory', async () => {
+  const previous = process.env.K6_TEMPLATES_DIR;
+  process.env.K6_TEMPLATES_DIR = TEMPLATES_DIR;
+  try {
+    assert.equal(getTemplatesDir(), TEMPLATES_DIR);
+    assert.equal(getTemplatesDir(workDir), workDir);
+
+    const { script, thresholds, warnings } = await generateScript('template', 'house-load', {
+      variables: { team: 'search' },
+      slo: { latency: { max: 250 } }
+    }, 'T');
+    assert.deepEqual(thresholds, { 'http_req_duration': ['p(95)<250'] });
+    assert.match(script, /'http_req_duration': \['p\(95\)<250'\],/);
+    assert.deepEqual(warnings, []);
+  } finally {
+    if (previous === undefined) {
+      delete process.env.K6_TEMPLATES_DIR;
+    } else {
+      process.env.K6_TEMPLATES_DIR = previous;
+    }
+  }
+});
+
+test('warns about unused variables and an SLO the template cannot apply', async () => {
+  await writeTemplate('plain', 'export default function () {}\n', { variables: { vus: { type: 'number' } } });
+
+  const { warnings } = await generateTemplateScript({ name: 'plain', templatesDir: workDir, sloGiven: true });
+  assert.deepEqual(warnings, [
+    'Template "plain" declares variable(s) it never uses: vus',
+    'options.slo was ignored: template "plain" does not use {{ thresholds }}'
+  ]);
+});
+
+test('rejects bad names, missing templates and invalid schemas', async () => {
+  await assert.rejects(generateTemplateScript({ templatesDir: workDir }), /A template name is required/);
+  await assert.rejects(generateTemplateScript({ name: '../secrets', templatesDir: workDir }), /Invalid template name "..\/secrets"/);
+  await assert.rejects(generateTemplateScript({ name: 'absent', templatesDir: workDir }), /Template "absent" not found in .*; use k6_list with type "templates"/);
+
+  await writeTemplate('undeclared', 'const x = {{ target }};\n', { variables: {} });
+  await assert.rejects(generateTemplateScript({ name: 'undeclared', templatesDir: workDir }), /uses \{\{ target \}\}, which is not declared in undeclared.schema.json/);
+
+  await writeTemplate('reserved', '', { variables: { timestamp: { type: 'string' } } });
+  await assert.rejects(generateTemplateScript({ name: 'reserved', templatesDir: workDir }), /reserved.schema.json declares "timestamp", which is filled in by k6_generate/);
+
+  await writeTemplate('typo', '', { variables: { vus: { type: 'int' } } });
+  await assert.rejects(generateTemplateScript({ name: 'typo', templatesDir: workDir }), /variable "vus" has unknown type "int"/);
+
+  await writeTemplate('broken', '', '{ "variables": ');
+  await assert.rejects(generateTemplateScript({ name: 'broken', templatesDir: workDir }), /broken.schema.json is not valid JSON/);
+});
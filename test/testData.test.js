@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadTestData, renderTestDataImports, renderTestDataLoader, renderDataRequest } from '../src/utils/testData.js';
+import { generateScript } from '../src/handlers/generateHandler.js';
+import { validateScript } from '../src/utils/scriptValidator.js';
+
+const fixture = name => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+const REQUESTS = [
+  { path: '/api/products/{id}' },
+  { path: '/search', query: { q: 'name' } },
+  { method: 'POST', path: '/api/cart', body: { productId: 'id', quantity: 'qty' } }
+];
+
+test('counts CSV rows the way the script parses them', async () => {
+  // products.csv has a BOM, a padded header, a quoted comma, a quoted line break and a blank line
+  const testData = await loadTestData({ file: fixture('products.csv'), requests: REQUESTS });
+
+  assert.equal(testData.format, 'csv');
+  assert.equal(testData.order, 'sequential');
+  assert.deepEqual(testData.columns, ['id', 'name', 'qty']);
+  assert.equal(testData.rowCount, 3);
+  assert.equal(testData.file, path.resolve(fixture('products.csv')));
+});
+
+test('reads JSON arrays of objects, with the union of their keys as columns', async () => {
+  const testData = await loadTestData({ file: fixture('products.json'), order: 'random', requests: REQUESTS });
+
+  assert.equal(testData.format, 'json');
+  assert.deepEqual(testData.columns, ['id', 'name', 'qty']);
+  assert.equal(testData.rowCount, 2);
+  assert.equal(renderTestDataImports(testData), "import { SharedArray } from 'k6/data';\nimport exec from 'k6/execution';");
+  assert.match(renderTestDataLoader(testData), /return JSON.parse\(open\(DATA_FILE\)\);/);
+  assert.match(renderTestDataLoader(testData), /return testData\[Math.floor\(Math.random\(\) \* testData.length\)\];/);
+});
+
+test('rejects missing columns, unknown orders and unusable files', async () => {
+  await assert.rejects(
+    loadTestData({ file: fixture('products.csv'), requests: [{ path: '/api/users/{userId}', query: { page: 'page' } }] }),
+    /products.csv has no column\(s\): userId, page. Available columns: id, name, qty/
+  );
+  await assert.rejects(loadTestData({ file: fixture('products.csv'), order: 'shuffled', requests: REQUESTS }), /Unknown data order "shuffled"/);
+  await assert.rejects(loadTestData({ requests: REQUESTS }), /options.data.file is required/);
+  await assert.rejects(loadTestData({ file: fixture('products.csv') }), /must list at least one request/);
+  await assert.rejects(loadTestData({ file: fixture('products.csv') }, { mapping: 'variables' }), /must map at least one variable/);
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'k6-data-'));
+  try {
+    const headerOnly = path.join(dir, 'empty.csv');
+    await fs.writeFile(headerOnly, 'id,name\n\n');
+    await assert.rejects(loadTestData({ file: headerOnly, requests: REQUESTS }), /needs a header row and at least one data row/);
+
+    const notArray = path.join(dir, 'rows.json');
+    await fs.writeFile(notArray, '{"id": 1}');
+    await assert.rejects(loadTestData({ file: notArray, requests: REQUESTS }), /must contain a non-empty array of objects/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('renders requests that take path, query and body values from the row', () => {
+  const [get, search, post] = REQUESTS.map(request => renderDataRequest(request, { authHeaders: true }));
+
+  assert.equal(get.name, 'GET /api/products/{id}');
+  assert.match(get.call, /^http.request\('GET', `\$\{BASE_URL\}\/api\/products\/\$\{encodeURIComponent\(row\['id'\]\)\}`, null, \{\n {2}headers: \{ \.\.\.authHeaders \},/);
+  assert.match(search.call, /`\$\{BASE_URL\}\/search\?q=\$\{encodeURIComponent\(row\['name'\]\)\}`/);
+  assert.match(post.call, /JSON.stringify\(\{\n {2}'productId': row\['id'\],\n {2}'quantity': row\['qty'\],\n\}\), \{\n {2}headers: \{ \.\.\.authHeaders, 'Content-Type': 'application\/json' \},/);
+});
+
+test('k6_generate wires the data into the basic script and warns when unique rows run out', async () => {
+  const { script, warnings, testData } = await generateScript('basic', undefined, {
+    vus: 5,
+    data: { file: fixture('products.csv'), order: 'unique', requests: REQUESTS }
+  }, 'T');
+
+  assert.deepEqual(validateScript(script).filter(diagnostic => diagnostic.severity === 'error'), []);
+  assert.equal(testData.rowCount, 3);
+  assert.deepEqual(warnings, ['Data file has 3 row(s) for up to 5 VUs; VUs beyond that share rows']);
+  assert.match(script, /import papaparse from 'https:\/\/jslib.k6.io\/papaparse\/5.1.1\/index.js';/);
+  assert.match(script, /\/\/ Test data: 3 row\(s\) of id, name, qty/);
+  assert.match(script, /return testData\[\(exec.vu.idInTest - 1\) % testData.length\];/);
+  assert.match(script, /group\('Data-driven requests', function \(\) \{\n {4}const row = nextRow\(\);/);
+
+  const ignored = await generateScript('har', fixture('session.har'), { data: { file: fixture('products.csv'), requests: REQUESTS } }, 'T');
+  assert.ok(ignored.warnings.includes('options.data is only used by the basic, api and graphql generators and was ignored'));
+});
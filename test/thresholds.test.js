@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { buildThresholds, getDefaultThresholds, renderThresholds } from '../src/utils/thresholds.js';
+import { generateScript } from '../src/handlers/generateHandler.js';
+import { validateScript } from '../src/utils/scriptValidator.js';
+
+const HAR_FIXTURE = fileURLToPath(new URL('./fixtures/session.har', import.meta.url));
+
+test('builds latency, error rate and check thresholds from an SLO', () => {
+  assert.deepEqual(buildThresholds({
+    latency: [{ percentile: 95, max: 500 }, { percentile: 99, max: 1500, tags: { name: 'Login' } }, { stat: 'avg', max: 200 }],
+    errorRate: { max: 0.01 },
+    checks: { min: 0.95 }
+  }), {
+    'http_req_duration': ['p(95)<500', 'avg<200'],
+    'http_req_duration{name:Login}': ['p(99)<1500'],
+    'http_req_failed': ['rate<0.01'],
+    'checks': ['rate>0.95']
+  });
+
+  // percentile defaults to 95, and other metrics can be targeted
+  assert.deepEqual(buildThresholds({ latency: { max: 300, metric: 'grpc_req_duration' }, errorRate: { max: 0, metric: 'errors', tags: { scenario: 'buyers', journey: 'checkout' } } }), {
+    'grpc_req_duration': ['p(95)<300'],
+    'errors{scenario:buyers,journey:checkout}': ['rate<0']
+  });
+  assert.equal(buildThresholds(undefined), undefined);
+});
+
+test('abortOnFail applies to the whole block or per entry, and entries can opt out', () => {
+  assert.deepEqual(buildThresholds({
+    abortOnFail: true,
+    delayAbortEval: '1m',
+    latency: { max: 500 },
+    errorRate: { max: 0.05, abortOnFail: false },
+    checks: { min: 0.9, delayAbortEval: '10s' }
+  }), {
+    'http_req_duration': [{ threshold: 'p(95)<500', abortOnFail: true, delayAbortEval: '1m' }],
+    'http_req_failed': ['rate<0.05'],
+    'checks': [{ threshold: 'rate>0.9', abortOnFail: true, delayAbortEval: '10s' }]
+  });
+
+  // Defaults from the caller are used unless the SLO overrides them
+  assert.deepEqual(buildThresholds({ latency: { max: 500 } }, { abortOnFail: true, delayAbortEval: '30s' }), {
+    'http_req_duration': [{ threshold: 'p(95)<500', abortOnFail: true, delayAbortEval: '30s' }]
+  });
+});
+
+test('rejects malformed SLOs', () => {
+  assert.throws(() => buildThresholds([]), /SLO must be an object/);
+  assert.throws(() => buildThresholds({}), /SLO must define at least one latency, errorRate or checks entry/);
+  assert.throws(() => buildThresholds({ latency: { percentile: 95 } }), /SLO latency entries need a non-negative numeric "max"/);
+  assert.throws(() => buildThresholds({ latency: { percentile: 120, max: 500 } }), /percentile must be a number between 0 and 100, got 120/);
+  assert.throws(() => buildThresholds({ latency: { stat: 'p90', max: 500 } }), /SLO latency stat must be one of: avg, min, med, max/);
+  assert.throws(() => buildThresholds({ errorRate: { max: 5 } }), /SLO errorRate "max" is a rate between 0 and 1, got 5/);
+  assert.throws(() => buildThresholds({ checks: { min: 0.9, tags: { name: 'a,b' } } }), /Invalid tag filter "name: a,b" in SLO/);
+  assert.throws(() => buildThresholds({ latency: { max: 500, metric: 'http req' } }), /Invalid metric name "http req" in SLO/);
+  assert.throws(() => buildThresholds({ abortOnFail: true, delayAbortEval: 'soon', latency: { max: 500 } }));
+});
+
+test('renders plain and abort-on-fail thresholds as an options literal', () => {
+  assert.equal(renderThresholds({
+    'http_req_duration{name:Login}': ['p(99)<1500'],
+    'checks': [{ threshold: 'rate>0.9', abortOnFail: true, delayAbortEval: '10s' }]
+  }), `{
+    'http_req_duration{name:Login}': ['p(99)<1500'],
+    'checks': [{ threshold: 'rate>0.9', abortOnFail: true, delayAbortEval: '10s' }],
+  }`);
+});
+
+test('default thresholds depend on the source, and drop checks without assertions', () => {
+  assert.deepEqual(getDefaultThresholds('grpc'), { 'grpc_req_duration': ['p(95)<1000'], 'checks': ['rate>0.9'] });
+  assert.deepEqual(getDefaultThresholds('har', { assertions: false }), { 'http_req_duration': ['p(95)<1000'], 'http_req_failed': ['rate<0.1'] });
+  assert.deepEqual(Object.keys(getDefaultThresholds('browser', { hybrid: true })), [
+    'browser_web_vital_lcp',
+    'browser_web_vital_cls',
+    'browser_web_vital_inp',
+    'http_req_duration{scenario:protocol}',
+    'http_req_failed{scenario:protocol}',
+    'checks'
+  ]);
+});
+
+test('k6_generate replaces the default thresholds with the SLO in the script', async () => {
+  const { script, thresholds } = await generateScript('har', HAR_FIXTURE, {
+    slo: { latency: [{ percentile: 99, max: 800, tags: { name: 'Login' } }], errorRate: [{ max: 0.01, abortOnFail: true }] }
+  }, 'T');
+
+  assert.deepEqual(thresholds, {
+    'http_req_duration{name:Login}': ['p(99)<800'],
+    'http_req_failed': [{ threshold: 'rate<0.01', abortOnFail: true, delayAbortEval: undefined }]
+  });
+  assert.match(script, /thresholds: \{\n {4}'http_req_duration\{name:Login\}': \['p\(99\)<800'\],\n {4}'http_req_failed': \[\{ threshold: 'rate<0.01', abortOnFail: true \}\],\n {2}\},/);
+  assert.deepEqual(validateScript(script).filter(diagnostic => diagnostic.severity === 'error'), []);
+});
@@ -0,0 +1,115 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleWait } from '../src/handlers/waitHandler.js';
+import { startFakeAppServer } from './fixtures/fake-app-server.js';
+
+const STARTED = new Date(Date.now() - 90000).toISOString();
+
+let appServer;
+
+before(async () => {
+  appServer = await startFakeAppServer();
+  // Read once by the client, on its first call
+  delete process.env.K6_BACKEND;
+  process.env.K6_APP_SERVER_URL = appServer.url;
+  process.env.K6_APP_SERVER_RETRIES = '0';
+});
+
+after(async () => {
+  await appServer.close();
+});
+
+async function wait(args, extra) {
+  return JSON.parse((await handleWait(args, extra)).content[0].text);
+}
+
+/**
+ * k6 progress output that has made `step` more requests on every call
+ */
+function growingOutput(step) {
+  let requests = 0;
+  return () => ({
+    output: 'running (1m30.0s), 2/5 VUs, 40 complete and 0 interrupted iterations\nrunning (1m30.5s), 3/5 VUs, 41 complete and 0 interrupted iterations',
+    metrics: { http_reqs: (requests += step) }
+  });
+}
+
+test('returns the final status and analysis once the test finishes, with progress notifications on the way', async () => {
+  const results = { http_reqs: { count: 120 }, http_req_duration: { avg: 80 } };
+  appServer.reset([{ id: 't1', status: 'running', startTime: STARTED, pollsUntilDone: 2, output: growingOutput(50), results }]);
+  const notifications = [];
+
+  const result = await wait({ testId: 't1', timeout: 30, interval: 0.05 }, {
+    _meta: { progressToken: 'tok' },
+    sendNotification: async notification => notifications.push(notification)
+  });
+
+  assert.equal(result.finished, true);
+  assert.equal(result.timedOut, false);
+  assert.equal(result.status.status, 'completed');
+  assert.deepEqual(result.metrics, results);
+  assert.deepEqual([result.issues, result.recommendations, result.summary], [[], [], 'Analyzed t1']);
+
+  assert.equal(notifications.length, 2);
+  for (const { method, params } of notifications) {
+    assert.equal(method, 'notifications/progress');
+    assert.equal(params.progressToken, 'tok');
+    assert.equal(params.total, 30);
+    assert.equal(typeof params.progress, 'number');
+  }
+  // The last "N/M VUs" line is the current one; the request rate needs two samples
+  assert.match(notifications[0].params.message, /^running for 1m 3\ds, 3\/5 VUs$/);
+  assert.match(notifications[1].params.message, /^running for 1m 3\ds, 3\/5 VUs, [\d.]+ req\/s$/);
+});
+
+test('times out with the latest progress while the test keeps running', async () => {
+  appServer.reset([{ id: 't1', status: 'running', startTime: STARTED, output: growingOutput(10) }]);
+  let notified = false;
+
+  const result = await wait({ testId: 't1', timeout: 0.5, interval: 0.05 }, { sendNotification: async () => (notified = true) });
+
+  assert.equal(result.finished, false);
+  assert.equal(result.timedOut, true);
+  assert.equal(result.message, 'Test t1 is still running after waiting 0.5s. Call k6_wait again to keep waiting, or stop it with k6_stop');
+  assert.equal(result.status.status, 'running');
+  assert.match(result.progress.elapsed, /^1m 3\ds$/);
+  assert.equal(result.progress.vus, 3);
+  assert.equal(result.progress.maxVUs, 5);
+  assert.ok(result.progress.requests >= 20);
+  assert.ok(result.progress.requestRate > 0);
+  // Without a progress token there is nobody to notify
+  assert.equal(notified, false);
+});
+
+test('progress is best effort and leaves out what the output does not show', async () => {
+  appServer.reset([{ id: 't1', status: 'running', startTime: STARTED }]);
+
+  const { progress } = await wait({ testId: 't1', timeout: 0, interval: 1 });
+  assert.match(progress.elapsed, /^1m 3\ds$/);
+  assert.deepEqual([progress.vus, progress.maxVUs, progress.requests, progress.requestRate], [undefined, undefined, undefined, undefined]);
+});
+
+test('finished tests without results report why they could not be analyzed', async () => {
+  appServer.reset([{ id: 't1', status: 'failed', startTime: STARTED, endTime: new Date().toISOString() }]);
+
+  const result = await wait({ testId: 't1' });
+  assert.equal(result.finished, true);
+  assert.equal(result.status.status, 'failed');
+  assert.equal(result.analysisError, 'Test t1 not found');
+  assert.equal(result.metrics, undefined);
+});
+
+test('stops waiting when the request is cancelled, and reports unknown tests', async () => {
+  appServer.reset([{ id: 't1', status: 'running', startTime: STARTED }]);
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 100);
+
+  const started = Date.now();
+  const cancelled = await wait({ testId: 't1', timeout: 60, interval: 30 }, { signal: controller.signal });
+  assert.ok(Date.now() - started < 5000);
+  assert.deepEqual(cancelled, { error: 'Failed to wait for K6 test', message: 'Wait cancelled', testId: 't1' });
+
+  const missing = await wait({ testId: 'nope' });
+  assert.equal(missing.message, 'Test nope not found');
+  assert.equal(missing.errorType, 'not-found');
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateWorkloadScript } from '../src/generators/workloadGenerator.js';
+import { generateScript } from '../src/handlers/generateHandler.js';
+import { validateScript } from '../src/utils/scriptValidator.js';
+
+test('journeys named after reserved words become valid exec functions', () => {
+  const script = generateWorkloadScript({
+    journeys: [
+      { name: 'default', weight: 1, requests: [{ method: 'GET', path: '/' }] },
+      { name: 'Delete', weight: 1, requests: [{ method: 'DELETE', path: '/items/1' }] },
+      { name: 'New', weight: 1, requests: [{ method: 'POST', path: '/items' }] }
+    ]
+  });
+
+  const errors = validateScript(script).filter(diagnostic => diagnostic.severity === 'error');
+  assert.deepEqual(errors, []);
+  for (const name of ['_default', '_delete', '_new']) {
+    assert.match(script, new RegExp(`export function ${name}\\(\\)`));
+    assert.match(script, new RegExp(`"exec": "${name}"`));
+  }
+});
+
+test('k6_generate rejects scenario types mixed with journeys instead of dropping them', async () => {
+  const journey = { name: 'browsers', weight: 1, requests: [{ path: '/products' }] };
+
+  await assert.rejects(
+    generateScript('basic', undefined, { scenarios: ['spike', journey] }),
+    /options.scenarios mixes scenario types \(spike\) with journey objects/
+  );
+
+  const { script } = await generateScript('basic', undefined, { scenarios: [journey] });
+  assert.match(script, /export function browsers\(\)/);
+});